@@ -1,31 +1,89 @@
 import axios from 'axios';
+import { getRateLimiter } from './rate-limiter.js';
+import { getFixtureStore } from './fixtures.js';
+import { createConnectionOptions } from './http-agents.js';
+import config from '../config.js';
 import logger from '../logger.js';
 
 /**
  * Base HTTP client with retry logic and exponential backoff
+ * Requests (including retries) draw from a per-source token bucket when
+ * a source name is given. Timeout, retry policy, proxy and CA come from
+ * the source's settings (config.sources), or the UPSTREAM_* defaults.
+ * In record mode every final response (or HTTP error) is saved as a
+ * fixture; in replay mode responses come only from fixtures, so no
+ * network access or rate budget is used.
  */
 export class BaseClient {
-  constructor(baseURL, headers = {}) {
+  /**
+   * @param {string} baseURL - API base URL
+   * @param {Object} headers - Extra request headers
+   * @param {Object} options - Client options
+   * @param {string} options.source - Upstream source name used for rate limiting (optional)
+   * @param {string} options.mode - "live", "record" or "replay" (default: RAWS_MCP_MODE)
+   * @param {string} options.fixturesDir - Fixture directory (default: RAWS_MCP_FIXTURES_DIR)
+   */
+  constructor(baseURL, headers = {}, options = {}) {
+    this.source = options.source || null;
+    this.mode = options.mode || config.mode;
+    this.fixtures = this.mode === 'live'
+      ? null
+      : getFixtureStore(options.fixturesDir || config.fixturesDir);
+    this.rateLimiter = this.source
+      ? getRateLimiter(this.source, {
+        requestsPerMinute: config.rateLimits[this.source] ?? config.maxRequestsPerMinute,
+        burst: config.rateLimitBurst,
+        maxQueue: config.rateLimitMaxQueue
+      })
+      : null;
+
+    const settings = config.sources[this.source] || config.upstream;
+    this.retryPolicy = {
+      maxRetries: settings.maxRetries,
+      backoffCapMs: settings.backoffCap * 1000,
+      jitter: settings.jitter
+    };
+
     this.client = axios.create({
       baseURL,
-      timeout: 10000,
+      timeout: settings.timeout * 1000,
       headers: {
         'User-Agent': 'RAWS-MCP-Server/1.0',
         ...headers
-      }
+      },
+      ...createConnectionOptions(baseURL, settings)
     });
   }
 
   /**
    * Make an HTTP request with automatic retry on failures
+   * Pass `signal` (AbortSignal) in the config to cancel the request,
+   * including any pending retry delay.
    * @param {Object} config - Axios request configuration
-   * @param {number} maxRetries - Maximum number of retry attempts
+   * @param {number} maxAttempts - Maximum attempts, including the first (default: retries + 1)
    * @returns {Promise<any>} Response data
    */
-  async request(config, maxRetries = 3) {
+  async request(config, maxAttempts = this.retryPolicy.maxRetries + 1) {
+    const { signal } = config;
     let lastError;
 
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
+    if (this.mode === 'replay') {
+      if (signal?.aborted) {
+        throw this._cancelledError(config);
+      }
+      return this._replay(config);
+    }
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      if (signal?.aborted) {
+        throw this._cancelledError(config);
+      }
+
+      // Wait for the source's rate budget; rejects if cancelled or the queue is full
+      if (this.rateLimiter) {
+        await this.rateLimiter.acquire(signal);
+      }
+
       try {
         logger.debug('Making HTTP request', {
           url: config.url,
@@ -40,10 +98,19 @@ export class BaseClient {
           status: response.status
         });
 
+        if (this.mode === 'record') {
+          await this._record(config, { response: { status: response.status, data: response.data } });
+        }
+
         return response.data;
       } catch (error) {
         lastError = error;
-        const isLastAttempt = attempt === maxRetries - 1;
+
+        if (axios.isCancel(error) || signal?.aborted) {
+          throw this._cancelledError(config);
+        }
+
+        const isLastAttempt = attempt === maxAttempts - 1;
 
         // Determine if we should retry
         const shouldRetry = this._shouldRetry(error);
@@ -56,7 +123,13 @@ export class BaseClient {
             status: error.response?.status,
             attempt: attempt + 1
           });
-          throw this._normalizeError(error);
+
+          const normalized = this._normalizeError(error);
+          // Upstream answers (e.g., 404) replay as errors; network failures aren't recorded
+          if (this.mode === 'record' && error.response) {
+            await this._record(config, { error: normalized });
+          }
+          throw normalized;
         }
 
         // Calculate delay based on error type
@@ -69,7 +142,7 @@ export class BaseClient {
           reason: error.response?.status || error.code
         });
 
-        await this._sleep(delay);
+        await this._sleep(delay, signal);
       }
     }
 
@@ -105,26 +178,33 @@ export class BaseClient {
 
   /**
    * Calculate retry delay based on error type and attempt number
+   * Backoff is spread by the source's jitter and never exceeds its backoff cap.
+   * A server's Retry-After is honored in full, since retrying sooner only
+   * spends attempts while still rate limited.
    * @private
    */
   _getRetryDelay(error, attempt) {
-    // Rate limited - exponential backoff
+    const { backoffCapMs, jitter } = this.retryPolicy;
+
+    // Rate limited - the server's Retry-After (seconds or HTTP date) wins over backoff
     if (error.response?.status === 429) {
-      // Check for Retry-After header
       const retryAfter = error.response.headers['retry-after'];
       if (retryAfter) {
-        return parseInt(retryAfter, 10) * 1000;
+        const seconds = Number(retryAfter);
+        const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (!isNaN(delay)) {
+          return Math.max(delay, 0);
+        }
       }
-      return Math.pow(2, attempt) * 1000;
     }
 
-    // Server error - exponential backoff
-    if (error.response?.status >= 500) {
-      return Math.pow(2, attempt) * 1000;
-    }
+    // Rate limited or server error - exponential backoff; network error - fixed delay
+    const base = error.response?.status === 429 || error.response?.status >= 500
+      ? Math.pow(2, attempt) * 1000
+      : 1000;
+    const delay = base * (1 + jitter * (Math.random() * 2 - 1));
 
-    // Network error - fixed delay
-    return 1000;
+    return Math.min(Math.round(delay), backoffCapMs);
   }
 
   /**
@@ -159,12 +239,74 @@ export class BaseClient {
     }
   }
 
+  /**
+   * Serve a request from its recorded fixture
+   * @private
+   */
+  async _replay(config) {
+    const fixture = await this.fixtures.load(this.source, config);
+
+    if (!fixture) {
+      const file = this.fixtures.pathFor(this.source, config);
+      logger.warn('No recorded fixture for request', { source: this.source, url: config.url, file });
+      throw {
+        code: 'FIXTURE_NOT_FOUND',
+        message: `No recorded response for ${(config.method || 'GET').toUpperCase()} ${config.url} (replay mode)`,
+        status: 0,
+        details: { type: 'fixture_missing', source: this.source, file }
+      };
+    }
+
+    logger.debug('Replaying HTTP fixture', { source: this.source, url: config.url });
+
+    if (fixture.error) {
+      throw fixture.error;
+    }
+    return fixture.response.data;
+  }
+
+  /**
+   * Save a request's outcome as a fixture
+   * Failing to write a fixture is logged but never fails the request.
+   * @private
+   */
+  async _record(config, outcome) {
+    try {
+      await this.fixtures.save(this.source, config, outcome);
+    } catch (error) {
+      logger.warn('Failed to record HTTP fixture', { url: config.url, error: error.message });
+    }
+  }
+
+  /**
+   * Build the error thrown when a request is cancelled
+   * @private
+   */
+  _cancelledError(config) {
+    logger.info('Request cancelled', { url: config.url });
+    return {
+      code: 'REQUEST_CANCELLED',
+      message: 'Request was cancelled',
+      status: 0,
+      details: { type: 'cancelled' }
+    };
+  }
+
   /**
    * Sleep for specified milliseconds
+   * Resolves early if the signal is aborted.
    * @private
    */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _sleep(ms, signal = null) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      }
+      signal?.addEventListener('abort', done, { once: true });
+    });
   }
 }
 
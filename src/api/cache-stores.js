@@ -0,0 +1,214 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash, randomUUID } from 'node:crypto';
+import logger from '../logger.js';
+
+/**
+ * Storage backends for the cache
+ * A store holds cache entries (`{ value, createdAt, lastAccessed, expiresAt, hits }`)
+ * and exposes the subset of the Map API the Cache class uses:
+ * get, set, has, delete, clear, entries, values and size.
+ */
+
+/**
+ * In-memory store; entries are lost on restart
+ */
+export class MemoryStore extends Map {
+  get persistent() {
+    return false;
+  }
+
+  /**
+   * Wait for pending writes (nothing to wait for in memory)
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+}
+
+/**
+ * File-backed store: one JSON file per entry in a cache directory
+ * Entries are kept in memory for synchronous reads and written through to
+ * disk in the background, so a restart reloads every entry that has not
+ * outlived its stale grace window.
+ * Hit counts and access times are not persisted.
+ */
+export class FileStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding cache files
+   * @param {number} options.graceMs - How long expired entries are kept for stale fallback
+   */
+  constructor({ directory, graceMs = 0 }) {
+    this.directory = path.resolve(directory);
+    this.graceMs = graceMs;
+    this.entriesByKey = new Map();
+    // key -> promise for the last write/unlink, so operations on a key apply in order
+    this.pending = new Map();
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this._load();
+  }
+
+  get persistent() {
+    return true;
+  }
+
+  get size() {
+    return this.entriesByKey.size;
+  }
+
+  get(key) {
+    return this.entriesByKey.get(key);
+  }
+
+  has(key) {
+    return this.entriesByKey.has(key);
+  }
+
+  set(key, entry) {
+    this.entriesByKey.set(key, entry);
+    this._enqueue(key, () => this._write(key, entry));
+    return this;
+  }
+
+  delete(key) {
+    const deleted = this.entriesByKey.delete(key);
+    if (deleted) {
+      this._enqueue(key, () => this._unlink(key));
+    }
+    return deleted;
+  }
+
+  clear() {
+    for (const key of this.entriesByKey.keys()) {
+      this._enqueue(key, () => this._unlink(key));
+    }
+    this.entriesByKey.clear();
+  }
+
+  entries() {
+    return this.entriesByKey.entries();
+  }
+
+  values() {
+    return this.entriesByKey.values();
+  }
+
+  /**
+   * Wait for all pending disk writes
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(this.pending.values());
+  }
+
+  /**
+   * Load unexpired entries from disk, removing expired or unreadable files
+   * @private
+   */
+  _load() {
+    const now = Date.now();
+    let loaded = 0;
+    let removed = 0;
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      const filePath = path.join(this.directory, file);
+      try {
+        const { key, entry } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        if (typeof key !== 'string' || !entry || now > entry.expiresAt + this.graceMs) {
+          fs.rmSync(filePath, { force: true });
+          removed++;
+          continue;
+        }
+        this.entriesByKey.set(key, { ...entry, hits: 0, lastAccessed: entry.createdAt });
+        loaded++;
+      } catch (error) {
+        logger.warn('Discarding unreadable cache file', { file, error: error.message });
+        fs.rmSync(filePath, { force: true });
+        removed++;
+      }
+    }
+
+    logger.info('File cache loaded', {
+      directory: this.directory,
+      loaded,
+      removed
+    });
+  }
+
+  /**
+   * Chain a disk operation after any pending operation on the same key
+   * @private
+   */
+  _enqueue(key, operation) {
+    const previous = this.pending.get(key) || Promise.resolve();
+    const next = previous
+      .then(operation)
+      .catch(error => {
+        logger.warn('Cache file operation failed', { key, error: error.message });
+      })
+      .finally(() => {
+        if (this.pending.get(key) === next) {
+          this.pending.delete(key);
+        }
+      });
+    this.pending.set(key, next);
+  }
+
+  /**
+   * Write an entry atomically (temp file + rename)
+   * @private
+   */
+  async _write(key, entry) {
+    const filePath = this._filePath(key);
+    const tempPath = `${filePath}.${randomUUID()}.tmp`;
+    const { value, createdAt, expiresAt } = entry;
+
+    await fs.promises.writeFile(tempPath, JSON.stringify({ key, entry: { value, createdAt, expiresAt } }));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Remove an entry's file
+   * @private
+   */
+  async _unlink(key) {
+    await fs.promises.rm(this._filePath(key), { force: true });
+  }
+
+  /**
+   * Map a cache key to a safe file name
+   * @private
+   */
+  _filePath(key) {
+    const hash = createHash('sha256').update(key).digest('hex').slice(0, 32);
+    return path.join(this.directory, `${hash}.json`);
+  }
+}
+
+/**
+ * Create the cache store selected by configuration
+ * @param {string} backend - "memory" or "file"
+ * @param {Object} options - Backend options
+ * @param {string} options.directory - Cache directory (file backend)
+ * @param {number} options.graceMs - Stale grace window (file backend)
+ * @returns {MemoryStore|FileStore} Store instance
+ */
+export function createCacheStore(backend, options = {}) {
+  switch (backend) {
+    case 'file':
+      return new FileStore(options);
+    case 'memory':
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown cache backend "${backend}". Expected "memory" or "file".`);
+  }
+}
+
+export default {
+  MemoryStore,
+  FileStore,
+  createCacheStore
+};
@@ -1,19 +1,32 @@
+import { createCacheStore } from './cache-stores.js';
 import logger from '../logger.js';
 import config from '../config.js';
 
 /**
- * In-memory cache with TTL (Time To Live) support
+ * Cache with TTL (Time To Live) support
+ * Entries live in a pluggable store: in memory (default) or on disk
+ * (CACHE_BACKEND=file) so they survive restarts.
  * Different cache TTLs based on data volatility:
  * - Current observations: 5 minutes (RAWS updates every 15-60 min)
  * - Station metadata: 1 hour (rarely changes)
  * - Historical data: 24 hours (archival, doesn't change)
  * - NWS alerts: 5 minutes (time-sensitive)
+ *
+ * Expired entries are retained for a grace window (CACHE_STALE_IF_ERROR_SECONDS)
+ * so callers can fall back to the last known value via getEntry().
  */
 export class Cache {
-  constructor() {
-    this.store = new Map();
+  /**
+   * @param {Object} store - Storage backend (defaults to the configured backend)
+   */
+  constructor(store = null) {
     this.maxSize = config.cacheMaxSize;
     this.defaultTTL = config.cacheTTL * 1000; // Convert to milliseconds
+    this.staleGrace = config.cacheStaleIfError * 1000;
+    this.store = store || createCacheStore(config.cacheBackend, {
+      directory: config.cacheDir,
+      graceMs: this.staleGrace
+    });
 
     // Start cleanup interval
     this.cleanupInterval = setInterval(
@@ -22,8 +35,10 @@ export class Cache {
     );
 
     logger.info('Cache initialized', {
+      backend: config.cacheBackend,
       maxSize: this.maxSize,
       defaultTTL: this.defaultTTL,
+      staleGrace: this.staleGrace,
       cleanupInterval: config.cacheCleanupInterval
     });
   }
@@ -41,10 +56,10 @@ export class Cache {
       return null;
     }
 
-    // Check if expired
+    // Check if expired (the entry is kept for stale fallback until the grace window ends)
     if (Date.now() > entry.expiresAt) {
       logger.debug('Cache expired', { key });
-      this.store.delete(key);
+      this._deleteIfPastGrace(key, entry);
       return null;
     }
 
@@ -92,12 +107,41 @@ export class Cache {
     const entry = this.store.get(key);
     if (!entry) return false;
     if (Date.now() > entry.expiresAt) {
-      this.store.delete(key);
+      this._deleteIfPastGrace(key, entry);
       return false;
     }
     return true;
   }
 
+  /**
+   * Get an entry including expired-but-retained values
+   * @param {string} key - Cache key
+   * @returns {Object|null} `{ value, stale, age, expiredFor }` with times in
+   *   milliseconds, or null if missing or past the grace window
+   */
+  getEntry(key) {
+    const entry = this.store.get(key);
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (this._deleteIfPastGrace(key, entry)) {
+      return null;
+    }
+
+    const stale = now > entry.expiresAt;
+    if (!stale) {
+      entry.hits++;
+      entry.lastAccessed = now;
+    }
+
+    return {
+      value: entry.value,
+      stale,
+      age: now - entry.createdAt,
+      expiredFor: stale ? now - entry.expiresAt : 0
+    };
+  }
+
   /**
    * Delete entry from cache
    * @param {string} key - Cache key
@@ -128,11 +172,13 @@ export class Cache {
     const now = Date.now();
 
     return {
+      persistent: this.store.persistent,
       size: this.store.size,
       maxSize: this.maxSize,
       totalHits: entries.reduce((sum, e) => sum + e.hits, 0),
       activeEntries: entries.filter(e => now < e.expiresAt).length,
-      expiredEntries: entries.filter(e => now >= e.expiresAt).length
+      staleEntries: entries.filter(e => now >= e.expiresAt && now <= e.expiresAt + this.staleGrace).length,
+      expiredEntries: entries.filter(e => now > e.expiresAt + this.staleGrace).length
     };
   }
 
@@ -145,7 +191,7 @@ export class Cache {
     let removed = 0;
 
     for (const [key, entry] of this.store.entries()) {
-      if (now > entry.expiresAt) {
+      if (now > entry.expiresAt + this.staleGrace) {
         this.store.delete(key);
         removed++;
       }
@@ -159,6 +205,19 @@ export class Cache {
     }
   }
 
+  /**
+   * Remove an expired entry once its stale grace window has passed
+   * @private
+   * @returns {boolean} True if the entry was removed
+   */
+  _deleteIfPastGrace(key, entry) {
+    if (Date.now() > entry.expiresAt + this.staleGrace) {
+      this.store.delete(key);
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Evict least recently used entry
    * @private
@@ -180,12 +239,23 @@ export class Cache {
     }
   }
 
+  /**
+   * Wait for pending writes to the storage backend
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.store.flush();
+  }
+
   /**
    * Destroy cache and cleanup interval
+   * Persistent stores keep their entries for the next start.
    */
   destroy() {
     clearInterval(this.cleanupInterval);
-    this.clear();
+    if (!this.store.persistent) {
+      this.clear();
+    }
     logger.info('Cache destroyed');
   }
 }
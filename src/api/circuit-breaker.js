@@ -0,0 +1,234 @@
+import logger from '../logger.js';
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Circuit breaker with rolling health metrics for one data source
+ * - closed: requests flow normally
+ * - open: requests are skipped until the reset timeout elapses
+ * - half-open: a single trial request decides whether to close or re-open
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Source name
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - Time the circuit stays open before a trial
+   * @param {number} options.windowSize - Number of recent outcomes kept for metrics
+   */
+  constructor({ name, failureThreshold = 3, resetTimeoutMs = 60000, windowSize = 20 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.windowSize = windowSize;
+
+    this.state = CircuitState.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.outcomes = [];
+    this.lastError = null;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Check whether a request may be sent to this source
+   * Moves an open circuit to half-open once the reset timeout has elapsed.
+   * @returns {boolean} True if the request may proceed
+   */
+  allowRequest() {
+    if (this.state === CircuitState.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        return false;
+      }
+      this._transition(CircuitState.HALF_OPEN);
+    }
+
+    if (this.state === CircuitState.HALF_OPEN) {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful request
+   * @param {number} latencyMs - Request duration
+   */
+  recordSuccess(latencyMs) {
+    this._recordOutcome(true, latencyMs);
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date().toISOString();
+    this.trialInFlight = false;
+
+    if (this.state !== CircuitState.CLOSED) {
+      this._transition(CircuitState.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed request
+   * @param {number} latencyMs - Request duration
+   * @param {Object} error - Error thrown by the source
+   */
+  recordFailure(latencyMs, error) {
+    this._recordOutcome(false, latencyMs);
+    this.consecutiveFailures++;
+    this.lastFailureAt = new Date().toISOString();
+    this.lastError = error?.message || error?.code || 'Unknown error';
+    this.trialInFlight = false;
+
+    if (this.state === CircuitState.HALF_OPEN ||
+        this.consecutiveFailures >= this.failureThreshold) {
+      this._transition(CircuitState.OPEN);
+    }
+  }
+
+  /**
+   * Release a half-open trial without recording an outcome (e.g., cancelled)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Fraction of failed requests in the rolling window
+   * @returns {number} Error rate (0-1)
+   */
+  getErrorRate() {
+    if (this.outcomes.length === 0) return 0;
+    const failures = this.outcomes.filter(o => !o.success).length;
+    return failures / this.outcomes.length;
+  }
+
+  /**
+   * Average latency over the rolling window
+   * @returns {number} Milliseconds (0 if no samples)
+   */
+  getAverageLatency() {
+    if (this.outcomes.length === 0) return 0;
+    const total = this.outcomes.reduce((sum, o) => sum + o.latencyMs, 0);
+    return total / this.outcomes.length;
+  }
+
+  /**
+   * Health score used to order sources; lower is healthier
+   * One point per percent of errors plus one per second of average latency,
+   * so small latency differences don't reshuffle sources.
+   * @returns {number} Score
+   */
+  getScore() {
+    const statePenalty = {
+      [CircuitState.CLOSED]: 0,
+      [CircuitState.HALF_OPEN]: 1000,
+      [CircuitState.OPEN]: 10000
+    }[this.state];
+
+    return statePenalty +
+      Math.round(this.getErrorRate() * 100) +
+      Math.floor(this.getAverageLatency() / 1000);
+  }
+
+  /**
+   * Get breaker state and health metrics
+   * @returns {Object} Diagnostic snapshot
+   */
+  getStats() {
+    const retryAt = this.state === CircuitState.OPEN
+      ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+      : null;
+
+    return {
+      source: this.name,
+      state: this.state,
+      score: this.getScore(),
+      errorRate: Math.round(this.getErrorRate() * 1000) / 1000,
+      averageLatencyMs: Math.round(this.getAverageLatency()),
+      samples: this.outcomes.length,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAt,
+      lastSuccessAt: this.lastSuccessAt,
+      lastFailureAt: this.lastFailureAt,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Add an outcome to the rolling window
+   * @private
+   */
+  _recordOutcome(success, latencyMs) {
+    this.outcomes.push({ success, latencyMs });
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Change state and log the transition
+   * @private
+   */
+  _transition(state) {
+    const previous = this.state;
+    this.state = state;
+
+    if (state === CircuitState.OPEN) {
+      this.openedAt = Date.now();
+    }
+
+    const level = state === CircuitState.OPEN ? 'warn' : 'info';
+    logger[level]('Circuit breaker state change', {
+      source: this.name,
+      from: previous,
+      to: state,
+      consecutiveFailures: this.consecutiveFailures
+    });
+  }
+}
+
+// Errors raised before a request leaves this process
+const LOCAL_ERROR_CODES = new Set(['RATE_LIMIT_QUEUE_FULL', 'FIXTURE_NOT_FOUND']);
+
+/**
+ * Decide whether an error was raised locally without reaching the source
+ * (a full rate limiter queue, or a missing fixture in replay mode)
+ * @param {Object} error - Error thrown by a client
+ * @returns {boolean} True if the source was never contacted
+ */
+export function isLocalError(error) {
+  return Boolean(error) && LOCAL_ERROR_CODES.has(error.code);
+}
+
+/**
+ * Decide whether an error reflects the health of the source
+ * Missing stations, bad requests, unsupported operations, cancellations
+ * and local errors are not source failures; auth errors, upstream rate
+ * limiting, server and network errors are.
+ * @param {Object} error - Error thrown by a client
+ * @returns {boolean} True if the error should count against the source
+ */
+export function isSourceFailure(error) {
+  if (!error) return false;
+  if (error.code === 'REQUEST_CANCELLED') return false;
+  if (isLocalError(error)) return false;
+  if (error.code === 'STATION_NOT_FOUND') return false;
+  if (error.code === 'NOT_SUPPORTED') return false;
+  if (error.status === 400 || error.status === 404) return false;
+
+  return true;
+}
+
+export default {
+  CircuitBreaker,
+  CircuitState,
+  isLocalError,
+  isSourceFailure
+};
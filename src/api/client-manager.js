@@ -1,30 +1,104 @@
-import SynopticClient from './synoptic.js';
-import MesoWestClient from './mesowest.js';
 import NWSClient from './nws.js';
+import {
+  createProviders,
+  getConfiguredProviders,
+  loadProviderModules,
+  validateProvider
+} from './providers.js';
 import cache from './cache.js';
+import { getRateLimiterStats } from './rate-limiter.js';
+import { CircuitBreaker, isLocalError, isSourceFailure } from './circuit-breaker.js';
 import logger from '../logger.js';
 import config from '../config.js';
 
+// Single-station fetches run at once when a batch can't cover every station
+const INDIVIDUAL_FETCH_CONCURRENCY = 5;
+
+/**
+ * Build the error returned to a caller that cancelled its request
+ * @private
+ */
+function cancelledError() {
+  return {
+    code: 'REQUEST_CANCELLED',
+    message: 'Request was cancelled',
+    status: 0,
+    details: { type: 'cancelled' }
+  };
+}
+
+/**
+ * Mark a cached value as stale
+ * Observation results get `_meta.stale`, `_meta.age_seconds` and
+ * `_meta.stale_reason`; arrays (station searches) are returned unchanged.
+ * @private
+ * @param {Object} entry - Entry from cache.getEntry()
+ * @param {string} reason - "revalidating" or "sources_unavailable"
+ * @returns {any} Value to return to the caller
+ */
+function markStale(entry, reason) {
+  if (Array.isArray(entry.value)) {
+    return entry.value;
+  }
+
+  return {
+    ...entry.value,
+    _meta: {
+      ...entry.value._meta,
+      cached: true,
+      stale: true,
+      age_seconds: Math.round(entry.age / 1000),
+      stale_reason: reason
+    }
+  };
+}
+
 /**
  * Client Manager - Coordinates multiple data sources with failover
- * Strategy Pattern: Tries sources in order: Synoptic → MesoWest → WRCC
+ * Strategy Pattern: Tries providers in configured order (by default
+ * Synoptic → MesoWest → WRCC → NWS; see providers.js for the interface).
+ * Each source has a circuit breaker; sources are tried healthiest first,
+ * with the configured order breaking ties. Sources whose capabilities
+ * lack an operation are skipped for it. Concurrent identical requests
+ * (same cache key) share a single upstream call.
  */
 export class ClientManager {
-  constructor() {
-    this.synopticClient = new SynopticClient();
-    this.mesowestClient = new MesoWestClient();
-    this.nwsClient = new NWSClient();
+  /**
+   * @param {Array<Object>} providers - `{ name, client }` entries in failover order
+   *   (optional; defaults to the providers configured by DATA_PROVIDERS)
+   */
+  constructor(providers = null) {
+    const entries = providers
+      ? providers.map(({ name, client }) => ({ name, client: validateProvider(name, client) }))
+      : createProviders(getConfiguredProviders());
+
+    // Alerts and forecasts always come from NWS, whether or not it is a failover source
+    this.nwsClient = entries.find(({ name }) => name === 'nws')?.client || new NWSClient();
 
     // Determine available clients
-    this.availableClients = [
-      { name: 'synoptic', client: this.synopticClient },
-      { name: 'mesowest', client: this.mesowestClient }
-    ].filter(({ client }) => client.isAvailable());
+    this.availableClients = entries.filter(({ client }) => client.isAvailable());
 
     if (this.availableClients.length === 0) {
-      throw new Error('No API clients are available. Please configure at least one API token.');
+      throw new Error('No API clients are available. Please configure at least one API token or enable the WRCC fallback.');
     }
 
+    // One circuit breaker per failover source
+    this.breakers = new Map(
+      this.availableClients.map(({ name }) => [
+        name,
+        new CircuitBreaker({
+          name,
+          failureThreshold: config.circuitBreaker.failureThreshold,
+          resetTimeoutMs: config.circuitBreaker.resetTimeout * 1000,
+          windowSize: config.circuitBreaker.windowSize
+        })
+      ])
+    );
+
+    // cacheKey -> { promise, controller, waiters } for upstream calls in progress
+    this.inFlight = new Map();
+    this.coalescedRequests = 0;
+
     logger.info('Client manager initialized', {
       availableClients: this.availableClients.map(c => c.name)
     });
@@ -33,58 +107,118 @@ export class ClientManager {
   /**
    * Get current observation with failover
    * @param {string} stationId - RAWS station ID
-   * @returns {Promise<Object>} Current observation data with source information
+   * @returns {Promise<Object>} Current observation data with source information.
+   *   `_meta.stale` is true when a cached reading is served past its TTL.
    */
   async getCurrentObservation(stationId) {
     const cacheKey = `current:${stationId}`;
 
-    // Check cache first (5 minute TTL)
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      logger.debug('Returning cached current observation', { stationId });
-      return cached;
-    }
-
-    // Try each available client in order
-    let lastError = null;
-    for (const { name, client } of this.availableClients) {
-      try {
-        logger.debug('Attempting to fetch current observation', {
-          stationId,
-          source: name
-        });
-
-        const data = await client.getCurrentObservation(stationId);
-        const result = {
-          ...data,
-          _meta: {
-            source: name,
-            cached: false,
-            timestamp: new Date().toISOString()
-          }
-        };
+    // Served from cache when fresh (5 minute TTL)
+    return this._cachedFetch(cacheKey, async () => {
+      const { data, source } = await this._withFailover(
+        'currentObservation',
+        'fetch current observation',
+        { stationId },
+        client => client.getCurrentObservation(stationId)
+      );
+
+      const result = {
+        ...data,
+        _meta: {
+          source,
+          cached: false,
+          timestamp: new Date().toISOString()
+        }
+      };
+
+      // Cache for 5 minutes (300000 ms)
+      cache.set(cacheKey, result, 300000);
+
+      return result;
+    });
+  }
 
-        // Cache for 5 minutes (300000 ms)
-        cache.set(cacheKey, result, 300000);
+  /**
+   * Get current observations for many stations
+   * Fresh cache entries are used as is. The rest are fetched together from
+   * the first source that supports batch requests, and each station found is
+   * cached under its own `current:` key. Stations the batch could not return
+   * (or every remaining station, if no batch source succeeded) are fetched
+   * one by one through getCurrentObservation, with failover and stale data.
+   * @param {Array<string>} stationIds - Sanitized RAWS station IDs
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the remaining fetches (optional)
+   * @returns {Promise<Object>} `{ results, stats }`; results are `{ stationId, station }`
+   *   or `{ stationId, error }` in input order; stats count the stations
+   *   served from cache, by the batch request, and one by one
+   */
+  async getCurrentObservations(stationIds, options = {}) {
+    const { signal = null } = options;
+    const ids = [...new Set(stationIds)];
+    const found = new Map();
+    const stats = { cached: 0, batched: 0, individual: 0 };
+
+    for (const stationId of ids) {
+      const entry = cache.getEntry(`current:${stationId}`);
+      if (entry && !entry.stale) {
+        found.set(stationId, { stationId, station: entry.value });
+        stats.cached++;
+      }
+    }
 
-        logger.info('Successfully fetched current observation', {
-          stationId,
-          source: name
-        });
+    let pending = ids.filter(id => !found.has(id));
+    const canBatch = this.availableClients.some(({ client }) => client.capabilities.currentObservationBatch);
 
-        return result;
+    if (pending.length > 1 && canBatch) {
+      try {
+        const { data: stations, source } = await this._withFailover(
+          'currentObservationBatch',
+          'fetch current observations',
+          { stationCount: pending.length },
+          client => client.getCurrentObservations(pending, { signal })
+        );
+
+        const timestamp = new Date().toISOString();
+        for (const station of stations) {
+          const stationId = String(station.STID || '').toUpperCase();
+          if (!pending.includes(stationId)) continue;
+
+          const result = { ...station, _meta: { source, cached: false, timestamp } };
+          // Cache for 5 minutes (300000 ms), same as a single-station fetch
+          cache.set(`current:${stationId}`, result, 300000);
+          found.set(stationId, { stationId, station: result });
+          stats.batched++;
+        }
       } catch (error) {
-        logger.warn('Failed to fetch from source', {
-          stationId,
-          source: name,
+        if (error.code === 'REQUEST_CANCELLED') throw error;
+        logger.warn('Batch fetch failed, fetching stations individually', {
+          stationCount: pending.length,
           error: error.message || error.code
         });
-        lastError = error;
       }
+      pending = pending.filter(id => !found.has(id));
     }
 
-    // All clients failed
-    throw lastError || new Error('All data sources failed');
+    // A few at a time, so a large sweep doesn't flood the rate limiter queue
+    const queue = [...pending];
+    const worker = async () => {
+      while (queue.length > 0) {
+        if (signal?.aborted) throw cancelledError();
+        const stationId = queue.shift();
+        stats.individual++;
+        try {
+          found.set(stationId, { stationId, station: await this.getCurrentObservation(stationId) });
+        } catch (error) {
+          found.set(stationId, { stationId, error });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(INDIVIDUAL_FETCH_CONCURRENCY, queue.length) }, worker));
+
+    return {
+      results: stationIds.map(stationId => found.get(stationId)),
+      stats
+    };
   }
 
   /**
@@ -98,50 +232,46 @@ export class ClientManager {
   async searchStations(latitude, longitude, radius = 50, limit = 10) {
     const cacheKey = `search:${latitude}:${longitude}:${radius}:${limit}`;
 
-    // Check cache first (1 hour TTL)
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      logger.debug('Returning cached station search', { latitude, longitude });
-      return cached;
-    }
-
-    // Try each available client in order
-    let lastError = null;
-    for (const { name, client } of this.availableClients) {
-      try {
-        logger.debug('Attempting to search stations', {
-          latitude,
-          longitude,
-          radius,
-          source: name
-        });
-
-        const stations = await client.searchStations(latitude, longitude, radius, limit);
+    // Served from cache when fresh (1 hour TTL)
+    return this._cachedFetch(cacheKey, async () => {
+      const { data: stations } = await this._withFailover(
+        'stationSearch',
+        'search stations',
+        { latitude, longitude, radius },
+        client => client.searchStations(latitude, longitude, radius, limit)
+      );
 
-        // Cache for 1 hour (3600000 ms)
-        cache.set(cacheKey, stations, 3600000);
+      // Cache for 1 hour (3600000 ms)
+      cache.set(cacheKey, stations, 3600000);
 
-        logger.info('Successfully searched stations', {
-          latitude,
-          longitude,
-          source: name,
-          count: stations.length
-        });
-
-        return stations;
-      } catch (error) {
-        logger.warn('Failed to search from source', {
-          latitude,
-          longitude,
-          source: name,
-          error: error.message || error.code
-        });
-        lastError = error;
-      }
-    }
+      return stations;
+    });
+  }
 
-    // All clients failed
-    throw lastError || new Error('All data sources failed');
+  /**
+   * Search for stations by state, county, GACC or network with failover
+   * @param {Object} filters - `{ state, county, gacc, network }` (at least one)
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array>} Array of station metadata
+   */
+  async searchStationsByFilter(filters, limit = 10) {
+    const { state, county, gacc, network } = filters;
+    const cacheKey = `search:filter:${state}:${county}:${gacc}:${network}:${limit}`;
+
+    // Served from cache when fresh (1 hour TTL)
+    return this._cachedFetch(cacheKey, async () => {
+      const { data: stations } = await this._withFailover(
+        'stationFilter',
+        'search stations by filter',
+        filters,
+        client => client.searchStationsByFilter(filters, limit)
+      );
+
+      // Cache for 1 hour (3600000 ms)
+      cache.set(cacheKey, stations, 3600000);
+
+      return stations;
+    });
   }
 
   /**
@@ -150,62 +280,291 @@ export class ClientManager {
    * @param {Date} startTime - Start time
    * @param {Date} endTime - End time
    * @param {Array<string>} variables - Specific variables to retrieve (optional)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request without failing over (optional).
+   *   A shared upstream request is only aborted once every caller waiting on it has cancelled.
    * @returns {Promise<Object>} Historical data with source information
    */
-  async getHistoricalObservations(stationId, startTime, endTime, variables = null) {
+  async getHistoricalObservations(stationId, startTime, endTime, variables = null, options = {}) {
     const cacheKey = `historical:${stationId}:${startTime.getTime()}:${endTime.getTime()}:${variables?.join(',')}`;
 
-    // Check cache first (24 hour TTL for historical data)
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      logger.debug('Returning cached historical data', { stationId });
-      return cached;
-    }
+    // Served from cache when fresh (24 hour TTL for historical data)
+    return this._cachedFetch(cacheKey, async (signal) => {
+      const { data, source } = await this._withFailover(
+        'historicalObservations',
+        'fetch historical data',
+        { stationId, startTime, endTime },
+        client => client.getHistoricalObservations(stationId, startTime, endTime, variables, {
+          ...options,
+          signal
+        })
+      );
+
+      const result = {
+        ...data,
+        _meta: {
+          source,
+          cached: false,
+          timestamp: new Date().toISOString()
+        }
+      };
+
+      // Cache for 24 hours (86400000 ms)
+      cache.set(cacheKey, result, 86400000);
+
+      return result;
+    }, options.signal);
+  }
+
+  /**
+   * Get clients ordered by health score (healthiest first)
+   * Array.prototype.sort is stable, so equal scores keep the configured order.
+   * @returns {Array<Object>} Ordered `{ name, client }` entries
+   */
+  getOrderedClients() {
+    return [...this.availableClients].sort(
+      (a, b) => this.breakers.get(a.name).getScore() - this.breakers.get(b.name).getScore()
+    );
+  }
 
-    // Try each available client in order
+  /**
+   * Run an operation against each source until one succeeds
+   * Sources without the capability or with an open circuit are skipped.
+   * Errors that don't reflect source health (e.g., station not found)
+   * still count as a response.
+   * @private
+   * @param {string} capability - Provider capability the operation needs
+   * @param {string} operation - Description used in logs
+   * @param {Object} logContext - Fields added to log entries
+   * @param {Function} fn - (client, name) => Promise resolving to the data
+   * @returns {Promise<Object>} `{ data, source }`
+   */
+  async _withFailover(capability, operation, logContext, fn) {
+    const capable = this.getOrderedClients().filter(({ client }) => client.capabilities[capability]);
     let lastError = null;
-    for (const { name, client } of this.availableClients) {
-      try {
-        logger.debug('Attempting to fetch historical data', {
-          stationId,
+    let attempted = 0;
+
+    if (capable.length === 0) {
+      throw {
+        code: 'NOT_SUPPORTED',
+        message: `No configured data source can ${operation}`,
+        status: 501,
+        details: { capability }
+      };
+    }
+
+    for (const { name, client } of capable) {
+      const breaker = this.breakers.get(name);
+
+      if (!breaker.allowRequest()) {
+        logger.debug('Skipping source with open circuit', {
+          ...logContext,
           source: name,
-          startTime,
-          endTime
+          operation
         });
+        continue;
+      }
 
-        const data = await client.getHistoricalObservations(stationId, startTime, endTime, variables);
-        const result = {
-          ...data,
-          _meta: {
-            source: name,
-            cached: false,
-            timestamp: new Date().toISOString()
-          }
-        };
+      attempted++;
+      const startedAt = Date.now();
 
-        // Cache for 24 hours (86400000 ms)
-        cache.set(cacheKey, result, 86400000);
+      try {
+        logger.debug(`Attempting to ${operation}`, { ...logContext, source: name });
 
-        logger.info('Successfully fetched historical data', {
-          stationId,
-          source: name
-        });
+        const data = await fn(client, name);
+        breaker.recordSuccess(Date.now() - startedAt);
+
+        logger.info(`Successfully completed: ${operation}`, { ...logContext, source: name });
 
-        return result;
+        return { data, source: name };
       } catch (error) {
-        logger.warn('Failed to fetch historical from source', {
-          stationId,
+        // Cancellation is the caller's choice, not a source failure
+        if (error.code === 'REQUEST_CANCELLED') {
+          breaker.releaseTrial();
+          throw error;
+        }
+
+        // Source lacks this operation; try the next one without scoring it
+        if (error.code === 'NOT_SUPPORTED') {
+          breaker.releaseTrial();
+          attempted--;
+          lastError = lastError || error;
+          continue;
+        }
+
+        // Never reached the source (full rate limiter queue, missing
+        // fixture); try the next one without scoring this one
+        if (isLocalError(error)) {
+          breaker.releaseTrial();
+          logger.warn(`Could not ${operation} from source`, {
+            ...logContext,
+            source: name,
+            error: error.code
+          });
+          lastError = lastError || error;
+          continue;
+        }
+
+        if (isSourceFailure(error)) {
+          breaker.recordFailure(Date.now() - startedAt, error);
+        } else {
+          breaker.recordSuccess(Date.now() - startedAt);
+        }
+
+        logger.warn(`Failed to ${operation} from source`, {
+          ...logContext,
           source: name,
           error: error.message || error.code
         });
-        lastError = error;
+
+        // Keep an earlier outage over a later "not found" from a source that
+        // may simply not carry the station
+        if (!lastError || isSourceFailure(error) || !isSourceFailure(lastError)) {
+          lastError = error;
+        }
       }
     }
 
+    if (attempted === 0) {
+      throw {
+        code: 'ALL_SOURCES_UNAVAILABLE',
+        message: 'All data sources are temporarily unavailable (circuit open). Please try again later.',
+        status: 503,
+        details: { sources: this.getSourceHealth() }
+      };
+    }
+
     // All clients failed
     throw lastError || new Error('All data sources failed');
   }
 
+  /**
+   * Serve a request from cache, fetching upstream when needed
+   * - Fresh entry: returned as is
+   * - Expired within CACHE_STALE_WHILE_REVALIDATE_SECONDS: returned marked
+   *   stale while a background fetch refreshes the cache
+   * - Older entry within the grace window: returned marked stale only if
+   *   the upstream fetch fails for source reasons
+   * @private
+   * @param {string} cacheKey - Cache key (also the coalescing key)
+   * @param {Function} fetch - (signal) => Promise that fetches and caches the data
+   * @param {AbortSignal} signal - Caller's cancellation signal (optional)
+   * @returns {Promise<any>} Cached or fetched data
+   */
+  async _cachedFetch(cacheKey, fetch, signal = null) {
+    const entry = cache.getEntry(cacheKey);
+    if (entry && !entry.stale) {
+      logger.debug('Returning cached data', { key: cacheKey });
+      return entry.value;
+    }
+
+    if (entry && entry.expiredFor <= config.cacheStaleWhileRevalidate * 1000) {
+      logger.debug('Serving stale data while revalidating', { key: cacheKey, age: entry.age });
+      this._coalesce(cacheKey, fetch).catch(error => {
+        logger.warn('Background revalidation failed', {
+          key: cacheKey,
+          error: error.message || error.code
+        });
+      });
+      return markStale(entry, 'revalidating');
+    }
+
+    try {
+      return await this._coalesce(cacheKey, fetch, signal);
+    } catch (error) {
+      if (entry && (isSourceFailure(error) || isLocalError(error))) {
+        logger.warn('Data sources failed, serving stale data', {
+          key: cacheKey,
+          age: entry.age,
+          error: error.message || error.code
+        });
+        return markStale(entry, 'sources_unavailable');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Share one upstream call between concurrent callers with the same cache key
+   * The first caller starts `fn`; later callers join its promise until it
+   * settles. Callers may leave early via their own signal; the upstream call
+   * is aborted only when no callers remain.
+   * @private
+   * @param {string} key - Cache key identifying the request
+   * @param {Function} fn - (signal) => Promise for the upstream call
+   * @param {AbortSignal} signal - Caller's cancellation signal (optional)
+   * @returns {Promise<any>} Result of the shared call
+   */
+  _coalesce(key, fn, signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(cancelledError());
+    }
+
+    let entry = this.inFlight.get(key);
+    if (entry) {
+      this.coalescedRequests++;
+      logger.debug('Joining in-flight request', { key, waiters: entry.waiters + 1 });
+    } else {
+      entry = { controller: new AbortController(), waiters: 0 };
+      const current = entry;
+      entry.promise = fn(entry.controller.signal).finally(() => {
+        if (this.inFlight.get(key) === current) {
+          this.inFlight.delete(key);
+        }
+      });
+      this.inFlight.set(key, entry);
+    }
+
+    entry.waiters++;
+
+    // Callers without a signal stay until the shared call settles
+    if (!signal) {
+      return entry.promise;
+    }
+
+    const joined = entry;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        joined.waiters--;
+        if (joined.waiters === 0) {
+          // Nobody is waiting any more; new callers must start afresh
+          if (this.inFlight.get(key) === joined) {
+            this.inFlight.delete(key);
+          }
+          joined.controller.abort();
+        }
+        reject(cancelledError());
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      joined.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Get request coalescing statistics
+   * @returns {Object} Upstream calls in progress and callers that joined one
+   */
+  getCoalescingStats() {
+    return {
+      inFlight: this.inFlight.size,
+      coalescedRequests: this.coalescedRequests
+    };
+  }
+
+  /**
+   * Get circuit breaker state, health metrics and capabilities per source
+   * @returns {Array<Object>} Source health in current failover order
+   */
+  getSourceHealth() {
+    return this.getOrderedClients().map(({ name, client }) => ({
+      ...this.breakers.get(name).getStats(),
+      capabilities: client.capabilities
+    }));
+  }
+
   /**
    * Get NWS alerts for a location
    * @param {number} latitude - Latitude
@@ -235,6 +594,26 @@ export class ClientManager {
     }
   }
 
+  /**
+   * Get an NWS fire weather zone with its boundary
+   * Unlike alerts, lookups fail loudly: a zone that can't be found can't be searched.
+   * @param {string} zoneId - Fire weather zone ID (e.g., "AZZ132")
+   * @returns {Promise<Object>} `{ id, name, state, cwa, geometry }`
+   */
+  async getNWSFireZone(zoneId) {
+    const cacheKey = `nws:firezone:${zoneId.toUpperCase()}`;
+
+    // Check cache first (zone boundaries rarely change; 24 hour TTL)
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const zone = await this.nwsClient.getFireZone(zoneId);
+    cache.set(cacheKey, zone, 86400000);
+    return zone;
+  }
+
   /**
    * Get NWS forecast for a location
    * @param {number} latitude - Latitude
@@ -274,6 +653,14 @@ export class ClientManager {
     return cache.getStats();
   }
 
+  /**
+   * Get outbound rate limiter statistics per upstream source
+   * @returns {Object} Rate limiter statistics keyed by source
+   */
+  getRateLimitStats() {
+    return getRateLimiterStats();
+  }
+
   /**
    * Clear all caches
    */
@@ -282,6 +669,9 @@ export class ClientManager {
   }
 }
 
+// Register providers from PROVIDER_MODULES before building the failover chain
+await loadProviderModules(config.providerModules);
+
 // Create singleton instance
 const clientManager = new ClientManager();
 
@@ -0,0 +1,142 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash, randomUUID } from 'node:crypto';
+import logger from '../logger.js';
+
+/**
+ * HTTP fixtures for record/replay mode (RAWS_MCP_MODE)
+ * Each upstream request/response pair is stored as one JSON file under
+ * `<directory>/<source>/`, named after the request path plus a hash of the
+ * method, path, query parameters and body. Credentials are never written:
+ * they are left out of both the hash and the stored request.
+ */
+
+// Query parameters holding credentials
+const SECRET_PARAMS = new Set(['token', 'api_key', 'apikey', 'key']);
+
+/**
+ * Copy request parameters without credentials, keys sorted
+ * @param {Object} params - Axios `params`
+ * @returns {Object} Parameters safe to store
+ */
+export function redactParams(params = {}) {
+  const redacted = {};
+  for (const key of Object.keys(params || {}).sort()) {
+    if (!SECRET_PARAMS.has(key.toLowerCase()) && params[key] !== undefined) {
+      redacted[key] = params[key];
+    }
+  }
+  return redacted;
+}
+
+/**
+ * Fixture files for one directory
+ */
+export class FixtureStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding fixture files
+   */
+  constructor({ directory }) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Describe a request as stored in its fixture
+   * @param {Object} requestConfig - Axios request configuration
+   * @returns {Object} `{ method, url, params, data }`
+   */
+  describeRequest(requestConfig) {
+    return {
+      method: (requestConfig.method || 'GET').toUpperCase(),
+      url: requestConfig.url,
+      params: redactParams(requestConfig.params),
+      data: requestConfig.data ?? null
+    };
+  }
+
+  /**
+   * Get the fixture file path for a request
+   * @param {string} source - Upstream source name
+   * @param {Object} requestConfig - Axios request configuration
+   * @returns {string} Absolute file path
+   */
+  pathFor(source, requestConfig) {
+    const request = this.describeRequest(requestConfig);
+    const hash = createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 12);
+    const slug = request.url
+      .split('?')[0]
+      .replace(/^\/+/, '')
+      .replace(/[^a-z0-9]+/gi, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, 60) || 'root';
+
+    return path.join(this.directory, source || 'default', `${request.method.toLowerCase()}-${slug}-${hash}.json`);
+  }
+
+  /**
+   * Load the recorded response for a request
+   * @param {string} source - Upstream source name
+   * @param {Object} requestConfig - Axios request configuration
+   * @returns {Promise<Object|null>} `{ request, response }` or `{ request, error }`, null if not recorded
+   */
+  async load(source, requestConfig) {
+    const filePath = this.pathFor(source, requestConfig);
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record a response (or an upstream error) for a request
+   * Written atomically so a replay never sees a partial file.
+   * @param {string} source - Upstream source name
+   * @param {Object} requestConfig - Axios request configuration
+   * @param {Object} outcome - `{ response: { status, data } }` or `{ error }`
+   * @returns {Promise<string>} Path of the fixture written
+   */
+  async save(source, requestConfig, outcome) {
+    const filePath = this.pathFor(source, requestConfig);
+    const tempPath = `${filePath}.${randomUUID()}.tmp`;
+    const fixture = {
+      source: source || null,
+      recordedAt: new Date().toISOString(),
+      request: this.describeRequest(requestConfig),
+      ...outcome
+    };
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, `${JSON.stringify(fixture, null, 2)}\n`);
+    await fs.promises.rename(tempPath, filePath);
+
+    logger.debug('Recorded HTTP fixture', { source, url: requestConfig.url, file: filePath });
+    return filePath;
+  }
+}
+
+// One store per directory, shared by every client
+const stores = new Map();
+
+/**
+ * Get (or create) the shared fixture store for a directory
+ * @param {string} directory - Fixtures directory
+ * @returns {FixtureStore} Shared store
+ */
+export function getFixtureStore(directory) {
+  const resolved = path.resolve(directory);
+  if (!stores.has(resolved)) {
+    stores.set(resolved, new FixtureStore({ directory: resolved }));
+  }
+  return stores.get(resolved);
+}
+
+export default {
+  FixtureStore,
+  getFixtureStore,
+  redactParams
+};
@@ -0,0 +1,177 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import tls from 'node:tls';
+import logger from '../logger.js';
+
+/**
+ * Outbound connection settings for upstream clients: proxies and custom CAs
+ * HTTPS upstreams are reached through a proxy with a CONNECT tunnel (so TLS
+ * stays end to end); plain HTTP upstreams use axios' forward proxy support.
+ */
+
+/**
+ * Check whether NO_PROXY excludes a host
+ * Entries are host names, domain suffixes (".example.com" or "example.com"),
+ * optionally with ":port", or "*" for every host.
+ * @param {string} hostname - Target host
+ * @param {string} port - Target port
+ * @param {string} noProxy - NO_PROXY value
+ * @returns {boolean} True if requests to the host should not be proxied
+ */
+export function isProxyBypassed(hostname, port, noProxy) {
+  if (!noProxy) return false;
+
+  const host = hostname.toLowerCase();
+  return noProxy.split(/[,\s]+/).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+
+    const [entryHost, entryPort] = entry.toLowerCase().split(':');
+    if (entryPort && entryPort !== String(port)) return false;
+
+    const domain = entryHost.replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Find the proxy for an upstream URL
+ * An explicit proxy wins ("none" disables proxying); otherwise the standard
+ * HTTPS_PROXY / HTTP_PROXY / ALL_PROXY and NO_PROXY variables apply.
+ * @param {string} targetUrl - Upstream base URL
+ * @param {string|null} explicit - Proxy configured for the source
+ * @param {Object} env - Environment variables (default process.env)
+ * @returns {URL|null} Proxy URL, or null for a direct connection
+ */
+export function resolveProxy(targetUrl, explicit = null, env = process.env) {
+  if (explicit === 'none') return null;
+
+  const target = new URL(targetUrl);
+  let proxy = explicit;
+
+  if (!proxy) {
+    const noProxy = env.NO_PROXY || env.no_proxy;
+    const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+    if (isProxyBypassed(target.hostname, port, noProxy)) return null;
+
+    proxy = target.protocol === 'https:'
+      ? env.HTTPS_PROXY || env.https_proxy || env.ALL_PROXY || env.all_proxy
+      : env.HTTP_PROXY || env.http_proxy || env.ALL_PROXY || env.all_proxy;
+  }
+
+  if (!proxy) return null;
+
+  // Proxies are often given without a scheme ("proxy.agency.gov:8080")
+  return new URL(/^[a-z]+:\/\//i.test(proxy) ? proxy : `http://${proxy}`);
+}
+
+/**
+ * HTTPS agent that tunnels each connection through an HTTP(S) proxy
+ * with CONNECT, then starts TLS to the upstream over the tunnel.
+ */
+export class TunnelingAgent extends https.Agent {
+  /**
+   * @param {URL} proxy - Proxy URL (may include credentials)
+   * @param {Object} options - https.Agent options (e.g., `ca`)
+   */
+  constructor(proxy, options = {}) {
+    super({ keepAlive: true, ...options });
+    this.proxy = proxy;
+  }
+
+  /**
+   * Open the tunnel and hand the TLS socket to the request
+   * @param {Object} options - Connection options from the request
+   * @param {Function} callback - (error, socket) callback
+   */
+  createConnection(options, callback) {
+    const { proxy } = this;
+    const target = `${options.host}:${options.port}`;
+    const headers = { Host: target };
+
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    let settled = false;
+    const done = (error, socket) => {
+      if (settled) return;
+      settled = true;
+      callback(error, socket);
+    };
+
+    const connectRequest = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: target,
+      headers,
+      agent: false
+    });
+
+    connectRequest.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        done(new Error(`Proxy CONNECT to ${target} failed with status ${response.statusCode}`));
+        return;
+      }
+
+      // `path` is the request path here; tls.connect would read it as a socket path
+      const tlsOptions = { ...options, socket, servername: options.servername || options.host };
+      delete tlsOptions.path;
+      done(null, tls.connect(tlsOptions));
+    });
+    connectRequest.once('error', error => done(error));
+    connectRequest.end();
+  }
+}
+
+/**
+ * Build the axios connection options for an upstream
+ * @param {string} baseUrl - Upstream base URL
+ * @param {Object} settings - Source settings
+ * @param {string|null} settings.proxy - Explicit proxy URL, or "none"
+ * @param {string|null} settings.caFile - PEM file with extra trusted CAs
+ * @returns {Object} `{ proxy, httpAgent?, httpsAgent? }` for axios.create
+ */
+export function createConnectionOptions(baseUrl, { proxy = null, caFile = null } = {}) {
+  const proxyUrl = resolveProxy(baseUrl, proxy);
+  const isHttps = new URL(baseUrl).protocol === 'https:';
+  // Extra CAs are added to Node's bundled roots, not used instead of them
+  const ca = caFile ? [...tls.rootCertificates, fs.readFileSync(caFile, 'utf-8')] : undefined;
+
+  // axios would otherwise apply HTTP(S)_PROXY again on its own
+  const options = { proxy: false };
+
+  if (proxyUrl && isHttps) {
+    options.httpsAgent = new TunnelingAgent(proxyUrl, { ca });
+  } else if (proxyUrl) {
+    options.proxy = {
+      protocol: proxyUrl.protocol.replace(':', ''),
+      host: proxyUrl.hostname,
+      port: parseInt(proxyUrl.port || (proxyUrl.protocol === 'https:' ? '443' : '80'), 10),
+      ...(proxyUrl.username && {
+        auth: {
+          username: decodeURIComponent(proxyUrl.username),
+          password: decodeURIComponent(proxyUrl.password)
+        }
+      })
+    };
+  } else if (ca) {
+    options.httpsAgent = new https.Agent({ keepAlive: true, ca });
+  }
+
+  if (proxyUrl) {
+    logger.info('Using proxy for upstream', { baseUrl, proxy: `${proxyUrl.protocol}//${proxyUrl.host}` });
+  }
+
+  return options;
+}
+
+export default {
+  isProxyBypassed,
+  resolveProxy,
+  TunnelingAgent,
+  createConnectionOptions
+};
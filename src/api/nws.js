@@ -1,15 +1,27 @@
 import { BaseClient } from './base-client.js';
+import { adaptNWSStation } from '../schemas/adapters.js';
+import { calculateDistance } from '../utils/geo.js';
+import config from '../config.js';
 import logger from '../logger.js';
 
+// Maximum observations returned by one /stations/{id}/observations request
+const MAX_OBSERVATIONS = 500;
+
 /**
  * National Weather Service API Client
- * For weather alerts and forecasts
+ * For weather alerts and forecasts, and observations from NWS stations
+ * (ASOS/AWOS) as a last-resort observation source
  * API Documentation: https://www.weather.gov/documentation/services-web-api
  */
 export class NWSClient extends BaseClient {
   constructor() {
-    super('https://api.weather.gov');
+    super(config.sources.nws.baseUrl, {}, { source: 'nws' });
     // NWS API doesn't require authentication but requires User-Agent
+    this.capabilities = {
+      currentObservation: true,
+      stationSearch: true,
+      historicalObservations: true
+    };
   }
 
   /**
@@ -19,6 +31,131 @@ export class NWSClient extends BaseClient {
     return true; // Always available, no auth required
   }
 
+  /**
+   * Get the latest observation for an NWS station
+   * @param {string} stationId - NWS station ID (e.g., "KSFO")
+   * @returns {Promise<Object>} STATION object with a single observation
+   */
+  async getCurrentObservation(stationId) {
+    const id = this._normalizeStationId(stationId);
+
+    logger.info('Fetching current observation from NWS', { stationId: id });
+
+    const [station, observation] = await this._withStationNotFound(stationId, () => this._settleAll([
+      this._getStation(id),
+      this.request({
+        url: `/stations/${id}/observations/latest`,
+        method: 'GET'
+      })
+    ]));
+
+    return adaptNWSStation(station, [observation]);
+  }
+
+  /**
+   * Get observations for an NWS station over a time range
+   * NWS keeps roughly the last week of observations; older ranges return no data.
+   * @param {string} stationId - NWS station ID (e.g., "KSFO")
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @param {Array<string>} variables - Ignored; NWS returns its standard variable set
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @returns {Promise<Object>} STATION object with time series
+   */
+  async getHistoricalObservations(stationId, startTime, endTime, variables = null, options = {}) {
+    const id = this._normalizeStationId(stationId);
+
+    logger.info('Fetching historical data from NWS', {
+      stationId: id,
+      startTime,
+      endTime
+    });
+
+    const [station, data] = await this._withStationNotFound(stationId, () => this._settleAll([
+      this._getStation(id, options.signal),
+      this.request({
+        url: `/stations/${id}/observations`,
+        method: 'GET',
+        params: {
+          start: new Date(startTime).toISOString(),
+          end: new Date(endTime).toISOString(),
+          limit: MAX_OBSERVATIONS
+        },
+        signal: options.signal
+      })
+    ]));
+
+    // NWS lists newest first
+    const observations = [...(data.features || [])].reverse();
+    return adaptNWSStation(station, observations);
+  }
+
+  /**
+   * Find NWS observation stations near a location
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {number} radius - Search radius in miles
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array>} Array of station metadata
+   */
+  async searchStations(latitude, longitude, radius = 50, limit = 10) {
+    logger.info('Searching stations from NWS', {
+      latitude,
+      longitude,
+      radius,
+      limit
+    });
+
+    const data = await this.request({
+      url: `/points/${latitude.toFixed(4)},${longitude.toFixed(4)}/stations`,
+      method: 'GET'
+    });
+
+    return (data.features || [])
+      .map(feature => this._normalizeStationMetadata(feature))
+      .filter(station => calculateDistance(latitude, longitude, station.latitude, station.longitude) <= radius)
+      .slice(0, limit);
+  }
+
+  /**
+   * Look up an NWS fire weather zone
+   * @param {string} zoneId - Fire weather zone ID (e.g., "AZZ132")
+   * @returns {Promise<Object>} `{ id, name, state, cwa, geometry }`; geometry is GeoJSON
+   */
+  async getFireZone(zoneId) {
+    const id = zoneId.toUpperCase();
+
+    logger.info('Fetching fire weather zone from NWS', { zoneId: id });
+
+    let data;
+    try {
+      data = await this.request({
+        url: `/zones/fire/${id}`,
+        method: 'GET'
+      });
+    } catch (error) {
+      if (error.status === 404) {
+        throw {
+          code: 'ZONE_NOT_FOUND',
+          message: `Fire weather zone ${id} not found`,
+          status: 404,
+          details: { zoneId: id }
+        };
+      }
+      throw error;
+    }
+
+    const properties = data.properties || {};
+    return {
+      id: properties.id || id,
+      name: properties.name || null,
+      state: properties.state || null,
+      cwa: properties.cwa || [],
+      geometry: data.geometry || null
+    };
+  }
+
   /**
    * Get active weather alerts for a point
    * @param {number} latitude - Latitude
@@ -77,9 +214,10 @@ export class NWSClient extends BaseClient {
 
       const forecastUrl = pointData.properties.forecast;
 
-      // Then, get the actual forecast
+      // Then, get the actual forecast (relative to baseURL when it points there)
+      const baseURL = this.client.defaults.baseURL;
       const forecastData = await this.request({
-        url: forecastUrl.replace('https://api.weather.gov', ''),
+        url: forecastUrl.startsWith(baseURL) ? forecastUrl.slice(baseURL.length) : forecastUrl,
         method: 'GET'
       });
 
@@ -123,6 +261,79 @@ export class NWSClient extends BaseClient {
       alert.event === 'Fire Weather Watch'
     );
   }
+
+  /**
+   * Get station metadata (GeoJSON feature)
+   * @private
+   */
+  async _getStation(id, signal = null) {
+    return this.request({
+      url: `/stations/${id}`,
+      method: 'GET',
+      signal
+    });
+  }
+
+  /**
+   * Like Promise.all, but waits for every request to finish before
+   * rejecting, so no request is left running after the call fails
+   * @private
+   */
+  async _settleAll(promises) {
+    const results = await Promise.allSettled(promises);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+    return results.map(result => result.value);
+  }
+
+  /**
+   * Map NWS 404 responses to STATION_NOT_FOUND
+   * @private
+   */
+  async _withStationNotFound(stationId, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.status === 404) {
+        throw {
+          code: 'STATION_NOT_FOUND',
+          message: `Station ${stationId} not found`,
+          status: 404,
+          details: { stationId }
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize station ID (remove RAWS: prefix, NWS IDs are upper case)
+   * @private
+   */
+  _normalizeStationId(stationId) {
+    return stationId.replace(/^RAWS:/, '').toUpperCase();
+  }
+
+  /**
+   * Normalize station metadata to common format
+   * @private
+   */
+  _normalizeStationMetadata(feature) {
+    const station = adaptNWSStation(feature, []);
+    return {
+      id: station.STID,
+      name: station.NAME,
+      latitude: station.LATITUDE,
+      longitude: station.LONGITUDE,
+      elevation: station.ELEVATION,
+      state: station.STATE,
+      timezone: station.TIMEZONE,
+      status: station.STATUS,
+      network: station.MNET_SHORTNAME
+    };
+  }
 }
 
 export default NWSClient;
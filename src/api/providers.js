@@ -0,0 +1,208 @@
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import SynopticClient from './synoptic.js';
+import MesoWestClient from './mesowest.js';
+import WRCCClient from './wrcc.js';
+import NWSClient from './nws.js';
+import logger from '../logger.js';
+import config from '../config.js';
+
+/**
+ * Data source providers
+ *
+ * A provider is an object the ClientManager can fail over to. It must have:
+ * - `isAvailable()` - false if the provider can't be used (e.g., no token)
+ * - `getCurrentObservation(stationId)` - latest observation
+ * - `searchStations(latitude, longitude, radius, limit)` - station metadata
+ *   (`{ id, name, latitude, longitude, elevation, state, timezone, status, network }`)
+ * - `getHistoricalObservations(stationId, startTime, endTime, variables, options)`
+ *   - time series; honor `options.signal` to support cancellation
+ * - `capabilities` - which of the three operations it supports
+ *
+ * Optional operations, each enabled by declaring its capability:
+ * - `currentObservationBatch`: `getCurrentObservations(stationIds, options)`
+ *   resolves to the STATION objects found for many stations in one call
+ *   (missing stations are simply left out)
+ * - `stationFilter`: `searchStationsByFilter(filters, limit)` finds stations
+ *   by `{ state, county, gacc, network }` instead of distance, resolving to
+ *   the first `limit` matches ordered by station ID
+ *
+ * Observations are returned in the Synoptic STATION shape (STID, NAME,
+ * LATITUDE, ..., OBSERVATIONS.air_temp_value_1.value[]) so the shared
+ * adapters can read them. Unsupported operations should throw a
+ * `NOT_SUPPORTED` error; other errors follow the `{ code, message, status }`
+ * shape used by BaseClient so failover can tell outages from missing stations.
+ *
+ * Providers are registered as definitions, `{ name, create(context) }`.
+ * Extra providers are loaded from the modules listed in PROVIDER_MODULES,
+ * each default-exporting one definition (or an array of them).
+ */
+
+// Capabilities assumed for providers that don't declare them
+const DEFAULT_CAPABILITIES = {
+  currentObservation: true,
+  stationSearch: true,
+  historicalObservations: true,
+  currentObservationBatch: false,
+  stationFilter: false
+};
+
+// Methods required by each optional capability
+const OPTIONAL_METHODS = {
+  currentObservationBatch: 'getCurrentObservations',
+  stationFilter: 'searchStationsByFilter'
+};
+
+// Methods every provider must implement
+const PROVIDER_METHODS = [
+  'isAvailable',
+  'getCurrentObservation',
+  'searchStations',
+  'getHistoricalObservations'
+];
+
+// Built-in providers in default failover order
+const BUILTIN_PROVIDERS = [
+  { name: 'synoptic', create: () => new SynopticClient() },
+  { name: 'mesowest', create: () => new MesoWestClient() },
+  { name: 'wrcc', create: () => new WRCCClient() },
+  { name: 'nws', create: () => new NWSClient() }
+];
+
+// name -> provider definition
+const definitions = new Map();
+
+/**
+ * Register a provider definition
+ * @param {Object} definition - Provider definition
+ * @param {string} definition.name - Unique source name (used in `_meta.source`, logs and stats)
+ * @param {Function} definition.create - (context) => provider; context is `{ config, logger }`
+ */
+export function registerProvider(definition) {
+  const { name, create } = definition || {};
+
+  if (typeof name !== 'string' || !/^[a-z0-9_-]+$/i.test(name)) {
+    throw new Error(`Invalid provider name "${name}". Use letters, numbers, "-" or "_".`);
+  }
+  if (typeof create !== 'function') {
+    throw new Error(`Provider "${name}" must have a create() function`);
+  }
+  if (definitions.has(name)) {
+    throw new Error(`Provider "${name}" is already registered`);
+  }
+
+  definitions.set(name, { name, create });
+  logger.debug('Provider registered', { provider: name });
+}
+
+/**
+ * Get the names of all registered providers, in registration order
+ * @returns {Array<string>} Provider names
+ */
+export function getRegisteredProviders() {
+  return [...definitions.keys()];
+}
+
+/**
+ * Check that a provider implements the interface and fill in capabilities
+ * @param {string} name - Provider name (for error messages)
+ * @param {Object} provider - Provider instance
+ * @returns {Object} The provider, with `capabilities` completed
+ */
+export function validateProvider(name, provider) {
+  if (!provider || typeof provider !== 'object') {
+    throw new Error(`Provider "${name}" did not create a provider object`);
+  }
+
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider "${name}" is missing required methods: ${missing.join(', ')}`);
+  }
+
+  provider.capabilities = { ...DEFAULT_CAPABILITIES, ...provider.capabilities };
+
+  for (const [capability, method] of Object.entries(OPTIONAL_METHODS)) {
+    if (provider.capabilities[capability] && typeof provider[method] !== 'function') {
+      throw new Error(`Provider "${name}" declares ${capability} but has no ${method}()`);
+    }
+  }
+
+  return provider;
+}
+
+/**
+ * Create providers in failover order
+ * @param {Array<string>} names - Provider names in failover order
+ * @returns {Array<Object>} `{ name, client }` entries
+ */
+export function createProviders(names) {
+  return names.map(name => {
+    const definition = definitions.get(name);
+    if (!definition) {
+      throw new Error(
+        `Unknown data provider "${name}". Registered providers: ${getRegisteredProviders().join(', ')}`
+      );
+    }
+
+    return { name, client: validateProvider(name, definition.create({ config, logger })) };
+  });
+}
+
+/**
+ * Import provider modules and register the definitions they export
+ * Relative paths are resolved from the working directory; other
+ * specifiers are imported as packages.
+ * @param {Array<string>} specifiers - Module paths or package names
+ * @returns {Promise<Array<string>>} Names of the providers registered
+ */
+export async function loadProviderModules(specifiers) {
+  const registered = [];
+
+  for (const specifier of specifiers) {
+    const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+    const url = isPath ? pathToFileURL(path.resolve(specifier)).href : specifier;
+
+    let module;
+    try {
+      module = await import(url);
+    } catch (error) {
+      throw new Error(`Failed to load provider module "${specifier}": ${error.message}`);
+    }
+
+    const exported = module.default;
+    const moduleDefinitions = Array.isArray(exported) ? exported : [exported];
+    for (const definition of moduleDefinitions) {
+      registerProvider(definition);
+      registered.push(definition.name);
+    }
+
+    logger.info('Provider module loaded', {
+      module: specifier,
+      providers: moduleDefinitions.map(({ name }) => name)
+    });
+  }
+
+  return registered;
+}
+
+/**
+ * Get the provider order to use: DATA_PROVIDERS if set, otherwise the
+ * built-in order followed by providers loaded from modules
+ * @returns {Array<string>} Provider names in failover order
+ */
+export function getConfiguredProviders() {
+  return config.providers.length > 0 ? config.providers : getRegisteredProviders();
+}
+
+for (const definition of BUILTIN_PROVIDERS) {
+  registerProvider(definition);
+}
+
+export default {
+  registerProvider,
+  getRegisteredProviders,
+  validateProvider,
+  createProviders,
+  loadProviderModules,
+  getConfiguredProviders
+};
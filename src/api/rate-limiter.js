@@ -0,0 +1,234 @@
+import logger from '../logger.js';
+
+/**
+ * Token bucket rate limiter for outbound requests
+ * Tokens refill continuously at requestsPerMinute / 60 per second up to
+ * `burst`. Callers that find the bucket empty wait in a FIFO queue.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {string} options.name - Upstream source name (for logs and stats)
+   * @param {number} options.requestsPerMinute - Sustained budget; 0 or less disables limiting
+   * @param {number} options.burst - Maximum tokens held at once
+   * @param {number} options.maxQueue - Maximum waiting callers before rejecting
+   */
+  constructor({ name, requestsPerMinute, burst = requestsPerMinute, maxQueue = Infinity }) {
+    this.name = name;
+    this.requestsPerMinute = requestsPerMinute;
+    this.enabled = requestsPerMinute > 0;
+    this.capacity = Math.max(1, Math.min(burst, requestsPerMinute));
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.maxQueue = maxQueue;
+
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = [];
+    this.timer = null;
+
+    this.stats = {
+      granted: 0,
+      delayed: 0,
+      rejected: 0,
+      cancelled: 0,
+      totalWaitMs: 0,
+      maxWaitMs: 0
+    };
+  }
+
+  /**
+   * Wait for a request token
+   * @param {AbortSignal} signal - Removes the caller from the queue when aborted (optional)
+   * @returns {Promise<number>} Milliseconds spent waiting
+   */
+  acquire(signal = null) {
+    if (signal?.aborted) {
+      this.stats.cancelled++;
+      return Promise.reject(this._cancelledError());
+    }
+
+    if (!this.enabled) {
+      this.stats.granted++;
+      return Promise.resolve(0);
+    }
+
+    this._refill();
+
+    if (this.queue.length === 0 && this.tokens >= 1) {
+      this.tokens -= 1;
+      this.stats.granted++;
+      return Promise.resolve(0);
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.rejected++;
+      logger.warn('Rate limit queue full', {
+        source: this.name,
+        queued: this.queue.length
+      });
+      return Promise.reject({
+        code: 'RATE_LIMIT_QUEUE_FULL',
+        message: `Too many queued requests for ${this.name} (max ${this.maxQueue})`,
+        status: 429,
+        details: { source: this.name, queued: this.queue.length }
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        resolve,
+        reject,
+        enqueuedAt: Date.now(),
+        signal,
+        onAbort: null
+      };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            this.stats.cancelled++;
+            reject(this._cancelledError());
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.queue.push(entry);
+      this.stats.delayed++;
+
+      logger.debug('Request queued by rate limiter', {
+        source: this.name,
+        queued: this.queue.length
+      });
+
+      this._schedule();
+    });
+  }
+
+  /**
+   * Get limiter statistics
+   * @returns {Object} Budget, available tokens, queue depth and wait times
+   */
+  getStats() {
+    this._refill();
+
+    return {
+      source: this.name,
+      requestsPerMinute: this.requestsPerMinute,
+      enabled: this.enabled,
+      burst: this.capacity,
+      availableTokens: Math.floor(this.tokens),
+      queued: this.queue.length,
+      ...this.stats,
+      averageWaitMs: this.stats.delayed > 0
+        ? Math.round(this.stats.totalWaitMs / this.stats.delayed)
+        : 0
+    };
+  }
+
+  /**
+   * Add tokens for the time elapsed since the last refill
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.lastRefill = now;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+  }
+
+  /**
+   * Hand tokens to queued callers in order
+   * @private
+   */
+  _drain() {
+    this._refill();
+
+    while (this.queue.length > 0 && this.tokens >= 1) {
+      const entry = this.queue.shift();
+      this.tokens -= 1;
+
+      const waited = Date.now() - entry.enqueuedAt;
+      this.stats.granted++;
+      this.stats.totalWaitMs += waited;
+      this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waited);
+
+      if (entry.signal && entry.onAbort) {
+        entry.signal.removeEventListener('abort', entry.onAbort);
+      }
+      entry.resolve(waited);
+    }
+
+    if (this.queue.length > 0) {
+      this._schedule();
+    }
+  }
+
+  /**
+   * Schedule a drain for when the next token is available
+   * @private
+   */
+  _schedule() {
+    if (this.timer) return;
+
+    const wait = Math.max(1, Math.ceil((1 - this.tokens) / this.refillPerMs));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._drain();
+    }, wait);
+  }
+
+  /**
+   * Build the error used when a queued caller is cancelled
+   * @private
+   */
+  _cancelledError() {
+    return {
+      code: 'REQUEST_CANCELLED',
+      message: 'Request was cancelled',
+      status: 0,
+      details: { type: 'cancelled', source: this.name }
+    };
+  }
+}
+
+// One limiter per upstream source, shared by every client instance
+const limiters = new Map();
+
+/**
+ * Get (or create) the shared limiter for an upstream source
+ * @param {string} name - Source name (e.g., "synoptic")
+ * @param {Object} options - Options used when the limiter is first created
+ * @returns {RateLimiter} Shared limiter
+ */
+export function getRateLimiter(name, options) {
+  if (!limiters.has(name)) {
+    limiters.set(name, new RateLimiter({ name, ...options }));
+    logger.info('Rate limiter initialized', {
+      source: name,
+      requestsPerMinute: options.requestsPerMinute,
+      burst: options.burst
+    });
+  }
+  return limiters.get(name);
+}
+
+/**
+ * Get statistics for every upstream limiter
+ * @returns {Object} Stats keyed by source name
+ */
+export function getRateLimiterStats() {
+  const stats = {};
+  for (const [name, limiter] of limiters.entries()) {
+    stats[name] = limiter.getStats();
+  }
+  return stats;
+}
+
+export default {
+  RateLimiter,
+  getRateLimiter,
+  getRateLimiterStats
+};
@@ -0,0 +1,337 @@
+import { BaseClient } from './base-client.js';
+import config from '../config.js';
+import logger from '../logger.js';
+
+// Station IDs sent in one `stid` list
+const MAX_STATIONS_PER_REQUEST = 100;
+
+// Network IDs for the network names accepted in station filters
+const NETWORK_IDS = {
+  NWS: '1', // NWS/FAA
+  RAWS: '2'
+};
+
+/**
+ * Client for the Synoptic mesonet API (api.synopticdata.com/v2)
+ * Synoptic and MesoWest serve the same API, so both clients extend this
+ * and differ only in base URL, token and optional sensor metadata.
+ */
+export class SynopticApiClient extends BaseClient {
+  /**
+   * @param {string} source - Source name in config.sources ("synoptic", "mesowest")
+   * @param {Object} options - Client options
+   * @param {string} options.name - Display name used in logs and errors
+   * @param {string} options.token - API token
+   * @param {boolean} options.sensorVariables - Request and return station sensor variables (default: false)
+   */
+  constructor(source, { name, token, sensorVariables = false }) {
+    super(config.sources[source].baseUrl, {}, { source });
+    this.name = name;
+    this.sensorVariables = sensorVariables;
+    this.capabilities = {
+      currentObservation: true,
+      stationSearch: true,
+      historicalObservations: true,
+      currentObservationBatch: true,
+      stationFilter: true
+    };
+    this.token = token;
+
+    if (!this.token) {
+      logger.warn(`${this.name} API token not configured`);
+    }
+  }
+
+  /**
+   * Check if client is available (has valid token, or replaying fixtures)
+   */
+  isAvailable() {
+    // Replayed responses were recorded with a token; none is needed to serve them
+    return Boolean(this.token) || this.mode === 'replay';
+  }
+
+  /**
+   * Get current observations for a station
+   * @param {string} stationId - RAWS station ID (e.g., "C5725")
+   * @returns {Promise<Object>} Station observation data
+   */
+  async getCurrentObservation(stationId) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.name} API token not configured`);
+    }
+
+    const normalizedId = this._normalizeStationId(stationId);
+
+    logger.info(`Fetching current observation from ${this.name}`, {
+      stationId: normalizedId
+    });
+
+    const data = await this.request({
+      url: '/stations/latest',
+      method: 'GET',
+      params: {
+        token: this.token,
+        stid: normalizedId,
+        units: 'english',
+        obtimezone: 'UTC'
+      }
+    });
+
+    if (!data.STATION || data.STATION.length === 0) {
+      throw {
+        code: 'STATION_NOT_FOUND',
+        message: `Station ${stationId} not found`,
+        status: 404,
+        details: { stationId }
+      };
+    }
+
+    return data.STATION[0];
+  }
+
+  /**
+   * Get current observations for several stations in as few calls as possible
+   * IDs are sent as a comma-separated `stid` list, up to
+   * {@link MAX_STATIONS_PER_REQUEST} per call.
+   * @param {Array<string>} stationIds - RAWS station IDs
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @returns {Promise<Array<Object>>} Observations for the stations found; unknown IDs are omitted
+   */
+  async getCurrentObservations(stationIds, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.name} API token not configured`);
+    }
+
+    const normalizedIds = stationIds.map(id => this._normalizeStationId(id));
+    const stations = [];
+
+    for (let i = 0; i < normalizedIds.length; i += MAX_STATIONS_PER_REQUEST) {
+      const chunk = normalizedIds.slice(i, i + MAX_STATIONS_PER_REQUEST);
+
+      logger.info(`Fetching current observations from ${this.name}`, {
+        stationCount: chunk.length
+      });
+
+      const data = await this.request({
+        url: '/stations/latest',
+        method: 'GET',
+        params: {
+          token: this.token,
+          stid: chunk.join(','),
+          units: 'english',
+          obtimezone: 'UTC'
+        },
+        signal: options.signal
+      });
+
+      stations.push(...(data.STATION || []));
+    }
+
+    return stations;
+  }
+
+  /**
+   * Search for stations near a location
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {number} radius - Search radius in miles
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array>} Array of station metadata
+   */
+  async searchStations(latitude, longitude, radius = 50, limit = 10) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.name} API token not configured`);
+    }
+
+    logger.info(`Searching stations from ${this.name}`, {
+      latitude,
+      longitude,
+      radius,
+      limit
+    });
+
+    const data = await this.request({
+      url: '/stations/metadata',
+      method: 'GET',
+      params: {
+        token: this.token,
+        radius: `${latitude},${longitude},${radius}`,
+        limit,
+        network: '1,2', // RAWS networks
+        status: 'active',
+        ...this._sensorParams()
+      }
+    });
+
+    if (!data.STATION || data.STATION.length === 0) {
+      return [];
+    }
+
+    return data.STATION.map(station => this._normalizeStationMetadata(station));
+  }
+
+  /**
+   * Find stations by administrative area instead of distance
+   * @param {Object} filters - Station filters (at least one)
+   * @param {string} filters.state - Two-letter state code
+   * @param {string} filters.county - County name (within the state)
+   * @param {string} filters.gacc - Geographic Area Coordination Center (e.g., "RMCC")
+   * @param {string} filters.network - Network IDs or names ("RAWS", "NWS"), comma-separated
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array>} Array of station metadata
+   */
+  async searchStationsByFilter(filters, limit = 10) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.name} API token not configured`);
+    }
+
+    logger.info(`Searching stations by filter from ${this.name}`, { ...filters, limit });
+
+    const data = await this.request({
+      url: '/stations/metadata',
+      method: 'GET',
+      params: {
+        token: this.token,
+        ...this._filterParams(filters),
+        status: 'active',
+        ...this._sensorParams()
+      }
+    });
+
+    if (!data.STATION || data.STATION.length === 0) {
+      return [];
+    }
+
+    // `limit` only applies to radius searches upstream, and the full set comes
+    // back unordered, so sort before cutting it down
+    return data.STATION
+      .map(station => this._normalizeStationMetadata(station))
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get historical observations for a station
+   * @param {string} stationId - RAWS station ID
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @param {Array<string>} variables - Specific variables to retrieve (optional)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @returns {Promise<Object>} Historical data
+   */
+  async getHistoricalObservations(stationId, startTime, endTime, variables = null, options = {}) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.name} API token not configured`);
+    }
+
+    const normalizedId = this._normalizeStationId(stationId);
+
+    logger.info(`Fetching historical data from ${this.name}`, {
+      stationId: normalizedId,
+      startTime,
+      endTime,
+      variables
+    });
+
+    const params = {
+      token: this.token,
+      stid: normalizedId,
+      start: this._formatDate(startTime),
+      end: this._formatDate(endTime),
+      units: 'english',
+      obtimezone: 'UTC'
+    };
+
+    if (variables && variables.length > 0) {
+      params.vars = variables.join(',');
+    }
+
+    const data = await this.request({
+      url: '/stations/timeseries',
+      method: 'GET',
+      params,
+      signal: options.signal
+    });
+
+    if (!data.STATION || data.STATION.length === 0) {
+      throw {
+        code: 'STATION_NOT_FOUND',
+        message: `Station ${stationId} not found`,
+        status: 404,
+        details: { stationId }
+      };
+    }
+
+    return data.STATION[0];
+  }
+
+  /**
+   * Build metadata query parameters for station filters
+   * @private
+   */
+  _filterParams({ state, county, gacc, network }) {
+    const networks = network
+      ? network.split(',').map(id => NETWORK_IDS[id.trim().toUpperCase()] || id.trim()).join(',')
+      : '1,2'; // RAWS networks
+
+    return {
+      ...(state && { state }),
+      ...(county && { county }),
+      ...(gacc && { gacc }),
+      network: networks
+    };
+  }
+
+  /**
+   * Metadata query parameters asking for station sensor variables
+   * @private
+   */
+  _sensorParams() {
+    return this.sensorVariables ? { sensorvars: '1' } : {};
+  }
+
+  /**
+   * Normalize station ID (remove RAWS: prefix if present)
+   * @private
+   */
+  _normalizeStationId(stationId) {
+    return stationId.replace(/^RAWS:/, '');
+  }
+
+  /**
+   * Format date for the API (YYYYMMDDHHmm)
+   * @private
+   */
+  _formatDate(date) {
+    const d = new Date(date);
+    const year = d.getUTCFullYear();
+    const month = String(d.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(d.getUTCDate()).padStart(2, '0');
+    const hour = String(d.getUTCHours()).padStart(2, '0');
+    const minute = String(d.getUTCMinutes()).padStart(2, '0');
+    return `${year}${month}${day}${hour}${minute}`;
+  }
+
+  /**
+   * Normalize station metadata to common format
+   * @private
+   */
+  _normalizeStationMetadata(station) {
+    return {
+      id: station.STID,
+      name: station.NAME,
+      latitude: parseFloat(station.LATITUDE),
+      longitude: parseFloat(station.LONGITUDE),
+      elevation: parseFloat(station.ELEVATION),
+      state: station.STATE,
+      timezone: station.TIMEZONE,
+      status: station.STATUS,
+      network: station.MNET_SHORTNAME,
+      ...(this.sensorVariables && { sensors: station.SENSOR_VARIABLES || {} })
+    };
+  }
+}
+
+export default SynopticApiClient;
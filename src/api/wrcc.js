@@ -0,0 +1,311 @@
+import { BaseClient } from './base-client.js';
+import { adaptWRCCStation } from '../schemas/adapters.js';
+import config from '../config.js';
+import logger from '../logger.js';
+
+/**
+ * Standard time offsets (hours from UTC) by WRCC state prefix
+ * WRCC reports are in local standard time; states not listed fall back to
+ * an offset estimated from longitude.
+ */
+const STATE_UTC_OFFSETS = {
+  ak: -9, hi: -10,
+  ca: -8, nv: -8, or: -8, wa: -8,
+  az: -7, co: -7, id: -7, mt: -7, nm: -7, ut: -7, wy: -7,
+  ks: -6, nd: -6, ne: -6, ok: -6, sd: -6, tx: -6, mn: -6, wi: -6, ar: -6, la: -6, mo: -6,
+  pr: -4
+};
+
+// Two-letter state prefixes used in WRCC station IDs
+const STATE_PREFIXES = new Set([
+  'ak', 'al', 'ar', 'az', 'ca', 'co', 'ct', 'de', 'fl', 'ga', 'hi', 'ia', 'id', 'il', 'in',
+  'ks', 'ky', 'la', 'ma', 'md', 'me', 'mi', 'mn', 'mo', 'ms', 'mt', 'nc', 'nd', 'ne', 'nh',
+  'nj', 'nm', 'nv', 'ny', 'oh', 'ok', 'or', 'pa', 'pr', 'ri', 'sc', 'sd', 'tn', 'tx', 'ut',
+  'va', 'vt', 'wa', 'wi', 'wv', 'wy'
+]);
+
+// Hours of hourly data requested to find the latest observation
+const CURRENT_LOOKBACK_HOURS = 48;
+
+/**
+ * WRCC RAWS USA Climate Archive Client
+ * Token-free fallback RAWS data source (Western Regional Climate Center)
+ * Archive: https://raws.dri.edu/
+ *
+ * WRCC has no JSON API; data comes from the archive's CGI text reports and
+ * is reshaped into the Synoptic STATION format by adaptWRCCStation.
+ * Stations are identified by state prefix + WRCC code (e.g., "caCBEN").
+ */
+export class WRCCClient extends BaseClient {
+  constructor() {
+    super(config.sources.wrcc.baseUrl, {}, { source: 'wrcc' });
+    this.capabilities = {
+      currentObservation: true,
+      stationSearch: false,
+      historicalObservations: true
+    };
+    this.enabled = config.features.wrccFallback;
+
+    // WRCC station ID -> station info (name, coordinates); rarely changes
+    this.stationInfo = new Map();
+  }
+
+  /**
+   * Check if client is available (no token needed, can be disabled)
+   */
+  isAvailable() {
+    return this.enabled;
+  }
+
+  /**
+   * Get the latest observation for a station
+   * @param {string} stationId - WRCC station ID (e.g., "caCBEN")
+   * @returns {Promise<Object>} STATION object with a single observation
+   */
+  async getCurrentObservation(stationId) {
+    const wrccId = this._normalizeStationId(stationId);
+    const info = await this._getStationInfo(wrccId);
+
+    logger.info('Fetching current observation from WRCC', { stationId: wrccId });
+
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - CURRENT_LOOKBACK_HOURS * 3600000);
+    const report = await this._fetchReport('wea_list2.pl', wrccId, info, startTime, endTime);
+
+    if (report.rows.length === 0) {
+      throw {
+        code: 'STATION_NOT_FOUND',
+        message: `Station ${stationId} not found or has no recent data in the WRCC archive`,
+        status: 404,
+        details: { stationId }
+      };
+    }
+
+    return adaptWRCCStation({ ...report, rows: report.rows.slice(-1) });
+  }
+
+  /**
+   * Radius search is not offered by the WRCC archive
+   * @throws {Object} NOT_SUPPORTED error so failover moves on
+   */
+  async searchStations() {
+    throw {
+      code: 'NOT_SUPPORTED',
+      message: 'WRCC does not support station search',
+      status: 501,
+      details: { source: 'wrcc' }
+    };
+  }
+
+  /**
+   * Get hourly or daily archive data for a station
+   * @param {string} stationId - WRCC station ID (e.g., "caCBEN")
+   * @param {Date} startTime - Start time
+   * @param {Date} endTime - End time
+   * @param {Array<string>} variables - Ignored; WRCC returns its standard variable set
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request (optional)
+   * @param {string} options.interval - "hourly" (default) or "daily" summaries
+   * @returns {Promise<Object>} STATION object with time series
+   */
+  async getHistoricalObservations(stationId, startTime, endTime, variables = null, options = {}) {
+    const wrccId = this._normalizeStationId(stationId);
+    const info = await this._getStationInfo(wrccId, options.signal);
+    const script = options.interval === 'daily' ? 'wea_dysimts2.pl' : 'wea_list2.pl';
+
+    logger.info('Fetching historical data from WRCC', {
+      stationId: wrccId,
+      startTime,
+      endTime,
+      interval: options.interval || 'hourly'
+    });
+
+    const report = await this._fetchReport(script, wrccId, info, startTime, endTime, options.signal);
+    const station = adaptWRCCStation(report);
+
+    // Reports cover whole days; trim to the requested range
+    const observations = station.OBSERVATIONS;
+    const keep = observations.date_time.map(ts => {
+      const time = new Date(ts).getTime();
+      return time >= startTime.getTime() && time <= endTime.getTime();
+    });
+    for (const [key, series] of Object.entries(observations)) {
+      if (key === 'date_time') {
+        observations.date_time = series.filter((_, i) => keep[i]);
+      } else {
+        series.value = series.value.filter((_, i) => keep[i]);
+      }
+    }
+
+    return station;
+  }
+
+  /**
+   * Fetch and parse a WRCC data report
+   * @private
+   */
+  async _fetchReport(script, wrccId, info, startTime, endTime, signal = null) {
+    const start = this._toStationDate(startTime, info.utcOffsetHours);
+    const end = this._toStationDate(endTime, info.utcOffsetHours);
+
+    const form = new URLSearchParams({
+      stn: wrccId.slice(2),
+      smon: start.month,
+      sday: start.day,
+      syea: start.year,
+      emon: end.month,
+      eday: end.day,
+      eyea: end.year,
+      qBasic: 'ON',
+      unit: 'E', // English units
+      Ofor: 'A', // Delimited ASCII
+      Datareq: 'A',
+      qc: 'Y',
+      miss: '08', // -9999 for missing values
+      obs: 'N'
+    });
+
+    const text = await this.request({
+      url: `/${script}`,
+      method: 'POST',
+      data: form.toString(),
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      responseType: 'text',
+      signal
+    });
+
+    return {
+      ...info,
+      stationId: wrccId,
+      ...this._parseReport(text)
+    };
+  }
+
+  /**
+   * Get station name, coordinates and UTC offset from the station info page
+   * Missing fields are left null rather than failing the request.
+   * @private
+   */
+  async _getStationInfo(wrccId, signal = null) {
+    if (this.stationInfo.has(wrccId)) {
+      return this.stationInfo.get(wrccId);
+    }
+
+    // The info page takes the bare station ID as its query string
+    const html = await this.request({
+      url: `/wea_info.pl?${wrccId}`,
+      method: 'GET',
+      responseType: 'text',
+      signal
+    });
+
+    const text = String(html).replace(/<[^>]+>/g, ' ').replace(/&deg;/g, '°');
+    const title = /<title>\s*([^<,]+)/i.exec(html)?.[1]?.trim() || null;
+    const longitude = this._parseCoordinate(text, 'Longitude');
+    const state = wrccId.slice(0, 2);
+
+    const info = {
+      name: title,
+      state: state.toUpperCase(),
+      latitude: this._parseCoordinate(text, 'Latitude'),
+      // Every WRCC RAWS station is in the western hemisphere
+      longitude: longitude === null ? null : -Math.abs(longitude),
+      elevation: parseFloat(/Elevation\D*?([\d,]+)\s*(?:ft|feet)/i.exec(text)?.[1]?.replace(/,/g, '')) || null,
+      utcOffsetHours: STATE_UTC_OFFSETS[state] ??
+        (longitude === null ? -7 : Math.round(-Math.abs(longitude) / 15))
+    };
+
+    this.stationInfo.set(wrccId, info);
+    return info;
+  }
+
+  /**
+   * Parse a delimited WRCC report into column headers and data rows
+   * Header lines start with ":" and are joined column by column
+   * (e.g., "Air" / "Temp" / "Deg F" -> "Air Temp Deg F").
+   * @private
+   */
+  _parseReport(text) {
+    const body = /<pre>([\s\S]*?)<\/pre>/i.exec(text)?.[1] ?? String(text);
+    const lines = body.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const split = line => line.split(line.includes('\t') ? '\t' : ',').map(cell => cell.trim());
+
+    const headerParts = [];
+    const rows = [];
+
+    for (const line of lines) {
+      if (line.startsWith(':')) {
+        split(line.slice(1)).forEach((cell, i) => {
+          headerParts[i] = [...(headerParts[i] || []), cell].filter(Boolean);
+        });
+      } else {
+        const cells = split(line);
+        if (/^\d{10}(\d{2})?$/.test(cells[0])) {
+          rows.push(cells);
+        }
+      }
+    }
+
+    return {
+      columns: headerParts.map(parts => parts.join(' ')),
+      rows
+    };
+  }
+
+  /**
+   * Parse a labelled coordinate in decimal or degrees/minutes/seconds form
+   * @private
+   */
+  _parseCoordinate(text, label) {
+    const number = '(\\d+(?:\\.\\d+)?)';
+    const match = new RegExp(
+      `${label}\\W*(-?\\d+(?:\\.\\d+)?)(?:\\s*°\\s*${number}(?:\\D{1,3}${number})?)?`,
+      'i'
+    ).exec(text);
+    if (!match) return null;
+
+    const degrees = parseFloat(match[1]);
+    const minutes = parseFloat(match[2] || 0);
+    const seconds = parseFloat(match[3] || 0);
+    const sign = degrees < 0 ? -1 : 1;
+    return sign * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+  }
+
+  /**
+   * Convert a UTC time to the station's standard-time calendar date
+   * @private
+   */
+  _toStationDate(date, utcOffsetHours) {
+    const local = new Date(new Date(date).getTime() + utcOffsetHours * 3600000);
+    return {
+      year: String(local.getUTCFullYear()).slice(-2),
+      month: String(local.getUTCMonth() + 1).padStart(2, '0'),
+      day: String(local.getUTCDate()).padStart(2, '0')
+    };
+  }
+
+  /**
+   * Normalize and validate a WRCC station ID ("caCBEN")
+   * Other ID formats (e.g., Synoptic IDs) can't be looked up in WRCC, so
+   * they are reported as unsupported and failover moves on.
+   * @private
+   */
+  _normalizeStationId(stationId) {
+    const id = stationId.replace(/^RAWS:/, '');
+    // Tools upper-case IDs, so "CACBEN" is accepted as well as "caCBEN"
+    const match = /^([a-z]{2})([a-z0-9]{4})$/i.exec(id);
+
+    if (!match || !STATE_PREFIXES.has(match[1].toLowerCase())) {
+      throw {
+        code: 'NOT_SUPPORTED',
+        message: `Station ${stationId} is not a WRCC station ID (expected state prefix + code, e.g. "caCBEN")`,
+        status: 501,
+        details: { source: 'wrcc', stationId }
+      };
+    }
+
+    return `${match[1].toLowerCase()}${match[2].toUpperCase()}`;
+  }
+}
+
+export default WRCCClient;
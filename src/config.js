@@ -2,25 +2,164 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Parse a comma-separated environment variable into a trimmed list
+ * @param {string} value - Raw environment value
+ * @returns {Array<string>} List of non-empty entries
+ */
+function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an optional integer environment variable
+ * @param {string} value - Raw environment value
+ * @returns {number|undefined} Parsed integer, or undefined if unset
+ */
+function parseOptionalInt(value) {
+  if (value === undefined || value === '') return undefined;
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse an optional number environment variable
+ * @param {string} value - Raw environment value
+ * @returns {number|undefined} Parsed number, or undefined if unset
+ */
+function parseOptionalFloat(value) {
+  if (value === undefined || value === '') return undefined;
+  return parseFloat(value);
+}
+
+// Connection and retry defaults for every upstream source (UPSTREAM_*)
+const upstream = {
+  timeout: parseFloat(process.env.UPSTREAM_TIMEOUT_SECONDS || '10'),
+  maxRetries: parseInt(process.env.UPSTREAM_MAX_RETRIES || '2', 10),
+  backoffCap: parseFloat(process.env.UPSTREAM_BACKOFF_CAP_SECONDS || '30'),
+  jitter: parseFloat(process.env.UPSTREAM_RETRY_JITTER || '0'),
+  proxy: process.env.UPSTREAM_PROXY || null,
+  caFile: process.env.UPSTREAM_CA_FILE || null
+};
+
+/**
+ * Build the settings for one upstream source from `<PREFIX>_*` variables,
+ * falling back to the UPSTREAM_* defaults
+ * @param {string} prefix - Environment prefix (e.g., "NWS")
+ * @param {string} baseUrl - Default API base URL
+ * @returns {Object} Source settings (timeout and backoffCap in seconds)
+ */
+function sourceSettings(prefix, baseUrl) {
+  const env = name => process.env[`${prefix}_${name}`];
+  return {
+    baseUrl: env('BASE_URL') || baseUrl,
+    timeout: parseOptionalFloat(env('TIMEOUT_SECONDS')) ?? upstream.timeout,
+    maxRetries: parseOptionalInt(env('MAX_RETRIES')) ?? upstream.maxRetries,
+    backoffCap: parseOptionalFloat(env('BACKOFF_CAP_SECONDS')) ?? upstream.backoffCap,
+    jitter: parseOptionalFloat(env('RETRY_JITTER')) ?? upstream.jitter,
+    // "none" turns off HTTP(S)_PROXY for this source
+    proxy: env('PROXY') || upstream.proxy,
+    caFile: env('CA_FILE') || upstream.caFile
+  };
+}
+
 const config = {
   synopticToken: process.env.SYNOPTIC_API_TOKEN,
   mesowestToken: process.env.MESOWEST_API_TOKEN,
+  // Defaults for sources without their own settings (e.g., plugin providers)
+  upstream,
+  // Per-source API location, timeouts, retry policy, proxy and CA
+  sources: {
+    synoptic: sourceSettings('SYNOPTIC', 'https://api.synopticdata.com/v2'),
+    mesowest: sourceSettings('MESOWEST', 'https://api.mesowest.net/v2'),
+    nws: sourceSettings('NWS', 'https://api.weather.gov'),
+    wrcc: sourceSettings('WRCC', 'https://wrcc.dri.edu/cgi-bin')
+  },
+  // Data providers in failover order (empty = built-ins, then module providers)
+  providers: parseList(process.env.DATA_PROVIDERS),
+  providerModules: parseList(process.env.PROVIDER_MODULES),
   logLevel: process.env.LOG_LEVEL || 'info',
+  // Upstream HTTP mode: live, record (live + save fixtures) or replay (fixtures only)
+  mode: (process.env.RAWS_MCP_MODE || 'live').toLowerCase(),
+  fixturesDir: process.env.RAWS_MCP_FIXTURES_DIR || 'fixtures',
   cacheTTL: parseInt(process.env.CACHE_TTL_SECONDS || '300', 10),
   cacheMaxSize: parseInt(process.env.CACHE_MAX_SIZE || '1000', 10),
   cacheCleanupInterval: parseInt(process.env.CACHE_CLEANUP_INTERVAL || '600', 10),
+  cacheStaleWhileRevalidate: parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE_SECONDS || '60', 10),
+  cacheStaleIfError: parseInt(process.env.CACHE_STALE_IF_ERROR_SECONDS || '3600', 10),
+  cacheBackend: (process.env.CACHE_BACKEND || 'memory').toLowerCase(),
+  cacheDir: process.env.CACHE_DIR || '.raws-cache',
+  historicalChunkDays: parseInt(process.env.HISTORICAL_CHUNK_DAYS || '7', 10),
+  // Mean annual precipitation (inches) for KBDI when a request doesn't give one
+  kbdiAnnualPrecip: parseFloat(process.env.KBDI_ANNUAL_PRECIP_INCHES || '30'),
+  subscriptionPollInterval: parseInt(process.env.RESOURCE_POLL_INTERVAL_SECONDS || '300', 10),
   maxRequestsPerMinute: parseInt(process.env.MAX_REQUESTS_PER_MINUTE || '100', 10),
+  rateLimits: {
+    synoptic: parseOptionalInt(process.env.SYNOPTIC_MAX_REQUESTS_PER_MINUTE),
+    mesowest: parseOptionalInt(process.env.MESOWEST_MAX_REQUESTS_PER_MINUTE),
+    nws: parseOptionalInt(process.env.NWS_MAX_REQUESTS_PER_MINUTE),
+    wrcc: parseOptionalInt(process.env.WRCC_MAX_REQUESTS_PER_MINUTE)
+  },
+  rateLimitBurst: parseInt(process.env.RATE_LIMIT_BURST || '10', 10),
+  rateLimitMaxQueue: parseInt(process.env.RATE_LIMIT_MAX_QUEUE || '100', 10),
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '3', 10),
+    resetTimeout: parseInt(process.env.CIRCUIT_RESET_SECONDS || '60', 10),
+    windowSize: parseInt(process.env.HEALTH_WINDOW_SIZE || '20', 10)
+  },
+  transport: (process.env.MCP_TRANSPORT || 'stdio').toLowerCase(),
+  http: {
+    host: process.env.MCP_HTTP_HOST || '127.0.0.1',
+    port: parseInt(process.env.MCP_HTTP_PORT || '3000', 10),
+    allowedHosts: parseList(process.env.MCP_HTTP_ALLOWED_HOSTS),
+    allowedOrigins: parseList(process.env.MCP_HTTP_ALLOWED_ORIGINS)
+  },
   features: {
     nwsIntegration: process.env.ENABLE_NWS_INTEGRATION !== 'false',
-    fireIndices: process.env.ENABLE_FIRE_INDICES !== 'false'
+    fireIndices: process.env.ENABLE_FIRE_INDICES !== 'false',
+    wrccFallback: process.env.ENABLE_WRCC_FALLBACK !== 'false'
   }
 };
 
-// Validation: At least one API token must be provided
-if (!config.synopticToken && !config.mesowestToken) {
+// Validation: At least one API token must be provided unless the
+// token-free WRCC fallback is enabled or responses are replayed
+if (!config.synopticToken && !config.mesowestToken && !config.features.wrccFallback &&
+    config.mode !== 'replay') {
+  throw new Error(
+    'Configuration error: At least one API token (SYNOPTIC_API_TOKEN or MESOWEST_API_TOKEN) must be configured ' +
+    'when ENABLE_WRCC_FALLBACK=false. Please check your .env file or environment variables.'
+  );
+}
+
+// Validation: Transport must be one we know how to start
+if (!['stdio', 'http'].includes(config.transport)) {
+  throw new Error(
+    `Configuration error: Unknown MCP_TRANSPORT "${config.transport}". Expected "stdio" or "http".`
+  );
+}
+
+// Validation: Upstream settings must be usable
+for (const [name, source] of Object.entries({ upstream, ...config.sources })) {
+  if (!(source.timeout > 0) || !(source.maxRetries >= 0) || !(source.backoffCap >= 0) ||
+      !(source.jitter >= 0 && source.jitter <= 1)) {
+    throw new Error(
+      `Configuration error: Invalid settings for upstream "${name}". Timeouts must be positive, ` +
+      'retries and backoff caps zero or more, and jitter between 0 and 1.'
+    );
+  }
+}
+
+// Validation: Upstream mode must be one BaseClient supports
+if (!['live', 'record', 'replay'].includes(config.mode)) {
+  throw new Error(
+    `Configuration error: Unknown RAWS_MCP_MODE "${config.mode}". Expected "live", "record" or "replay".`
+  );
+}
+
+// Validation: Cache backend must be one we provide
+if (!['memory', 'file'].includes(config.cacheBackend)) {
   throw new Error(
-    'Configuration error: At least one API token (SYNOPTIC_API_TOKEN or MESOWEST_API_TOKEN) must be configured. ' +
-    'Please check your .env file or environment variables.'
+    `Configuration error: Unknown CACHE_BACKEND "${config.cacheBackend}". Expected "memory" or "file".`
   );
 }
 
@@ -0,0 +1,684 @@
+/**
+ * Mock upstream server for integration testing
+ * Stands in for the Synoptic (and MesoWest) and NWS APIs with a small set
+ * of deterministic stations, plus scriptable failure scenarios.
+ *
+ * Routes are grouped by source prefix:
+ * - /synoptic/... and /mesowest/... - Synoptic API v2 (`/stations/latest`,
+ *   `/stations/metadata`, `/stations/timeseries`)
+ * - /nws/... - NWS API (`/alerts/active`, `/points/{lat},{lon}`,
+ *   `/points/{lat},{lon}/stations`, `/gridpoints/.../forecast`,
+ *   `/stations/{id}`, `/stations/{id}/observations[/latest]`, `/zones/fire/{id}`)
+ * - /__mock/... - control endpoints (`scenarios`, `requests`, `reset`)
+ *
+ * Point the clients at it with SYNOPTIC_BASE_URL=http://127.0.0.1:4010/synoptic,
+ * MESOWEST_BASE_URL=.../mesowest and NWS_BASE_URL=.../nws.
+ * Run standalone with `npm run mock:upstream` (MOCK_UPSTREAM_PORT, default 4010).
+ *
+ * Deliberately independent of config.js and logger.js so it can start
+ * before the server's configuration is loaded.
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { calculateDistance } from '../utils/geo.js';
+
+// Supported failure scenario types
+const SCENARIO_TYPES = ['not_found', 'rate_limit', 'error', 'slow'];
+
+/**
+ * Stations served by default
+ * `network` decides which API lists the station: "RAWS" stations come from
+ * the Synoptic routes, "NWS" stations from the NWS routes. Synoptic filter
+ * searches that name a `network` list the matching stations of either kind.
+ */
+export const DEFAULT_STATIONS = [
+  {
+    id: 'C5725',
+    name: 'Monument Creek RAWS',
+    latitude: 39.5432,
+    longitude: -105.2147,
+    elevation: 7200,
+    state: 'CO',
+    county: 'Jefferson',
+    gacc: 'RMCC',
+    timezone: 'America/Denver',
+    network: 'RAWS',
+    current: { temperature: 88.2, humidity: 12.5, windSpeed: 28.3, windGust: 42.7, windDirection: 310, fuelMoisture: 4.2 }
+  },
+  {
+    id: 'CLKC1',
+    name: 'Clark Summit',
+    latitude: 37.4567,
+    longitude: -118.8901,
+    elevation: 5800,
+    state: 'CA',
+    county: 'Mono',
+    gacc: 'OSCC',
+    timezone: 'America/Los_Angeles',
+    network: 'RAWS',
+    current: { temperature: 92.1, humidity: 11.2, windSpeed: 28.7, windGust: 45.2, windDirection: 225, fuelMoisture: 3.8 }
+  },
+  {
+    id: 'KSNS',
+    name: 'Salinas Municipal Airport',
+    latitude: 36.6628,
+    longitude: -121.6061,
+    elevation: 85,
+    state: 'CA',
+    county: 'Monterey',
+    gacc: 'ONCC',
+    timezone: 'America/Los_Angeles',
+    network: 'NWS',
+    current: { temperature: 71.6, humidity: 48, windSpeed: 12.7, windGust: null, windDirection: 300, fuelMoisture: null }
+  }
+];
+
+/**
+ * NWS fire weather zones served by default (boundary as [longitude, latitude])
+ */
+export const DEFAULT_FIRE_ZONES = [
+  {
+    id: 'CAZ900',
+    name: 'Mock Eastern Sierra',
+    state: 'CA',
+    cwa: ['REV'],
+    coordinates: [[[-119.1, 37.3], [-118.7, 37.3], [-118.7, 37.6], [-119.1, 37.6], [-119.1, 37.3]]]
+  }
+];
+
+/**
+ * Start the mock upstream server
+ * @param {Object} options - Server options
+ * @param {string} options.host - Interface to bind (default 127.0.0.1)
+ * @param {number} options.port - Port (default 0, any free port)
+ * @param {Array<Object>} options.stations - Stations to serve (default DEFAULT_STATIONS)
+ * @param {Array<Object>} options.alerts - NWS alert properties returned for every point
+ * @param {Array<Object>} options.fireZones - Fire weather zones (default DEFAULT_FIRE_ZONES)
+ * @returns {Promise<Object>} Handle with `url`, `port`, `requests`, scenario methods and `close()`
+ */
+export async function startMockUpstream(options = {}) {
+  const { host = '127.0.0.1', port = 0 } = options;
+  const state = {
+    stations: options.stations || DEFAULT_STATIONS,
+    alerts: options.alerts || [],
+    fireZones: options.fireZones || DEFAULT_FIRE_ZONES,
+    scenarios: [],
+    requests: []
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || host}`);
+    const [, source = '', ...rest] = url.pathname.split('/');
+    const route = `/${rest.join('/')}`;
+    const origin = `http://${req.headers.host || `${host}:${httpServer.address().port}`}`;
+
+    try {
+      if (source === '__mock') {
+        await handleControl(req, res, route, state);
+        return;
+      }
+
+      const record = { source, method: req.method, path: route, query: Object.fromEntries(url.searchParams), status: 200 };
+      state.requests.push(record);
+
+      const scenario = matchScenario(state.scenarios, source, route, url.searchParams);
+      if (scenario) {
+        const handled = await applyScenario(scenario, res, source);
+        if (handled) {
+          record.status = res.statusCode;
+          return;
+        }
+      }
+
+      let payload;
+      if (source === 'synoptic' || source === 'mesowest') {
+        payload = synopticRoute(route, url.searchParams, state);
+      } else if (source === 'nws') {
+        payload = nwsRoute(route, url.searchParams, state, `${origin}/nws`);
+      }
+
+      if (!payload) {
+        record.status = 404;
+        sendJson(res, 404, { message: `No mock route for ${url.pathname}` });
+        return;
+      }
+
+      record.status = payload.status || 200;
+      sendJson(res, record.status, payload.body);
+    } catch (error) {
+      sendJson(res, 500, { message: error.message });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const baseUrl = `http://${host}:${address.port}`;
+
+  return {
+    httpServer,
+    port: address.port,
+    url: baseUrl,
+    requests: state.requests,
+    baseUrls: {
+      synoptic: `${baseUrl}/synoptic`,
+      mesowest: `${baseUrl}/mesowest`,
+      nws: `${baseUrl}/nws`
+    },
+
+    /**
+     * Add a failure scenario (fields are listed on validateScenario)
+     * @param {Object} scenario - Scenario definition
+     */
+    addScenario(scenario) {
+      state.scenarios.push(validateScenario(scenario));
+    },
+
+    /**
+     * Replace the NWS alerts returned for every point
+     * @param {Array<Object>} alerts - Alert properties
+     */
+    setAlerts(alerts) {
+      state.alerts = alerts;
+    },
+
+    /**
+     * Replace the stations served
+     * @param {Array<Object>} stations - Stations in the DEFAULT_STATIONS shape
+     */
+    setStations(stations) {
+      state.stations = stations;
+    },
+
+    /**
+     * Remove all scenarios and clear the request log
+     */
+    reset() {
+      state.scenarios.length = 0;
+      state.requests.length = 0;
+    },
+
+    /**
+     * Stop accepting connections
+     */
+    async close() {
+      httpServer.closeAllConnections?.();
+      await new Promise(resolve => httpServer.close(() => resolve()));
+    }
+  };
+}
+
+/**
+ * Validate a scenario and fill in defaults
+ * Fields:
+ * - `type` - "not_found", "rate_limit" (429), "error" (5xx) or "slow"
+ * - `source` - "synoptic", "mesowest" or "nws" (omit for any)
+ * - `path` - Route within the source, e.g. "/stations/latest" (omit for any)
+ * - `stationId` - Only requests for this station (`stid` or path segment)
+ * - `times` - How many requests it applies to (default: unlimited)
+ * - `status` - HTTP status for "error" (default 500)
+ * - `retryAfter` - Retry-After seconds for "rate_limit" (default 1)
+ * - `delayMs` - Delay for "slow" (default 2000); the normal response follows
+ * @private
+ */
+function validateScenario(scenario) {
+  if (!scenario || !SCENARIO_TYPES.includes(scenario.type)) {
+    throw new Error(`Unknown scenario type "${scenario?.type}". Expected one of: ${SCENARIO_TYPES.join(', ')}`);
+  }
+
+  return {
+    source: null,
+    path: null,
+    stationId: null,
+    times: Infinity,
+    status: 500,
+    retryAfter: 1,
+    delayMs: 2000,
+    ...scenario,
+    times: scenario.times ?? Infinity,
+    used: 0
+  };
+}
+
+/**
+ * Find the first scenario that applies to a request and count its use
+ * @private
+ */
+function matchScenario(scenarios, source, route, searchParams) {
+  const scenario = scenarios.find(s =>
+    s.used < s.times &&
+    (!s.source || s.source === source) &&
+    (!s.path || s.path === route) &&
+    (!s.stationId || searchParams.get('stid') === s.stationId || route.split('/').includes(s.stationId))
+  );
+
+  if (scenario) {
+    scenario.used++;
+  }
+  return scenario;
+}
+
+/**
+ * Apply a scenario to a response
+ * @private
+ * @returns {Promise<boolean>} True if the scenario sent the response
+ */
+async function applyScenario(scenario, res, source) {
+  switch (scenario.type) {
+    case 'not_found':
+      if (source === 'nws') {
+        sendJson(res, 404, { status: 404, title: 'Not Found', detail: 'Station not found' });
+      } else {
+        // Synoptic reports unknown stations in a 200 response
+        sendJson(res, 200, {
+          STATION: [],
+          SUMMARY: { RESPONSE_CODE: 2, RESPONSE_MESSAGE: 'No stations found for this request.' }
+        });
+      }
+      return true;
+    case 'rate_limit':
+      res.setHeader('Retry-After', String(scenario.retryAfter));
+      sendJson(res, 429, { message: 'Too many requests' });
+      return true;
+    case 'error':
+      sendJson(res, scenario.status, { message: 'Mock upstream error' });
+      return true;
+    case 'slow':
+      await new Promise(resolve => setTimeout(resolve, scenario.delayMs));
+      return false;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Handle /__mock control requests (used when running standalone)
+ * @private
+ */
+async function handleControl(req, res, route, state) {
+  if (route === '/scenarios' && req.method === 'POST') {
+    const body = await readJsonBody(req);
+    const scenarios = (Array.isArray(body) ? body : [body]).map(validateScenario);
+    state.scenarios.push(...scenarios);
+    sendJson(res, 201, { scenarios: state.scenarios.length });
+  } else if (route === '/scenarios' && req.method === 'DELETE') {
+    state.scenarios.length = 0;
+    sendJson(res, 200, { scenarios: 0 });
+  } else if (route === '/requests' && req.method === 'GET') {
+    sendJson(res, 200, { requests: state.requests });
+  } else if (route === '/reset' && req.method === 'POST') {
+    state.scenarios.length = 0;
+    state.requests.length = 0;
+    sendJson(res, 200, { reset: true });
+  } else {
+    sendJson(res, 404, { message: 'Unknown control route' });
+  }
+}
+
+/**
+ * Serve the Synoptic API routes
+ * @private
+ * @returns {Object|null} `{ status, body }` or null for unknown routes
+ */
+function synopticRoute(route, params, state) {
+  const rawsStations = state.stations.filter(s => s.network === 'RAWS');
+  const byId = ids => rawsStations.filter(s => ids.split(',').includes(s.id));
+
+  switch (route) {
+    case '/stations/latest':
+      return synopticStations(byId(params.get('stid') || ''), [new Date()]);
+    case '/stations/timeseries': {
+      const start = parseSynopticDate(params.get('start'));
+      const end = parseSynopticDate(params.get('end'));
+      return synopticStations(byId(params.get('stid') || ''), hourlyTimes(start, end));
+    }
+    case '/stations/metadata': {
+      if (!params.has('radius')) {
+        // Filter search; county names match case-insensitively, like Synoptic
+        const matches = (value, filter) => !filter || String(value).toLowerCase() === filter.toLowerCase();
+        const networks = params.has('network') ? networkNames(params.get('network')) : ['RAWS'];
+        const filtered = state.stations.filter(s =>
+          networks.includes(s.network) &&
+          matches(s.state, params.get('state')) &&
+          matches(s.county, params.get('county')) &&
+          matches(s.gacc, params.get('gacc'))
+        );
+        return { body: { STATION: filtered.map(toSynopticMetadata), SUMMARY: { RESPONSE_CODE: 1 } } };
+      }
+      const [lat, lon, radius] = (params.get('radius') || '').split(',').map(Number);
+      const limit = parseInt(params.get('limit') || '10', 10);
+      const nearby = rawsStations
+        .filter(s => calculateDistance(lat, lon, s.latitude, s.longitude) <= radius)
+        .slice(0, limit);
+      return { body: { STATION: nearby.map(toSynopticMetadata), SUMMARY: { RESPONSE_CODE: 1 } } };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Map a Synoptic `network` parameter ("1,2" or names) to station networks
+ * @private
+ */
+function networkNames(network) {
+  const byId = { 1: 'NWS', 2: 'RAWS' };
+  return network.split(',').map(value => byId[value.trim()] || value.trim().toUpperCase());
+}
+
+/**
+ * Build a Synoptic STATION response with observations at the given times
+ * @private
+ */
+function synopticStations(stations, times) {
+  if (stations.length === 0) {
+    return {
+      body: {
+        STATION: [],
+        SUMMARY: { RESPONSE_CODE: 2, RESPONSE_MESSAGE: 'No stations found for this request.' }
+      }
+    };
+  }
+
+  const dateTimes = times.map(toIsoMinute);
+  return {
+    body: {
+      STATION: stations.map(station => {
+        const series = times.map(time => observe(station, time));
+        const values = key => ({ value: series.map(obs => obs[key]) });
+        return {
+          ...toSynopticMetadata(station),
+          OBSERVATIONS: {
+            date_time: dateTimes,
+            air_temp_value_1: values('temperature'),
+            relative_humidity_value_1: values('humidity'),
+            wind_speed_value_1: values('windSpeed'),
+            wind_gust_value_1: values('windGust'),
+            wind_direction_value_1: values('windDirection'),
+            precip_accum_value_1: values('precip'),
+            fuel_moisture_value_1: values('fuelMoisture'),
+            solar_radiation_value_1: values('solarRadiation')
+          }
+        };
+      }),
+      SUMMARY: { RESPONSE_CODE: 1 },
+      UNITS: { temp: 'Fahrenheit', wind: 'Miles per hour' }
+    }
+  };
+}
+
+/**
+ * Serve the NWS API routes
+ * @private
+ * @returns {Object|null} `{ status, body }` or null for unknown routes
+ */
+function nwsRoute(route, params, state, nwsBase) {
+  const nwsStations = state.stations.filter(s => s.network === 'NWS');
+  let match;
+
+  if (route === '/alerts/active') {
+    return {
+      body: {
+        type: 'FeatureCollection',
+        features: state.alerts.map(properties => ({ type: 'Feature', properties }))
+      }
+    };
+  }
+
+  if ((match = /^\/points\/(-?[\d.]+),(-?[\d.]+)$/.exec(route))) {
+    return {
+      body: {
+        properties: {
+          forecast: `${nwsBase}/gridpoints/MOCK/1,1/forecast`,
+          observationStations: `${nwsBase}/points/${match[1]},${match[2]}/stations`
+        }
+      }
+    };
+  }
+
+  if ((match = /^\/points\/(-?[\d.]+),(-?[\d.]+)\/stations$/.exec(route))) {
+    const [lat, lon] = [Number(match[1]), Number(match[2])];
+    const sorted = [...nwsStations].sort((a, b) =>
+      calculateDistance(lat, lon, a.latitude, a.longitude) - calculateDistance(lat, lon, b.latitude, b.longitude)
+    );
+    return { body: { type: 'FeatureCollection', features: sorted.map(toNWSStation) } };
+  }
+
+  if (/^\/gridpoints\/[^/]+\/[^/]+\/forecast$/.test(route)) {
+    return { body: { properties: { updated: toIsoMinute(new Date()), periods: forecastPeriods() } } };
+  }
+
+  if ((match = /^\/zones\/fire\/([^/]+)$/.exec(route))) {
+    const zone = state.fireZones.find(z => z.id === match[1]);
+    if (!zone) {
+      return { status: 404, body: { status: 404, title: 'Not Found', detail: `Zone ${match[1]} not found` } };
+    }
+    return {
+      body: {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: zone.coordinates },
+        properties: { id: zone.id, type: 'fire', name: zone.name, state: zone.state, cwa: zone.cwa }
+      }
+    };
+  }
+
+  if ((match = /^\/stations\/([^/]+)(\/observations(\/latest)?)?$/.exec(route))) {
+    const station = nwsStations.find(s => s.id === match[1]);
+    if (!station) {
+      return { status: 404, body: { status: 404, title: 'Not Found', detail: `Station ${match[1]} not found` } };
+    }
+    if (!match[2]) {
+      return { body: toNWSStation(station) };
+    }
+    if (match[3]) {
+      return { body: toNWSObservation(station, new Date()) };
+    }
+
+    const start = params.get('start') ? new Date(params.get('start')) : new Date(Date.now() - 86400000);
+    const end = params.get('end') ? new Date(params.get('end')) : new Date();
+    // NWS lists newest first
+    const features = hourlyTimes(start, end).reverse().map(time => toNWSObservation(station, time));
+    return { body: { type: 'FeatureCollection', features } };
+  }
+
+  return null;
+}
+
+/**
+ * Deterministic observation for a station at a time
+ * Temperature and humidity follow a simple diurnal cycle around the
+ * station's `current` values.
+ * @private
+ */
+function observe(station, time) {
+  const hour = time.getUTCHours();
+  const cycle = Math.sin(((hour - 15) / 24) * 2 * Math.PI);
+  const round = value => (value === null ? null : Math.round(value * 10) / 10);
+  const { current } = station;
+
+  return {
+    temperature: round(current.temperature - 8 + 8 * cycle),
+    humidity: round(Math.min(100, current.humidity + 10 - 10 * cycle)),
+    windSpeed: current.windSpeed,
+    windGust: current.windGust,
+    windDirection: current.windDirection,
+    precip: 0,
+    fuelMoisture: current.fuelMoisture,
+    // Sunlight from 14:00 to 02:00 UTC (daytime in the western US)
+    solarRadiation: Math.round(Math.max(0, 900 * Math.sin(((hour - 14) / 24) * 2 * Math.PI)))
+  };
+}
+
+/**
+ * Station metadata in Synoptic format
+ * @private
+ */
+function toSynopticMetadata(station) {
+  return {
+    STID: station.id,
+    NAME: station.name,
+    LATITUDE: String(station.latitude),
+    LONGITUDE: String(station.longitude),
+    ELEVATION: String(station.elevation),
+    STATE: station.state,
+    COUNTY: station.county,
+    GACC: station.gacc,
+    TIMEZONE: station.timezone,
+    STATUS: 'ACTIVE',
+    MNET_SHORTNAME: station.network
+  };
+}
+
+/**
+ * Station GeoJSON feature in NWS format
+ * @private
+ */
+function toNWSStation(station) {
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [station.longitude, station.latitude] },
+    properties: {
+      stationIdentifier: station.id,
+      name: station.name,
+      timeZone: station.timezone,
+      elevation: { unitCode: 'wmoUnit:m', value: Math.round(station.elevation * 0.3048 * 10) / 10 }
+    }
+  };
+}
+
+/**
+ * NWS observation feature (metric units, as the real API returns)
+ * @private
+ */
+function toNWSObservation(station, time) {
+  const obs = observe(station, time);
+  const quantity = (unitCode, value) => ({ unitCode, value });
+  const toC = f => Math.round(((f - 32) * 5 / 9) * 10) / 10;
+  const toKmh = mph => (mph === null ? null : Math.round(mph * 1.609344 * 10) / 10);
+
+  return {
+    type: 'Feature',
+    properties: {
+      stationId: station.id,
+      timestamp: time.toISOString(),
+      temperature: quantity('wmoUnit:degC', toC(obs.temperature)),
+      relativeHumidity: quantity('wmoUnit:percent', obs.humidity),
+      windSpeed: quantity('wmoUnit:km_h-1', toKmh(obs.windSpeed)),
+      windGust: quantity('wmoUnit:km_h-1', toKmh(obs.windGust)),
+      windDirection: quantity('wmoUnit:degree_(angle)', obs.windDirection),
+      barometricPressure: quantity('wmoUnit:Pa', 101325),
+      precipitationLastHour: quantity('wmoUnit:mm', 0)
+    }
+  };
+}
+
+/**
+ * Two forecast periods starting this hour
+ * @private
+ */
+function forecastPeriods() {
+  const start = new Date();
+  start.setUTCMinutes(0, 0, 0);
+  return [0, 1].map(i => ({
+    number: i + 1,
+    name: i === 0 ? 'Today' : 'Tonight',
+    startTime: new Date(start.getTime() + i * 12 * 3600000).toISOString(),
+    endTime: new Date(start.getTime() + (i + 1) * 12 * 3600000).toISOString(),
+    isDaytime: i === 0,
+    temperature: i === 0 ? 91 : 58,
+    temperatureUnit: 'F',
+    windSpeed: '15 to 25 mph',
+    windDirection: 'SW',
+    shortForecast: i === 0 ? 'Sunny and breezy' : 'Clear',
+    detailedForecast: 'Mock forecast.',
+    probabilityOfPrecipitation: { unitCode: 'wmoUnit:percent', value: 0 }
+  }));
+}
+
+/**
+ * Hourly times from start to end (inclusive), on the hour
+ * @private
+ */
+function hourlyTimes(start, end) {
+  const times = [];
+  const first = new Date(start);
+  first.setUTCMinutes(0, 0, 0);
+  if (first < start) first.setUTCHours(first.getUTCHours() + 1);
+
+  for (let t = first.getTime(); t <= end.getTime(); t += 3600000) {
+    times.push(new Date(t));
+  }
+  return times;
+}
+
+/**
+ * Parse a Synoptic YYYYMMDDhhmm date
+ * @private
+ */
+function parseSynopticDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+  if (!match) return new Date();
+  const [, year, month, day, hour, minute] = match.map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute));
+}
+
+/**
+ * Format a date as ISO 8601 without seconds (Synoptic style)
+ * @private
+ */
+function toIsoMinute(date) {
+  return date.toISOString().replace(/:\d{2}\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Read and parse a JSON request body
+ * @private
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf-8')) : null;
+}
+
+/**
+ * Send a JSON response
+ * @private
+ */
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+// Run standalone: node src/mock/upstream-server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = await startMockUpstream({
+    host: process.env.MOCK_UPSTREAM_HOST || '127.0.0.1',
+    port: parseInt(process.env.MOCK_UPSTREAM_PORT || '4010', 10)
+  });
+
+  console.error(`Mock upstream listening on ${mock.url}`);
+  console.error(`  SYNOPTIC_BASE_URL=${mock.baseUrls.synoptic}`);
+  console.error(`  MESOWEST_BASE_URL=${mock.baseUrls.mesowest}`);
+  console.error(`  NWS_BASE_URL=${mock.baseUrls.nws}`);
+
+  const shutdown = async () => {
+    await mock.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+export default {
+  DEFAULT_STATIONS,
+  startMockUpstream
+};
@@ -0,0 +1,78 @@
+/**
+ * fire_weather_briefing prompt
+ * Morning fire weather briefing for a single RAWS station
+ */
+
+import { handler as getCurrentHandler } from '../tools/get-current.js';
+import {
+  userMessages,
+  jsonSection,
+  fetchRecentSummary,
+  fetchFireIndices
+} from './helpers.js';
+
+/**
+ * Prompt definition for MCP
+ */
+export const promptDefinition = {
+  name: 'fire_weather_briefing',
+  description: 'Daily fire weather briefing for a RAWS station, pre-assembled from current conditions, the last 24 hours of observations and fire weather indices.',
+  arguments: [
+    {
+      name: 'station_id',
+      description: 'RAWS station ID (e.g., "C5725", "CLKC1")',
+      required: true
+    }
+  ]
+};
+
+/**
+ * Prompt handler
+ * @param {Object} args - Prompt arguments
+ * @param {string} args.station_id - RAWS station ID
+ * @returns {Promise<Object>} Prompt description and messages
+ */
+export async function handler(args) {
+  const { station_id } = args;
+
+  const current = await getCurrentHandler({ station_id });
+  if (!current.success) {
+    return current;
+  }
+
+  const [history, indices] = await Promise.all([
+    fetchRecentSummary(current.metadata.station_id, 24),
+    fetchFireIndices(current.data, current.metadata.elevation)
+  ]);
+
+  const text = [
+    `Prepare the daily fire weather briefing for ${current.data.location} (RAWS ${current.metadata.station_id}).`,
+    '',
+    'Use only the data below. If a value is missing or marked unavailable, say so rather than estimating it. Organize the briefing as:',
+    '1. Current conditions (temperature, humidity, wind and gusts, fuel moisture)',
+    '2. Last 24 hours (highs, lows, peak winds, notable trends)',
+    '3. Fire danger indices and their interpretation',
+    '4. Red Flag Warning / Fire Weather Watch status',
+    '5. Key concerns for operations today',
+    '',
+    jsonSection('Current Observation (get_raws_current)', {
+      ...current.data,
+      metadata: current.metadata
+    }),
+    '',
+    jsonSection('Last 24 Hours (get_raws_historical)', history),
+    '',
+    jsonSection('Fire Weather Indices (calculate_fire_indices)', indices)
+  ].join('\n');
+
+  return {
+    success: true,
+    description: `Fire weather briefing for ${current.metadata.station_id}`,
+    messages: userMessages(text)
+  };
+}
+
+export default {
+  promptDefinition,
+  handler
+};
@@ -0,0 +1,94 @@
+/**
+ * Shared helpers for assembling prompt templates from tool output
+ */
+
+import { handler as getHistoricalHandler } from '../tools/get-historical.js';
+import { handler as fireIndicesHandler } from '../tools/fire-indices.js';
+import { summarizeTimeSeries } from '../utils/weather.js';
+
+/**
+ * Wrap prompt text as a single user message
+ * @param {string} text - Prompt text
+ * @returns {Array} MCP prompt messages
+ */
+export function userMessages(text) {
+  return [
+    {
+      role: 'user',
+      content: {
+        type: 'text',
+        text
+      }
+    }
+  ];
+}
+
+/**
+ * Render a titled JSON block for inclusion in a prompt
+ * @param {string} title - Section heading
+ * @param {any} data - Data to serialize
+ * @returns {string} Markdown section
+ */
+export function jsonSection(title, data) {
+  return `## ${title}\n\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+}
+
+/**
+ * Fetch and summarize the last N hours of observations for a station
+ * Failures are returned as data so a briefing can still be built.
+ * @param {string} stationId - RAWS station ID
+ * @param {number} hours - Hours of history
+ * @returns {Promise<Object>} Summary or `{ unavailable, reason }`
+ */
+export async function fetchRecentSummary(stationId, hours = 24) {
+  const endTime = new Date();
+  const startTime = new Date(endTime.getTime() - hours * 3600 * 1000);
+
+  const result = await getHistoricalHandler({
+    station_id: stationId,
+    start_time: startTime.toISOString(),
+    end_time: endTime.toISOString()
+  });
+
+  if (!result.success) {
+    return { unavailable: true, reason: result.error.message };
+  }
+
+  return {
+    hours,
+    ...summarizeTimeSeries(result.data.time_series)
+  };
+}
+
+/**
+ * Run calculate_fire_indices against a wildfire-schema observation
+ * @param {Object} wildfireData - Output of get_raws_current
+ * @param {number} elevation - Station elevation in feet (optional)
+ * @returns {Promise<Object>} Indices or `{ unavailable, reason }`
+ */
+export async function fetchFireIndices(wildfireData, elevation = null) {
+  const { weather_risks: risks } = wildfireData;
+  const args = {
+    temperature: risks.temperature.value,
+    relative_humidity: risks.humidity.percent,
+    wind_speed: risks.wind.speed
+  };
+
+  if (Number.isFinite(elevation)) {
+    args.elevation = elevation;
+  }
+
+  const result = await fireIndicesHandler(args);
+  if (!result.success) {
+    return { unavailable: true, reason: result.error.message };
+  }
+
+  return result.data;
+}
+
+export default {
+  userMessages,
+  jsonSection,
+  fetchRecentSummary,
+  fetchFireIndices
+};
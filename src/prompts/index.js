@@ -0,0 +1,96 @@
+/**
+ * MCP Prompts Registration
+ * Exports all prompt definitions and handlers
+ */
+
+import * as fireWeatherBriefingPrompt from './fire-weather-briefing.js';
+import * as redFlagAssessmentPrompt from './red-flag-assessment.js';
+import * as prescribedBurnPrompt from './prescribed-burn.js';
+import logger from '../logger.js';
+
+/**
+ * All available prompts
+ */
+export const prompts = [
+  fireWeatherBriefingPrompt,
+  redFlagAssessmentPrompt,
+  prescribedBurnPrompt
+];
+
+/**
+ * Prompt registry mapping prompt names to prompt modules
+ */
+export const promptRegistry = new Map(
+  prompts.map(prompt => [prompt.promptDefinition.name, prompt])
+);
+
+/**
+ * Get prompt definitions for MCP server registration
+ */
+export function getPromptDefinitions() {
+  return prompts.map(prompt => prompt.promptDefinition);
+}
+
+/**
+ * Build a prompt with given arguments
+ * @param {string} name - Prompt name
+ * @param {Object} args - Prompt arguments
+ * @returns {Promise<Object>} Result with `success` and either `messages` or `error`
+ */
+export async function getPrompt(name, args) {
+  const prompt = promptRegistry.get(name);
+
+  if (!prompt) {
+    return {
+      success: false,
+      error: {
+        code: 'PROMPT_NOT_FOUND',
+        message: `Prompt '${name}' not found`,
+        status: 404,
+        details: { promptName: name }
+      }
+    };
+  }
+
+  const missing = prompt.promptDefinition.arguments
+    .filter(arg => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+    .map(arg => arg.name);
+
+  if (missing.length > 0) {
+    return {
+      success: false,
+      error: {
+        code: 'MISSING_ARGUMENTS',
+        message: `Missing required arguments: ${missing.join(', ')}`,
+        status: 400,
+        details: { promptName: name, missing }
+      }
+    };
+  }
+
+  try {
+    return await prompt.handler(args);
+  } catch (error) {
+    logger.error('Prompt generation failed', {
+      prompt: name,
+      error: error.message
+    });
+
+    return {
+      success: false,
+      error: {
+        code: 'PROMPT_EXECUTION_ERROR',
+        message: error.message || 'Prompt generation failed',
+        status: 500,
+        details: { promptName: name }
+      }
+    };
+  }
+}
+
+export default {
+  prompts,
+  promptRegistry,
+  getPromptDefinitions,
+  getPrompt
+};
@@ -0,0 +1,194 @@
+/**
+ * prescribed_burn_go_no_go prompt
+ * Compares current station conditions against a burn plan prescription
+ */
+
+import clientManager from '../api/client-manager.js';
+import { handler as getCurrentHandler } from '../tools/get-current.js';
+import { adaptRawsData } from '../schemas/adapters.js';
+import {
+  userMessages,
+  jsonSection,
+  fetchRecentSummary,
+  fetchFireIndices
+} from './helpers.js';
+
+/**
+ * Prescription parameters that can be checked against observations
+ * Maps prescription keys to normalized RAWS fields
+ */
+const PRESCRIPTION_FIELDS = {
+  temperature: { field: 'temperature', units: 'F' },
+  relative_humidity: { field: 'relativeHumidity', units: '%' },
+  wind_speed: { field: 'windSpeed', units: 'mph' },
+  wind_gust: { field: 'windGust', units: 'mph' },
+  fuel_moisture: { field: 'fuelMoisture', units: '%' }
+};
+
+/**
+ * Prompt definition for MCP
+ */
+export const promptDefinition = {
+  name: 'prescribed_burn_go_no_go',
+  description: 'Go/no-go check for a prescribed burn: compares current RAWS conditions, the last 24 hours, fire indices and active NWS fire weather alerts against the burn plan prescription.',
+  arguments: [
+    {
+      name: 'station_id',
+      description: 'RAWS station ID representative of the burn unit',
+      required: true
+    },
+    {
+      name: 'prescription',
+      description: 'Burn plan prescription. JSON ranges are checked automatically, e.g. {"temperature":[40,80],"relative_humidity":[25,55],"wind_speed":[3,15],"fuel_moisture":[8,14]}. Free text is passed through as-is.',
+      required: true
+    }
+  ]
+};
+
+/**
+ * Prompt handler
+ * @param {Object} args - Prompt arguments
+ * @param {string} args.station_id - RAWS station ID
+ * @param {string} args.prescription - Prescription ranges (JSON) or free text
+ * @returns {Promise<Object>} Prompt description and messages
+ */
+export async function handler(args) {
+  const { station_id, prescription = '' } = args;
+
+  const current = await getCurrentHandler({ station_id });
+  if (!current.success) {
+    return current;
+  }
+
+  const stationId = current.metadata.station_id;
+  const rawStation = await clientManager.getCurrentObservation(stationId);
+  const rawsData = adaptRawsData(rawStation, rawStation._meta?.source);
+
+  const ranges = parsePrescription(prescription);
+  const [history, indices, alerts] = await Promise.all([
+    fetchRecentSummary(stationId, 24),
+    fetchFireIndices(current.data, current.metadata.elevation),
+    rawsData.latitude && rawsData.longitude
+      ? clientManager.getNWSAlerts(rawsData.latitude, rawsData.longitude)
+      : []
+  ]);
+
+  const fireAlerts = alerts.filter(alert =>
+    alert.event === 'Red Flag Warning' || alert.event === 'Fire Weather Watch'
+  );
+
+  const sections = [
+    `Make a prescribed burn GO / NO-GO recommendation for the unit represented by ${current.data.location} (RAWS ${stationId}).`,
+    '',
+    'Use only the data below. State a clear GO or NO-GO, then list every prescription parameter with its observed value and whether it is in prescription. Call out parameters trending out of prescription over the last 24 hours, parameters that could not be evaluated, and any Red Flag Warning or Fire Weather Watch (an automatic NO-GO).',
+    ''
+  ];
+
+  if (ranges) {
+    sections.push(jsonSection('Prescription Check', evaluatePrescription(ranges, rawsData)));
+  } else {
+    sections.push('## Prescription (free text, not checked automatically)', '', prescription || '(none provided)');
+  }
+
+  sections.push(
+    '',
+    jsonSection('Current Observation (get_raws_current)', {
+      ...current.data,
+      metadata: current.metadata
+    }),
+    '',
+    jsonSection('Last 24 Hours (get_raws_historical)', history),
+    '',
+    jsonSection('Fire Weather Indices (calculate_fire_indices)', indices),
+    '',
+    jsonSection('Active NWS Fire Weather Alerts', fireAlerts)
+  );
+
+  return {
+    success: true,
+    description: `Prescribed burn go/no-go for ${stationId}`,
+    messages: userMessages(sections.join('\n'))
+  };
+}
+
+/**
+ * Parse a JSON prescription into `{ key: { min, max } }` ranges
+ * Each key accepts `[min, max]` or `{ min, max }`; either bound may be null.
+ * @param {string} prescription - Prescription text
+ * @returns {Object|null} Ranges, or null if the text is not a JSON prescription
+ */
+export function parsePrescription(prescription) {
+  let parsed;
+  try {
+    parsed = JSON.parse(prescription);
+  } catch {
+    return null;
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return null;
+  }
+
+  const ranges = {};
+  for (const [key, value] of Object.entries(parsed)) {
+    const range = Array.isArray(value)
+      ? { min: value[0], max: value[1] }
+      : { min: value?.min, max: value?.max };
+
+    ranges[key] = {
+      min: typeof range.min === 'number' ? range.min : null,
+      max: typeof range.max === 'number' ? range.max : null
+    };
+  }
+
+  return Object.keys(ranges).length > 0 ? ranges : null;
+}
+
+/**
+ * Check observed conditions against prescription ranges
+ * @param {Object} ranges - Output of parsePrescription
+ * @param {Object} rawsData - Normalized RAWS observation
+ * @returns {Object} Per-parameter results and overall `in_prescription`
+ */
+export function evaluatePrescription(ranges, rawsData) {
+  const parameters = {};
+
+  for (const [key, { min, max }] of Object.entries(ranges)) {
+    const mapping = PRESCRIPTION_FIELDS[key];
+
+    if (!mapping) {
+      parameters[key] = { min, max, observed: null, status: 'unknown_parameter' };
+      continue;
+    }
+
+    const observed = rawsData[mapping.field];
+    let status;
+    if (observed == null) {
+      status = 'not_observed';
+    } else if (min != null && observed < min) {
+      status = 'below';
+    } else if (max != null && observed > max) {
+      status = 'above';
+    } else {
+      status = 'in_prescription';
+    }
+
+    parameters[key] = { min, max, observed, units: mapping.units, status };
+  }
+
+  const statuses = Object.values(parameters).map(p => p.status);
+
+  return {
+    in_prescription: statuses.every(s => s === 'in_prescription'),
+    out_of_prescription: Object.keys(parameters)
+      .filter(key => ['below', 'above'].includes(parameters[key].status)),
+    not_evaluated: Object.keys(parameters)
+      .filter(key => ['not_observed', 'unknown_parameter'].includes(parameters[key].status)),
+    parameters
+  };
+}
+
+export default {
+  promptDefinition,
+  handler
+};
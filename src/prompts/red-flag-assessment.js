@@ -0,0 +1,127 @@
+/**
+ * red_flag_assessment prompt
+ * Red Flag criteria assessment for the stations around a location
+ */
+
+import clientManager from '../api/client-manager.js';
+import { handler as searchStationsHandler } from '../tools/search-stations.js';
+import { handler as getCurrentHandler } from '../tools/get-current.js';
+import { isRedFlagConditions } from '../utils/calculations.js';
+import { userMessages, jsonSection } from './helpers.js';
+
+const SEARCH_RADIUS_MILES = 25;
+const MAX_STATIONS = 5;
+
+/**
+ * Prompt definition for MCP
+ */
+export const promptDefinition = {
+  name: 'red_flag_assessment',
+  description: `Assess Red Flag Warning criteria near a location using current observations from up to ${MAX_STATIONS} nearby RAWS stations and active NWS alerts.`,
+  arguments: [
+    {
+      name: 'latitude',
+      description: 'Latitude (-90 to 90)',
+      required: true
+    },
+    {
+      name: 'longitude',
+      description: 'Longitude (-180 to 180)',
+      required: true
+    }
+  ]
+};
+
+/**
+ * Prompt handler
+ * @param {Object} args - Prompt arguments (MCP prompt arguments are strings)
+ * @param {string} args.latitude - Latitude
+ * @param {string} args.longitude - Longitude
+ * @returns {Promise<Object>} Prompt description and messages
+ */
+export async function handler(args) {
+  const latitude = parseFloat(args.latitude);
+  const longitude = parseFloat(args.longitude);
+
+  const search = await searchStationsHandler({
+    latitude,
+    longitude,
+    radius: SEARCH_RADIUS_MILES,
+    limit: MAX_STATIONS
+  });
+  if (!search.success) {
+    return search;
+  }
+
+  const [stations, alerts] = await Promise.all([
+    Promise.all(search.data.stations.map(assessStation)),
+    clientManager.getNWSAlerts(latitude, longitude)
+  ]);
+
+  const fireAlerts = alerts.filter(alert =>
+    alert.event === 'Red Flag Warning' || alert.event === 'Fire Weather Watch'
+  );
+
+  const text = [
+    `Assess whether Red Flag Warning criteria are being met near ${latitude}, ${longitude}.`,
+    '',
+    'Use only the data below. For each station, compare humidity and wind (including gusts) against the criteria, then give an overall assessment covering:',
+    '1. Stations currently meeting Red Flag criteria, and how close the others are',
+    '2. Active NWS Red Flag Warnings or Fire Weather Watches',
+    '3. Whether observations support, exceed or lag the official products',
+    '4. Recommended posture for the next 6-12 hours',
+    '',
+    'Criteria used by this server: RH < 15% with wind > 25 mph, or RH < 20% with wind > 20 mph.',
+    '',
+    jsonSection(`Nearby Stations (search_raws_stations within ${SEARCH_RADIUS_MILES} miles + get_raws_current)`, stations),
+    '',
+    jsonSection('Active NWS Fire Weather Alerts', fireAlerts)
+  ].join('\n');
+
+  return {
+    success: true,
+    description: `Red Flag assessment near ${latitude}, ${longitude}`,
+    messages: userMessages(text)
+  };
+}
+
+/**
+ * Fetch current conditions for a station and check Red Flag criteria
+ * @private
+ */
+async function assessStation(station) {
+  const current = await getCurrentHandler({ station_id: station.id });
+
+  if (!current.success) {
+    return {
+      station_id: station.id,
+      name: station.name,
+      distance_miles: station.distance_miles,
+      unavailable: true,
+      reason: current.error.message
+    };
+  }
+
+  const { temperature, humidity, wind } = current.data.weather_risks;
+
+  return {
+    station_id: station.id,
+    name: station.name,
+    distance_miles: station.distance_miles,
+    observation_time: current.metadata.observation_time,
+    temperature_f: temperature.value,
+    relative_humidity: humidity.percent,
+    wind_speed_mph: wind.speed,
+    wind_gust_mph: wind.gusts,
+    wind_direction: wind.direction,
+    meets_red_flag_criteria: isRedFlagConditions(
+      humidity.percent,
+      Math.max(wind.speed, wind.gusts)
+    )
+  };
+}
+
+export default {
+  promptDefinition,
+  handler
+};
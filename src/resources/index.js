@@ -0,0 +1,87 @@
+/**
+ * MCP Resources Registration
+ * Exports resource templates and the resource reader
+ */
+
+import { resourceTemplates, matchResourceTemplate } from './stations.js';
+import logger from '../logger.js';
+
+/**
+ * Get resource template definitions for MCP server registration
+ */
+export function getResourceTemplates() {
+  return resourceTemplates.map(({ name, uriTemplate, description, mimeType }) => ({
+    name,
+    uriTemplate,
+    description,
+    mimeType
+  }));
+}
+
+/**
+ * List concrete resources
+ * Station resources are only addressable through templates
+ * @returns {Array} Resource definitions
+ */
+export function listResources() {
+  return [];
+}
+
+/**
+ * Read a resource by URI
+ * @param {string} uri - Resource URI (e.g., "raws://station/C5725/current")
+ * @returns {Promise<Object>} Result with `success` and either `contents` or `error`
+ */
+export async function readResource(uri) {
+  const match = matchResourceTemplate(uri);
+
+  if (!match) {
+    return {
+      success: false,
+      error: {
+        code: 'RESOURCE_NOT_FOUND',
+        message: `Unknown resource URI: ${uri}`,
+        status: 404,
+        details: { uri }
+      }
+    };
+  }
+
+  const { template, params } = match;
+
+  try {
+    const data = await template.handler(params);
+
+    return {
+      success: true,
+      contents: [
+        {
+          uri,
+          mimeType: template.mimeType,
+          text: JSON.stringify(data, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    logger.error('Failed to read resource', {
+      uri,
+      error: error.message
+    });
+
+    return {
+      success: false,
+      error: {
+        code: error.code || 'RESOURCE_READ_ERROR',
+        message: error.message || 'Failed to read resource',
+        status: error.status || 500,
+        details: { uri }
+      }
+    };
+  }
+}
+
+export default {
+  getResourceTemplates,
+  listResources,
+  readResource
+};
@@ -0,0 +1,192 @@
+/**
+ * Station resources
+ * Exposes RAWS station metadata, current conditions and recent history as
+ * MCP resources so clients can attach station context without a tool call.
+ */
+
+import clientManager from '../api/client-manager.js';
+import { handler as getCurrentHandler } from '../tools/get-current.js';
+import { handler as getHistoricalHandler } from '../tools/get-historical.js';
+import { isValidStationId, sanitizeStationId } from '../utils/validators.js';
+
+export const DEFAULT_HISTORY_HOURS = 24;
+export const MAX_HISTORY_HOURS = 24 * 31;
+
+/**
+ * Resource template definitions for MCP
+ */
+export const resourceTemplates = [
+  {
+    name: 'station_metadata',
+    uriTemplate: 'raws://station/{id}/metadata',
+    description: 'RAWS station metadata: name, coordinates, elevation, state, timezone and network.',
+    mimeType: 'application/json',
+    resource: 'metadata',
+    handler: readMetadata
+  },
+  {
+    name: 'station_current',
+    uriTemplate: 'raws://station/{id}/current',
+    description: 'Latest RAWS observation for a station in wildfire schema format.',
+    mimeType: 'application/json',
+    resource: 'current',
+    handler: readCurrent
+  },
+  {
+    name: 'station_history',
+    uriTemplate: 'raws://station/{id}/history{?hours}',
+    description: `Recent RAWS time series for a station. Defaults to the last ${DEFAULT_HISTORY_HOURS} hours (max ${MAX_HISTORY_HOURS}).`,
+    mimeType: 'application/json',
+    resource: 'history',
+    handler: readHistory
+  }
+];
+
+/**
+ * Read station metadata
+ * Derived from the latest observation, which carries the station header fields
+ * @param {Object} params - Parsed URI parameters
+ * @param {string} params.stationId - Station ID
+ * @returns {Promise<Object>} Station metadata
+ */
+async function readMetadata({ stationId }) {
+  const station = await clientManager.getCurrentObservation(stationId);
+
+  return {
+    id: station.STID,
+    name: station.NAME,
+    latitude: parseFloat(station.LATITUDE),
+    longitude: parseFloat(station.LONGITUDE),
+    elevation: parseFloat(station.ELEVATION),
+    state: station.STATE,
+    timezone: station.TIMEZONE,
+    status: station.STATUS,
+    network: station.MNET_SHORTNAME,
+    source: station._meta?.source
+  };
+}
+
+/**
+ * Read current conditions via the get_raws_current tool
+ * @param {Object} params - Parsed URI parameters
+ * @param {string} params.stationId - Station ID
+ * @returns {Promise<Object>} Tool result
+ */
+async function readCurrent({ stationId }) {
+  return unwrapToolResult(await getCurrentHandler({ station_id: stationId }));
+}
+
+/**
+ * Read recent history via the get_raws_historical tool
+ * @param {Object} params - Parsed URI parameters
+ * @param {string} params.stationId - Station ID
+ * @param {URLSearchParams} params.query - URI query parameters
+ * @returns {Promise<Object>} Tool result
+ */
+async function readHistory({ stationId, query }) {
+  const hours = query.has('hours') ? Number(query.get('hours')) : DEFAULT_HISTORY_HOURS;
+
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_HISTORY_HOURS) {
+    throw {
+      code: 'INVALID_HOURS',
+      message: `Invalid hours: ${query.get('hours')}. Must be between 1 and ${MAX_HISTORY_HOURS}.`,
+      status: 400
+    };
+  }
+
+  const endTime = new Date();
+  const startTime = new Date(endTime.getTime() - hours * 3600 * 1000);
+
+  return unwrapToolResult(await getHistoricalHandler({
+    station_id: stationId,
+    start_time: startTime.toISOString(),
+    end_time: endTime.toISOString()
+  }));
+}
+
+/**
+ * Parse a raws://station/{id}/{resource} URI
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} `{ stationId, resource, query }` or null if not a station URI
+ */
+export function parseStationUri(uri) {
+  let parsed;
+  try {
+    parsed = new URL(uri);
+  } catch {
+    return null;
+  }
+
+  if (parsed.protocol !== 'raws:' || parsed.hostname !== 'station') {
+    return null;
+  }
+
+  const parts = parsed.pathname.split('/').filter(Boolean);
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const stationId = sanitizeStationId(decodeURIComponent(parts[0]));
+  if (!isValidStationId(stationId)) {
+    return null;
+  }
+
+  return {
+    stationId,
+    resource: parts[1],
+    query: parsed.searchParams
+  };
+}
+
+/**
+ * Find the resource template a URI addresses
+ * The URI must name a template's resource and use only the query
+ * parameters the template declares (e.g., `hours` for history).
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} `{ template, params }` (params from parseStationUri), or null
+ */
+export function matchResourceTemplate(uri) {
+  const params = parseStationUri(uri);
+  const template = params && resourceTemplates.find(t => t.resource === params.resource);
+  if (!template) {
+    return null;
+  }
+
+  const allowed = templateQueryParams(template.uriTemplate);
+  for (const key of params.query.keys()) {
+    if (!allowed.includes(key)) {
+      return null;
+    }
+  }
+
+  return { template, params };
+}
+
+/**
+ * Query parameter names declared by a `{?a,b}` URI template expression
+ * @private
+ */
+function templateQueryParams(uriTemplate) {
+  const match = uriTemplate.match(/\{\?([^}]+)\}/);
+  return match ? match[1].split(',') : [];
+}
+
+/**
+ * Convert a tool result into resource content, throwing tool errors
+ * @private
+ */
+function unwrapToolResult(result) {
+  if (!result.success) {
+    throw result.error;
+  }
+  return {
+    data: result.data,
+    metadata: result.metadata
+  };
+}
+
+export default {
+  resourceTemplates,
+  parseStationUri,
+  matchResourceTemplate
+};
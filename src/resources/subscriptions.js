@@ -0,0 +1,279 @@
+/**
+ * Resource subscriptions
+ * Polls subscribed stations and notifies subscribers when a station reports a
+ * new observation or a new NWS Red Flag Warning appears for its location.
+ * A single poller is shared by every MCP session so each station is fetched
+ * once per interval no matter how many clients are watching it.
+ */
+
+import clientManager from '../api/client-manager.js';
+import { adaptRawsData } from '../schemas/adapters.js';
+import { matchResourceTemplate, parseStationUri } from './stations.js';
+import config from '../config.js';
+import logger from '../logger.js';
+
+const RED_FLAG_EVENTS = ['Red Flag Warning'];
+
+/**
+ * Tracks resource subscriptions and polls their stations for changes
+ */
+export class SubscriptionManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {number} options.intervalMs - Poll interval in milliseconds
+   * @param {Function} options.fetchObservation - (stationId) => raw station observation
+   * @param {Function} options.fetchAlerts - (latitude, longitude) => NWS alerts
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs ?? config.subscriptionPollInterval * 1000;
+    this.fetchObservation = options.fetchObservation ??
+      (stationId => clientManager.getCurrentObservation(stationId));
+    this.fetchAlerts = options.fetchAlerts ??
+      ((latitude, longitude) => clientManager.getNWSAlerts(latitude, longitude));
+
+    // uri -> Set of notify callbacks
+    this.subscriptions = new Map();
+    // stationId -> { timestamp, redFlags: Set<string> }
+    this.stationState = new Map();
+    this.pollTimer = null;
+    this.activePoll = null;
+  }
+
+  /**
+   * Subscribe to updates for a resource URI
+   * @param {string} uri - Station resource URI
+   * @param {Function} notify - Called with the URI when the resource changes
+   * @returns {boolean} True if the URI matches a station resource template
+   */
+  subscribe(uri, notify) {
+    if (!matchResourceTemplate(uri)) {
+      return false;
+    }
+
+    if (!this.subscriptions.has(uri)) {
+      this.subscriptions.set(uri, new Set());
+    }
+    this.subscriptions.get(uri).add(notify);
+
+    logger.info('Resource subscribed', { uri, subscribers: this.subscriptions.get(uri).size });
+
+    this._ensurePolling();
+    return true;
+  }
+
+  /**
+   * Remove a subscription
+   * @param {string} uri - Station resource URI
+   * @param {Function} notify - Callback passed to subscribe()
+   */
+  unsubscribe(uri, notify) {
+    const listeners = this.subscriptions.get(uri);
+    if (!listeners) return;
+
+    listeners.delete(notify);
+    if (listeners.size === 0) {
+      this.subscriptions.delete(uri);
+    }
+
+    logger.info('Resource unsubscribed', { uri });
+    this._pruneStations();
+  }
+
+  /**
+   * Remove every subscription held by a callback (e.g., when a session closes)
+   * @param {Function} notify - Callback passed to subscribe()
+   */
+  unsubscribeAll(notify) {
+    for (const uri of [...this.subscriptions.keys()]) {
+      const listeners = this.subscriptions.get(uri);
+      listeners.delete(notify);
+      if (listeners.size === 0) {
+        this.subscriptions.delete(uri);
+      }
+    }
+    this._pruneStations();
+  }
+
+  /**
+   * Poll every subscribed station once and send notifications for changes
+   * Calls made while a poll is running share that poll's result.
+   * @returns {Promise<Array<string>>} URIs that were notified
+   */
+  poll() {
+    if (!this.activePoll) {
+      this.activePoll = this._pollOnce().finally(() => {
+        this.activePoll = null;
+      });
+    }
+    return this.activePoll;
+  }
+
+  /**
+   * Run a single poll over all subscribed stations
+   * @private
+   */
+  async _pollOnce() {
+    const notified = [];
+
+    for (const [stationId, uris] of this._urisByStation()) {
+      const changed = await this._checkStation(stationId);
+      if (!changed) continue;
+
+      for (const uri of uris) {
+        for (const notify of this.subscriptions.get(uri) || []) {
+          try {
+            await notify(uri);
+          } catch (error) {
+            logger.warn('Failed to send resource update', { uri, error: error.message });
+          }
+        }
+        notified.push(uri);
+      }
+    }
+
+    return notified;
+  }
+
+  /**
+   * Stop polling and drop all subscriptions
+   */
+  destroy() {
+    this._stopPolling();
+    this.subscriptions.clear();
+    this.stationState.clear();
+  }
+
+  /**
+   * Fetch a station and compare with its last known state
+   * The first check only records a baseline.
+   * @private
+   * @returns {Promise<boolean>} True if subscribers should be notified
+   */
+  async _checkStation(stationId) {
+    let rawsData;
+    try {
+      const station = await this.fetchObservation(stationId);
+      rawsData = adaptRawsData(station, station._meta?.source);
+    } catch (error) {
+      logger.warn('Subscription poll failed', {
+        stationId,
+        error: error.message || error.code
+      });
+      return false;
+    }
+
+    const previous = this.stationState.get(stationId);
+
+    // Alerts that could not be fetched are unknown, not cleared: keep the last
+    // known set so warnings already active don't look new on the next poll
+    let redFlags = new Set();
+    if (rawsData.latitude != null && rawsData.longitude != null) {
+      try {
+        const alerts = await this.fetchAlerts(rawsData.latitude, rawsData.longitude);
+        redFlags = new Set(
+          alerts
+            .filter(alert => RED_FLAG_EVENTS.includes(alert.event))
+            .map(alert => `${alert.event}|${alert.onset}|${alert.expires}`)
+        );
+      } catch (error) {
+        logger.warn('Subscription alert poll failed', { stationId, error: error.message });
+        redFlags = previous ? previous.redFlags : null;
+      }
+    }
+
+    this.stationState.set(stationId, { timestamp: rawsData.timestamp, redFlags });
+
+    if (!previous) {
+      return false;
+    }
+
+    const newObservation = rawsData.timestamp !== previous.timestamp;
+    const newRedFlag = Boolean(redFlags && previous.redFlags) &&
+      [...redFlags].some(key => !previous.redFlags.has(key));
+
+    if (newObservation || newRedFlag) {
+      logger.info('Subscribed station changed', {
+        stationId,
+        newObservation,
+        newRedFlag,
+        timestamp: rawsData.timestamp
+      });
+    }
+
+    return newObservation || newRedFlag;
+  }
+
+  /**
+   * Group subscribed URIs by station
+   * Metadata resources are excluded since observations don't change them
+   * @private
+   */
+  _urisByStation() {
+    const byStation = new Map();
+
+    for (const uri of this.subscriptions.keys()) {
+      const params = parseStationUri(uri);
+      if (!params || params.resource === 'metadata') continue;
+
+      if (!byStation.has(params.stationId)) {
+        byStation.set(params.stationId, []);
+      }
+      byStation.get(params.stationId).push(uri);
+    }
+
+    return byStation;
+  }
+
+  /**
+   * Forget state for stations nobody is subscribed to and stop idle polling
+   * @private
+   */
+  _pruneStations() {
+    const active = this._urisByStation();
+    for (const stationId of this.stationState.keys()) {
+      if (!active.has(stationId)) {
+        this.stationState.delete(stationId);
+      }
+    }
+
+    if (this.subscriptions.size === 0) {
+      this._stopPolling();
+    }
+  }
+
+  /**
+   * Start the poll interval if it isn't running
+   * @private
+   */
+  _ensurePolling() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error('Subscription poll failed', { error: error.message });
+      });
+    }, this.intervalMs);
+
+    // Record a baseline right away so the first interval can detect changes
+    this.poll().catch(() => {});
+
+    logger.info('Subscription polling started', { intervalMs: this.intervalMs });
+  }
+
+  /**
+   * Stop the poll interval
+   * @private
+   */
+  _stopPolling() {
+    if (!this.pollTimer) return;
+
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    logger.info('Subscription polling stopped');
+  }
+}
+
+// Create singleton instance shared by all sessions
+const subscriptionManager = new SubscriptionManager();
+
+export default subscriptionManager;
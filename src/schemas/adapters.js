@@ -3,6 +3,8 @@
  * Extracts values from API-specific response formats
  */
 
+import { celsiusToFahrenheit, kmhToMph, metersToFeet, millimetersToInches } from '../utils/units.js';
+
 /**
  * Extract observation value from Synoptic/MesoWest format
  * @param {Object} observation - Observation object with value array
@@ -63,6 +65,206 @@ export function adaptMesoWestData(station) {
   return adapted;
 }
 
+/**
+ * WRCC report column headers mapped to Synoptic variable names
+ * Headers are matched case-insensitively on the first pattern that fits.
+ */
+const WRCC_COLUMNS = [
+  { pattern: /fuel\s*moist/i, variable: 'fuel_moisture' },
+  { pattern: /fuel\s*temp/i, variable: null },
+  { pattern: /air\s*temp|^temp/i, variable: 'air_temp' },
+  { pattern: /rel\.?\s*hum/i, variable: 'relative_humidity' },
+  { pattern: /gust/i, variable: 'wind_gust' },
+  { pattern: /wind\s*dir/i, variable: 'wind_direction' },
+  { pattern: /wind\s*speed/i, variable: 'wind_speed' },
+  { pattern: /precip/i, variable: 'precip_accum' },
+  { pattern: /solar/i, variable: 'solar_radiation' },
+  { pattern: /baro|press/i, variable: 'pressure' }
+];
+
+// WRCC marks missing values with -9999 (-999 in some older reports)
+const WRCC_MISSING = new Set([-9999, -999]);
+
+/**
+ * Convert a WRCC LST timestamp (YYMMDDhhmm or YYYYMMDDhhmm) to ISO 8601 UTC
+ * @param {string} value - Report timestamp in local standard time
+ * @param {number} utcOffsetHours - Station standard time offset from UTC
+ * @returns {string|null} ISO timestamp or null if unparseable
+ */
+function parseWRCCTimestamp(value, utcOffsetHours) {
+  const match = /^(\d{2}|\d{4})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, yearPart, month, day, hour, minute] = match;
+  const year = yearPart.length === 2 ? 2000 + parseInt(yearPart, 10) : parseInt(yearPart, 10);
+  const utcMs = Date.UTC(year, month - 1, day, hour, minute) - utcOffsetHours * 3600000;
+  return new Date(utcMs).toISOString().replace('.000Z', 'Z');
+}
+
+/**
+ * Adapt a parsed WRCC report into the Synoptic STATION shape
+ * Lets WRCC data flow through adaptRawsData and extractTimeSeries unchanged.
+ * Values are in the English units requested from WRCC (°F, %, mph, inches).
+ * @param {Object} report - Report from WRCCClient
+ * @param {string} report.stationId - WRCC station ID (e.g., "caCBEN")
+ * @param {Array<string>} report.columns - Column headers (first is the timestamp)
+ * @param {Array<Array<string>>} report.rows - Data rows, oldest first
+ * @param {number} report.utcOffsetHours - Station standard time offset from UTC
+ * @returns {Object} STATION object with OBSERVATIONS arrays
+ */
+export function adaptWRCCStation(report) {
+  if (!report || !Array.isArray(report.columns) || !Array.isArray(report.rows)) {
+    throw new Error('Invalid WRCC report data');
+  }
+
+  const variables = report.columns.map((header, index) => {
+    if (index === 0) return null;
+    const column = WRCC_COLUMNS.find(({ pattern }) => pattern.test(header));
+    return column?.variable || null;
+  });
+
+  const observations = { date_time: [] };
+  for (const variable of variables) {
+    if (variable && !observations[`${variable}_value_1`]) {
+      observations[`${variable}_value_1`] = { value: [] };
+    }
+  }
+
+  for (const row of report.rows) {
+    const timestamp = parseWRCCTimestamp(row[0], report.utcOffsetHours ?? 0);
+    if (!timestamp) continue;
+
+    observations.date_time.push(timestamp);
+    variables.forEach((variable, index) => {
+      if (!variable) return;
+      const value = parseFloat(row[index]);
+      observations[`${variable}_value_1`].value.push(
+        isNaN(value) || WRCC_MISSING.has(value) ? null : value
+      );
+    });
+  }
+
+  return {
+    STID: report.stationId,
+    NAME: report.name ?? null,
+    LATITUDE: report.latitude ?? null,
+    LONGITUDE: report.longitude ?? null,
+    ELEVATION: report.elevation ?? null,
+    STATE: report.state ?? null,
+    TIMEZONE: null,
+    STATUS: 'ACTIVE',
+    MNET_SHORTNAME: 'RAWS',
+    OBSERVATIONS: observations
+  };
+}
+
+/**
+ * Adapt WRCC data (already in STATION shape) to common format
+ * @param {Object} station - STATION object from adaptWRCCStation
+ * @returns {Object} Normalized observation data
+ */
+export function adaptWRCCData(station) {
+  const adapted = adaptSynopticData(station);
+  adapted.source = 'wrcc';
+  return adapted;
+}
+
+/**
+ * Converters from NWS QuantitativeValue unit codes to the English units
+ * used by Synoptic (°F, mph, inches, inHg, feet)
+ */
+const NWS_UNIT_CONVERSIONS = {
+  degC: celsiusToFahrenheit,
+  degF: value => value,
+  'km_h-1': kmhToMph,
+  'm_s-1': value => value * 2.23694,
+  kn: value => value * 1.15078,
+  Pa: value => value / 3386.389,
+  hPa: value => value / 33.86389,
+  mm: millimetersToInches,
+  m: metersToFeet,
+  percent: value => value,
+  'degree_(angle)': value => value
+};
+
+// NWS observation properties mapped to Synoptic variable names
+const NWS_VARIABLES = {
+  temperature: 'air_temp',
+  relativeHumidity: 'relative_humidity',
+  windSpeed: 'wind_speed',
+  windGust: 'wind_gust',
+  windDirection: 'wind_direction',
+  barometricPressure: 'pressure',
+  // Synoptic's one-hour precipitation variable, not the running accumulation
+  precipitationLastHour: 'precip_accum_one_hour'
+};
+
+/**
+ * Convert an NWS QuantitativeValue to English units
+ * @param {Object} quantity - `{ value, unitCode }` (e.g., "wmoUnit:degC")
+ * @returns {number|null} Converted value or null if missing/unknown unit
+ */
+export function convertNWSQuantity(quantity) {
+  if (!quantity || quantity.value === null || quantity.value === undefined) {
+    return null;
+  }
+
+  const unit = String(quantity.unitCode || '').replace(/^(wmoUnit|unit):/, '');
+  const convert = NWS_UNIT_CONVERSIONS[unit];
+  return convert ? Math.round(convert(quantity.value) * 100) / 100 : null;
+}
+
+/**
+ * Adapt an NWS station and its observations into the Synoptic STATION shape
+ * @param {Object} station - Station GeoJSON feature from /stations/{id}
+ * @param {Array<Object>} observations - Observation features, oldest first
+ * @returns {Object} STATION object with OBSERVATIONS arrays
+ */
+export function adaptNWSStation(station, observations) {
+  if (!station?.properties || !Array.isArray(observations)) {
+    throw new Error('Invalid NWS station data');
+  }
+
+  const [longitude, latitude] = station.geometry?.coordinates || [null, null];
+  const series = { date_time: [] };
+  for (const variable of Object.values(NWS_VARIABLES)) {
+    series[`${variable}_value_1`] = { value: [] };
+  }
+
+  for (const { properties } of observations) {
+    if (!properties?.timestamp) continue;
+
+    series.date_time.push(new Date(properties.timestamp).toISOString().replace('.000Z', 'Z'));
+    for (const [property, variable] of Object.entries(NWS_VARIABLES)) {
+      series[`${variable}_value_1`].value.push(convertNWSQuantity(properties[property]));
+    }
+  }
+
+  return {
+    STID: station.properties.stationIdentifier,
+    NAME: station.properties.name,
+    LATITUDE: latitude,
+    LONGITUDE: longitude,
+    ELEVATION: convertNWSQuantity(station.properties.elevation),
+    STATE: null,
+    TIMEZONE: station.properties.timeZone || null,
+    STATUS: 'ACTIVE',
+    MNET_SHORTNAME: 'NWS',
+    OBSERVATIONS: series
+  };
+}
+
+/**
+ * Adapt NWS data (already in STATION shape) to common format
+ * @param {Object} station - STATION object from adaptNWSStation
+ * @returns {Object} Normalized observation data
+ */
+export function adaptNWSData(station) {
+  const adapted = adaptSynopticData(station);
+  adapted.source = 'nws';
+  return adapted;
+}
+
 /**
  * Adapt generic RAWS data to common format
  * Detects source and uses appropriate adapter
@@ -87,8 +289,16 @@ export function adaptRawsData(station, source = null) {
       return adaptSynopticData(station);
     case 'mesowest':
       return adaptMesoWestData(station);
-    default:
-      return adaptSynopticData(station);
+    case 'wrcc':
+      return adaptWRCCData(station);
+    case 'nws':
+      return adaptNWSData(station);
+    default: {
+      // Plugin providers return the Synoptic STATION shape
+      const adapted = adaptSynopticData(station);
+      adapted.source = source;
+      return adapted;
+    }
   }
 }
 
@@ -120,7 +330,8 @@ export function extractTimeSeries(station) {
       windGust: extractValue(obs.wind_gust_value_1, i),
       windDirection: extractValue(obs.wind_direction_value_1, i),
       precipAccum: extractValue(obs.precip_accum_value_1, i),
-      fuelMoisture: extractValue(obs.fuel_moisture_value_1, i)
+      fuelMoisture: extractValue(obs.fuel_moisture_value_1, i),
+      solarRadiation: extractValue(obs.solar_radiation_value_1, i)
     });
   }
 
@@ -130,6 +341,11 @@ export function extractTimeSeries(station) {
 export default {
   adaptSynopticData,
   adaptMesoWestData,
+  adaptWRCCStation,
+  adaptWRCCData,
+  convertNWSQuantity,
+  adaptNWSStation,
+  adaptNWSData,
   adaptRawsData,
   extractTimeSeries
 };
@@ -0,0 +1,489 @@
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { wildfireSchema } from './wildfire-schema.js';
+
+/**
+ * Zod schemas for successful tool results
+ * Published to MCP clients as each tool's `outputSchema` and used to
+ * describe the `structuredContent` returned alongside the text content.
+ */
+
+const coordinatesSchema = z.object({
+  latitude: z.number().nullable(),
+  longitude: z.number().nullable()
+});
+
+const currentFireIndicesSchema = z.object({
+  fosberg_ffwi: z.number().nullable(),
+  haines_index: z.number().nullable(),
+  chandler_burning_index: z.number().nullable(),
+  fire_danger_class: z.string()
+});
+
+export const currentObservationOutputSchema = z.object({
+  success: z.literal(true),
+  data: wildfireSchema.extend({
+    fire_indices: currentFireIndicesSchema.optional()
+  }),
+  metadata: z.object({
+    station_id: z.string(),
+    observation_time: z.string().nullish(),
+    source: z.string().nullish(),
+    elevation: z.number().nullable(),
+    coordinates: coordinatesSchema,
+    stale: z.boolean().optional(),
+    age_seconds: z.number().optional()
+  })
+});
+
+// Area searched by resolveArea() (src/utils/areas.js)
+const searchAreaSchema = z.object({
+  type: z.enum(['radius', 'bbox', 'polygon']),
+  center: coordinatesSchema,
+  radius_miles: z.number(),
+  buffer_miles: z.number(),
+  bbox: z.array(z.number()).optional()
+});
+
+const batchErrorSchema = z.object({
+  code: z.string(),
+  message: z.string(),
+  status: z.number()
+});
+
+const currentBatchRowSchema = z.discriminatedUnion('status', [
+  z.object({
+    station_id: z.string(),
+    status: z.literal('ok'),
+    observation_time: z.string().nullish(),
+    source: z.string().nullish(),
+    elevation: z.number().nullable(),
+    coordinates: coordinatesSchema,
+    data: wildfireSchema,
+    stale: z.boolean().optional(),
+    age_seconds: z.number().optional()
+  }),
+  z.object({
+    station_id: z.string(),
+    status: z.literal('error'),
+    error: batchErrorSchema
+  })
+]);
+
+export const currentBatchOutputSchema = z.object({
+  success: z.literal(true),
+  data: z.object({
+    stations: z.array(currentBatchRowSchema)
+  }),
+  metadata: z.object({
+    requested: z.number(),
+    succeeded: z.number(),
+    failed: z.number(),
+    from_cache: z.number(),
+    batched: z.number(),
+    fetched_individually: z.number(),
+    fetch_time: z.string()
+  })
+});
+
+const areaStationSchema = z.object({
+  station_id: z.string(),
+  name: z.string().nullable(),
+  latitude: z.number().nullable(),
+  longitude: z.number().nullable(),
+  elevation: z.number().nullable(),
+  distance_miles: z.number().nullable(),
+  observation_time: z.string().nullable(),
+  source: z.string().nullable(),
+  temperature: z.number().nullable(),
+  relative_humidity: z.number().nullable(),
+  wind_speed: z.number().nullable(),
+  wind_gust: z.number().nullable(),
+  fosberg_ffwi: z.number().nullable(),
+  red_flag: z.boolean(),
+  stale: z.boolean().optional(),
+  age_seconds: z.number().optional()
+});
+
+const rankingSchema = z.array(z.object({
+  station_id: z.string(),
+  name: z.string().nullable(),
+  value: z.number()
+}));
+
+export const areaConditionsOutputSchema = z.object({
+  success: z.literal(true),
+  data: z.object({
+    area: searchAreaSchema,
+    stations: z.array(areaStationSchema),
+    rankings: z.object({
+      hottest: rankingSchema,
+      driest: rankingSchema,
+      windiest: rankingSchema,
+      highest_ffwi: rankingSchema,
+      red_flag: z.array(z.object({
+        station_id: z.string(),
+        name: z.string().nullable(),
+        relative_humidity: z.number().nullable(),
+        wind_speed: z.number().nullable(),
+        wind_gust: z.number().nullable()
+      }))
+    }),
+    errors: z.array(z.object({
+      station_id: z.string(),
+      error: batchErrorSchema
+    }))
+  }),
+  metadata: z.object({
+    stations_found: z.number(),
+    stations_reporting: z.number(),
+    stations_failed: z.number(),
+    from_cache: z.number(),
+    fetch_time: z.string()
+  })
+});
+
+export const stationMetadataSchema = z.object({
+  id: z.string(),
+  name: z.string().nullish(),
+  latitude: z.number().nullable(),
+  longitude: z.number().nullable(),
+  elevation: z.number().nullable(),
+  state: z.string().nullish(),
+  timezone: z.string().nullish(),
+  status: z.string().nullish(),
+  network: z.string().nullish(),
+  sensors: z.record(z.any()).optional(),
+  distance_miles: z.number().nullable(),
+  distance_to_edge_miles: z.number().optional()
+});
+
+export const searchStationsOutputSchema = z.object({
+  success: z.literal(true),
+  data: z.object({
+    stations: z.array(stationMetadataSchema),
+    search_location: coordinatesSchema,
+    search_radius_miles: z.number().nullable(),
+    search_area: searchAreaSchema.optional(),
+    search_filters: z.object({
+      state: z.string().optional(),
+      county: z.string().optional(),
+      fire_zone: z.string().optional(),
+      gacc: z.string().optional(),
+      network: z.string().optional()
+    }).optional(),
+    fire_zone: z.object({
+      id: z.string(),
+      name: z.string().nullable(),
+      state: z.string().nullable(),
+      cwa: z.array(z.string())
+    }).optional()
+  }),
+  metadata: z.object({
+    count: z.number(),
+    search_time: z.string()
+  })
+});
+
+export const timeSeriesPointSchema = z.object({
+  timestamp: z.string(),
+  temperature: z.number().nullable(),
+  relativeHumidity: z.number().nullable(),
+  windSpeed: z.number().nullable(),
+  windGust: z.number().nullable(),
+  windDirection: z.number().nullable(),
+  precipAccum: z.number().nullable(),
+  fuelMoisture: z.number().nullable(),
+  solarRadiation: z.number().nullable()
+});
+
+const modeledFuelMoistureSchema = z.object({
+  timestamp: z.string(),
+  oneHour: z.number(),
+  tenHour: z.number(),
+  hundredHour: z.number(),
+  thousandHour: z.number()
+});
+
+export const historicalOutputSchema = z.object({
+  success: z.literal(true),
+  data: z.object({
+    station_id: z.string(),
+    station_name: z.string().nullish(),
+    time_series: z.array(timeSeriesPointSchema),
+    // Only when model_fuel_moisture is requested
+    fuel_moisture_model: z.array(modeledFuelMoistureSchema).optional(),
+    start_time: z.string(),
+    end_time: z.string()
+  }),
+  metadata: z.object({
+    data_points: z.number(),
+    source: z.string().nullish(),
+    elevation: z.number().nullable(),
+    coordinates: coordinatesSchema,
+    stale: z.boolean().optional(),
+    age_seconds: z.number().optional()
+  })
+});
+
+const indexValueSchema = z.object({
+  value: z.number().nullable(),
+  description: z.string(),
+  interpretation: z.string()
+});
+
+const fuelModelSchema = z.object({
+  code: z.string(),
+  name: z.string(),
+  system: z.enum(['2016', '1978'])
+});
+
+const nfdrsIndicesSchema = z.object({
+  energy_release_component: z.number(),
+  burning_index: z.number(),
+  spread_component: z.number(),
+  ignition_component: z.number()
+});
+
+const nfdrsFuelMoistureSchema = z.object({
+  one_hour: z.number(),
+  ten_hour: z.number(),
+  hundred_hour: z.number(),
+  thousand_hour: z.number(),
+  herbaceous: z.number(),
+  woody: z.number(),
+  ten_hour_source: z.enum(['fuel_stick', 'estimated'])
+});
+
+const fwiCodesSchema = z.object({
+  ffmc: z.number(),
+  dmc: z.number(),
+  dc: z.number(),
+  isi: z.number(),
+  bui: z.number(),
+  fwi: z.number(),
+  dsr: z.number()
+});
+
+const fwiStartCodesSchema = z.object({
+  ffmc: z.number(),
+  dmc: z.number(),
+  dc: z.number(),
+  dc_source: z.enum(['previous', 'overwintered', 'startup'])
+});
+
+const fwiDaySchema = fwiCodesSchema.extend({
+  date: z.string(),
+  timestamp: z.string(),
+  weather: z.object({
+    temperature_c: z.number(),
+    relative_humidity: z.number(),
+    wind_speed_kmh: z.number(),
+    rain_mm: z.number()
+  })
+});
+
+export const fireIndicesOutputSchema = z.object({
+  success: z.literal(true),
+  data: z.object({
+    indices: z.object({
+      fosberg_ffwi: indexValueSchema,
+      haines_index: indexValueSchema,
+      chandler_burning_index: indexValueSchema,
+      // Only when a kbdi is given
+      modified_ffwi: indexValueSchema.extend({
+        kbdi: z.number(),
+        fuel_availability_factor: z.number()
+      }).optional()
+    }),
+    fire_danger: z.object({
+      class: z.string(),
+      red_flag_conditions: z.boolean(),
+      ignition_probability: z.number()
+    }),
+    conditions: z.object({
+      temperature: z.number(),
+      relative_humidity: z.number(),
+      wind_speed: z.number(),
+      fuel_moisture: z.number().nullable(),
+      elevation: z.number()
+    }),
+    // Only when a fuel_model is requested
+    nfdrs: z.object({
+      fuel_model: fuelModelSchema,
+      slope_class: z.number(),
+      indices: nfdrsIndicesSchema,
+      fuel_moisture: nfdrsFuelMoistureSchema
+    }).optional(),
+    // Only when include_fwi is set
+    fwi: fwiCodesSchema.extend({
+      start_codes: fwiStartCodesSchema,
+      month: z.number(),
+      latitude: z.number()
+    }).optional()
+  }),
+  metadata: z.object({
+    calculation_time: z.string(),
+    note: z.string().nullable()
+  })
+});
+
+export const nfdrsOutputSchema = z.object({
+  success: z.literal(true),
+  data: z.object({
+    station_id: z.string(),
+    station_name: z.string().nullable(),
+    fuel_model: fuelModelSchema,
+    observation_time: z.string(),
+    indices: nfdrsIndicesSchema,
+    fuel_moisture: nfdrsFuelMoistureSchema,
+    weather: z.object({
+      temperature: z.number(),
+      relative_humidity: z.number(),
+      wind_speed: z.number()
+    })
+  }),
+  metadata: z.object({
+    source: z.string().nullable(),
+    slope_class: z.number(),
+    history_start: z.string(),
+    history_end: z.string(),
+    observations: z.number(),
+    calculation_time: z.string(),
+    stale: z.boolean().optional(),
+    age_seconds: z.number().optional()
+  })
+});
+
+export const fwiOutputSchema = z.object({
+  success: z.literal(true),
+  data: z.object({
+    station_id: z.string(),
+    station_name: z.string().nullable(),
+    start_codes: fwiStartCodesSchema,
+    current: fwiDaySchema,
+    daily: z.array(fwiDaySchema)
+  }),
+  metadata: z.object({
+    source: z.string().nullable(),
+    latitude: z.number().nullable(),
+    utc_offset: z.number(),
+    utc_offset_source: z.enum(['provided', 'estimated']),
+    history_start: z.string(),
+    history_end: z.string(),
+    days: z.number(),
+    calculation_time: z.string(),
+    stale: z.boolean().optional(),
+    age_seconds: z.number().optional()
+  })
+});
+
+const kbdiDaySchema = z.object({
+  date: z.string(),
+  max_temperature: z.number(),
+  rain: z.number(),
+  net_rain: z.number(),
+  kbdi: z.number()
+});
+
+export const kbdiOutputSchema = z.object({
+  success: z.literal(true),
+  data: z.object({
+    station_id: z.string(),
+    station_name: z.string().nullable(),
+    current: kbdiDaySchema.extend({
+      interpretation: z.string()
+    }),
+    daily: z.array(kbdiDaySchema),
+    modified_ffwi: z.object({
+      value: z.number().nullable(),
+      fosberg_ffwi: z.number().nullable(),
+      fuel_availability_factor: z.number(),
+      observation_time: z.string(),
+      weather: z.object({
+        temperature: z.number(),
+        relative_humidity: z.number(),
+        wind_speed: z.number()
+      })
+    }).nullable()
+  }),
+  metadata: z.object({
+    source: z.string().nullable(),
+    annual_precip: z.number(),
+    start_kbdi: z.number(),
+    utc_offset: z.number(),
+    utc_offset_source: z.enum(['provided', 'estimated']),
+    history_start: z.string(),
+    history_end: z.string(),
+    days: z.number(),
+    calculation_time: z.string(),
+    stale: z.boolean().optional(),
+    age_seconds: z.number().optional()
+  })
+});
+
+const sourceHealthSchema = z.object({
+  source: z.string(),
+  state: z.enum(['closed', 'open', 'half-open']),
+  score: z.number(),
+  errorRate: z.number(),
+  averageLatencyMs: z.number(),
+  samples: z.number(),
+  consecutiveFailures: z.number(),
+  retryAt: z.string().nullable(),
+  lastSuccessAt: z.string().nullable(),
+  lastFailureAt: z.string().nullable(),
+  lastError: z.string().nullable(),
+  // Plugin providers may declare extra capabilities
+  capabilities: z.object({
+    currentObservation: z.boolean(),
+    stationSearch: z.boolean(),
+    historicalObservations: z.boolean()
+  }).passthrough()
+});
+
+export const dataSourceStatusOutputSchema = z.object({
+  success: z.literal(true),
+  data: z.object({
+    sources: z.array(sourceHealthSchema),
+    failover_order: z.array(z.string()),
+    rate_limits: z.record(z.any()),
+    cache: z.record(z.any()),
+    coalescing: z.object({
+      inFlight: z.number(),
+      coalescedRequests: z.number()
+    })
+  }),
+  metadata: z.object({
+    checked_at: z.string()
+  })
+});
+
+/**
+ * Convert a zod schema to a JSON Schema suitable for a tool `outputSchema`
+ * Objects allow additional properties so new fields don't break clients.
+ * @param {z.ZodTypeAny} schema - Zod schema
+ * @returns {Object} JSON Schema object
+ */
+export function toOutputSchema(schema) {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, {
+    $refStrategy: 'none',
+    // Emit additionalProperties: true for zod's default (strip) objects
+    removeAdditionalStrategy: 'strict'
+  });
+  return jsonSchema;
+}
+
+export default {
+  currentObservationOutputSchema,
+  currentBatchOutputSchema,
+  areaConditionsOutputSchema,
+  searchStationsOutputSchema,
+  historicalOutputSchema,
+  fireIndicesOutputSchema,
+  nfdrsOutputSchema,
+  fwiOutputSchema,
+  kbdiOutputSchema,
+  dataSourceStatusOutputSchema,
+  toOutputSchema
+};
@@ -21,10 +21,12 @@ import logger from '../logger.js';
  * @param {Object} options - Transformation options
  * @param {Array} options.nwsAlerts - NWS alerts (optional)
  * @param {Array} options.historicalData - Historical observations for detecting changes (optional)
+ * @param {Array} options.fuelMoistureHistory - Hourly observations for modeling fuel moisture
+ *   when the station has no fuel stick (optional)
  * @returns {Object} Data in wildfire_prompt_template.json format
  */
 export function transformToWildfireSchema(rawsData, options = {}) {
-  const { nwsAlerts = [], historicalData = [] } = options;
+  const { nwsAlerts = [], historicalData = [], fuelMoistureHistory = null } = options;
 
   // Validate required fields
   validateRequiredFields(rawsData);
@@ -43,7 +45,7 @@ export function transformToWildfireSchema(rawsData, options = {}) {
         extreme_changes: transformExtremeChanges(rawsData, historicalData)
       },
       data_sources: buildDataSources(rawsData),
-      notes: buildNotes(rawsData, nwsAlerts, historicalData)
+      notes: buildNotes(rawsData, nwsAlerts, historicalData, fuelMoistureHistory)
     };
 
     // Validate against schema
@@ -301,7 +303,7 @@ function buildDataSources(rawsData) {
  * Build notes string with relevant context
  * @private
  */
-function buildNotes(rawsData, nwsAlerts, historicalData) {
+function buildNotes(rawsData, nwsAlerts, historicalData, fuelMoistureHistory) {
   const notes = [];
 
   notes.push('Real-time observations from RAWS station.');
@@ -332,9 +334,13 @@ function buildNotes(rawsData, nwsAlerts, historicalData) {
   } else {
     const estimated = estimate10HourFuelMoisture(
       rawsData.temperature,
-      rawsData.relativeHumidity
+      rawsData.relativeHumidity,
+      fuelMoistureHistory
     );
-    notes.push(`Estimated 10-hour fuel moisture: ${round(estimated, 1)}% (calculated from temperature and humidity).`);
+    const method = fuelMoistureHistory?.length > 0
+      ? 'modeled from recent hourly observations'
+      : 'calculated from temperature and humidity';
+    notes.push(`Estimated 10-hour fuel moisture: ${round(estimated, 1)}% (${method}).`);
   }
 
   return notes.join(' ');
@@ -0,0 +1,239 @@
+/**
+ * MCP server factory
+ * Builds a configured Server instance with all request handlers registered.
+ * Stdio uses a single instance; HTTP transports create one per client session
+ * while sharing the same client manager and cache.
+ */
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import { getToolDefinitions, executeTool } from './tools/index.js';
+import {
+  getResourceTemplates,
+  listResources,
+  readResource
+} from './resources/index.js';
+import subscriptionManager from './resources/subscriptions.js';
+import { getPromptDefinitions, getPrompt } from './prompts/index.js';
+import logger from './logger.js';
+
+export const SERVER_NAME = 'raws-mcp';
+export const SERVER_VERSION = '1.0.0';
+
+// JSON-RPC error code for unknown resources (MCP specification)
+const RESOURCE_NOT_FOUND = -32002;
+
+/**
+ * Convert a handler error result into a JSON-RPC error
+ * @param {Object} error - Error object from a resource or prompt result
+ * @param {number} notFoundCode - JSON-RPC code to use for 404 errors
+ * @returns {McpError} Error to throw from a request handler
+ */
+function toMcpError(error, notFoundCode = RESOURCE_NOT_FOUND) {
+  let code = ErrorCode.InternalError;
+  if (error.status === 404) {
+    code = notFoundCode;
+  } else if (error.status === 400) {
+    code = ErrorCode.InvalidParams;
+  }
+  return new McpError(code, error.message, error);
+}
+
+/**
+ * Create a new MCP server instance with tool, resource and prompt handlers registered
+ * @returns {Server} Configured MCP server
+ */
+export function createServer() {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: SERVER_VERSION
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {
+          subscribe: true
+        },
+        prompts: {}
+      }
+    }
+  );
+
+  // Register tool list handler
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const tools = getToolDefinitions();
+    logger.debug('Listing tools', { count: tools.length });
+    return { tools };
+  });
+
+  // Register tool call handler
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const progressToken = request.params._meta?.progressToken;
+
+    logger.info('Tool called', {
+      tool: name,
+      args: Object.keys(args || {})
+    });
+
+    // Progress is only reported when the client asked for it
+    const reportProgress = progressToken === undefined
+      ? null
+      : (progress, total, message) => extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      });
+
+    try {
+      const result = await executeTool(name, args || {}, {
+        signal: extra.signal,
+        reportProgress
+      });
+
+      // Format response based on success
+      // Successful results are also returned as structuredContent matching
+      // the tool's outputSchema; errors carry text content only
+      if (result.success) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }
+          ],
+          structuredContent: result
+        };
+      } else {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }
+          ],
+          isError: true
+        };
+      }
+    } catch (error) {
+      logger.error('Tool execution failed', {
+        tool: name,
+        error: error.message
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: {
+                code: 'INTERNAL_ERROR',
+                message: error.message,
+                status: 500
+              }
+            }, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  });
+
+  // Register resource list handler
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: listResources() };
+  });
+
+  // Register resource template list handler
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    const resourceTemplates = getResourceTemplates();
+    logger.debug('Listing resource templates', { count: resourceTemplates.length });
+    return { resourceTemplates };
+  });
+
+  // Register resource read handler
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+
+    logger.info('Resource read', { uri });
+
+    const result = await readResource(uri);
+    if (result.success) {
+      return { contents: result.contents };
+    }
+
+    throw toMcpError(result.error);
+  });
+
+  // Resource update notifications for this session
+  const notifyResourceUpdated = (uri) => server.sendResourceUpdated({ uri });
+
+  // Register resource subscribe handler
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+
+    if (!subscriptionManager.subscribe(uri, notifyResourceUpdated)) {
+      throw new McpError(RESOURCE_NOT_FOUND, `Unknown resource URI: ${uri}`, { uri });
+    }
+    return {};
+  });
+
+  // Register resource unsubscribe handler
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptionManager.unsubscribe(request.params.uri, notifyResourceUpdated);
+    return {};
+  });
+
+  // Register prompt list handler
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    const prompts = getPromptDefinitions();
+    logger.debug('Listing prompts', { count: prompts.length });
+    return { prompts };
+  });
+
+  // Register prompt get handler
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+
+    logger.info('Prompt requested', {
+      prompt: name,
+      args: Object.keys(args || {})
+    });
+
+    const result = await getPrompt(name, args || {});
+    if (result.success) {
+      return {
+        description: result.description,
+        messages: result.messages
+      };
+    }
+
+    throw toMcpError(result.error, ErrorCode.InvalidParams);
+  });
+
+  // Set up error and close handlers
+  server.onerror = (error) => {
+    logger.error('MCP Server error', { error: error.message });
+  };
+
+  server.onclose = () => {
+    subscriptionManager.unsubscribeAll(notifyResourceUpdated);
+  };
+
+  return server;
+}
+
+export default createServer;
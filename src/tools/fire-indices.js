@@ -5,18 +5,30 @@
 
 import {
   calculateFosbergFFWI,
+  calculateModifiedFFWI,
   calculateHainesIndex,
   calculateChandlerBurningIndex,
   calculateFireDangerClass,
   isRedFlagConditions,
   estimateIgnitionProbability
 } from '../utils/calculations.js';
+import {
+  calculateNFDRSIndices,
+  describeFuelModel,
+  describeNFDRS,
+  estimateDeadFuelMoisture,
+  resolveNFDRSOptions
+} from '../utils/nfdrs.js';
+import { calculateFWISystem, resolveStartCodes, roundCodes } from '../utils/fwi.js';
+import { KBDI_MAX, fuelAvailabilityFactor } from '../utils/kbdi.js';
+import { fahrenheitToCelsius, inchesToMillimeters, mphToKmh, round } from '../utils/units.js';
 import {
   isValidTemperature,
   isValidHumidity,
   isValidWindSpeed
 } from '../utils/validators.js';
 import config from '../config.js';
+import { fireIndicesOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
 import logger from '../logger.js';
 
 /**
@@ -24,7 +36,7 @@ import logger from '../logger.js';
  */
 export const toolDefinition = {
   name: 'calculate_fire_indices',
-  description: 'Calculate fire weather indices from weather conditions. Computes Fosberg FFWI, Haines Index, Chandler Burning Index, and fire danger classification.',
+  description: 'Calculate fire weather indices from weather conditions. Computes Fosberg FFWI, Haines Index, Chandler Burning Index, and fire danger classification. Pass kbdi to also get the drought-adjusted modified FFWI (use get_kbdi for a station\'s KBDI). Pass fuel_model to also get NFDRS ERC, BI, SC and IC, with dead fuels at equilibrium with the given conditions (use get_nfdrs_indices to drive them from a station\'s history). Set include_fwi to also advance the Canadian FWI System one day, treating the conditions as noon local standard time (use get_fwi_indices to run it over a station\'s history).',
   inputSchema: {
     type: 'object',
     properties: {
@@ -49,10 +61,73 @@ export const toolDefinition = {
         type: 'number',
         description: 'Elevation in feet (optional, used for Haines Index)',
         default: 5000
+      },
+      kbdi: {
+        type: 'number',
+        description: 'Keetch-Byram Drought Index 0-800 (optional), adds the modified Fosberg FFWI'
+      },
+      fuel_model: {
+        type: 'string',
+        description: 'NFDRS fuel model for ERC/BI/SC/IC (optional): V, W, X, Y, Z, or a 1978 model A-U'
+      },
+      slope_class: {
+        type: 'number',
+        description: 'NFDRS slope class 1-5 (default: 1), used with fuel_model',
+        default: 1
+      },
+      herbaceous_moisture: {
+        type: 'number',
+        description: 'Live herbaceous fuel moisture % (default: 30, fully cured), used with fuel_model',
+        default: 30
+      },
+      woody_moisture: {
+        type: 'number',
+        description: 'Live woody fuel moisture % (default: 60, dormant), used with fuel_model',
+        default: 60
+      },
+      include_fwi: {
+        type: 'boolean',
+        description: 'Also calculate the Canadian FWI System (FFMC, DMC, DC, ISI, BUI, FWI, DSR)',
+        default: false
+      },
+      rain_24h: {
+        type: 'number',
+        description: 'Rain in the 24 hours to noon in inches (default: 0), used with include_fwi',
+        default: 0
+      },
+      previous_ffmc: {
+        type: 'number',
+        description: 'Yesterday\'s FFMC (default: 85, the startup value), used with include_fwi'
+      },
+      previous_dmc: {
+        type: 'number',
+        description: 'Yesterday\'s DMC (default: 6, the startup value), used with include_fwi'
+      },
+      previous_dc: {
+        type: 'number',
+        description: 'Yesterday\'s DC (default: 15, or overwintered from fall_dc), used with include_fwi'
+      },
+      fall_dc: {
+        type: 'number',
+        description: 'DC at the end of last fire season, overwintered with winter_precip when previous_dc is not given'
+      },
+      winter_precip: {
+        type: 'number',
+        description: 'Precipitation since the end of last fire season in inches (default: 0)'
+      },
+      month: {
+        type: 'number',
+        description: 'Month 1-12 for DMC and DC day length (default: current month), used with include_fwi'
+      },
+      latitude: {
+        type: 'number',
+        description: 'Latitude for DMC and DC day length (default: 46), used with include_fwi',
+        default: 46
       }
     },
     required: ['temperature', 'relative_humidity', 'wind_speed']
-  }
+  },
+  outputSchema: toOutputSchema(fireIndicesOutputSchema)
 };
 
 /**
@@ -63,6 +138,20 @@ export const toolDefinition = {
  * @param {number} args.wind_speed - Wind speed in mph
  * @param {number} args.fuel_moisture - 10-hour fuel moisture (optional)
  * @param {number} args.elevation - Elevation in feet (optional)
+ * @param {number} args.kbdi - Keetch-Byram Drought Index (optional)
+ * @param {string} args.fuel_model - NFDRS fuel model (optional)
+ * @param {number} args.slope_class - NFDRS slope class 1-5 (optional)
+ * @param {number} args.herbaceous_moisture - Live herbaceous fuel moisture % (optional)
+ * @param {number} args.woody_moisture - Live woody fuel moisture % (optional)
+ * @param {boolean} args.include_fwi - Also calculate the FWI System (optional)
+ * @param {number} args.rain_24h - 24-hour rain in inches, for the FWI System (optional)
+ * @param {number} args.previous_ffmc - Yesterday's FFMC (optional)
+ * @param {number} args.previous_dmc - Yesterday's DMC (optional)
+ * @param {number} args.previous_dc - Yesterday's DC (optional)
+ * @param {number} args.fall_dc - Last season's final DC, to overwinter (optional)
+ * @param {number} args.winter_precip - Winter precipitation in inches (optional)
+ * @param {number} args.month - Month 1-12 (optional)
+ * @param {number} args.latitude - Latitude (optional)
  * @returns {Promise<Object>} Calculated fire weather indices
  */
 export async function handler(args) {
@@ -71,7 +160,13 @@ export async function handler(args) {
     relative_humidity,
     wind_speed,
     fuel_moisture = null,
-    elevation = 5000
+    elevation = 5000,
+    kbdi = null,
+    fuel_model = null,
+    include_fwi = false,
+    rain_24h = 0,
+    month = new Date().getUTCMonth() + 1,
+    latitude = 46
   } = args;
 
   try {
@@ -124,6 +219,49 @@ export async function handler(args) {
       };
     }
 
+    if (kbdi != null && (typeof kbdi !== 'number' || !(kbdi >= 0 && kbdi <= KBDI_MAX))) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_KBDI',
+          message: `Invalid kbdi: ${kbdi}. Must be between 0 and ${KBDI_MAX}.`,
+          status: 400,
+          details: { kbdi }
+        }
+      };
+    }
+
+    const nfdrsOptions = fuel_model != null ? resolveNFDRSOptions(args) : null;
+    if (nfdrsOptions?.error) {
+      return { success: false, error: nfdrsOptions.error };
+    }
+
+    const fwiStart = include_fwi ? resolveStartCodes(args) : null;
+    if (fwiStart?.error) {
+      return { success: false, error: fwiStart.error };
+    }
+
+    if (include_fwi) {
+      const invalid = [
+        ['rain_24h', rain_24h, typeof rain_24h === 'number' && rain_24h >= 0],
+        ['month', month, Number.isInteger(month) && month >= 1 && month <= 12],
+        ['latitude', latitude, typeof latitude === 'number' && latitude >= -90 && latitude <= 90]
+      ].find(([, , valid]) => !valid);
+
+      if (invalid) {
+        const [name, value] = invalid;
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_FWI_INPUT',
+            message: `Invalid ${name}: ${value}.`,
+            status: 400,
+            details: { [name]: value }
+          }
+        };
+      }
+    }
+
     logger.info('Calculating fire indices', {
       temperature,
       relative_humidity,
@@ -134,6 +272,9 @@ export async function handler(args) {
 
     // Calculate all indices
     const fosbergFFWI = calculateFosbergFFWI(temperature, relative_humidity, wind_speed);
+    const modifiedFFWI = kbdi != null
+      ? calculateModifiedFFWI(temperature, relative_humidity, wind_speed, kbdi)
+      : null;
     const hainesIndex = calculateHainesIndex(temperature, relative_humidity, elevation);
     const chandlerBI = calculateChandlerBurningIndex(temperature, relative_humidity, fuel_moisture);
 
@@ -168,7 +309,16 @@ export async function handler(args) {
           value: chandlerBI,
           description: 'Chandler Burning Index',
           interpretation: interpretChandler(chandlerBI)
-        }
+        },
+        ...(kbdi != null && {
+          modified_ffwi: {
+            value: modifiedFFWI,
+            description: 'Modified Fosberg Fire Weather Index (drought-adjusted)',
+            interpretation: interpretFosberg(modifiedFFWI),
+            kbdi,
+            fuel_availability_factor: round(fuelAvailabilityFactor(kbdi), 2)
+          }
+        })
       },
       fire_danger: {
         class: fireDangerClass,
@@ -181,7 +331,25 @@ export async function handler(args) {
         wind_speed,
         fuel_moisture,
         elevation
-      }
+      },
+      ...(nfdrsOptions && {
+        nfdrs: calculateNFDRS(nfdrsOptions.options, temperature, relative_humidity, wind_speed, fuel_moisture)
+      }),
+      ...(fwiStart && {
+        fwi: {
+          ...roundCodes(calculateFWISystem(fwiStart.start, {
+            temperature: fahrenheitToCelsius(temperature),
+            relativeHumidity: relative_humidity,
+            windSpeed: mphToKmh(wind_speed),
+            rain: inchesToMillimeters(rain_24h),
+            month,
+            latitude
+          })),
+          start_codes: { ...fwiStart.start, dc_source: fwiStart.dcSource },
+          month,
+          latitude
+        }
+      })
     };
 
     logger.info('Successfully calculated fire indices', {
@@ -215,6 +383,32 @@ export async function handler(args) {
   }
 }
 
+/**
+ * Calculate NFDRS indices from a single set of conditions
+ * Dead fuels are taken to be at equilibrium with the conditions, except
+ * 10-hour fuels when a fuel stick reading is given.
+ * @private
+ */
+function calculateNFDRS(options, temperature, relativeHumidity, windSpeed, fuelMoisture) {
+  const moisture = {
+    ...estimateDeadFuelMoisture([{ temperature, relativeHumidity, fuelMoisture }]),
+    herbaceous: options.herbaceous,
+    woody: options.woody
+  };
+  const indices = calculateNFDRSIndices(options.fuelModel, {
+    temperature,
+    windSpeed,
+    slopeClass: options.slopeClass,
+    moisture
+  });
+
+  return {
+    fuel_model: describeFuelModel(options.fuelModel),
+    slope_class: options.slopeClass,
+    ...describeNFDRS(indices, moisture)
+  };
+}
+
 /**
  * Interpret Fosberg FFWI value
  * @private
@@ -0,0 +1,245 @@
+/**
+ * get_area_conditions tool
+ * Current conditions for every station in an area, ranked by fire weather
+ */
+
+import clientManager from '../api/client-manager.js';
+import { adaptRawsData } from '../schemas/adapters.js';
+import { calculateFosbergFFWI, isRedFlagConditions } from '../utils/calculations.js';
+import { describeArea, distanceFromCenter, resolveArea } from '../utils/areas.js';
+import { areaConditionsOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
+import logger from '../logger.js';
+
+// Most stations summarized in one call (one batch of current observations)
+const MAX_STATIONS = 100;
+
+/**
+ * Tool definition for MCP
+ */
+export const toolDefinition = {
+  name: 'get_area_conditions',
+  description: 'Get current conditions for every RAWS station in an area (a point and radius, a bounding box, or a GeoJSON polygon such as a district boundary) and rank them: hottest, driest, windiest, highest Fosberg FFWI, and stations meeting Red Flag criteria. Answers "what is the worst station in this area right now" in one call.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      latitude: {
+        type: 'number',
+        description: 'Center latitude for a point and radius search (-90 to 90)'
+      },
+      longitude: {
+        type: 'number',
+        description: 'Center longitude for a point and radius search (-180 to 180)'
+      },
+      radius: {
+        type: 'number',
+        description: 'Search radius in miles around latitude/longitude (default: 25, max: 500)',
+        default: 25
+      },
+      bbox: {
+        type: 'array',
+        items: { type: 'number' },
+        minItems: 4,
+        maxItems: 4,
+        description: 'Bounding box [west, south, east, north] in degrees, instead of latitude/longitude'
+      },
+      polygon: {
+        type: 'object',
+        description: 'GeoJSON Polygon or MultiPolygon (or a Feature with one), with [longitude, latitude] positions, instead of latitude/longitude'
+      },
+      buffer_miles: {
+        type: 'number',
+        description: 'Also include stations up to this many miles outside the area (default: 0)',
+        default: 0
+      },
+      limit: {
+        type: 'number',
+        description: `Maximum number of stations to include (default: 50, max: ${MAX_STATIONS})`,
+        default: 50
+      },
+      top: {
+        type: 'number',
+        description: 'Stations listed in each ranking (default: 5, max: 20)',
+        default: 5
+      }
+    }
+  },
+  outputSchema: toOutputSchema(areaConditionsOutputSchema)
+};
+
+/**
+ * Tool handler
+ * @param {Object} args - Tool arguments (one of latitude/longitude, bbox or polygon)
+ * @param {number} args.latitude - Center latitude
+ * @param {number} args.longitude - Center longitude
+ * @param {number} args.radius - Search radius in miles
+ * @param {Array<number>} args.bbox - [west, south, east, north]
+ * @param {Object} args.polygon - GeoJSON Polygon or MultiPolygon, or a Feature with one
+ * @param {number} args.buffer_miles - Distance outside the area to include
+ * @param {number} args.limit - Maximum number of stations
+ * @param {number} args.top - Stations per ranking
+ * @param {Object} context - Request context
+ * @param {AbortSignal} context.signal - Aborted when the client cancels the request
+ * @returns {Promise<Object>} Station conditions and rankings
+ */
+export async function handler(args, context = {}) {
+  const { limit = 50, top = 5 } = args;
+
+  const { area, error } = resolveArea(args, { defaultRadius: 25 });
+  if (error) {
+    return { success: false, error };
+  }
+
+  const stationLimit = Math.min(Math.max(1, limit), MAX_STATIONS);
+  const rankSize = Math.min(Math.max(1, top), 20);
+
+  try {
+    logger.info('Fetching area conditions', {
+      type: area.type,
+      latitude: area.latitude,
+      longitude: area.longitude,
+      radius: area.radius
+    });
+
+    // Boxes and polygons are searched by their bounding circle, then clipped
+    const candidates = await clientManager.searchStations(
+      area.latitude,
+      area.longitude,
+      area.radius,
+      area.type === 'radius' ? stationLimit : MAX_STATIONS
+    );
+    const stations = candidates
+      .filter(station => area.contains(station.latitude, station.longitude))
+      .slice(0, stationLimit);
+
+    const { results, stats } = stations.length > 0
+      ? await clientManager.getCurrentObservations(stations.map(s => s.id), { signal: context.signal })
+      : { results: [], stats: { cached: 0, batched: 0, individual: 0 } };
+
+    const rows = [];
+    const errors = [];
+    results.forEach((result, i) => {
+      if (result.error) {
+        errors.push({
+          station_id: result.stationId,
+          error: {
+            code: result.error.code || 'UNKNOWN_ERROR',
+            message: result.error.message || 'Failed to retrieve current observation',
+            status: result.error.status || 500
+          }
+        });
+      } else {
+        rows.push(summarizeStation(stations[i], result.station, area));
+      }
+    });
+
+    logger.info('Successfully retrieved area conditions', {
+      type: area.type,
+      stations: stations.length,
+      reporting: rows.length
+    });
+
+    return {
+      success: true,
+      data: {
+        area: describeArea(area),
+        stations: rows,
+        rankings: rankStations(rows, rankSize),
+        errors
+      },
+      metadata: {
+        stations_found: stations.length,
+        stations_reporting: rows.length,
+        stations_failed: errors.length,
+        from_cache: stats.cached,
+        fetch_time: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get area conditions', {
+      type: area.type,
+      error: error.message || error.code
+    });
+
+    return {
+      success: false,
+      error: {
+        code: error.code || 'AREA_CONDITIONS_FAILED',
+        message: error.message || 'Failed to retrieve area conditions',
+        status: error.status || 500,
+        details: describeArea(area)
+      }
+    };
+  }
+}
+
+/**
+ * Summarize one station's current observation
+ * @private
+ * @param {Object} metadata - Station from the search
+ * @param {Object} station - Current observation (Synoptic STATION shape)
+ * @param {Object} area - Area searched
+ * @returns {Object} Station row
+ */
+function summarizeStation(metadata, station, area) {
+  const raws = adaptRawsData(station, station._meta?.source);
+  const { temperature, relativeHumidity, windSpeed, windGust } = raws;
+
+  return {
+    station_id: metadata.id,
+    name: metadata.name ?? raws.stationName ?? null,
+    latitude: metadata.latitude,
+    longitude: metadata.longitude,
+    elevation: metadata.elevation ?? null,
+    distance_miles: distanceFromCenter(area, metadata.latitude, metadata.longitude),
+    observation_time: raws.timestamp ?? null,
+    source: raws.source ?? null,
+    temperature: temperature ?? null,
+    relative_humidity: relativeHumidity ?? null,
+    wind_speed: windSpeed ?? null,
+    wind_gust: windGust ?? null,
+    fosberg_ffwi: calculateFosbergFFWI(temperature, relativeHumidity, windSpeed),
+    // Gusts count toward the wind criterion, as in the Red Flag warnings
+    red_flag: isRedFlagConditions(relativeHumidity, windSpeed == null ? null : Math.max(windSpeed, windGust || 0)),
+    ...(station._meta?.stale && {
+      stale: true,
+      age_seconds: station._meta.age_seconds
+    })
+  };
+}
+
+/**
+ * Rank stations on each fire weather factor
+ * @private
+ * @param {Array<Object>} rows - Station rows
+ * @param {number} top - Stations per ranking
+ * @returns {Object} Rankings of `{ station_id, name, value }`; red_flag lists every station meeting the criteria
+ */
+function rankStations(rows, top) {
+  const rank = (field, descending) => rows
+    .filter(row => row[field] != null)
+    .sort((a, b) => descending ? b[field] - a[field] : a[field] - b[field])
+    .slice(0, top)
+    .map(row => ({ station_id: row.station_id, name: row.name, value: row[field] }));
+
+  return {
+    hottest: rank('temperature', true),
+    driest: rank('relative_humidity', false),
+    windiest: rank('wind_speed', true),
+    highest_ffwi: rank('fosberg_ffwi', true),
+    red_flag: rows
+      .filter(row => row.red_flag)
+      .sort((a, b) => (b.fosberg_ffwi ?? 0) - (a.fosberg_ffwi ?? 0))
+      .map(row => ({
+        station_id: row.station_id,
+        name: row.name,
+        relative_humidity: row.relative_humidity,
+        wind_speed: row.wind_speed,
+        wind_gust: row.wind_gust
+      }))
+  };
+}
+
+export default {
+  toolDefinition,
+  handler
+};
@@ -0,0 +1,193 @@
+/**
+ * get_raws_current_batch tool
+ * Get current weather conditions from many RAWS stations at once
+ */
+
+import clientManager from '../api/client-manager.js';
+import { adaptRawsData } from '../schemas/adapters.js';
+import { transformToWildfireSchema } from '../schemas/transformer.js';
+import { isValidStationId, sanitizeStationId } from '../utils/validators.js';
+import { currentBatchOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
+import logger from '../logger.js';
+
+// Largest sweep accepted in one call (one Synoptic `stid` list)
+const MAX_STATIONS = 100;
+
+/**
+ * Tool definition for MCP
+ */
+export const toolDefinition = {
+  name: 'get_raws_current_batch',
+  description: `Get current weather conditions from up to ${MAX_STATIONS} RAWS stations in one call, e.g. a morning sweep across a dispatch zone. Stations are fetched in as few upstream requests as possible and returned as a table of wildfire-format summaries; stations that fail are listed with their own error instead of failing the whole call.`,
+  inputSchema: {
+    type: 'object',
+    properties: {
+      station_ids: {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: 1,
+        maxItems: MAX_STATIONS,
+        description: 'RAWS station IDs (e.g., ["C5725", "CLKC1"])'
+      }
+    },
+    required: ['station_ids']
+  },
+  outputSchema: toOutputSchema(currentBatchOutputSchema)
+};
+
+/**
+ * Tool handler
+ * @param {Object} args - Tool arguments
+ * @param {Array<string>} args.station_ids - RAWS station IDs
+ * @param {Object} context - Request context
+ * @param {AbortSignal} context.signal - Aborted when the client cancels the request
+ * @returns {Promise<Object>} One row per requested station, in request order
+ */
+export async function handler(args, context = {}) {
+  const { station_ids } = args;
+
+  if (!Array.isArray(station_ids) || station_ids.length === 0 || station_ids.length > MAX_STATIONS) {
+    return {
+      success: false,
+      error: {
+        code: 'INVALID_STATION_IDS',
+        message: `station_ids must be a list of 1 to ${MAX_STATIONS} station IDs.`,
+        status: 400,
+        details: { count: Array.isArray(station_ids) ? station_ids.length : null }
+      }
+    };
+  }
+
+  const requested = station_ids.map(id => ({
+    input: id,
+    stationId: typeof id === 'string' ? sanitizeStationId(id) : null
+  }));
+  const validIds = requested
+    .filter(({ stationId }) => stationId && isValidStationId(stationId))
+    .map(({ stationId }) => stationId);
+
+  try {
+    logger.info('Fetching current observations', { stationCount: validIds.length });
+
+    const { results, stats } = validIds.length > 0
+      ? await clientManager.getCurrentObservations(validIds, { signal: context.signal })
+      : { results: [], stats: { cached: 0, batched: 0, individual: 0 } };
+    const byId = new Map(results.map(result => [result.stationId, result]));
+
+    const stations = requested.map(({ input, stationId }) => {
+      const result = byId.get(stationId);
+      return result ? toRow(result) : invalidRow(input);
+    });
+    const succeeded = stations.filter(row => row.status === 'ok').length;
+
+    logger.info('Successfully retrieved current observations', {
+      requested: stations.length,
+      succeeded,
+      ...stats
+    });
+
+    return {
+      success: true,
+      data: { stations },
+      metadata: {
+        requested: stations.length,
+        succeeded,
+        failed: stations.length - succeeded,
+        from_cache: stats.cached,
+        batched: stats.batched,
+        fetched_individually: stats.individual,
+        fetch_time: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to get current observations', {
+      stationCount: validIds.length,
+      error: error.message || error.code
+    });
+
+    return {
+      success: false,
+      error: {
+        code: error.code || 'UNKNOWN_ERROR',
+        message: error.message || 'Failed to retrieve current observations',
+        status: error.status || 500,
+        details: { stationIds: validIds }
+      }
+    };
+  }
+}
+
+/**
+ * Build the table row for one station's result
+ * @private
+ * @param {Object} result - `{ stationId, station }` or `{ stationId, error }`
+ * @returns {Object} Row with the wildfire summary, or the station's error
+ */
+function toRow({ stationId, station, error }) {
+  if (error) {
+    return errorRow(stationId, error.code === 'STATION_NOT_FOUND'
+      ? { code: 'STATION_NOT_FOUND', message: `Station ${stationId} not found.`, status: 404 }
+      : error);
+  }
+
+  try {
+    const rawsData = adaptRawsData(station, station._meta?.source);
+    return {
+      station_id: stationId,
+      status: 'ok',
+      observation_time: rawsData.timestamp,
+      source: rawsData.source,
+      elevation: rawsData.elevation,
+      coordinates: {
+        latitude: rawsData.latitude,
+        longitude: rawsData.longitude
+      },
+      data: transformToWildfireSchema(rawsData),
+      // Last known reading served from cache past its TTL
+      ...(station._meta?.stale && {
+        stale: true,
+        age_seconds: station._meta.age_seconds
+      })
+    };
+  } catch (transformError) {
+    // e.g., the station reports no temperature, humidity or wind
+    return errorRow(stationId, {
+      code: 'INCOMPLETE_OBSERVATION',
+      message: transformError.message,
+      status: 422
+    });
+  }
+}
+
+/**
+ * Build the row for an ID that failed validation
+ * @private
+ */
+function invalidRow(input) {
+  return errorRow(String(input), {
+    code: 'INVALID_STATION_ID',
+    message: `Invalid station ID: ${input}. Must be 4-6 alphanumeric characters.`,
+    status: 400
+  });
+}
+
+/**
+ * Build an error row
+ * @private
+ */
+function errorRow(stationId, error) {
+  return {
+    station_id: stationId,
+    status: 'error',
+    error: {
+      code: error.code || 'UNKNOWN_ERROR',
+      message: error.message || 'Failed to retrieve current observation',
+      status: error.status || 500
+    }
+  };
+}
+
+export default {
+  toolDefinition,
+  handler
+};
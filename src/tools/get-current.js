@@ -4,12 +4,18 @@
  */
 
 import clientManager from '../api/client-manager.js';
-import { adaptRawsData } from '../schemas/adapters.js';
+import { adaptRawsData, extractTimeSeries } from '../schemas/adapters.js';
 import { transformToWildfireSchema } from '../schemas/transformer.js';
 import { isValidStationId, sanitizeStationId } from '../utils/validators.js';
 import config from '../config.js';
+import { currentObservationOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
 import logger from '../logger.js';
 
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours of history used to model fuel moisture for stations without a fuel stick
+const FUEL_MOISTURE_HISTORY_HOURS = 72;
+
 /**
  * Tool definition for MCP
  */
@@ -30,7 +36,8 @@ export const toolDefinition = {
       }
     },
     required: ['station_id']
-  }
+  },
+  outputSchema: toOutputSchema(currentObservationOutputSchema)
 };
 
 /**
@@ -83,12 +90,17 @@ export async function handler(args) {
       }
     }
 
+    // Stations without a fuel stick get their 10-hour moisture modeled from recent history
+    const fuelMoistureHistory = rawsData.fuelMoisture == null
+      ? await fetchFuelMoistureHistory(stationId)
+      : null;
+
     // Transform to wildfire schema
-    const wildfireData = transformToWildfireSchema(rawsData, { nwsAlerts });
+    const wildfireData = transformToWildfireSchema(rawsData, { nwsAlerts, fuelMoistureHistory });
 
     // Add fire indices if requested
     if (include_fire_indices && config.features.fireIndices) {
-      wildfireData.fire_indices = await calculateFireIndices(rawsData);
+      wildfireData.fire_indices = await calculateFireIndices(rawsData, fuelMoistureHistory);
     }
 
     logger.info('Successfully retrieved current observation', {
@@ -107,7 +119,12 @@ export async function handler(args) {
         coordinates: {
           latitude: rawsData.latitude,
           longitude: rawsData.longitude
-        }
+        },
+        // Last known reading served from cache past its TTL
+        ...(rawStation._meta?.stale && {
+          stale: true,
+          age_seconds: rawStation._meta.age_seconds
+        })
       }
     };
   } catch (error) {
@@ -141,19 +158,55 @@ export async function handler(args) {
   }
 }
 
+/**
+ * Fetch recent hourly observations for modeling fuel moisture
+ * Failures are logged and treated as no history, like NWS alerts.
+ * @private
+ * @param {string} stationId - RAWS station ID
+ * @returns {Promise<Array|null>} Time series, or null if unavailable
+ */
+async function fetchFuelMoistureHistory(stationId) {
+  // Whole hours, so repeated calls within the hour share the cached history
+  const endTime = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+  const startTime = new Date(endTime.getTime() - FUEL_MOISTURE_HISTORY_HOURS * HOUR_MS);
+
+  try {
+    const station = await clientManager.getHistoricalObservations(stationId, startTime, endTime, [
+      'air_temp_value_1',
+      'relative_humidity_value_1',
+      'precip_accum_value_1',
+      'solar_radiation_value_1'
+    ]);
+    const series = extractTimeSeries(station);
+    return series.length > 0 ? series : null;
+  } catch (error) {
+    logger.warn('Failed to fetch history for fuel moisture', {
+      stationId,
+      error: error.message || error.code
+    });
+    return null;
+  }
+}
+
 /**
  * Calculate fire weather indices
  * @private
+ * @param {Object} rawsData - Normalized observation
+ * @param {Array|null} fuelMoistureHistory - Recent history when the station has no fuel stick
  */
-async function calculateFireIndices(rawsData) {
+async function calculateFireIndices(rawsData, fuelMoistureHistory = null) {
   const {
     calculateFosbergFFWI,
     calculateHainesIndex,
     calculateChandlerBurningIndex,
-    calculateFireDangerClass
+    calculateFireDangerClass,
+    estimate10HourFuelMoisture
   } = await import('../utils/calculations.js');
 
-  const { temperature, relativeHumidity, windSpeed, fuelMoisture, elevation } = rawsData;
+  const { temperature, relativeHumidity, windSpeed, elevation } = rawsData;
+  const fuelMoisture = rawsData.fuelMoisture ?? (fuelMoistureHistory
+    ? estimate10HourFuelMoisture(temperature, relativeHumidity, fuelMoistureHistory)
+    : null);
 
   return {
     fosberg_ffwi: calculateFosbergFFWI(temperature, relativeHumidity, windSpeed),
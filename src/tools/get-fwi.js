@@ -0,0 +1,155 @@
+/**
+ * get_fwi_indices tool
+ * Canadian FWI System codes and indices for a RAWS station from its hourly history
+ */
+
+import { checkHistoryArgs, fetchStationHistory, historyMetadata, resolveUtcOffset } from './station-history.js';
+import { resolveStartCodes, runFWISystem } from '../utils/fwi.js';
+import { fwiOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
+import logger from '../logger.js';
+
+const MAX_HISTORY_DAYS = 90;
+
+/**
+ * Tool definition for MCP
+ */
+export const toolDefinition = {
+  name: 'get_fwi_indices',
+  description: 'Calculate the Canadian Forest Fire Weather Index (FWI) System for a RAWS station: daily Fine Fuel Moisture Code (FFMC), Duff Moisture Code (DMC), Drought Code (DC), Initial Spread Index (ISI), Buildup Index (BUI), Fire Weather Index (FWI) and Daily Severity Rating (DSR) from noon local standard time observations. Codes start from yesterday\'s values, an overwintered DC, or the standard startup values (FFMC 85, DMC 6, DC 15).',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      station_id: {
+        type: 'string',
+        description: 'RAWS station ID (e.g., "C5725", "CLKC1")'
+      },
+      history_days: {
+        type: 'number',
+        description: `Days of history to run the codes over; DMC and DC need a few weeks to settle from startup values (default: 30, max: ${MAX_HISTORY_DAYS})`,
+        default: 30
+      },
+      previous_ffmc: {
+        type: 'number',
+        description: 'FFMC for the day before the history starts (default: 85)'
+      },
+      previous_dmc: {
+        type: 'number',
+        description: 'DMC for the day before the history starts (default: 6)'
+      },
+      previous_dc: {
+        type: 'number',
+        description: 'DC for the day before the history starts (default: 15, or overwintered from fall_dc)'
+      },
+      fall_dc: {
+        type: 'number',
+        description: 'DC at the end of last fire season; with winter_precip, gives an overwintered starting DC'
+      },
+      winter_precip: {
+        type: 'number',
+        description: 'Precipitation since the end of last fire season in inches (default: 0)'
+      },
+      utc_offset: {
+        type: 'number',
+        description: 'Station local standard time offset from UTC in hours, e.g. -7 for MST (default: estimated from longitude)'
+      }
+    },
+    required: ['station_id']
+  },
+  outputSchema: toOutputSchema(fwiOutputSchema)
+};
+
+/**
+ * Tool handler
+ * @param {Object} args - Tool arguments
+ * @param {string} args.station_id - RAWS station ID
+ * @param {number} args.history_days - Days of history to use
+ * @param {number} args.previous_ffmc - Starting FFMC
+ * @param {number} args.previous_dmc - Starting DMC
+ * @param {number} args.previous_dc - Starting DC
+ * @param {number} args.fall_dc - Last season's final DC, to overwinter
+ * @param {number} args.winter_precip - Winter precipitation in inches
+ * @param {number} args.utc_offset - Local standard time offset from UTC in hours
+ * @param {Object} context - Request context, passed on to get_raws_historical
+ * @returns {Promise<Object>} Daily FWI System values, latest first in `current`
+ */
+export async function handler(args, context = {}) {
+  const { station_id, history_days = 30, utc_offset } = args;
+
+  const invalid = checkHistoryArgs({ history_days, utc_offset }, MAX_HISTORY_DAYS);
+  if (invalid) {
+    return invalid;
+  }
+
+  const { start, dcSource, error } = resolveStartCodes(args);
+  if (error) {
+    return { success: false, error };
+  }
+
+  logger.info('Calculating FWI System', {
+    stationId: station_id,
+    historyDays: history_days,
+    dcSource
+  });
+
+  const history = await fetchStationHistory(
+    station_id,
+    history_days,
+    ['air_temp', 'relative_humidity', 'wind_speed', 'precip_accum'],
+    context
+  );
+
+  if (!history.success) {
+    return history;
+  }
+
+  const latitude = history.metadata.coordinates?.latitude;
+  const { utcOffset, source: utcOffsetSource } = resolveUtcOffset(utc_offset, history);
+  const daily = runFWISystem(history.data.time_series, {
+    latitude: latitude ?? 46,
+    utcOffset,
+    start
+  });
+
+  if (daily.length === 0) {
+    return {
+      success: false,
+      error: {
+        code: 'INSUFFICIENT_DATA',
+        message: `Station ${history.data.station_id} has no noon temperature, humidity and wind observations in the last ${history_days} days.`,
+        status: 422,
+        details: { stationId: history.data.station_id }
+      }
+    };
+  }
+
+  const current = daily[daily.length - 1];
+
+  logger.info('Successfully calculated FWI System', {
+    stationId: history.data.station_id,
+    days: daily.length,
+    fwi: current.fwi
+  });
+
+  return {
+    success: true,
+    data: {
+      station_id: history.data.station_id,
+      station_name: history.data.station_name ?? null,
+      start_codes: { ...start, dc_source: dcSource },
+      current,
+      daily
+    },
+    metadata: {
+      ...historyMetadata(history),
+      latitude: latitude ?? null,
+      utc_offset: utcOffset,
+      utc_offset_source: utcOffsetSource,
+      days: daily.length
+    }
+  };
+}
+
+export default {
+  toolDefinition,
+  handler
+};
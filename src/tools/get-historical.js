@@ -5,20 +5,25 @@
 
 import clientManager from '../api/client-manager.js';
 import { extractTimeSeries } from '../schemas/adapters.js';
+import { modelDeadFuelMoisture } from '../utils/fuel-moisture.js';
 import {
   isValidStationId,
   sanitizeStationId,
   validateDateRange,
   parseDate
 } from '../utils/validators.js';
+import config from '../config.js';
+import { historicalOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
 import logger from '../logger.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * Tool definition for MCP
  */
 export const toolDefinition = {
   name: 'get_raws_historical',
-  description: 'Retrieve historical weather data from a RAWS station for trend analysis. Returns time-series data for specified variables.',
+  description: 'Retrieve historical weather data from a RAWS station for trend analysis. Returns time-series data for specified variables. Long ranges are fetched in chunks with progress notifications and can be cancelled.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -39,12 +44,18 @@ export const toolDefinition = {
         items: {
           type: 'string'
         },
-        description: 'Specific variables to retrieve (optional). Options: air_temp, relative_humidity, wind_speed, wind_gust, wind_direction, precip_accum, fuel_moisture',
+        description: 'Specific variables to retrieve (optional). Options: air_temp, relative_humidity, wind_speed, wind_gust, wind_direction, precip_accum, fuel_moisture, solar_radiation',
         default: null
+      },
+      model_fuel_moisture: {
+        type: 'boolean',
+        description: 'Also return modeled 1-, 10-, 100- and 1000-hour dead fuel moisture for each observation (Nelson model, driven by temperature, humidity, solar radiation and precipitation)',
+        default: false
       }
     },
     required: ['station_id', 'start_time', 'end_time']
-  }
+  },
+  outputSchema: toOutputSchema(historicalOutputSchema)
 };
 
 /**
@@ -54,15 +65,21 @@ export const toolDefinition = {
  * @param {string} args.start_time - Start time (ISO 8601)
  * @param {string} args.end_time - End time (ISO 8601)
  * @param {Array<string>} args.variables - Specific variables (optional)
+ * @param {boolean} args.model_fuel_moisture - Include modeled dead fuel moisture (optional)
+ * @param {Object} context - Request context (optional)
+ * @param {AbortSignal} context.signal - Cancels remaining chunks
+ * @param {Function} context.reportProgress - Called after each chunk
  * @returns {Promise<Object>} Historical time-series data
  */
-export async function handler(args) {
+export async function handler(args, context = {}) {
   const {
     station_id,
     start_time,
     end_time,
-    variables = null
+    variables = null,
+    model_fuel_moisture = false
   } = args;
+  const { signal = null, reportProgress = null } = context;
 
   try {
     // Validate and sanitize station ID
@@ -130,16 +147,50 @@ export async function handler(args) {
       variables: apiVariables
     });
 
-    // Get historical observations from client manager
-    const rawStation = await clientManager.getHistoricalObservations(
-      stationId,
-      startDate,
-      endDate,
-      apiVariables
-    );
+    // Long ranges are fetched in chunks so progress can be reported and
+    // a cancelled pull stops between (and during) upstream requests
+    const chunks = splitDateRange(startDate, endDate, config.historicalChunkDays * DAY_MS);
+    const timeSeries = [];
+    const seen = new Set();
+    let rawStation = null;
+    let staleAge = null;
+    let notFoundError = null;
 
-    // Extract time series
-    const timeSeries = extractTimeSeries(rawStation);
+    for (let i = 0; i < chunks.length; i++) {
+      if (signal?.aborted) {
+        return cancelledResult(stationId, i, chunks.length);
+      }
+
+      const fetched = await fetchChunk(stationId, chunks[i], apiVariables, signal);
+      if (fetched.notFound) {
+        notFoundError = fetched.notFound;
+      }
+      rawStation = rawStation || fetched.station;
+      if (fetched.station?._meta?.stale) {
+        staleAge = Math.max(staleAge ?? 0, fetched.station._meta.age_seconds);
+      }
+
+      // Chunk boundaries are inclusive, so skip repeated timestamps
+      for (const observation of extractTimeSeries(fetched.station)) {
+        if (!seen.has(observation.timestamp)) {
+          seen.add(observation.timestamp);
+          timeSeries.push(observation);
+        }
+      }
+
+      if (reportProgress) {
+        await reportProgress(
+          i + 1,
+          chunks.length,
+          `Fetched ${chunks[i].end.toISOString().slice(0, 10)} (${i + 1}/${chunks.length})`
+        );
+      }
+    }
+
+    // Only a station missing from every chunk is unknown
+    if (!rawStation) {
+      throw notFoundError;
+    }
 
     if (timeSeries.length === 0) {
       return {
@@ -164,6 +215,7 @@ export async function handler(args) {
         station_id: stationId,
         station_name: rawStation.NAME,
         time_series: timeSeries,
+        ...(model_fuel_moisture && { fuel_moisture_model: modelDeadFuelMoisture(timeSeries) }),
         start_time: start_time,
         end_time: end_time
       },
@@ -174,10 +226,19 @@ export async function handler(args) {
         coordinates: {
           latitude: parseFloat(rawStation.LATITUDE),
           longitude: parseFloat(rawStation.LONGITUDE)
-        }
+        },
+        // Some chunks were served from cache past their TTL
+        ...(staleAge !== null && {
+          stale: true,
+          age_seconds: staleAge
+        })
       }
     };
   } catch (error) {
+    if (error.code === 'REQUEST_CANCELLED') {
+      return cancelledResult(station_id);
+    }
+
     logger.error('Failed to get historical data', {
       stationId: station_id,
       error: error.message
@@ -207,6 +268,81 @@ export async function handler(args) {
   }
 }
 
+/**
+ * Split a date range into consecutive chunks of at most chunkMs
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end
+ * @param {number} chunkMs - Maximum chunk length in milliseconds
+ * @returns {Array<{start: Date, end: Date}>} Chunks covering the range
+ */
+export function splitDateRange(startDate, endDate, chunkMs) {
+  const chunks = [];
+  let start = startDate.getTime();
+  const end = endDate.getTime();
+
+  if (!(chunkMs > 0)) {
+    return [{ start: new Date(start), end: new Date(end) }];
+  }
+
+  while (start < end) {
+    const chunkEnd = Math.min(start + chunkMs, end);
+    chunks.push({ start: new Date(start), end: new Date(chunkEnd) });
+    start = chunkEnd;
+  }
+
+  return chunks;
+}
+
+/**
+ * Fetch one chunk of a historical range
+ * Sources report a window without observations as a missing station (the
+ * station was offline, e.g. over winter), so that is treated as an empty
+ * chunk; the caller decides whether the station exists at all.
+ * @private
+ * @returns {Promise<Object>} `{ station }`, or `{ station: null, notFound }` with the error
+ */
+async function fetchChunk(stationId, chunk, apiVariables, signal) {
+  try {
+    const station = await clientManager.getHistoricalObservations(
+      stationId,
+      chunk.start,
+      chunk.end,
+      apiVariables,
+      { signal }
+    );
+    return { station };
+  } catch (error) {
+    if (error.code !== 'STATION_NOT_FOUND') {
+      throw error;
+    }
+
+    logger.debug('No observations in historical chunk', {
+      stationId,
+      start: chunk.start,
+      end: chunk.end
+    });
+    return { station: null, notFound: error };
+  }
+}
+
+/**
+ * Build the result returned when the client cancels the request
+ * @private
+ */
+function cancelledResult(stationId, completed = null, total = null) {
+  logger.info('Historical request cancelled', { stationId, completed, total });
+
+  return {
+    success: false,
+    error: {
+      code: 'REQUEST_CANCELLED',
+      message: `Historical data request for station ${stationId} was cancelled.`,
+      status: 499,
+      details: { stationId, chunks_completed: completed, chunks_total: total }
+    }
+  };
+}
+
 /**
  * Map user-friendly variable names to API format
  * @private
@@ -219,7 +355,8 @@ function mapVariablesToApi(variables) {
     'wind_gust': 'wind_gust_value_1',
     'wind_direction': 'wind_direction_value_1',
     'precip_accum': 'precip_accum_value_1',
-    'fuel_moisture': 'fuel_moisture_value_1'
+    'fuel_moisture': 'fuel_moisture_value_1',
+    'solar_radiation': 'solar_radiation_value_1'
   };
 
   return variables
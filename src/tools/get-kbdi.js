@@ -0,0 +1,179 @@
+/**
+ * get_kbdi tool
+ * Keetch-Byram Drought Index and modified Fosberg FFWI for a RAWS station from its hourly history
+ */
+
+import {
+  checkHistoryArgs,
+  fetchStationHistory,
+  historyMetadata,
+  latestWeather,
+  resolveUtcOffset
+} from './station-history.js';
+import { KBDI_MAX, dailyWeather, fuelAvailabilityFactor, interpretKBDI, runKBDI } from '../utils/kbdi.js';
+import { calculateFosbergFFWI, calculateModifiedFFWI } from '../utils/calculations.js';
+import { round } from '../utils/units.js';
+import config from '../config.js';
+import { kbdiOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
+import logger from '../logger.js';
+
+const MAX_HISTORY_DAYS = 365;
+
+/**
+ * Tool definition for MCP
+ */
+export const toolDefinition = {
+  name: 'get_kbdi',
+  description: 'Calculate the Keetch-Byram Drought Index (KBDI, 0-800) day by day for a RAWS station from its daily maximum temperature and rainfall, and the Goodrick modified Fosberg Fire Weather Index (mFFWI) for the latest observation, which scales FFWI up in drought. KBDI starts from start_kbdi (default 0, saturated soil) at the beginning of the history.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      station_id: {
+        type: 'string',
+        description: 'RAWS station ID (e.g., "C5725", "CLKC1")'
+      },
+      history_days: {
+        type: 'number',
+        description: `Days of history to run KBDI over; start after a soaking rain or give start_kbdi (default: 90, max: ${MAX_HISTORY_DAYS})`,
+        default: 90
+      },
+      start_kbdi: {
+        type: 'number',
+        description: 'KBDI for the day before the history starts (default: 0)',
+        default: 0
+      },
+      annual_precip: {
+        type: 'number',
+        description: `Mean annual precipitation at the station in inches (default: ${config.kbdiAnnualPrecip})`
+      },
+      utc_offset: {
+        type: 'number',
+        description: 'Station local standard time offset from UTC in hours, e.g. -7 for MST (default: estimated from longitude)'
+      }
+    },
+    required: ['station_id']
+  },
+  outputSchema: toOutputSchema(kbdiOutputSchema)
+};
+
+/**
+ * Tool handler
+ * @param {Object} args - Tool arguments
+ * @param {string} args.station_id - RAWS station ID
+ * @param {number} args.history_days - Days of history to use
+ * @param {number} args.start_kbdi - Starting KBDI
+ * @param {number} args.annual_precip - Mean annual precipitation in inches
+ * @param {number} args.utc_offset - Local standard time offset from UTC in hours
+ * @param {Object} context - Request context, passed on to get_raws_historical
+ * @returns {Promise<Object>} Daily KBDI and the latest mFFWI
+ */
+export async function handler(args, context = {}) {
+  const {
+    station_id,
+    history_days = 90,
+    start_kbdi = 0,
+    annual_precip = config.kbdiAnnualPrecip,
+    utc_offset
+  } = args;
+
+  const invalid = checkHistoryArgs({ history_days, utc_offset }, MAX_HISTORY_DAYS);
+  if (invalid) {
+    return invalid;
+  }
+
+  const invalidArg = [
+    ['start_kbdi', start_kbdi, 'INVALID_KBDI', `between 0 and ${KBDI_MAX}`, start_kbdi >= 0 && start_kbdi <= KBDI_MAX],
+    ['annual_precip', annual_precip, 'INVALID_ANNUAL_PRECIP', 'between 1 and 200 inches', annual_precip >= 1 && annual_precip <= 200]
+  ].find(([, value, , , valid]) => !valid || typeof value !== 'number');
+
+  if (invalidArg) {
+    const [name, value, code, range] = invalidArg;
+    return {
+      success: false,
+      error: {
+        code,
+        message: `Invalid ${name}: ${value}. Must be ${range}.`,
+        status: 400,
+        details: { [name]: value }
+      }
+    };
+  }
+
+  logger.info('Calculating KBDI', {
+    stationId: station_id,
+    historyDays: history_days,
+    annualPrecip: annual_precip
+  });
+
+  const history = await fetchStationHistory(
+    station_id,
+    history_days,
+    ['air_temp', 'relative_humidity', 'wind_speed', 'precip_accum'],
+    context
+  );
+
+  if (!history.success) {
+    return history;
+  }
+
+  const series = history.data.time_series;
+  const { utcOffset, source: utcOffsetSource } = resolveUtcOffset(utc_offset, history);
+  const daily = runKBDI(dailyWeather(series, utcOffset), { annualPrecip: annual_precip, start: start_kbdi });
+
+  if (daily.length === 0) {
+    return {
+      success: false,
+      error: {
+        code: 'INSUFFICIENT_DATA',
+        message: `Station ${history.data.station_id} has no temperature observations in the last ${history_days} days.`,
+        status: 422,
+        details: { stationId: history.data.station_id }
+      }
+    };
+  }
+
+  const current = daily[daily.length - 1];
+  const latest = latestWeather(series);
+
+  logger.info('Successfully calculated KBDI', {
+    stationId: history.data.station_id,
+    days: daily.length,
+    kbdi: current.kbdi
+  });
+
+  return {
+    success: true,
+    data: {
+      station_id: history.data.station_id,
+      station_name: history.data.station_name ?? null,
+      current: { ...current, interpretation: interpretKBDI(current.kbdi) },
+      daily,
+      modified_ffwi: latest
+        ? {
+            value: calculateModifiedFFWI(latest.temperature, latest.relativeHumidity, latest.windSpeed, current.kbdi),
+            fosberg_ffwi: calculateFosbergFFWI(latest.temperature, latest.relativeHumidity, latest.windSpeed),
+            fuel_availability_factor: round(fuelAvailabilityFactor(current.kbdi), 2),
+            observation_time: latest.timestamp,
+            weather: {
+              temperature: latest.temperature,
+              relative_humidity: latest.relativeHumidity,
+              wind_speed: latest.windSpeed
+            }
+          }
+        : null
+    },
+    metadata: {
+      ...historyMetadata(history),
+      annual_precip,
+      start_kbdi,
+      utc_offset: utcOffset,
+      utc_offset_source: utcOffsetSource,
+      days: daily.length
+    }
+  };
+}
+
+export default {
+  toolDefinition,
+  handler
+};
@@ -0,0 +1,165 @@
+/**
+ * get_nfdrs_indices tool
+ * NFDRS indices (ERC, BI, SC, IC) for a RAWS station from its hourly history
+ */
+
+import { checkHistoryArgs, fetchStationHistory, historyMetadata, latestWeather } from './station-history.js';
+import {
+  calculateNFDRSIndices,
+  describeFuelModel,
+  describeNFDRS,
+  estimateDeadFuelMoisture,
+  resolveNFDRSOptions
+} from '../utils/nfdrs.js';
+import { nfdrsOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
+import logger from '../logger.js';
+
+const MAX_HISTORY_DAYS = 30;
+
+/**
+ * Tool definition for MCP
+ */
+export const toolDefinition = {
+  name: 'get_nfdrs_indices',
+  description: 'Calculate National Fire Danger Rating System (NFDRS) indices for a RAWS station: Energy Release Component (ERC), Burning Index (BI), Spread Component (SC) and Ignition Component (IC), for an NFDRS 2016 fuel model (V, W, X, Y, Z) or a 1978 fuel model (A-U). Dead fuel moistures are estimated from the station\'s hourly history; weather for SC, BI and IC is the latest observation.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      station_id: {
+        type: 'string',
+        description: 'RAWS station ID (e.g., "C5725", "CLKC1")'
+      },
+      fuel_model: {
+        type: 'string',
+        description: 'NFDRS fuel model: V (grass), W (grass-shrub), X (brush), Y (timber), Z (slash), or a 1978 model A-U (default: Y)',
+        default: 'Y'
+      },
+      slope_class: {
+        type: 'number',
+        description: 'NFDRS slope class 1-5 (1: 0-25%, 2: 26-40%, 3: 41-55%, 4: 56-75%, 5: over 75%; default: 1)',
+        default: 1
+      },
+      herbaceous_moisture: {
+        type: 'number',
+        description: 'Live herbaceous fuel moisture % (default: 30, fully cured)',
+        default: 30
+      },
+      woody_moisture: {
+        type: 'number',
+        description: 'Live woody fuel moisture % (default: 60, dormant)',
+        default: 60
+      },
+      history_days: {
+        type: 'number',
+        description: `Days of hourly history used for dead fuel moisture (default: 7, max: ${MAX_HISTORY_DAYS})`,
+        default: 7
+      }
+    },
+    required: ['station_id']
+  },
+  outputSchema: toOutputSchema(nfdrsOutputSchema)
+};
+
+/**
+ * Tool handler
+ * @param {Object} args - Tool arguments
+ * @param {string} args.station_id - RAWS station ID
+ * @param {string} args.fuel_model - NFDRS fuel model letter
+ * @param {number} args.slope_class - NFDRS slope class 1-5
+ * @param {number} args.herbaceous_moisture - Live herbaceous fuel moisture %
+ * @param {number} args.woody_moisture - Live woody fuel moisture %
+ * @param {number} args.history_days - Days of history to use
+ * @param {Object} context - Request context, passed on to get_raws_historical
+ * @returns {Promise<Object>} NFDRS indices with the fuel moistures used
+ */
+export async function handler(args, context = {}) {
+  const { station_id, history_days = 7 } = args;
+
+  const invalid = checkHistoryArgs({ history_days }, MAX_HISTORY_DAYS);
+  if (invalid) {
+    return invalid;
+  }
+
+  const { options, error } = resolveNFDRSOptions(args);
+  if (error) {
+    return { success: false, error };
+  }
+
+  logger.info('Calculating NFDRS indices', {
+    stationId: station_id,
+    fuelModel: options.fuelModel,
+    historyDays: history_days
+  });
+
+  const history = await fetchStationHistory(
+    station_id,
+    history_days,
+    ['air_temp', 'relative_humidity', 'wind_speed', 'precip_accum', 'fuel_moisture', 'solar_radiation'],
+    context
+  );
+
+  if (!history.success) {
+    return history;
+  }
+
+  const series = history.data.time_series;
+  const latest = latestWeather(series);
+  const deadMoisture = estimateDeadFuelMoisture(series);
+
+  if (!latest || !deadMoisture) {
+    return {
+      success: false,
+      error: {
+        code: 'INSUFFICIENT_DATA',
+        message: `Station ${history.data.station_id} has no recent temperature, humidity and wind observations to rate.`,
+        status: 422,
+        details: { stationId: history.data.station_id }
+      }
+    };
+  }
+
+  const moisture = {
+    ...deadMoisture,
+    herbaceous: options.herbaceous,
+    woody: options.woody
+  };
+  const indices = calculateNFDRSIndices(options.fuelModel, {
+    temperature: latest.temperature,
+    windSpeed: latest.windSpeed,
+    slopeClass: options.slopeClass,
+    moisture
+  });
+
+  logger.info('Successfully calculated NFDRS indices', {
+    stationId: history.data.station_id,
+    fuelModel: options.fuelModel,
+    erc: indices.energyReleaseComponent,
+    bi: indices.burningIndex
+  });
+
+  return {
+    success: true,
+    data: {
+      station_id: history.data.station_id,
+      station_name: history.data.station_name ?? null,
+      fuel_model: describeFuelModel(options.fuelModel),
+      observation_time: latest.timestamp,
+      ...describeNFDRS(indices, moisture),
+      weather: {
+        temperature: latest.temperature,
+        relative_humidity: latest.relativeHumidity,
+        wind_speed: latest.windSpeed
+      }
+    },
+    metadata: {
+      ...historyMetadata(history),
+      slope_class: options.slopeClass,
+      observations: series.length
+    }
+  };
+}
+
+export default {
+  toolDefinition,
+  handler
+};
@@ -4,18 +4,30 @@
  */
 
 import * as getCurrentTool from './get-current.js';
+import * as getCurrentBatchTool from './get-current-batch.js';
+import * as getAreaConditionsTool from './get-area-conditions.js';
 import * as searchStationsTool from './search-stations.js';
 import * as getHistoricalTool from './get-historical.js';
 import * as fireIndicesTool from './fire-indices.js';
+import * as nfdrsTool from './get-nfdrs.js';
+import * as fwiTool from './get-fwi.js';
+import * as kbdiTool from './get-kbdi.js';
+import * as sourceStatusTool from './source-status.js';
 
 /**
  * All available tools
  */
 export const tools = [
   getCurrentTool,
+  getCurrentBatchTool,
+  getAreaConditionsTool,
   searchStationsTool,
   getHistoricalTool,
-  fireIndicesTool
+  fireIndicesTool,
+  nfdrsTool,
+  fwiTool,
+  kbdiTool,
+  sourceStatusTool
 ];
 
 /**
@@ -45,9 +57,12 @@ export function getToolHandler(name) {
  * Execute a tool with given arguments
  * @param {string} name - Tool name
  * @param {Object} args - Tool arguments
+ * @param {Object} context - Request context (optional)
+ * @param {AbortSignal} context.signal - Aborted when the client cancels the request
+ * @param {Function} context.reportProgress - (progress, total, message) => Promise, or null
  * @returns {Promise<Object>} Tool result
  */
-export async function executeTool(name, args) {
+export async function executeTool(name, args, context = {}) {
   const handler = getToolHandler(name);
 
   if (!handler) {
@@ -63,7 +78,7 @@ export async function executeTool(name, args) {
   }
 
   try {
-    return await handler(args);
+    return await handler(args, context);
   } catch (error) {
     return {
       success: false,
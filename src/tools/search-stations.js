@@ -1,22 +1,23 @@
 /**
  * search_raws_stations tool
- * Find RAWS stations near a location
+ * Find RAWS stations near a location, in a bounding box, or in a polygon
  */
 
 import clientManager from '../api/client-manager.js';
-import {
-  isValidLatitude,
-  isValidLongitude,
-  isValidRadius
-} from '../utils/validators.js';
+import { describeArea, distanceFromCenter, resolveArea } from '../utils/areas.js';
+import { round } from '../utils/units.js';
+import { searchStationsOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
 import logger from '../logger.js';
 
+// Stations requested upstream for a box or polygon, before clipping to the area
+const AREA_SEARCH_LIMIT = 100;
+
 /**
  * Tool definition for MCP
  */
 export const toolDefinition = {
   name: 'search_raws_stations',
-  description: 'Find RAWS (Remote Automatic Weather Station) stations near a location. Returns station metadata including ID, name, location, and elevation.',
+  description: 'Find RAWS (Remote Automatic Weather Station) stations near a location, in a bounding box, or inside a GeoJSON polygon such as a fire perimeter or Predictive Service Area (optionally with a buffer distance); or by state, county, NWS fire weather zone, Geographic Area Coordination Center (GACC) or network. Returns station metadata including ID, name, location, and elevation.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -33,108 +34,153 @@ export const toolDefinition = {
         description: 'Search radius in miles (default: 50, max: 500)',
         default: 50
       },
+      bbox: {
+        type: 'array',
+        items: { type: 'number' },
+        minItems: 4,
+        maxItems: 4,
+        description: 'Bounding box [west, south, east, north] in degrees, instead of latitude/longitude'
+      },
+      polygon: {
+        type: 'object',
+        description: 'GeoJSON Polygon or MultiPolygon (or a Feature with one), with [longitude, latitude] positions, instead of latitude/longitude'
+      },
+      buffer_miles: {
+        type: 'number',
+        description: 'Also include stations up to this many miles outside the bbox, polygon or fire zone (default: 0)',
+        default: 0
+      },
+      state: {
+        type: 'string',
+        description: 'Two-letter state code (e.g., "AZ"), instead of an area'
+      },
+      county: {
+        type: 'string',
+        description: 'County name (e.g., "Coconino"); requires state'
+      },
+      fire_zone: {
+        type: 'string',
+        description: 'NWS fire weather zone ID (e.g., "AZZ132"), instead of an area or other filters'
+      },
+      gacc: {
+        type: 'string',
+        description: 'Geographic Area Coordination Center code (e.g., "SWCC"), instead of an area'
+      },
+      network: {
+        type: 'string',
+        description: 'Station networks: "RAWS", "NWS" or network IDs, comma-separated (default: "RAWS,NWS")'
+      },
       limit: {
         type: 'number',
         description: 'Maximum number of stations to return (default: 10, max: 50)',
         default: 10
       }
-    },
-    required: ['latitude', 'longitude']
-  }
+    }
+  },
+  outputSchema: toOutputSchema(searchStationsOutputSchema)
 };
 
 /**
  * Tool handler
+ * Stations are selected either by an area (one of latitude/longitude, bbox
+ * or polygon) or by filters (state, county, GACC, network, or an NWS fire
+ * weather zone), not both.
  * @param {Object} args - Tool arguments
  * @param {number} args.latitude - Latitude
  * @param {number} args.longitude - Longitude
  * @param {number} args.radius - Search radius in miles
+ * @param {Array<number>} args.bbox - [west, south, east, north]
+ * @param {Object} args.polygon - GeoJSON Polygon or MultiPolygon, or a Feature with one
+ * @param {number} args.buffer_miles - Distance outside the bbox, polygon or fire zone to include
+ * @param {string} args.state - Two-letter state code
+ * @param {string} args.county - County name (requires state)
+ * @param {string} args.fire_zone - NWS fire weather zone (e.g., "AZZ132")
+ * @param {string} args.gacc - Geographic Area Coordination Center (e.g., "SWCC")
+ * @param {string} args.network - Network names ("RAWS", "NWS") or IDs, comma-separated
  * @param {number} args.limit - Maximum number of results
  * @returns {Promise<Object>} Array of station metadata
  */
 export async function handler(args) {
-  const {
-    latitude,
-    longitude,
-    radius = 50,
-    limit = 10
-  } = args;
+  const { limit = 10 } = args;
 
-  try {
-    // Validate inputs
-    if (!isValidLatitude(latitude)) {
-      return {
-        success: false,
-        error: {
-          code: 'INVALID_LATITUDE',
-          message: `Invalid latitude: ${latitude}. Must be between -90 and 90.`,
-          status: 400,
-          details: { latitude }
-        }
-      };
-    }
+  // Enforce limits
+  const searchLimit = Math.min(Math.max(1, limit), 50);
 
-    if (!isValidLongitude(longitude)) {
-      return {
-        success: false,
-        error: {
-          code: 'INVALID_LONGITUDE',
-          message: `Invalid longitude: ${longitude}. Must be between -180 and 180.`,
-          status: 400,
-          details: { longitude }
-        }
-      };
-    }
+  const { filters, error: filterError } = resolveFilters(args);
+  if (filterError) {
+    return { success: false, error: filterError };
+  }
 
-    if (!isValidRadius(radius)) {
+  if (filters) {
+    const { latitude, longitude, bbox, polygon } = args;
+    if ([latitude, longitude, bbox, polygon].some(value => value !== undefined)) {
       return {
         success: false,
-        error: {
-          code: 'INVALID_RADIUS',
-          message: `Invalid radius: ${radius}. Must be between 1 and 500 miles.`,
-          status: 400,
-          details: { radius }
-        }
+        ...invalidFilter('Search by an area (latitude/longitude, bbox or polygon) or by filters, not both.', {})
       };
     }
 
-    // Enforce limits
-    const searchLimit = Math.min(Math.max(1, limit), 50);
-    const searchRadius = Math.min(radius, 500);
+    return filters.fire_zone
+      ? searchFireZone(filters.fire_zone, args.buffer_miles, searchLimit)
+      : searchByFilter(filters, searchLimit);
+  }
 
+  const { area, error } = resolveArea(args);
+  if (error) {
+    return { success: false, error };
+  }
+
+  return searchArea(area, searchLimit);
+}
+
+/**
+ * Search the stations in an area
+ * @private
+ * @param {Object} area - Area from resolveArea()
+ * @param {number} searchLimit - Maximum number of results
+ * @param {Object} extra - Extra fields for `data` (e.g., the fire zone searched)
+ * @returns {Promise<Object>} Tool result
+ */
+async function searchArea(area, searchLimit, extra = {}) {
+  try {
     logger.info('Searching for stations', {
-      latitude,
-      longitude,
-      radius: searchRadius,
+      type: area.type,
+      latitude: area.latitude,
+      longitude: area.longitude,
+      radius: area.radius,
       limit: searchLimit
     });
 
-    // Search stations using client manager (with failover)
+    // Search stations using client manager (with failover); boxes and
+    // polygons are searched by their bounding circle, then clipped
     const stations = await clientManager.searchStations(
-      latitude,
-      longitude,
-      searchRadius,
-      searchLimit
+      area.latitude,
+      area.longitude,
+      area.radius,
+      area.type === 'radius' ? searchLimit : AREA_SEARCH_LIMIT
     );
 
-    // Calculate distances and sort by distance
-    const stationsWithDistance = stations.map(station => {
-      const distance = calculateDistance(
-        latitude,
-        longitude,
-        station.latitude,
-        station.longitude
-      );
-
-      return {
+    // Calculate distances and sort by distance (to the edge for boxes and
+    // polygons, so stations inside come first, then the nearest outside)
+    const stationsWithDistance = stations
+      .filter(station => area.contains(station.latitude, station.longitude))
+      .map(station => ({
         ...station,
-        distance_miles: Math.round(distance * 10) / 10
-      };
-    }).sort((a, b) => a.distance_miles - b.distance_miles);
+        distance_miles: distanceFromCenter(area, station.latitude, station.longitude),
+        ...(area.distanceToEdge && {
+          distance_to_edge_miles: round(area.distanceToEdge(station.latitude, station.longitude), 1)
+        })
+      }))
+      .sort((a, b) =>
+        (a.distance_to_edge_miles ?? 0) - (b.distance_to_edge_miles ?? 0) ||
+        a.distance_miles - b.distance_miles
+      )
+      .slice(0, searchLimit);
 
     logger.info('Successfully found stations', {
-      latitude,
-      longitude,
+      type: area.type,
+      latitude: area.latitude,
+      longitude: area.longitude,
       count: stationsWithDistance.length
     });
 
@@ -143,10 +189,12 @@ export async function handler(args) {
       data: {
         stations: stationsWithDistance,
         search_location: {
-          latitude,
-          longitude
+          latitude: area.latitude,
+          longitude: area.longitude
         },
-        search_radius_miles: searchRadius
+        search_radius_miles: area.radius,
+        search_area: describeArea(area),
+        ...extra
       },
       metadata: {
         count: stationsWithDistance.length,
@@ -155,48 +203,174 @@ export async function handler(args) {
     };
   } catch (error) {
     logger.error('Failed to search stations', {
-      latitude,
-      longitude,
+      type: area.type,
+      latitude: area.latitude,
+      longitude: area.longitude,
       error: error.message
     });
 
+    return searchFailed(error, describeArea(area));
+  }
+}
+
+/**
+ * Search the stations in an NWS fire weather zone
+ * The zone boundary comes from the NWS API and is searched as a polygon,
+ * so every data source can answer.
+ * @private
+ * @param {string} zoneId - Fire weather zone ID
+ * @param {number} bufferMiles - Distance outside the zone to include (optional)
+ * @param {number} searchLimit - Maximum number of results
+ * @returns {Promise<Object>} Tool result
+ */
+async function searchFireZone(zoneId, bufferMiles, searchLimit) {
+  let zone;
+  try {
+    zone = await clientManager.getNWSFireZone(zoneId);
+  } catch (error) {
+    logger.error('Failed to look up fire weather zone', { zoneId, error: error.message });
+    return searchFailed(error, { fire_zone: zoneId });
+  }
+
+  const { area, error } = resolveArea({ polygon: zone.geometry, buffer_miles: bufferMiles });
+  if (error) {
+    // e.g., a zone without a usable boundary
+    return searchFailed(error, { fire_zone: zoneId });
+  }
+
+  return searchArea(area, searchLimit, {
+    search_filters: { fire_zone: zone.id },
+    fire_zone: {
+      id: zone.id,
+      name: zone.name,
+      state: zone.state,
+      cwa: zone.cwa
+    }
+  });
+}
+
+/**
+ * Search stations by state, county, GACC or network
+ * @private
+ * @param {Object} filters - Filters from resolveFilters()
+ * @param {number} searchLimit - Maximum number of results
+ * @returns {Promise<Object>} Tool result
+ */
+async function searchByFilter(filters, searchLimit) {
+  try {
+    logger.info('Searching for stations by filter', { ...filters, limit: searchLimit });
+
+    const stations = await clientManager.searchStationsByFilter(filters, searchLimit);
+    const results = stations
+      .map(station => ({ ...station, distance_miles: null }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+
+    logger.info('Successfully found stations', { ...filters, count: results.length });
+
     return {
-      success: false,
-      error: {
-        code: error.code || 'SEARCH_FAILED',
-        message: error.message || 'Failed to search for stations',
-        status: error.status || 500,
-        details: { latitude, longitude, radius }
+      success: true,
+      data: {
+        stations: results,
+        search_location: {
+          latitude: null,
+          longitude: null
+        },
+        search_radius_miles: null,
+        search_filters: filters
+      },
+      metadata: {
+        count: results.length,
+        search_time: new Date().toISOString()
       }
     };
+  } catch (error) {
+    logger.error('Failed to search stations by filter', { ...filters, error: error.message });
+    return searchFailed(error, filters);
+  }
+}
+
+/**
+ * Validate and normalize the station filters in the tool arguments
+ * @private
+ * @returns {Object} `{ filters }` (null when none are given) or `{ error }`
+ */
+function resolveFilters(args) {
+  const { state, county, fire_zone, gacc, network } = args;
+  const filters = {};
+
+  if (state !== undefined) {
+    if (typeof state !== 'string' || !/^[A-Z]{2}$/i.test(state)) {
+      return invalidFilter(`Invalid state: ${state}. Use a two-letter code (e.g., "CO").`, { state });
+    }
+    filters.state = state.toUpperCase();
+  }
+
+  if (county !== undefined) {
+    if (typeof county !== 'string' || county.trim() === '') {
+      return invalidFilter(`Invalid county: ${county}.`, { county });
+    }
+    if (!filters.state) {
+      return invalidFilter('county requires state (county names repeat across states).', { county });
+    }
+    filters.county = county.trim();
+  }
+
+  if (gacc !== undefined) {
+    if (typeof gacc !== 'string' || !/^[A-Z]{4,5}$/i.test(gacc)) {
+      return invalidFilter(`Invalid gacc: ${gacc}. Use the center's code (e.g., "SWCC").`, { gacc });
+    }
+    filters.gacc = gacc.toUpperCase();
+  }
+
+  if (network !== undefined) {
+    if (typeof network !== 'string' || !/^[A-Z0-9/]+(,\s*[A-Z0-9/]+)*$/i.test(network)) {
+      return invalidFilter(`Invalid network: ${network}. Use "RAWS", "NWS" or network IDs, comma-separated.`, { network });
+    }
+    filters.network = network.toUpperCase().replace(/\s/g, '');
   }
+
+  if (fire_zone !== undefined) {
+    if (typeof fire_zone !== 'string' || !/^[A-Z]{2}Z\d{3}$/i.test(fire_zone)) {
+      return invalidFilter(`Invalid fire_zone: ${fire_zone}. Use an NWS fire weather zone ID (e.g., "AZZ132").`, { fire_zone });
+    }
+    if (Object.keys(filters).length > 0) {
+      return invalidFilter('fire_zone cannot be combined with other filters.', { fire_zone });
+    }
+    filters.fire_zone = fire_zone.toUpperCase();
+  }
+
+  return { filters: Object.keys(filters).length > 0 ? filters : null };
 }
 
 /**
- * Calculate distance between two points using Haversine formula
+ * Build an INVALID_FILTER error result
  * @private
- * @returns {number} Distance in miles
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Earth's radius in miles
-  const dLat = toRadians(lat2 - lat1);
-  const dLon = toRadians(lon2 - lon1);
-
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+function invalidFilter(message, details) {
+  return {
+    error: {
+      code: 'INVALID_FILTER',
+      message,
+      status: 400,
+      details
+    }
+  };
 }
 
 /**
- * Convert degrees to radians
+ * Build the result for a failed search
  * @private
  */
-function toRadians(degrees) {
-  return degrees * (Math.PI / 180);
+function searchFailed(error, details) {
+  return {
+    success: false,
+    error: {
+      code: error.code || 'SEARCH_FAILED',
+      message: error.message || 'Failed to search for stations',
+      status: error.status || 500,
+      details
+    }
+  };
 }
 
 export default {
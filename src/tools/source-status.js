@@ -0,0 +1,52 @@
+/**
+ * get_data_source_status tool
+ * Report upstream data source health for diagnostics
+ */
+
+import clientManager from '../api/client-manager.js';
+import { dataSourceStatusOutputSchema, toOutputSchema } from '../schemas/output-schemas.js';
+import logger from '../logger.js';
+
+/**
+ * Tool definition for MCP
+ */
+export const toolDefinition = {
+  name: 'get_data_source_status',
+  description: 'Report the health of each upstream data source: circuit breaker state, recent error rate and latency, current failover order, rate limiter queues, cache statistics, and request coalescing counts. Use this to diagnose slow or failing requests.',
+  inputSchema: {
+    type: 'object',
+    properties: {}
+  },
+  outputSchema: toOutputSchema(dataSourceStatusOutputSchema)
+};
+
+/**
+ * Tool handler
+ * @returns {Promise<Object>} Source health, rate limit, cache and coalescing statistics
+ */
+export async function handler() {
+  const sources = clientManager.getSourceHealth();
+
+  logger.debug('Reporting data source status', {
+    sources: sources.map(s => `${s.source}:${s.state}`)
+  });
+
+  return {
+    success: true,
+    data: {
+      sources,
+      failover_order: sources.map(s => s.source),
+      rate_limits: clientManager.getRateLimitStats(),
+      cache: clientManager.getCacheStats(),
+      coalescing: clientManager.getCoalescingStats()
+    },
+    metadata: {
+      checked_at: new Date().toISOString()
+    }
+  };
+}
+
+export default {
+  toolDefinition,
+  handler
+};
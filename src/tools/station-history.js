@@ -0,0 +1,134 @@
+/**
+ * Station history helpers
+ * Shared by the tools that rate fire danger from a station's recent hourly
+ * observations (get_nfdrs_indices, get_fwi_indices, get_kbdi): argument
+ * checks, the history fetch and the metadata describing it.
+ */
+
+import { handler as getHistoricalHandler } from './get-historical.js';
+import { estimateUtcOffset } from '../utils/fwi.js';
+import config from '../config.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Check the fire indices feature flag and the shared history arguments
+ * @param {Object} args - Tool arguments
+ * @param {number} args.history_days - Days of history to use
+ * @param {number} args.utc_offset - Local standard time offset from UTC in hours (optional)
+ * @param {number} maxHistoryDays - Longest history the tool accepts
+ * @returns {Object|null} Failed tool result, or null when the arguments are valid
+ */
+export function checkHistoryArgs({ history_days, utc_offset }, maxHistoryDays) {
+  if (!config.features.fireIndices) {
+    return {
+      success: false,
+      error: {
+        code: 'FEATURE_DISABLED',
+        message: 'Fire indices calculation is disabled. Set ENABLE_FIRE_INDICES=true to enable.',
+        status: 403
+      }
+    };
+  }
+
+  if (typeof history_days !== 'number' || !(history_days >= 1 && history_days <= maxHistoryDays)) {
+    return {
+      success: false,
+      error: {
+        code: 'INVALID_HISTORY_DAYS',
+        message: `Invalid history_days: ${history_days}. Must be between 1 and ${maxHistoryDays}.`,
+        status: 400,
+        details: { history_days }
+      }
+    };
+  }
+
+  if (utc_offset !== undefined && (typeof utc_offset !== 'number' || !(utc_offset >= -12 && utc_offset <= 14))) {
+    return {
+      success: false,
+      error: {
+        code: 'INVALID_UTC_OFFSET',
+        message: `Invalid utc_offset: ${utc_offset}. Must be between -12 and 14 hours.`,
+        status: 400,
+        details: { utc_offset }
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Fetch the last historyDays days of a station's hourly observations
+ * The window ends on the hour, so repeated calls within the hour share
+ * the cached history chunks.
+ * @param {string} stationId - RAWS station ID
+ * @param {number} historyDays - Days of history, ending at the start of the current hour
+ * @param {Array<string>} variables - Variables to request
+ * @param {Object} context - Request context, passed on to get_raws_historical
+ * @returns {Promise<Object>} get_raws_historical result
+ */
+export async function fetchStationHistory(stationId, historyDays, variables, context = {}) {
+  const endTime = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+  const startTime = new Date(endTime.getTime() - historyDays * DAY_MS);
+
+  return getHistoricalHandler({
+    station_id: stationId,
+    start_time: startTime.toISOString(),
+    end_time: endTime.toISOString(),
+    variables
+  }, context);
+}
+
+/**
+ * Latest observation with temperature, humidity and wind
+ * @param {Array<Object>} series - Time series, oldest first
+ * @returns {Object|undefined} Observation, or undefined if there is none
+ */
+export function latestWeather(series) {
+  return [...series].reverse().find(point =>
+    point.temperature != null && point.relativeHumidity != null && point.windSpeed != null
+  );
+}
+
+/**
+ * Station UTC offset: the one given, or estimated from the station's longitude
+ * @param {number} utcOffset - Offset from the tool arguments (optional)
+ * @param {Object} history - get_raws_historical result
+ * @returns {{utcOffset: number, source: string}} Offset and "provided" or "estimated"
+ */
+export function resolveUtcOffset(utcOffset, history) {
+  if (utcOffset !== undefined) {
+    return { utcOffset, source: 'provided' };
+  }
+
+  const longitude = history.metadata.coordinates?.longitude;
+  return { utcOffset: longitude != null ? estimateUtcOffset(longitude) : 0, source: 'estimated' };
+}
+
+/**
+ * Metadata shared by the history-based tools
+ * @param {Object} history - get_raws_historical result
+ * @returns {Object} Source, history window, calculation time and staleness
+ */
+export function historyMetadata(history) {
+  return {
+    source: history.metadata.source ?? null,
+    history_start: history.data.start_time,
+    history_end: history.data.end_time,
+    calculation_time: new Date().toISOString(),
+    ...(history.metadata.stale && {
+      stale: true,
+      age_seconds: history.metadata.age_seconds
+    })
+  };
+}
+
+export default {
+  checkHistoryArgs,
+  fetchStationHistory,
+  latestWeather,
+  resolveUtcOffset,
+  historyMetadata
+};
@@ -0,0 +1,253 @@
+/**
+ * HTTP transports for the MCP server
+ * Serves Streamable HTTP on /mcp and legacy SSE on /sse + /messages so a
+ * single shared server (and its warm cache) can handle many MCP clients.
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import config from '../config.js';
+import logger from '../logger.js';
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Start the HTTP server hosting Streamable HTTP and SSE endpoints
+ * @param {Function} createServer - Factory returning a new MCP Server per session
+ * @param {Object} options - Listen options (defaults to config.http)
+ * @param {string} options.host - Interface to bind
+ * @param {number} options.port - Port to listen on
+ * @returns {Promise<Object>} Handle with `httpServer`, `sessions` and `close()`
+ */
+export async function startHttpServer(createServer, options = {}) {
+  const { host, port, allowedHosts, allowedOrigins } = { ...config.http, ...options };
+
+  // sessionId -> { transport, server, type }
+  const sessions = new Map();
+
+  const transportOptions = {
+    allowedHosts: allowedHosts.length > 0 ? allowedHosts : undefined,
+    allowedOrigins: allowedOrigins.length > 0 ? allowedOrigins : undefined,
+    enableDnsRebindingProtection: allowedHosts.length > 0 || allowedOrigins.length > 0
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname === MCP_PATH) {
+        await handleStreamableRequest(req, res);
+      } else if (url.pathname === SSE_PATH && req.method === 'GET') {
+        await handleSseConnect(res);
+      } else if (url.pathname === MESSAGES_PATH && req.method === 'POST') {
+        await handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      } else if (url.pathname === '/health' && req.method === 'GET') {
+        sendJson(res, 200, { status: 'ok', sessions: sessions.size });
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      if (error.code === 'PAYLOAD_TOO_LARGE') {
+        logger.warn('HTTP request body too large', { method: req.method, path: url.pathname });
+        // Stop reading the rest of the upload
+        res.setHeader('Connection', 'close');
+        sendJsonRpcError(res, error.status, -32600, error.message);
+        return;
+      }
+
+      logger.error('HTTP request handling failed', {
+        method: req.method,
+        path: url.pathname,
+        error: error.message
+      });
+
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  });
+
+  /**
+   * Route a Streamable HTTP request (POST/GET/DELETE) to its session
+   */
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (body === null) {
+      sendJsonRpcError(res, 400, -32700, 'Parse error: Invalid JSON');
+      return;
+    }
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session || session.type !== 'streamable') {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        sessions.set(id, { transport, server, type: 'streamable' });
+        logger.info('MCP session opened', { sessionId: id, transport: 'streamable-http' });
+      },
+      ...transportOptions
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        logger.info('MCP session closed', {
+          sessionId: transport.sessionId,
+          transport: 'streamable-http'
+        });
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Open a legacy SSE stream and register its session
+   */
+  async function handleSseConnect(res) {
+    const server = createServer();
+    const transport = new SSEServerTransport(MESSAGES_PATH, res, transportOptions);
+
+    sessions.set(transport.sessionId, { transport, server, type: 'sse' });
+    logger.info('MCP session opened', { sessionId: transport.sessionId, transport: 'sse' });
+
+    res.on('close', () => {
+      sessions.delete(transport.sessionId);
+      logger.info('MCP session closed', { sessionId: transport.sessionId, transport: 'sse' });
+    });
+
+    await server.connect(transport);
+  }
+
+  /**
+   * Deliver a client message to an open SSE session
+   */
+  async function handleSseMessage(req, res, sessionId) {
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session || session.type !== 'sse') {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+
+    const body = await readJsonBody(req);
+    if (body === null) {
+      sendJsonRpcError(res, 400, -32700, 'Parse error: Invalid JSON');
+      return;
+    }
+
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  logger.info('HTTP transport listening', {
+    host,
+    port: address.port,
+    endpoints: [MCP_PATH, SSE_PATH, MESSAGES_PATH]
+  });
+
+  return {
+    httpServer,
+    sessions,
+    port: address.port,
+
+    /**
+     * Close every open session and stop accepting connections
+     */
+    async close() {
+      for (const { transport, server } of sessions.values()) {
+        await transport.close().catch(() => {});
+        await server.close().catch(() => {});
+      }
+      sessions.clear();
+      await new Promise(resolve => httpServer.close(() => resolve()));
+    }
+  };
+}
+
+/**
+ * Read and parse a JSON request body
+ * @private
+ * @returns {Promise<any|null>} Parsed body, or null if empty or not valid JSON
+ * @throws {Object} PAYLOAD_TOO_LARGE (413) past MAX_BODY_BYTES
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw {
+        code: 'PAYLOAD_TOO_LARGE',
+        message: `Request body exceeds ${MAX_BODY_BYTES} bytes`,
+        status: 413
+      };
+    }
+    chunks.push(chunk);
+  }
+
+  if (chunks.length === 0) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send a JSON response
+ * @private
+ */
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Send a JSON-RPC error response
+ * @private
+ */
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, {
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+export default {
+  startHttpServer
+};
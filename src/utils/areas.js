@@ -0,0 +1,240 @@
+/**
+ * Search areas for station tools
+ * An area is a point and radius, a bounding box, or a GeoJSON polygon
+ * (e.g., a fire perimeter or a Predictive Service Area), optionally grown by
+ * a buffer distance. Upstream searches only take a point and radius, so
+ * boxes and polygons are searched by a circle around them and the results
+ * clipped with contains().
+ */
+
+import {
+  calculateDistance,
+  distanceToPolygonEdge,
+  getBoundingCircle,
+  isPointInBoundingBox,
+  isPointInPolygon
+} from './geo.js';
+import { isValidCoordinates, isValidLatitude, isValidLongitude, isValidRadius } from './validators.js';
+import { round } from './units.js';
+
+/**
+ * Work out the area to search from tool arguments
+ * Exactly one of latitude/longitude, `bbox` or `polygon` must be given.
+ * @param {Object} args - Tool arguments
+ * @param {number} args.latitude - Center latitude
+ * @param {number} args.longitude - Center longitude
+ * @param {number} args.radius - Radius in miles around the center
+ * @param {Array<number>} args.bbox - [west, south, east, north]
+ * @param {Object} args.polygon - GeoJSON Polygon or MultiPolygon, or a Feature with one
+ * @param {number} args.buffer_miles - Distance beyond the area's edge to include (default: 0)
+ * @param {Object} options - Options
+ * @param {number} options.defaultRadius - Radius when none is given (default: 50)
+ * @returns {Object} `{ area }` or `{ error }`. The area has the circle to search
+ *   (`latitude`, `longitude`, `radius`) and `contains(lat, lon)`; box and
+ *   polygon areas also have `distanceToEdge(lat, lon)` (0 inside)
+ */
+export function resolveArea(args, { defaultRadius = 50 } = {}) {
+  const { latitude, longitude, radius = defaultRadius, bbox, polygon, buffer_miles: buffer = 0 } = args;
+  const given = [latitude !== undefined || longitude !== undefined, bbox !== undefined, polygon !== undefined]
+    .filter(Boolean).length;
+
+  if (given !== 1) {
+    return invalidArea('Provide exactly one area: latitude/longitude (with radius), bbox, or polygon.', {});
+  }
+
+  if (typeof buffer !== 'number' || isNaN(buffer) || buffer < 0) {
+    return invalidArea(`Invalid buffer_miles: ${buffer}. Must be zero or more.`, { buffer_miles: buffer });
+  }
+
+  if (bbox !== undefined) {
+    const corners = Array.isArray(bbox) ? bbox : [];
+    const [west, south, east, north] = corners;
+    if (corners.length !== 4 || !isValidCoordinates(south, west) || !isValidCoordinates(north, east) ||
+        west >= east || south >= north) {
+      return invalidArea('Invalid bbox. Expected [west, south, east, north] with west < east and south < north.', { bbox });
+    }
+
+    const ring = [[west, south], [east, south], [east, north], [west, north], [west, south]];
+    return polygonArea('bbox', [[ring]], buffer, (lat, lon) => isPointInBoundingBox(lat, lon, bbox), { bbox });
+  }
+
+  if (polygon !== undefined) {
+    const polygons = readPolygons(polygon);
+    if (!polygons) {
+      return invalidArea(
+        'Invalid polygon. Expected a GeoJSON Polygon or MultiPolygon with closed rings of [longitude, latitude] positions.',
+        {}
+      );
+    }
+
+    const inside = (lat, lon) => polygons.some(rings => isPointInPolygon(lat, lon, rings));
+    return polygonArea('polygon', polygons, buffer, inside);
+  }
+
+  if (!isValidLatitude(latitude)) {
+    return {
+      error: {
+        code: 'INVALID_LATITUDE',
+        message: `Invalid latitude: ${latitude}. Must be between -90 and 90.`,
+        status: 400,
+        details: { latitude }
+      }
+    };
+  }
+
+  if (!isValidLongitude(longitude)) {
+    return {
+      error: {
+        code: 'INVALID_LONGITUDE',
+        message: `Invalid longitude: ${longitude}. Must be between -180 and 180.`,
+        status: 400,
+        details: { longitude }
+      }
+    };
+  }
+
+  if (!isValidRadius(radius)) {
+    return {
+      error: {
+        code: 'INVALID_RADIUS',
+        message: `Invalid radius: ${radius}. Must be between 1 and 500 miles.`,
+        status: 400,
+        details: { radius }
+      }
+    };
+  }
+
+  // A buffer around a circle is a larger circle, which the upstream search applies
+  return withinSearchLimit({
+    type: 'radius',
+    latitude,
+    longitude,
+    radius: radius + buffer,
+    buffer,
+    contains: () => true,
+    distanceToEdge: null
+  });
+}
+
+/**
+ * Describe an area for tool results
+ * @param {Object} area - Area from resolveArea()
+ * @returns {Object} `{ type, center, radius_miles, buffer_miles, bbox? }`
+ */
+export function describeArea(area) {
+  return {
+    type: area.type,
+    center: {
+      latitude: round(area.latitude, 4),
+      longitude: round(area.longitude, 4)
+    },
+    radius_miles: area.radius,
+    buffer_miles: area.buffer,
+    ...(area.bbox && { bbox: area.bbox })
+  };
+}
+
+/**
+ * Distance from an area's search center to a point
+ * @param {Object} area - Area from resolveArea()
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @returns {number|null} Miles, rounded to 0.1, or null without coordinates
+ */
+export function distanceFromCenter(area, latitude, longitude) {
+  if (latitude == null || longitude == null) {
+    return null;
+  }
+  return round(calculateDistance(area.latitude, area.longitude, latitude, longitude), 1);
+}
+
+/**
+ * Build a box or polygon area searched by its bounding circle
+ * @private
+ * @param {string} type - "bbox" or "polygon"
+ * @param {Array} polygons - Polygon `coordinates` arrays
+ * @param {number} buffer - Buffer distance in miles
+ * @param {Function} inside - (lat, lon) => true if the point is in the area itself
+ * @param {Object} extra - Extra area fields
+ */
+function polygonArea(type, polygons, buffer, inside, extra = {}) {
+  const circle = getBoundingCircle(polygons.flatMap(rings => rings[0]));
+
+  const distanceToEdge = (lat, lon) => inside(lat, lon)
+    ? 0
+    : Math.min(...polygons.map(rings => distanceToPolygonEdge(lat, lon, rings)));
+
+  return withinSearchLimit({
+    type,
+    ...extra,
+    ...circle,
+    radius: Math.ceil(circle.radius + buffer),
+    buffer,
+    contains: (lat, lon) => lat != null && lon != null &&
+      (inside(lat, lon) || (buffer > 0 && distanceToEdge(lat, lon) <= buffer)),
+    distanceToEdge
+  });
+}
+
+/**
+ * Read the polygons from a GeoJSON Polygon, MultiPolygon or Feature
+ * Every ring needs at least four positions and must be closed.
+ * @private
+ * @returns {Array|null} Polygon `coordinates` arrays, or null if invalid
+ */
+function readPolygons(geoJson) {
+  const geometry = geoJson?.type === 'Feature' ? geoJson.geometry : geoJson;
+  const polygons = geometry?.type === 'Polygon'
+    ? [geometry.coordinates]
+    : geometry?.type === 'MultiPolygon' ? geometry.coordinates : null;
+
+  // GeoJSON rings are closed: the last position repeats the first
+  const isClosed = ring => ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1];
+  const isValidRing = ring => Array.isArray(ring) && ring.length >= 4 &&
+    ring.every(position => Array.isArray(position) && isValidCoordinates(position[1], position[0])) &&
+    isClosed(ring);
+  const valid = Array.isArray(polygons) && polygons.length > 0 &&
+    polygons.every(rings => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing));
+
+  return valid ? polygons : null;
+}
+
+/**
+ * Reject areas wider than the upstream search allows
+ * @private
+ */
+function withinSearchLimit(area) {
+  const { radius } = area;
+  if (!isValidRadius(radius)) {
+    return {
+      error: {
+        code: 'AREA_TOO_LARGE',
+        message: `Area is too large to search (${radius} miles from its center, including any buffer; max 500).`,
+        status: 400,
+        details: { radius }
+      }
+    };
+  }
+  return { area };
+}
+
+/**
+ * Build an INVALID_AREA error result
+ * @private
+ */
+function invalidArea(message, details) {
+  return {
+    error: {
+      code: 'INVALID_AREA',
+      message,
+      status: 400,
+      details
+    }
+  };
+}
+
+export default {
+  resolveArea,
+  describeArea,
+  distanceFromCenter
+};
@@ -4,8 +4,12 @@
  * - NFDRS: https://www.nwcg.gov/publications/pms437
  * - Fosberg FFWI: https://www.fs.usda.gov/research/treesearch/4442
  * - Haines Index: https://www.weather.gov/source/zhu/ZHU_Training_Page/turbulence_stuff/haines/haines.htm
+ * - Modified FFWI: Goodrick (2002), Int. J. Wildland Fire 11
  */
 
+import { modelDeadFuelMoisture } from './fuel-moisture.js';
+import { fuelAvailabilityFactor } from './kbdi.js';
+
 /**
  * Calculate Fosberg Fire Weather Index (FFWI)
  * Combines temperature, relative humidity, and wind speed
@@ -21,6 +25,14 @@ export function calculateFosbergFFWI(temperature, relativeHumidity, windSpeed) {
     return null;
   }
 
+  return Math.round(fosbergFFWI(temperature, relativeHumidity, windSpeed));
+}
+
+/**
+ * Unrounded Fosberg FFWI, shared with the modified FFWI
+ * @private
+ */
+function fosbergFFWI(temperature, relativeHumidity, windSpeed) {
   // Ensure values are in valid ranges
   relativeHumidity = Math.max(1, Math.min(100, relativeHumidity));
   windSpeed = Math.max(0, windSpeed);
@@ -38,9 +50,26 @@ export function calculateFosbergFFWI(temperature, relativeHumidity, windSpeed) {
 
   // FFWI = η × √(1 + U²)
   // Where U is wind speed
-  const ffwi = eta * Math.sqrt(1 + windSpeed * windSpeed);
+  return eta * Math.sqrt(1 + windSpeed * windSpeed);
+}
 
-  return Math.round(ffwi);
+/**
+ * Calculate the modified Fosberg Fire Weather Index (mFFWI)
+ * Scales FFWI by a fuel availability factor from the Keetch-Byram Drought
+ * Index, so the same afternoon weather rates higher in a drought.
+ *
+ * @param {number} temperature - Temperature in Fahrenheit
+ * @param {number} relativeHumidity - Relative humidity (0-100%)
+ * @param {number} windSpeed - Wind speed in mph
+ * @param {number} kbdi - Keetch-Byram Drought Index (0-800)
+ * @returns {number|null} mFFWI value
+ */
+export function calculateModifiedFFWI(temperature, relativeHumidity, windSpeed, kbdi) {
+  if (temperature == null || relativeHumidity == null || windSpeed == null || kbdi == null) {
+    return null;
+  }
+
+  return Math.round(fosbergFFWI(temperature, relativeHumidity, windSpeed) * fuelAvailabilityFactor(kbdi));
 }
 
 /**
@@ -148,12 +177,20 @@ export function calculateChandlerBurningIndex(temperature, relativeHumidity, fue
 /**
  * Estimate 10-hour fuel moisture from temperature and RH
  * 10-hour fuels are dead fuels with diameter of 0.25 to 1 inch
+ * With recent hourly history the Nelson model is run over it, which
+ * accounts for time lag, rain and solar heating; otherwise EMC is used.
  *
  * @param {number} temperature - Temperature in Fahrenheit
  * @param {number} relativeHumidity - Relative humidity (0-100%)
+ * @param {Array<Object>} history - Hourly observations from extractTimeSeries(), oldest first (optional)
  * @returns {number} Estimated fuel moisture percentage
  */
-export function estimate10HourFuelMoisture(temperature, relativeHumidity) {
+export function estimate10HourFuelMoisture(temperature, relativeHumidity, history = null) {
+  const modeled = history ? modelDeadFuelMoisture(history) : [];
+  if (modeled.length > 0) {
+    return modeled[modeled.length - 1].tenHour;
+  }
+
   // Use EMC as approximation for 10-hour fuel moisture
   return calculateEquilibriumMoistureContent(temperature, relativeHumidity);
 }
@@ -0,0 +1,191 @@
+/**
+ * Dead fuel moisture model
+ * After Nelson (2000): each size class is a wood cylinder whose surface
+ * tracks the equilibrium moisture of the air it sees and whose interior
+ * follows by radial diffusion. The stick surface is heated by the sun
+ * (which lowers the humidity it sees) and wetted by rain.
+ * References:
+ * - Nelson (2000), Prediction of diurnal change in 10-h fuel stick moisture content, Can. J. For. Res. 30
+ * - Nelson (1984), A method for describing equilibrium moisture content of forest fuels, Can. J. For. Res. 14
+ * - Carlson et al. (2007), Application of the Nelson model to four timelag fuel classes, Int. J. Wildland Fire 16
+ */
+
+// Stick radius (cm) per size class (Carlson et al. 2007)
+export const FUEL_SIZE_CLASSES = {
+  oneHour: 0.20,
+  tenHour: 0.64,
+  hundredHour: 2.0,
+  thousandHour: 6.4
+};
+
+const NODES = 11;
+
+// Moisture diffusivity (cm²/h) at 20°C; with the radii above it gives each
+// class its nominal 1, 10, 100 or 1000 hour time lag
+const DIFFUSIVITY = 0.007;
+
+// Nelson (1984) isotherm m = A + B ln(ΔG), ΔG in cal/g; coefficients fitted
+// to the NFDRS EMC so long-run moistures agree with NFDRS
+const ISOTHERM_A = 0.275;
+const ISOTHERM_B = -0.0572;
+
+// Fiber saturation; rain holds the stick surface here
+const SATURATION = 0.35;
+
+// Rain (inches in an hour) that keeps the surface wet for the whole hour
+const SOAKING_RAIN = 0.05;
+
+// Stick surface heating: absorptivity over the heat transfer coefficient
+// (W/m²K), with sunlight falling on 1/π of the circumference
+const SOLAR_ABSORPTIVITY = 0.6;
+const HEAT_TRANSFER = 20;
+
+/**
+ * Model dead fuel moisture over an hourly series
+ * Every size class starts at equilibrium with the series' average
+ * conditions, so give at least a few days of history for 100-hour fuels
+ * and a few weeks for 1000-hour fuels.
+ *
+ * @param {Array<Object>} series - Observations from extractTimeSeries(), oldest first
+ *   (temperature °F, relativeHumidity %, solarRadiation W/m², precipAccum inches)
+ * @returns {Array<Object>} `{ timestamp, oneHour, tenHour, hundredHour, thousandHour }` (%)
+ *   for each observation with temperature and humidity
+ */
+export function modelDeadFuelMoisture(series) {
+  const points = series.filter(point => point.temperature != null && point.relativeHumidity != null);
+  if (points.length === 0) {
+    return [];
+  }
+
+  const average = key => points.reduce((sum, point) => sum + point[key], 0) / points.length;
+  const initial = surfaceMoisture(average('temperature'), average('relativeHumidity'), 0);
+  const sticks = Object.entries(FUEL_SIZE_CLASSES).map(([sizeClass, radius]) => ({
+    sizeClass,
+    radius,
+    moisture: new Array(NODES).fill(initial)
+  }));
+
+  const modeled = [];
+  let previousTime = null;
+  let previousPrecip = null;
+
+  for (const point of points) {
+    const time = Date.parse(point.timestamp);
+    const hours = previousTime === null || isNaN(time) ? 1 : Math.max(0, (time - previousTime) / 3600000);
+    // Precipitation is accumulated over the period; a drop means the gauge reset
+    const rain = point.precipAccum != null && previousPrecip != null
+      ? Math.max(0, point.precipAccum - previousPrecip)
+      : 0;
+    const wetHours = rain >= 0.01 ? hours * Math.min(1, rain / SOAKING_RAIN) : 0;
+
+    const surfaceTemperature = stickSurfaceTemperature(point.temperature, point.solarRadiation);
+    const dry = surfaceMoisture(point.temperature, point.relativeHumidity, point.solarRadiation);
+
+    const entry = { timestamp: point.timestamp };
+    for (const stick of sticks) {
+      diffuse(stick, SATURATION, surfaceTemperature, wetHours);
+      diffuse(stick, dry, surfaceTemperature, hours - wetHours);
+      entry[stick.sizeClass] = Math.round(averageMoisture(stick.moisture) * 1000) / 10;
+    }
+    modeled.push(entry);
+
+    previousTime = isNaN(time) ? previousTime : time;
+    previousPrecip = point.precipAccum ?? previousPrecip;
+  }
+
+  return modeled;
+}
+
+/**
+ * Equilibrium moisture (fraction) at a sunlit stick surface
+ * Air vapor pressure is kept, so a surface warmed by the sun sees lower humidity.
+ * @private
+ * @param {number} temperature - Air temperature in Fahrenheit
+ * @param {number} relativeHumidity - Air relative humidity (0-100%)
+ * @param {number} solarRadiation - Incoming solar radiation in W/m² (optional)
+ */
+function surfaceMoisture(temperature, relativeHumidity, solarRadiation) {
+  const air = (temperature - 32) * 5 / 9;
+  const surface = stickSurfaceTemperature(temperature, solarRadiation);
+  const humidity = Math.min(1, Math.max(0.001, relativeHumidity / 100) *
+    saturationVaporPressure(air) / saturationVaporPressure(surface));
+
+  if (humidity >= 1) {
+    return SATURATION;
+  }
+
+  // Gibbs free energy of sorbed water (cal/g)
+  const freeEnergy = -(1.987 * (surface + 273.15) / 18.015) * Math.log(humidity);
+  return Math.max(0.005, Math.min(SATURATION, ISOTHERM_A + ISOTHERM_B * Math.log(freeEnergy)));
+}
+
+/**
+ * Stick surface temperature (°C) from air temperature and sunshine
+ * @private
+ */
+function stickSurfaceTemperature(temperature, solarRadiation) {
+  const absorbed = SOLAR_ABSORPTIVITY * Math.max(0, solarRadiation ?? 0) / Math.PI;
+  return (temperature - 32) * 5 / 9 + absorbed / HEAT_TRANSFER;
+}
+
+/**
+ * Saturation vapor pressure (hPa) over water
+ * @private
+ */
+function saturationVaporPressure(celsius) {
+  return 6.112 * Math.exp(17.67 * celsius / (celsius + 243.5));
+}
+
+/**
+ * Advance a stick by radial diffusion with its surface held at a moisture
+ * Explicit finite differences, with steps short enough to stay stable.
+ * @private
+ * @param {Object} stick - `{ radius, moisture }` (moisture by node, center first)
+ * @param {number} boundary - Surface moisture (fraction)
+ * @param {number} temperature - Stick temperature in °C
+ * @param {number} hours - Time to advance
+ */
+function diffuse(stick, boundary, temperature, hours) {
+  if (!(hours > 0)) {
+    return;
+  }
+
+  const dr = stick.radius / (NODES - 1);
+  const diffusivity = DIFFUSIVITY * Math.exp(0.035 * (temperature - 20));
+  const steps = Math.ceil(hours / (0.2 * dr * dr / diffusivity));
+  const k = diffusivity * (hours / steps) / (dr * dr);
+  const m = stick.moisture;
+
+  m[NODES - 1] = boundary;
+  for (let step = 0; step < steps; step++) {
+    const next = m.slice();
+    next[0] = m[0] + 4 * k * (m[1] - m[0]);
+    for (let i = 1; i < NODES - 1; i++) {
+      next[i] = m[i] + k * ((1 + 1 / (2 * i)) * (m[i + 1] - m[i]) - (1 - 1 / (2 * i)) * (m[i] - m[i - 1]));
+    }
+    for (let i = 0; i < NODES - 1; i++) {
+      m[i] = next[i];
+    }
+  }
+}
+
+/**
+ * Volume-weighted average moisture of a stick
+ * @private
+ */
+function averageMoisture(moisture) {
+  const last = moisture.length - 1;
+  // Area of the ring around each node, in units of dr²
+  const weights = moisture.map((_, i) => {
+    if (i === 0) return Math.PI / 4;
+    if (i === last) return Math.PI * (i - 0.25);
+    return 2 * Math.PI * i;
+  });
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return moisture.reduce((sum, value, i) => sum + value * weights[i], 0) / total;
+}
+
+export default {
+  FUEL_SIZE_CLASSES,
+  modelDeadFuelMoisture
+};
@@ -0,0 +1,453 @@
+/**
+ * Canadian Forest Fire Weather Index (FWI) System
+ * Fuel moisture codes (FFMC, DMC, DC) and fire behavior indices (ISI, BUI,
+ * FWI, DSR), calculated once a day from noon local standard time weather.
+ * Codes carry over from day to day, so a run needs yesterday's codes or
+ * the standard startup values.
+ * References:
+ * - Van Wagner (1987), Development and Structure of the Canadian Forest Fire Weather Index System (Forestry Technical Report 35)
+ * - Lawson & Armitage (2008), Weather Guide for the Canadian Forest Fire Danger Rating System
+ */
+
+import { fahrenheitToCelsius, inchesToMillimeters, mphToKmh, round } from './units.js';
+
+/**
+ * Standard spring startup values
+ */
+export const STARTUP_CODES = { ffmc: 85, dmc: 6, dc: 15 };
+
+// DMC effective day length by month, by latitude band (Lawson & Armitage 2008)
+const DMC_DAY_LENGTH = {
+  north: [6.5, 7.5, 9.0, 12.8, 13.9, 13.9, 12.4, 10.9, 9.4, 8.0, 7.0, 6.0],
+  northTropics: [7.9, 8.4, 8.9, 9.5, 9.9, 10.2, 10.1, 9.7, 9.1, 8.6, 8.1, 7.8],
+  southTropics: [10.1, 9.6, 9.1, 8.5, 8.1, 7.8, 7.9, 8.3, 8.9, 9.4, 9.9, 10.2],
+  south: [11.5, 10.5, 9.2, 7.9, 6.8, 6.2, 6.5, 7.4, 8.7, 10.0, 11.2, 11.8]
+};
+
+// DC day length adjustment by month
+const DC_DAY_LENGTH = {
+  north: [-1.6, -1.6, -1.6, 0.9, 3.8, 5.8, 6.4, 5.0, 2.4, 0.4, -1.6, -1.6],
+  south: [6.4, 5.0, 2.4, 0.4, -1.6, -1.6, -1.6, -1.6, -1.6, 0.9, 3.8, 5.8]
+};
+
+// Noon observations further than this from noon don't count for the day
+const NOON_WINDOW_HOURS = 1.5;
+
+/**
+ * Fine Fuel Moisture Code
+ * @param {number} previous - Yesterday's FFMC
+ * @param {number} temperature - Noon temperature in Celsius
+ * @param {number} relativeHumidity - Noon relative humidity (0-100%)
+ * @param {number} windSpeed - Noon wind speed in km/h
+ * @param {number} rain - 24-hour rain in mm
+ * @returns {number} FFMC (0-101)
+ */
+export function calculateFFMC(previous, temperature, relativeHumidity, windSpeed, rain) {
+  const h = Math.min(100, Math.max(0, relativeHumidity));
+  let mo = 147.2 * (101 - previous) / (59.5 + previous);
+
+  if (rain > 0.5) {
+    const rf = rain - 0.5;
+    let wetting = 42.5 * rf * Math.exp(-100 / (251 - mo)) * (1 - Math.exp(-6.93 / rf));
+    if (mo > 150) {
+      wetting += 0.0015 * Math.pow(mo - 150, 2) * Math.sqrt(rf);
+    }
+    mo = Math.min(250, mo + wetting);
+  }
+
+  const dryingEquilibrium = 0.942 * Math.pow(h, 0.679) + 11 * Math.exp((h - 100) / 10) +
+    0.18 * (21.1 - temperature) * (1 - Math.exp(-0.115 * h));
+  const wettingEquilibrium = 0.618 * Math.pow(h, 0.753) + 10 * Math.exp((h - 100) / 10) +
+    0.18 * (21.1 - temperature) * (1 - Math.exp(-0.115 * h));
+
+  let m = mo;
+  if (mo > dryingEquilibrium) {
+    const ko = 0.424 * (1 - Math.pow(h / 100, 1.7)) + 0.0694 * Math.sqrt(windSpeed) * (1 - Math.pow(h / 100, 8));
+    const kd = ko * 0.581 * Math.exp(0.0365 * temperature);
+    m = dryingEquilibrium + (mo - dryingEquilibrium) * Math.pow(10, -kd);
+  } else if (mo < wettingEquilibrium) {
+    const dryness = (100 - h) / 100;
+    const k1 = 0.424 * (1 - Math.pow(dryness, 1.7)) + 0.0694 * Math.sqrt(windSpeed) * (1 - Math.pow(dryness, 8));
+    const kw = k1 * 0.581 * Math.exp(0.0365 * temperature);
+    m = wettingEquilibrium - (wettingEquilibrium - mo) * Math.pow(10, -kw);
+  }
+
+  return Math.min(101, Math.max(0, 59.5 * (250 - m) / (147.2 + m)));
+}
+
+/**
+ * Duff Moisture Code
+ * @param {number} previous - Yesterday's DMC
+ * @param {number} temperature - Noon temperature in Celsius
+ * @param {number} relativeHumidity - Noon relative humidity (0-100%)
+ * @param {number} rain - 24-hour rain in mm
+ * @param {number} month - Month (1-12)
+ * @param {number} latitude - Latitude, for day length (default: 46, the standard tables)
+ * @returns {number} DMC
+ */
+export function calculateDMC(previous, temperature, relativeHumidity, rain, month, latitude = 46) {
+  const t = Math.max(-1.1, temperature);
+  const h = Math.min(100, Math.max(0, relativeHumidity));
+  let pr = previous;
+
+  if (rain > 1.5) {
+    const re = 0.92 * rain - 1.27;
+    const mo = 20 + Math.exp(5.6348 - previous / 43.43);
+    let b;
+    if (previous <= 33) {
+      b = 100 / (0.5 + 0.3 * previous);
+    } else if (previous <= 65) {
+      b = 14 - 1.3 * Math.log(previous);
+    } else {
+      b = 6.2 * Math.log(previous) - 17.2;
+    }
+    const mr = mo + 1000 * re / (48.77 + b * re);
+    pr = Math.max(0, 244.72 - 43.43 * Math.log(mr - 20));
+  }
+
+  const k = 1.894 * (t + 1.1) * (100 - h) * dmcDayLength(month, latitude) * 1e-6;
+  return Math.max(0, pr + 100 * k);
+}
+
+/**
+ * Drought Code
+ * @param {number} previous - Yesterday's DC
+ * @param {number} temperature - Noon temperature in Celsius
+ * @param {number} rain - 24-hour rain in mm
+ * @param {number} month - Month (1-12)
+ * @param {number} latitude - Latitude, for day length (default: 46, the standard tables)
+ * @returns {number} DC
+ */
+export function calculateDC(previous, temperature, rain, month, latitude = 46) {
+  const t = Math.max(-2.8, temperature);
+  let dr = previous;
+
+  if (rain > 2.8) {
+    const rd = 0.83 * rain - 1.27;
+    const qo = 800 * Math.exp(-previous / 400);
+    dr = Math.max(0, 400 * Math.log(800 / (qo + 3.937 * rd)));
+  }
+
+  const potentialEvaporation = Math.max(0, (0.36 * (t + 2.8) + dcDayLength(month, latitude)) / 2);
+  return Math.max(0, dr + potentialEvaporation);
+}
+
+/**
+ * Initial Spread Index
+ * @param {number} ffmc - Today's FFMC
+ * @param {number} windSpeed - Noon wind speed in km/h
+ * @returns {number} ISI
+ */
+export function calculateISI(ffmc, windSpeed) {
+  const m = 147.2 * (101 - ffmc) / (59.5 + ffmc);
+  const fuelFunction = 91.9 * Math.exp(-0.1386 * m) * (1 + Math.pow(m, 5.31) / 4.93e7);
+  return 0.208 * Math.exp(0.05039 * windSpeed) * fuelFunction;
+}
+
+/**
+ * Buildup Index
+ * @param {number} dmc - Today's DMC
+ * @param {number} dc - Today's DC
+ * @returns {number} BUI
+ */
+export function calculateBUI(dmc, dc) {
+  if (dmc === 0 && dc === 0) {
+    return 0;
+  }
+
+  const bui = dmc <= 0.4 * dc
+    ? 0.8 * dmc * dc / (dmc + 0.4 * dc)
+    : dmc - (1 - 0.8 * dc / (dmc + 0.4 * dc)) * (0.92 + Math.pow(0.0114 * dmc, 1.7));
+  return Math.max(0, bui);
+}
+
+/**
+ * Fire Weather Index
+ * @param {number} isi - Initial Spread Index
+ * @param {number} bui - Buildup Index
+ * @returns {number} FWI
+ */
+export function calculateFWI(isi, bui) {
+  const duffFunction = bui <= 80
+    ? 0.626 * Math.pow(bui, 0.809) + 2
+    : 1000 / (25 + 108.64 * Math.exp(-0.023 * bui));
+  const b = 0.1 * isi * duffFunction;
+  return b > 1 ? Math.exp(2.72 * Math.pow(0.434 * Math.log(b), 0.647)) : b;
+}
+
+/**
+ * Daily Severity Rating
+ * @param {number} fwi - Fire Weather Index
+ * @returns {number} DSR
+ */
+export function calculateDSR(fwi) {
+  return 0.0272 * Math.pow(fwi, 1.77);
+}
+
+/**
+ * Spring Drought Code after overwintering
+ * Carries part of the fall moisture deficit over the winter and credits
+ * part of the winter precipitation (Lawson & Armitage 2008).
+ * @param {number} fallDC - DC at the end of the previous fire season
+ * @param {number} winterPrecip - Precipitation since then in mm
+ * @param {Object} options - Options
+ * @param {number} options.carryOver - Fraction of fall moisture carried over (default: 0.75)
+ * @param {number} options.wettingEfficiency - Fraction of winter precipitation that recharges (default: 0.75)
+ * @returns {number} Starting DC, never below the standard startup value
+ */
+export function overwinterDroughtCode(fallDC, winterPrecip, { carryOver = 0.75, wettingEfficiency = 0.75 } = {}) {
+  const fallMoisture = 800 * Math.exp(-fallDC / 400);
+  const springMoisture = carryOver * fallMoisture + wettingEfficiency * 3.937 * winterPrecip;
+  return Math.max(STARTUP_CODES.dc, 400 * Math.log(800 / springMoisture));
+}
+
+/**
+ * Advance the FWI System by one day
+ * @param {Object} previous - Yesterday's `{ ffmc, dmc, dc }`
+ * @param {Object} weather - Noon weather
+ * @param {number} weather.temperature - Temperature in Celsius
+ * @param {number} weather.relativeHumidity - Relative humidity (0-100%)
+ * @param {number} weather.windSpeed - Wind speed in km/h
+ * @param {number} weather.rain - 24-hour rain in mm
+ * @param {number} weather.month - Month (1-12)
+ * @param {number} weather.latitude - Latitude (default: 46)
+ * @returns {Object} `{ ffmc, dmc, dc, isi, bui, fwi, dsr }`, unrounded
+ */
+export function calculateFWISystem(previous, weather) {
+  const { temperature, relativeHumidity, windSpeed, rain = 0, month, latitude = 46 } = weather;
+
+  const ffmc = calculateFFMC(previous.ffmc, temperature, relativeHumidity, windSpeed, rain);
+  const dmc = calculateDMC(previous.dmc, temperature, relativeHumidity, rain, month, latitude);
+  const dc = calculateDC(previous.dc, temperature, rain, month, latitude);
+  const isi = calculateISI(ffmc, windSpeed);
+  const bui = calculateBUI(dmc, dc);
+  const fwi = calculateFWI(isi, bui);
+
+  return { ffmc, dmc, dc, isi, bui, fwi, dsr: calculateDSR(fwi) };
+}
+
+/**
+ * Pick each day's noon standard time weather from an hourly series
+ * Days without an observation within 1.5 hours of noon are skipped; their
+ * rain counts toward the next day that has one.
+ * @param {Array<Object>} series - Observations from extractTimeSeries(), oldest first
+ *   (°F, %, mph, inches)
+ * @param {number} utcOffset - Local standard time offset from UTC in hours (e.g., -7)
+ * @returns {Array<Object>} `{ date, timestamp, month, temperature, relativeHumidity, windSpeed, rain }`
+ *   in °C, %, km/h and mm
+ */
+export function noonObservations(series, utcOffset) {
+  const offsetMs = utcOffset * 3600000;
+  const noons = new Map();
+
+  for (const point of series) {
+    const time = Date.parse(point.timestamp);
+    if (isNaN(time) || point.temperature == null || point.relativeHumidity == null || point.windSpeed == null) {
+      continue;
+    }
+
+    const local = new Date(time + offsetMs);
+    const date = local.toISOString().slice(0, 10);
+    const fromNoon = Math.abs(local.getUTCHours() + local.getUTCMinutes() / 60 - 12);
+    if (fromNoon <= NOON_WINDOW_HOURS && (!noons.has(date) || fromNoon < noons.get(date).fromNoon)) {
+      noons.set(date, { date, time, fromNoon, point });
+    }
+  }
+
+  // Rain falling after the previous day's noon, up to and including this one
+  const increments = rainIncrements(series);
+  let previousNoon = -Infinity;
+
+  return [...noons.values()].map(({ date, time, point }) => {
+    const since = Math.max(previousNoon, time - 24 * 3600000);
+    const rain = increments
+      .filter(increment => increment.time > since && increment.time <= time)
+      .reduce((sum, increment) => sum + increment.amount, 0);
+    previousNoon = time;
+
+    return {
+      date,
+      timestamp: point.timestamp,
+      month: Number(date.slice(5, 7)),
+      temperature: fahrenheitToCelsius(point.temperature),
+      relativeHumidity: point.relativeHumidity,
+      windSpeed: mphToKmh(point.windSpeed),
+      rain: inchesToMillimeters(rain)
+    };
+  });
+}
+
+/**
+ * Run the FWI System over a station's hourly history
+ * @param {Array<Object>} series - Observations from extractTimeSeries(), oldest first
+ * @param {Object} options - Options
+ * @param {number} options.latitude - Station latitude
+ * @param {number} options.utcOffset - Local standard time offset from UTC in hours
+ * @param {Object} options.start - Codes for the day before the series (default: STARTUP_CODES)
+ * @returns {Array<Object>} Daily `{ date, timestamp, weather, ffmc, dmc, dc, isi, bui, fwi, dsr }`, rounded
+ */
+export function runFWISystem(series, { latitude, utcOffset, start = STARTUP_CODES }) {
+  let codes = start;
+
+  return noonObservations(series, utcOffset).map(day => {
+    const result = calculateFWISystem(codes, { ...day, latitude });
+    codes = result;
+
+    return {
+      date: day.date,
+      timestamp: day.timestamp,
+      weather: {
+        temperature_c: round(day.temperature, 1),
+        relative_humidity: day.relativeHumidity,
+        wind_speed_kmh: round(day.windSpeed, 1),
+        rain_mm: round(day.rain, 1)
+      },
+      ...roundCodes(result)
+    };
+  });
+}
+
+/**
+ * Read starting codes from tool arguments
+ * Yesterday's codes win; without them a fall DC and winter precipitation
+ * give an overwintered DC; anything else starts from STARTUP_CODES.
+ * @param {Object} args - Tool arguments
+ * @param {number} args.previous_ffmc - Yesterday's FFMC
+ * @param {number} args.previous_dmc - Yesterday's DMC
+ * @param {number} args.previous_dc - Yesterday's DC
+ * @param {number} args.fall_dc - DC at the end of last fire season, to overwinter
+ * @param {number} args.winter_precip - Precipitation since then in inches
+ * @returns {Object} `{ start, dcSource }` (dcSource "previous", "overwintered" or "startup"), or `{ error }`
+ */
+export function resolveStartCodes(args) {
+  const { previous_ffmc: ffmc, previous_dmc: dmc, previous_dc: dc, fall_dc: fallDC, winter_precip: winterPrecip } = args;
+  const checks = [
+    ['previous_ffmc', ffmc, 101],
+    ['previous_dmc', dmc, Infinity],
+    ['previous_dc', dc, Infinity],
+    ['fall_dc', fallDC, Infinity],
+    ['winter_precip', winterPrecip, Infinity]
+  ];
+
+  for (const [name, value, max] of checks) {
+    if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value < 0 || value > max)) {
+      return {
+        error: {
+          code: 'INVALID_FWI_CODE',
+          message: `Invalid ${name}: ${value}. Must be ${max === Infinity ? 'zero or more' : `between 0 and ${max}`}.`,
+          status: 400,
+          details: { [name]: value }
+        }
+      };
+    }
+  }
+
+  let startDC = STARTUP_CODES.dc;
+  let dcSource = 'startup';
+  if (dc !== undefined) {
+    startDC = dc;
+    dcSource = 'previous';
+  } else if (fallDC !== undefined) {
+    startDC = round(overwinterDroughtCode(fallDC, inchesToMillimeters(winterPrecip ?? 0)), 1);
+    dcSource = 'overwintered';
+  }
+
+  return {
+    start: {
+      ffmc: ffmc ?? STARTUP_CODES.ffmc,
+      dmc: dmc ?? STARTUP_CODES.dmc,
+      dc: startDC
+    },
+    dcSource
+  };
+}
+
+/**
+ * Round FWI System values for tool results
+ * @param {Object} values - `{ ffmc, dmc, dc, isi, bui, fwi, dsr }`
+ * @returns {Object} Values rounded to 0.1
+ */
+export function roundCodes({ ffmc, dmc, dc, isi, bui, fwi, dsr }) {
+  return {
+    ffmc: round(ffmc, 1),
+    dmc: round(dmc, 1),
+    dc: round(dc, 1),
+    isi: round(isi, 1),
+    bui: round(bui, 1),
+    fwi: round(fwi, 1),
+    dsr: round(dsr, 1)
+  };
+}
+
+/**
+ * Local standard time offset from longitude, for when the time zone is unknown
+ * @param {number} longitude - Station longitude
+ * @returns {number} Offset from UTC in whole hours
+ */
+export function estimateUtcOffset(longitude) {
+  return Math.round(longitude / 15);
+}
+
+/**
+ * DMC effective day length for a month and latitude
+ * @private
+ */
+function dmcDayLength(month, latitude) {
+  if (latitude > 30) return DMC_DAY_LENGTH.north[month - 1];
+  if (latitude > 10) return DMC_DAY_LENGTH.northTropics[month - 1];
+  if (latitude > -10) return 9;
+  if (latitude > -30) return DMC_DAY_LENGTH.southTropics[month - 1];
+  return DMC_DAY_LENGTH.south[month - 1];
+}
+
+/**
+ * DC day length adjustment for a month and latitude
+ * @private
+ */
+function dcDayLength(month, latitude) {
+  if (latitude > 20) return DC_DAY_LENGTH.north[month - 1];
+  if (latitude > -20) return 1.4;
+  return DC_DAY_LENGTH.south[month - 1];
+}
+
+/**
+ * Hourly rain amounts from accumulated precipitation
+ * A drop in the accumulation means the gauge reset.
+ * @private
+ * @returns {Array<{time: number, amount: number}>} Amounts in inches
+ */
+function rainIncrements(series) {
+  const increments = [];
+  let previous = null;
+
+  for (const point of series) {
+    const time = Date.parse(point.timestamp);
+    if (point.precipAccum == null || isNaN(time)) {
+      continue;
+    }
+    if (previous !== null && point.precipAccum > previous) {
+      increments.push({ time, amount: point.precipAccum - previous });
+    }
+    previous = point.precipAccum;
+  }
+
+  return increments;
+}
+
+export default {
+  STARTUP_CODES,
+  calculateFFMC,
+  calculateDMC,
+  calculateDC,
+  calculateISI,
+  calculateBUI,
+  calculateFWI,
+  calculateDSR,
+  overwinterDroughtCode,
+  calculateFWISystem,
+  noonObservations,
+  runFWISystem,
+  resolveStartCodes,
+  roundCodes,
+  estimateUtcOffset
+};
@@ -0,0 +1,155 @@
+/**
+ * Geographic utilities
+ */
+
+/**
+ * Calculate distance between two points using Haversine formula
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in miles
+ */
+export function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 3959; // Earth's radius in miles
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+export function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+/**
+ * Check whether a point lies inside a GeoJSON polygon
+ * Uses ray casting on longitude/latitude, which is accurate enough for
+ * district- and zone-sized polygons. Points inside a hole are outside.
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Array<Array<Array<number>>>} rings - Polygon `coordinates`: outer ring, then holes,
+ *   each a list of [longitude, latitude] positions
+ * @returns {boolean} True if the point is inside
+ */
+export function isPointInPolygon(latitude, longitude, rings) {
+  const [outer, ...holes] = rings;
+  return isPointInRing(latitude, longitude, outer) &&
+    !holes.some(hole => isPointInRing(latitude, longitude, hole));
+}
+
+/**
+ * Ray casting test against one linear ring
+ * @private
+ */
+function isPointInRing(latitude, longitude, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > latitude) !== (yj > latitude) &&
+        longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Check whether a point lies inside a bounding box
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Array<number>} bbox - [west, south, east, north] (GeoJSON order)
+ * @returns {boolean} True if the point is inside or on the edge
+ */
+export function isPointInBoundingBox(latitude, longitude, bbox) {
+  const [west, south, east, north] = bbox;
+  return latitude >= south && latitude <= north &&
+    longitude >= west && longitude <= east;
+}
+
+/**
+ * Distance from a point to the nearest edge of a GeoJSON polygon
+ * Holes count as edges too. Each edge is treated as straight in a local
+ * flat projection around the point, which holds for edges of a few hundred
+ * miles; the distance to the nearest point on it is then measured with
+ * calculateDistance.
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Array<Array<Array<number>>>} rings - Polygon `coordinates` ([longitude, latitude] positions)
+ * @returns {number} Distance in miles (whether the point is inside or outside)
+ */
+export function distanceToPolygonEdge(latitude, longitude, rings) {
+  let nearest = Infinity;
+
+  for (const ring of rings) {
+    for (let i = 1; i < ring.length; i++) {
+      nearest = Math.min(nearest, distanceToSegment(latitude, longitude, ring[i - 1], ring[i]));
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Distance from a point to a segment between two [longitude, latitude] positions
+ * @private
+ */
+function distanceToSegment(latitude, longitude, [lon1, lat1], [lon2, lat2]) {
+  // Project around the point so a degree of longitude and latitude are comparable
+  const scale = Math.cos(toRadians(latitude));
+  const ax = (lon1 - longitude) * scale;
+  const ay = lat1 - latitude;
+  const dx = (lon2 - lon1) * scale;
+  const dy = lat2 - lat1;
+  const lengthSquared = dx * dx + dy * dy;
+
+  // Fraction along the segment of the point nearest the origin
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+  return calculateDistance(latitude, longitude, lat1 + t * (lat2 - lat1), lon1 + t * (lon2 - lon1));
+}
+
+/**
+ * Find a circle covering a set of positions
+ * Centered on the middle of their extent, so it is not the smallest such
+ * circle, but it always contains every position.
+ * @param {Array<Array<number>>} positions - [longitude, latitude] positions
+ * @returns {Object} `{ latitude, longitude, radius }` with radius in miles
+ */
+export function getBoundingCircle(positions) {
+  const longitudes = positions.map(([lon]) => lon);
+  const latitudes = positions.map(([, lat]) => lat);
+  const latitude = (Math.min(...latitudes) + Math.max(...latitudes)) / 2;
+  const longitude = (Math.min(...longitudes) + Math.max(...longitudes)) / 2;
+  const radius = Math.max(
+    ...positions.map(([lon, lat]) => calculateDistance(latitude, longitude, lat, lon))
+  );
+
+  return { latitude, longitude, radius };
+}
+
+export default {
+  calculateDistance,
+  toRadians,
+  isPointInPolygon,
+  isPointInBoundingBox,
+  distanceToPolygonEdge,
+  getBoundingCircle
+};
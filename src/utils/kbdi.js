@@ -0,0 +1,149 @@
+/**
+ * Keetch-Byram Drought Index (KBDI)
+ * Moisture deficit of the upper soil and duff in hundredths of an inch
+ * (0 saturated, 800 completely dry), updated once a day from the maximum
+ * temperature and net rainfall, with drying scaled by the annual rainfall
+ * the local vegetation is adapted to.
+ * References:
+ * - Keetch & Byram (1968), A Drought Index for Forest Fire Control (Research Paper SE-38)
+ * - Alexander (1990), Computer calculation of the Keetch-Byram Drought Index, Fire Management Notes 51
+ * - Goodrick (2002), Modification of the Fosberg fire weather index to include drought, Int. J. Wildland Fire 11
+ */
+
+import { round } from './units.js';
+
+export const KBDI_MAX = 800;
+
+// Rain (inches) each wet spell loses to interception before the soil sees any
+const INTERCEPTION = 0.2;
+
+/**
+ * Advance KBDI by one day
+ * @param {number} previous - Yesterday's KBDI
+ * @param {number} maxTemperature - Today's maximum temperature in Fahrenheit
+ * @param {number} netRain - Today's net rainfall in inches (after interception)
+ * @param {number} annualPrecip - Mean annual precipitation in inches
+ * @returns {number} KBDI (0-800), unrounded
+ */
+export function calculateKBDI(previous, maxTemperature, netRain, annualPrecip) {
+  const wetted = Math.max(0, previous - 100 * netRain);
+  const drying = (KBDI_MAX - wetted) * (0.968 * Math.exp(0.0486 * maxTemperature) - 8.30) * 0.001 /
+    (1 + 10.88 * Math.exp(-0.0441 * annualPrecip));
+
+  return Math.min(KBDI_MAX, wetted + Math.max(0, drying));
+}
+
+/**
+ * Daily maximum temperature and rainfall from an hourly series
+ * Days run midnight to midnight local standard time. Days without a
+ * temperature are skipped, and their rain counts toward the next day.
+ * @param {Array<Object>} series - Observations from extractTimeSeries(), oldest first
+ *   (temperature °F, precipAccum inches)
+ * @param {number} utcOffset - Local standard time offset from UTC in hours (e.g., -7)
+ * @returns {Array<Object>} `{ date, maxTemperature, rain }` (°F, inches)
+ */
+export function dailyWeather(series, utcOffset) {
+  const days = new Map();
+  let previousPrecip = null;
+  let pendingRain = 0;
+
+  for (const point of series) {
+    const time = Date.parse(point.timestamp);
+    if (isNaN(time)) {
+      continue;
+    }
+
+    const date = new Date(time + utcOffset * 3600000).toISOString().slice(0, 10);
+    // Precipitation is accumulated; a drop means the gauge reset
+    if (point.precipAccum != null) {
+      if (previousPrecip !== null && point.precipAccum > previousPrecip) {
+        pendingRain += point.precipAccum - previousPrecip;
+      }
+      previousPrecip = point.precipAccum;
+    }
+
+    if (point.temperature == null && !days.has(date)) {
+      continue;
+    }
+
+    const day = days.get(date) ?? { date, maxTemperature: -Infinity, rain: 0 };
+    if (point.temperature != null) {
+      day.maxTemperature = Math.max(day.maxTemperature, point.temperature);
+    }
+    day.rain += pendingRain;
+    pendingRain = 0;
+    days.set(date, day);
+  }
+
+  return [...days.values()];
+}
+
+/**
+ * Run KBDI over daily weather
+ * Consecutive rainy days count as one wet spell, and only the spell's
+ * rain beyond the first 0.2 inches reduces the index.
+ * @param {Array<Object>} days - From dailyWeather()
+ * @param {Object} options - Options
+ * @param {number} options.annualPrecip - Mean annual precipitation in inches
+ * @param {number} options.start - KBDI for the day before the first day (default: 0)
+ * @returns {Array<Object>} `{ date, max_temperature, rain, net_rain, kbdi }`, rounded
+ */
+export function runKBDI(days, { annualPrecip, start = 0 }) {
+  let kbdi = start;
+  let spellRain = 0;
+  let spellCredited = 0;
+
+  return days.map(day => {
+    let netRain = 0;
+    if (day.rain > 0) {
+      spellRain += day.rain;
+      netRain = Math.max(0, spellRain - INTERCEPTION - spellCredited);
+      spellCredited += netRain;
+    } else {
+      spellRain = 0;
+      spellCredited = 0;
+    }
+
+    kbdi = calculateKBDI(kbdi, day.maxTemperature, netRain, annualPrecip);
+
+    return {
+      date: day.date,
+      max_temperature: round(day.maxTemperature, 1),
+      rain: round(day.rain, 2),
+      net_rain: round(netRain, 2),
+      kbdi: Math.round(kbdi)
+    };
+  });
+}
+
+/**
+ * Goodrick (2002) fuel availability factor
+ * Scales the Fosberg index from 0.72 (KBDI 0) to 2.0 (KBDI 800).
+ * @param {number} kbdi - Keetch-Byram Drought Index
+ * @returns {number} Fuel availability factor
+ */
+export function fuelAvailabilityFactor(kbdi) {
+  const k = Math.max(0, Math.min(KBDI_MAX, kbdi));
+  return 0.000002 * k * k + 0.72;
+}
+
+/**
+ * Describe a KBDI value
+ * @param {number} kbdi - Keetch-Byram Drought Index
+ * @returns {string} Interpretation
+ */
+export function interpretKBDI(kbdi) {
+  if (kbdi < 200) return 'Low: soils and duff are moist';
+  if (kbdi < 400) return 'Moderate: lower litter and duff contribute to fire intensity';
+  if (kbdi < 600) return 'High: duff and heavy fuels burn actively';
+  return 'Extreme: intense, deep-burning fires with downwind spotting';
+}
+
+export default {
+  KBDI_MAX,
+  calculateKBDI,
+  dailyWeather,
+  runKBDI,
+  fuelAvailabilityFactor,
+  interpretKBDI
+};
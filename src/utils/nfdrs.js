@@ -0,0 +1,449 @@
+/**
+ * National Fire Danger Rating System (NFDRS) indices
+ * Spread Component (SC), Energy Release Component (ERC), Burning Index (BI)
+ * and Ignition Component (IC) for the NFDRS 2016 fuel models (V, W, X, Y, Z)
+ * and the 1978 fuel models (A-U).
+ * References:
+ * - NFDRS: https://www.nwcg.gov/publications/pms437
+ * - Cohen & Deeming (1985), The National Fire-Danger Rating System: Basic Equations (GTR PSW-82)
+ * - Deeming, Burgan & Cohen (1977), The National Fire-Danger Rating System - 1978 (GTR INT-39)
+ */
+
+import { modelDeadFuelMoisture } from './fuel-moisture.js';
+
+// Tons per acre to pounds per square foot
+const TONS_PER_ACRE = 2000 / 43560;
+
+// Surface-area-to-volume ratios (1/ft) shared by every model
+const SAV_10_HOUR = 109;
+const SAV_100_HOUR = 30;
+const SAV_1000_HOUR = 8;
+
+const HEAT_CONTENT = 8000; // Btu/lb
+const PARTICLE_DENSITY = 32; // lb/ft³
+const TOTAL_MINERAL = 0.0555;
+const MINERAL_DAMPING = 0.174 * Math.pow(0.010, -0.19); // effective mineral content 0.010
+
+// Slope factor by NFDRS slope class (0-25%, 26-40%, 41-55%, 56-75%, >75%)
+const SLOPE_FACTORS = { 1: 0.267, 2: 0.533, 3: 1.068, 4: 2.134, 5: 4.273 };
+
+// Fuel temperature rise above air temperature in full sun (°F); RAWS
+// report no state of weather, so the afternoon clear-sky case is used
+const SUNNY_FUEL_TEMPERATURE_RISE = 25;
+
+// Ignition probability below which fuel is treated as unable to ignite
+const IGNITION_PROBABILITY_FLOOR = 0.00232;
+
+/**
+ * Build a fuel model entry
+ * @private
+ * @param {string} name - Description
+ * @param {string} system - "2016" or "1978"
+ * @param {Array<number>} loads - [1-h, 10-h, 100-h, 1000-h, herbaceous, woody] in tons/acre
+ * @param {Array<number>} sav - [1-h, herbaceous, woody] surface-area-to-volume ratios (1/ft)
+ * @param {number} depth - Fuel bed depth (ft)
+ * @param {number} extinction - Dead fuel moisture of extinction (%)
+ * @param {number} scm - Spread component at which every ignition needs suppression
+ * @param {number} windFactor - 20-ft to midflame wind reduction factor
+ */
+function fuelModel(name, system, loads, sav, depth, extinction, scm, windFactor) {
+  const [oneHour, tenHour, hundredHour, thousandHour, herbaceous, woody] = loads;
+  return {
+    name,
+    system,
+    loads: { oneHour, tenHour, hundredHour, thousandHour, herbaceous, woody },
+    sav: { oneHour: sav[0], herbaceous: sav[1], woody: sav[2] },
+    depth,
+    extinction,
+    scm,
+    windFactor
+  };
+}
+
+/**
+ * Standard NFDRS fuel models by letter
+ */
+export const FUEL_MODELS = {
+  // NFDRS 2016
+  V: fuelModel('Grass', '2016', [0.1, 0, 0, 0, 1.0, 0], [2000, 2000, 1500], 1.0, 15, 108, 0.6),
+  W: fuelModel('Grass-shrub', '2016', [0.5, 0.5, 0, 0, 0.6, 1.0], [2000, 2000, 1500], 1.5, 15, 62, 0.4),
+  X: fuelModel('Brush', '2016', [4.5, 2.45, 0, 0, 1.55, 7.0], [2000, 2000, 1500], 4.4, 25, 104, 0.4),
+  Y: fuelModel('Timber', '2016', [2.5, 2.2, 3.6, 10.16, 0, 0], [2000, 2000, 1500], 0.6, 25, 5, 0.4),
+  Z: fuelModel('Slash', '2016', [4.5, 4.25, 4.0, 4.0, 0, 0], [2000, 2000, 1500], 1.0, 25, 19, 0.4),
+
+  // NFDRS 1978
+  A: fuelModel('Western annual grasses', '1978', [0.2, 0, 0, 0, 0.3, 0], [3000, 3000, 0], 0.8, 15, 301, 0.6),
+  B: fuelModel('California chaparral', '1978', [3.5, 4.0, 0.5, 0, 0, 11.5], [700, 0, 1250], 4.5, 15, 58, 0.5),
+  C: fuelModel('Pine-grass savanna', '1978', [0.4, 1.0, 0, 0, 0.8, 0.5], [2000, 2500, 1500], 0.75, 20, 32, 0.4),
+  D: fuelModel('Southern rough', '1978', [2.0, 1.0, 0, 0, 0.75, 3.0], [1250, 1500, 1500], 2.0, 30, 68, 0.4),
+  E: fuelModel('Hardwood litter (winter)', '1978', [1.5, 0.5, 0.25, 0, 0.5, 0.5], [2000, 2000, 1500], 0.4, 25, 25, 0.4),
+  F: fuelModel('Intermediate brush', '1978', [2.5, 2.0, 1.5, 0, 0, 9.0], [700, 0, 1250], 4.5, 15, 24, 0.5),
+  G: fuelModel('Short-needle conifer (heavy dead)', '1978', [2.5, 2.0, 5.0, 12.0, 0.5, 0.5], [2000, 2000, 1500], 1.0, 25, 30, 0.4),
+  H: fuelModel('Short-needle conifer (normal dead)', '1978', [1.5, 1.0, 2.0, 2.0, 0.5, 0.5], [2000, 2000, 1500], 0.3, 20, 8, 0.4),
+  I: fuelModel('Heavy logging slash', '1978', [12.0, 12.0, 10.0, 12.0, 0, 0], [1500, 0, 0], 2.0, 25, 65, 0.5),
+  J: fuelModel('Intermediate logging slash', '1978', [7.0, 7.0, 6.0, 5.5, 0, 0], [1500, 0, 0], 1.3, 25, 44, 0.5),
+  K: fuelModel('Light logging slash', '1978', [2.5, 2.5, 2.0, 2.5, 0, 0], [1500, 0, 0], 0.6, 25, 23, 0.5),
+  L: fuelModel('Western perennial grass', '1978', [0.25, 0, 0, 0, 0.5, 0], [2000, 2000, 0], 1.0, 15, 178, 0.6),
+  N: fuelModel('Sawgrass', '1978', [1.5, 1.5, 0, 0, 0, 2.0], [1600, 0, 1500], 3.0, 25, 167, 0.4),
+  O: fuelModel('High pocosin', '1978', [2.0, 3.0, 3.0, 2.0, 0, 7.0], [1500, 0, 1500], 4.0, 30, 99, 0.5),
+  P: fuelModel('Southern pine plantation', '1978', [1.0, 1.0, 0.5, 0, 0.5, 0.5], [1750, 2000, 1500], 0.4, 30, 14, 0.4),
+  Q: fuelModel('Alaskan black spruce', '1978', [2.0, 2.5, 2.0, 1.0, 0.5, 4.0], [1500, 1500, 1200], 3.0, 25, 59, 0.4),
+  R: fuelModel('Hardwood litter (summer)', '1978', [0.5, 0.5, 0.5, 0, 0.5, 0.5], [1500, 2000, 1500], 0.25, 25, 6, 0.4),
+  S: fuelModel('Tundra', '1978', [0.5, 0.5, 0.5, 0.5, 0.5, 0.5], [1500, 1500, 1200], 0.4, 25, 17, 0.6),
+  T: fuelModel('Sagebrush-grass', '1978', [1.0, 0.5, 0, 0, 0.5, 2.5], [2500, 2000, 1500], 1.25, 15, 96, 0.6),
+  U: fuelModel('Western long-needle pine', '1978', [1.5, 1.5, 1.0, 0, 0.5, 0.5], [1750, 2000, 1500], 0.5, 20, 16, 0.4)
+};
+
+/**
+ * Calculate NFDRS indices for a fuel model
+ *
+ * ERC is relative and is normally read against a station's own percentiles;
+ * BI is roughly ten times the expected flame length in feet; SC is the
+ * forward rate of spread in ft/min; IC is the chance (0-100) that a firebrand
+ * starts a fire that will need suppression.
+ *
+ * @param {string} fuelModelCode - Fuel model letter (e.g., "Y", "G")
+ * @param {Object} conditions - Weather and fuel conditions
+ * @param {number} conditions.temperature - Temperature in Fahrenheit
+ * @param {number} conditions.windSpeed - 20-ft wind speed in mph
+ * @param {number} conditions.slopeClass - NFDRS slope class 1-5 (default: 1)
+ * @param {Object} conditions.moisture - Fuel moistures (%): oneHour, tenHour,
+ *   hundredHour, thousandHour, herbaceous, woody
+ * @returns {Object|null} `{ spreadComponent, energyReleaseComponent, burningIndex, ignitionComponent }`,
+ *   or null for an unknown fuel model or missing inputs
+ */
+export function calculateNFDRSIndices(fuelModelCode, conditions) {
+  const model = FUEL_MODELS[String(fuelModelCode).toUpperCase()];
+  const { temperature, windSpeed, slopeClass = 1, moisture } = conditions;
+  const moistures = ['oneHour', 'tenHour', 'hundredHour', 'thousandHour', 'herbaceous', 'woody']
+    .map(key => moisture?.[key]);
+
+  if (!model || temperature == null || windSpeed == null || moistures.some(value => value == null)) {
+    return null;
+  }
+
+  const { dead, thousandHour, live } = fuelParticles(model, moisture);
+  const liveExtinction = liveExtinctionMoisture(dead, live, model.extinction);
+
+  const spreadComponent = calculateSpreadComponent(model, dead, live, liveExtinction, windSpeed, slopeClass);
+  const energyReleaseComponent = calculateEnergyRelease(model, [...dead, thousandHour], live, liveExtinction);
+  const burningIndex = 3.01 * Math.pow(spreadComponent * energyReleaseComponent, 0.46);
+  const ignitionComponent = calculateIgnitionComponent(model, temperature, moisture.oneHour, spreadComponent);
+
+  return {
+    spreadComponent: Math.round(spreadComponent),
+    energyReleaseComponent: Math.round(energyReleaseComponent),
+    burningIndex: Math.round(burningIndex),
+    ignitionComponent: Math.round(ignitionComponent)
+  };
+}
+
+/**
+ * Read NFDRS options from tool arguments
+ * @param {Object} args - Tool arguments
+ * @param {string} args.fuel_model - Fuel model letter (default: "Y")
+ * @param {number} args.slope_class - NFDRS slope class 1-5 (default: 1)
+ * @param {number} args.herbaceous_moisture - Live herbaceous moisture % (default: 30, fully cured)
+ * @param {number} args.woody_moisture - Live woody moisture % (default: 60, dormant)
+ * @returns {Object} `{ options }` with `fuelModel`, `slopeClass`, `herbaceous`, `woody`, or `{ error }`
+ */
+export function resolveNFDRSOptions(args) {
+  const {
+    fuel_model: fuelModel = 'Y',
+    slope_class: slopeClass = 1,
+    herbaceous_moisture: herbaceous = 30,
+    woody_moisture: woody = 60
+  } = args;
+  const code = typeof fuelModel === 'string' ? fuelModel.trim().toUpperCase() : null;
+
+  if (!FUEL_MODELS[code]) {
+    return invalidOption(
+      'INVALID_FUEL_MODEL',
+      `Invalid fuel model: ${fuelModel}. Must be one of ${Object.keys(FUEL_MODELS).join(', ')}.`,
+      { fuel_model: fuelModel }
+    );
+  }
+
+  if (!SLOPE_FACTORS[slopeClass]) {
+    return invalidOption('INVALID_SLOPE_CLASS', `Invalid slope class: ${slopeClass}. Must be 1 to 5.`, { slope_class: slopeClass });
+  }
+
+  for (const [name, value] of [['herbaceous_moisture', herbaceous], ['woody_moisture', woody]]) {
+    if (typeof value !== 'number' || isNaN(value) || value < 1 || value > 300) {
+      return invalidOption('INVALID_FUEL_MOISTURE', `Invalid ${name}: ${value}. Must be between 1 and 300%.`, { [name]: value });
+    }
+  }
+
+  return { options: { fuelModel: code, slopeClass, herbaceous, woody } };
+}
+
+/**
+ * Describe a fuel model for tool results
+ * @param {string} code - Fuel model letter
+ * @returns {Object} `{ code, name, system }`
+ */
+export function describeFuelModel(code) {
+  const { name, system } = FUEL_MODELS[code];
+  return { code, name, system };
+}
+
+/**
+ * Describe NFDRS results for tool results
+ * @param {Object} indices - Result of calculateNFDRSIndices()
+ * @param {Object} moisture - Fuel moistures used, with tenHourSource
+ * @returns {Object} `{ indices, fuel_moisture }`
+ */
+export function describeNFDRS(indices, moisture) {
+  return {
+    indices: {
+      energy_release_component: indices.energyReleaseComponent,
+      burning_index: indices.burningIndex,
+      spread_component: indices.spreadComponent,
+      ignition_component: indices.ignitionComponent
+    },
+    fuel_moisture: {
+      one_hour: moisture.oneHour,
+      ten_hour: moisture.tenHour,
+      hundred_hour: moisture.hundredHour,
+      thousand_hour: moisture.thousandHour,
+      herbaceous: moisture.herbaceous,
+      woody: moisture.woody,
+      ten_hour_source: moisture.tenHourSource
+    }
+  };
+}
+
+/**
+ * Estimate dead fuel moistures from hourly observations
+ * Runs the dead fuel moisture model over the series and takes its latest
+ * values. A fuel stick reading, when the station has one, is used for
+ * 10-hour fuels.
+ *
+ * @param {Array<Object>} series - Observations from extractTimeSeries(), oldest first
+ * @returns {Object|null} `{ oneHour, tenHour, hundredHour, thousandHour, tenHourSource }`
+ *   (%, tenHourSource "fuel_stick" or "estimated"), or null without temperature and humidity
+ */
+export function estimateDeadFuelMoisture(series) {
+  const modeled = modelDeadFuelMoisture(series);
+  if (modeled.length === 0) {
+    return null;
+  }
+
+  const { oneHour, tenHour, hundredHour, thousandHour } = modeled[modeled.length - 1];
+  const fuelStick = [...series].reverse().find(point => point.fuelMoisture != null)?.fuelMoisture;
+
+  return {
+    oneHour,
+    tenHour: fuelStick ?? tenHour,
+    hundredHour,
+    thousandHour,
+    tenHourSource: fuelStick != null ? 'fuel_stick' : 'estimated'
+  };
+}
+
+/**
+ * Split a fuel model into particles with net loads and moistures
+ * Cured herbaceous fuel is moved into the 1-hour class.
+ * @private
+ * @returns {Object} `{ dead, thousandHour, live }` particles of `{ load, sav, moisture }` (load in lb/ft²)
+ */
+function fuelParticles(model, moisture) {
+  const { loads, sav } = model;
+  const cured = Math.max(0, Math.min(1, 1.33 - 0.0111 * moisture.herbaceous));
+  const particle = (load, surfaceToVolume, fuelMoisture) => ({
+    load: load * TONS_PER_ACRE,
+    sav: surfaceToVolume,
+    moisture: fuelMoisture
+  });
+
+  return {
+    dead: [
+      particle(loads.oneHour + cured * loads.herbaceous, sav.oneHour, moisture.oneHour),
+      particle(loads.tenHour, SAV_10_HOUR, moisture.tenHour),
+      particle(loads.hundredHour, SAV_100_HOUR, moisture.hundredHour)
+    ],
+    thousandHour: particle(loads.thousandHour, SAV_1000_HOUR, moisture.thousandHour),
+    live: [
+      particle(loads.herbaceous * (1 - cured), sav.herbaceous, moisture.herbaceous),
+      particle(loads.woody, sav.woody, moisture.woody)
+    ]
+  };
+}
+
+/**
+ * Characterize a fuel bed (Rothermel)
+ * @private
+ * @param {Array<Object>} dead - Dead particles
+ * @param {Array<Object>} live - Live particles
+ * @param {number} depth - Fuel bed depth (ft)
+ * @returns {Object} Surface-area weights, characteristic SAV, packing and reaction velocity
+ */
+function fuelBed(dead, live, depth) {
+  const area = particle => particle.load * particle.sav / PARTICLE_DENSITY;
+  const total = particles => particles.reduce((sum, particle) => sum + area(particle), 0);
+  const deadArea = total(dead);
+  const liveArea = total(live);
+  const weights = (particles, categoryArea) =>
+    particles.map(particle => (categoryArea > 0 ? area(particle) / categoryArea : 0));
+
+  const deadWeights = weights(dead, deadArea);
+  const liveWeights = weights(live, liveArea);
+  const deadFraction = deadArea / (deadArea + liveArea);
+  const liveFraction = liveArea / (deadArea + liveArea);
+  const weighted = (particles, w, field) => particles.reduce((sum, particle, i) => sum + w[i] * particle[field], 0);
+
+  const sav = deadFraction * weighted(dead, deadWeights, 'sav') + liveFraction * weighted(live, liveWeights, 'sav');
+  const bulkDensity = [...dead, ...live].reduce((sum, particle) => sum + particle.load, 0) / depth;
+  const packingRatio = bulkDensity / PARTICLE_DENSITY;
+  const relativePacking = packingRatio / (3.348 * Math.pow(sav, -0.8189));
+  const a = 133 * Math.pow(sav, -0.7913);
+  const maxReactionVelocity = Math.pow(sav, 1.5) / (495 + 0.0594 * Math.pow(sav, 1.5));
+
+  return {
+    deadWeights,
+    liveWeights,
+    deadFraction,
+    liveFraction,
+    deadMoisture: weighted(dead, deadWeights, 'moisture'),
+    liveMoisture: weighted(live, liveWeights, 'moisture'),
+    sav,
+    bulkDensity,
+    packingRatio,
+    relativePacking,
+    reactionVelocity: maxReactionVelocity * Math.pow(relativePacking, a) * Math.exp(a * (1 - relativePacking))
+  };
+}
+
+/**
+ * Moisture damping coefficient
+ * @private
+ * @param {number} ratio - Moisture over moisture of extinction
+ */
+function moistureDamping(ratio) {
+  if (ratio >= 1) {
+    return 0;
+  }
+  return Math.max(0, 1 - 2.59 * ratio + 5.11 * ratio * ratio - 3.52 * ratio * ratio * ratio);
+}
+
+/**
+ * Live fuel moisture of extinction (%)
+ * Never below the dead fuel moisture of extinction.
+ * @private
+ */
+function liveExtinctionMoisture(dead, live, deadExtinction) {
+  const liveFine = live.reduce((sum, p) => sum + p.load * Math.exp(-500 / p.sav), 0);
+  if (!(liveFine > 0)) {
+    return deadExtinction;
+  }
+
+  const deadFine = dead.reduce((sum, p) => sum + p.load * Math.exp(-138 / p.sav), 0);
+  const deadFineMoisture = dead.reduce((sum, p) => sum + p.load * p.moisture * Math.exp(-138 / p.sav), 0) / deadFine;
+  const extinction = (2.9 * (deadFine / liveFine) * (1 - deadFineMoisture / deadExtinction) - 0.226) * 100;
+
+  return Math.max(extinction, deadExtinction);
+}
+
+/**
+ * Spread component (ft/min)
+ * Uses 1-, 10- and 100-hour dead fuels, live fuels, wind and slope.
+ * @private
+ */
+function calculateSpreadComponent(model, dead, live, liveExtinction, windSpeed, slopeClass) {
+  const bed = fuelBed(dead, live, model.depth);
+  const netLoad = (particles, w) => particles.reduce((sum, p, i) => sum + w[i] * p.load * (1 - TOTAL_MINERAL), 0);
+
+  const reactionIntensity = bed.reactionVelocity * HEAT_CONTENT * MINERAL_DAMPING * (
+    netLoad(dead, bed.deadWeights) * moistureDamping(bed.deadMoisture / model.extinction) +
+    netLoad(live, bed.liveWeights) * moistureDamping(bed.liveMoisture / liveExtinction)
+  );
+
+  const propagatingFlux = Math.exp((0.792 + 0.681 * Math.sqrt(bed.sav)) * (bed.packingRatio + 0.1)) /
+    (192 + 0.2595 * bed.sav);
+
+  const preheat = (particles, w) => particles.reduce(
+    (sum, p, i) => sum + w[i] * Math.exp(-138 / p.sav) * (250 + 11.16 * p.moisture), 0);
+  const heatSink = bed.bulkDensity * (
+    bed.deadFraction * preheat(dead, bed.deadWeights) +
+    bed.liveFraction * preheat(live, bed.liveWeights)
+  );
+
+  // Midflame wind in ft/min, limited to what the reaction intensity can carry
+  const midflameWind = Math.min(windSpeed * 88 * model.windFactor, 0.9 * reactionIntensity);
+  const b = 0.02526 * Math.pow(bed.sav, 0.54);
+  const c = 7.47 * Math.exp(-0.133 * Math.pow(bed.sav, 0.55));
+  const e = 0.715 * Math.exp(-0.000359 * bed.sav);
+  const windFactor = midflameWind > 0 ? c * Math.pow(midflameWind, b) * Math.pow(bed.relativePacking, -e) : 0;
+  const slopeFactor = (SLOPE_FACTORS[slopeClass] ?? SLOPE_FACTORS[1]) * Math.pow(bed.packingRatio, -0.3);
+
+  return heatSink > 0 ? reactionIntensity * propagatingFlux * (1 + windFactor + slopeFactor) / heatSink : 0;
+}
+
+/**
+ * Energy release component
+ * Uses every dead class including 1000-hour fuels; no wind or slope.
+ * @private
+ */
+function calculateEnergyRelease(model, dead, live, liveExtinction) {
+  const bed = fuelBed(dead, live, model.depth);
+  const netLoad = particles => particles.reduce((sum, p) => sum + p.load * (1 - TOTAL_MINERAL), 0);
+
+  const reactionIntensity = bed.reactionVelocity * HEAT_CONTENT * MINERAL_DAMPING * (
+    bed.deadFraction * netLoad(dead) * moistureDamping(bed.deadMoisture / model.extinction) +
+    bed.liveFraction * netLoad(live) * moistureDamping(bed.liveMoisture / liveExtinction)
+  );
+  const residenceTime = 384 / bed.sav;
+
+  return 0.04 * reactionIntensity * residenceTime;
+}
+
+/**
+ * Ignition component (0-100)
+ * Probability of ignition from the fine fuel temperature and 1-hour
+ * moisture, scaled by how close SC is to the model's SCM.
+ * @private
+ */
+function calculateIgnitionComponent(model, temperature, oneHourMoisture, spreadComponent) {
+  if (oneHourMoisture >= model.extinction || spreadComponent <= 0) {
+    return 0;
+  }
+
+  const fuelTemperature = (temperature + SUNNY_FUEL_TEMPERATURE_RISE - 32) * 5 / 9;
+  const heatOfIgnition = 144.5 - 0.266 * fuelTemperature - 0.00058 * fuelTemperature * fuelTemperature -
+    0.01 * fuelTemperature * oneHourMoisture + 18.54 * (1 - Math.exp(-0.151 * oneHourMoisture)) +
+    6.4 * oneHourMoisture;
+  const chi = Math.max(0, (344 - heatOfIgnition) / 10);
+  // Normalized so fuel too cold or moist to ignite (P <= 0.00232) scores 0
+  const rawProbability = Math.pow(chi, 3.66) * 0.000923 / 50;
+  if (rawProbability <= IGNITION_PROBABILITY_FLOOR) {
+    return 0;
+  }
+  const ignitionProbability = Math.min(100, (rawProbability - IGNITION_PROBABILITY_FLOOR) * 100 / 0.99767);
+  const normalizedSpread = Math.min(100, 100 * spreadComponent / model.scm);
+
+  return 0.10 * ignitionProbability * Math.sqrt(normalizedSpread);
+}
+
+/**
+ * Build an invalid option error result
+ * @private
+ */
+function invalidOption(code, message, details) {
+  return {
+    error: {
+      code,
+      message,
+      status: 400,
+      details
+    }
+  };
+}
+
+export default {
+  FUEL_MODELS,
+  resolveNFDRSOptions,
+  describeFuelModel,
+  describeNFDRS,
+  calculateNFDRSIndices,
+  estimateDeadFuelMoisture
+};
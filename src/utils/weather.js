@@ -310,3 +310,40 @@ export function formatObservation(observation) {
 
   return parts.join(', ');
 }
+
+/**
+ * Summarize a time series into extremes for briefings
+ * Null readings are ignored.
+ *
+ * @param {Array} timeSeries - Array of observations from extractTimeSeries
+ * @returns {Object} Observation count, period and min/max of key variables
+ */
+export function summarizeTimeSeries(timeSeries) {
+  const series = timeSeries || [];
+
+  const extremes = (field) => {
+    const values = series
+      .map(obs => obs[field])
+      .filter(value => value != null && !isNaN(value));
+
+    if (values.length === 0) {
+      return { min: null, max: null };
+    }
+
+    return {
+      min: Math.min(...values),
+      max: Math.max(...values)
+    };
+  };
+
+  return {
+    observations: series.length,
+    start: series.length > 0 ? series[0].timestamp : null,
+    end: series.length > 0 ? series[series.length - 1].timestamp : null,
+    temperature: extremes('temperature'),
+    relativeHumidity: extremes('relativeHumidity'),
+    windSpeed: extremes('windSpeed'),
+    windGust: extremes('windGust'),
+    fuelMoisture: extremes('fuelMoisture')
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Example plugin provider used by the provider registry tests
+ * Serves a single station from memory.
+ */
+
+const STATION = {
+  STID: 'AGY01',
+  NAME: 'Agency Ridge',
+  LATITUDE: 39.5,
+  LONGITUDE: -105.2,
+  ELEVATION: 7200,
+  STATE: 'CO',
+  TIMEZONE: 'America/Denver',
+  STATUS: 'ACTIVE',
+  MNET_SHORTNAME: 'AGENCY',
+  OBSERVATIONS: {
+    date_time: ['2025-08-01T20:00:00Z'],
+    air_temp_value_1: { value: [88] },
+    relative_humidity_value_1: { value: [9] }
+  }
+};
+
+class AgencyProvider {
+  constructor() {
+    this.capabilities = {
+      currentObservation: true,
+      stationSearch: false,
+      historicalObservations: false
+    };
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async getCurrentObservation(stationId) {
+    if (stationId !== STATION.STID) {
+      throw { code: 'STATION_NOT_FOUND', message: `Station ${stationId} not found`, status: 404 };
+    }
+    return STATION;
+  }
+
+  async searchStations() {
+    throw { code: 'NOT_SUPPORTED', message: 'Station search not supported', status: 501 };
+  }
+
+  async getHistoricalObservations() {
+    throw { code: 'NOT_SUPPORTED', message: 'Historical data not supported', status: 501 };
+  }
+}
+
+export default {
+  name: 'agency',
+  create: () => new AgencyProvider()
+};
@@ -0,0 +1,468 @@
+/**
+ * Integration tests for failover, retry and caching against the mock upstream server
+ */
+
+import { DEFAULT_STATIONS, startMockUpstream } from '../../src/mock/upstream-server.js';
+
+let mock;
+let ClientManager;
+let cache;
+
+beforeAll(async () => {
+  mock = await startMockUpstream();
+
+  // Must be set before config.js is first imported
+  process.env.SYNOPTIC_BASE_URL = mock.baseUrls.synoptic;
+  process.env.MESOWEST_BASE_URL = mock.baseUrls.mesowest;
+  process.env.NWS_BASE_URL = mock.baseUrls.nws;
+  process.env.MESOWEST_API_TOKEN = 'test_token';
+  process.env.ENABLE_WRCC_FALLBACK = 'false';
+  process.env.ENABLE_NWS_INTEGRATION = 'true';
+
+  ({ ClientManager } = await import('../../src/api/client-manager.js'));
+  cache = (await import('../../src/api/cache.js')).default;
+});
+
+afterAll(async () => {
+  cache.destroy();
+  await mock.close();
+});
+
+describe('ClientManager against the mock upstream', () => {
+  let manager;
+
+  beforeEach(() => {
+    cache.clear();
+    mock.reset();
+    manager = new ClientManager();
+  });
+
+  test('serves a current observation and caches it', async () => {
+    const first = await manager.getCurrentObservation('C5725');
+    const second = await manager.getCurrentObservation('C5725');
+
+    expect(first).toMatchObject({ STID: 'C5725', _meta: { source: 'synoptic' } });
+    expect(second.STID).toBe('C5725');
+    expect(mock.requests.filter(r => r.path === '/stations/latest')).toHaveLength(1);
+  });
+
+  test('retries after a 429 honoring Retry-After', async () => {
+    mock.addScenario({ type: 'rate_limit', source: 'synoptic', retryAfter: 0, times: 1 });
+
+    const result = await manager.getCurrentObservation('C5725');
+
+    expect(result._meta.source).toBe('synoptic');
+    expect(mock.requests.map(r => r.status)).toEqual([429, 200]);
+  });
+
+  test('fails over to MesoWest during a Synoptic 500 storm', async () => {
+    mock.addScenario({ type: 'error', source: 'synoptic', status: 503 });
+
+    const result = await manager.getCurrentObservation('CLKC1');
+
+    expect(result._meta.source).toBe('mesowest');
+    expect(mock.requests.filter(r => r.source === 'synoptic')).toHaveLength(3);
+    expect(manager.getSourceHealth().find(s => s.source === 'synoptic').consecutiveFailures).toBe(1);
+  });
+
+  test('reports a station missing from every source as not found', async () => {
+    await expect(manager.getCurrentObservation('NOPE1')).rejects.toMatchObject({
+      code: 'STATION_NOT_FOUND'
+    });
+    expect(new Set(mock.requests.map(r => r.source))).toEqual(new Set(['synoptic', 'mesowest', 'nws']));
+  });
+
+  test('cancels a slow historical request without failing over', async () => {
+    mock.addScenario({ type: 'slow', source: 'synoptic', delayMs: 1000 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    const end = new Date();
+    const start = new Date(end.getTime() - 6 * 3600000);
+    await expect(
+      manager.getHistoricalObservations('C5725', start, end, null, { signal: controller.signal })
+    ).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(mock.requests.every(r => r.source === 'synoptic')).toBe(true);
+  });
+
+  test('fetches NWS alerts and forecasts from the configured base URL', async () => {
+    mock.setAlerts([{ event: 'Red Flag Warning', severity: 'Severe', headline: 'Red Flag Warning' }]);
+
+    const alerts = await manager.getNWSAlerts(36.66, -121.61);
+    const forecast = await manager.getNWSForecast(36.66, -121.61);
+
+    expect(alerts).toEqual([expect.objectContaining({ event: 'Red Flag Warning' })]);
+    expect(forecast.periods).toHaveLength(2);
+    mock.setAlerts([]);
+  });
+});
+
+describe('get_raws_current_batch against the mock upstream', () => {
+  let handler;
+
+  beforeAll(async () => {
+    ({ handler } = await import('../../src/tools/get-current-batch.js'));
+  });
+
+  beforeEach(() => {
+    cache.clear();
+    mock.reset();
+  });
+
+  test('fetches a sweep in one upstream call with per-station errors', async () => {
+    const result = await handler({ station_ids: ['C5725', 'clkc1', 'NOPE1', 'bad id!'] });
+
+    expect(result.success).toBe(true);
+    expect(result.data.stations.map(s => [s.station_id, s.status])).toEqual([
+      ['C5725', 'ok'],
+      ['CLKC1', 'ok'],
+      ['NOPE1', 'error'],
+      ['bad id!', 'error']
+    ]);
+    expect(result.data.stations[0].data.weather_risks.temperature.value).toEqual(expect.any(Number));
+    expect(result.data.stations[2].error.code).toBe('STATION_NOT_FOUND');
+    expect(result.data.stations[3].error.code).toBe('INVALID_STATION_ID');
+    expect(mock.requests.find(r => r.path === '/stations/latest').query).toMatchObject({
+      stid: 'C5725,CLKC1,NOPE1'
+    });
+
+    mock.reset();
+    const again = await handler({ station_ids: ['C5725', 'CLKC1'] });
+    expect(again.metadata).toMatchObject({ succeeded: 2, from_cache: 2 });
+    expect(mock.requests).toHaveLength(0);
+  });
+});
+
+describe('get_area_conditions against the mock upstream', () => {
+  let handler;
+
+  beforeAll(async () => {
+    ({ handler } = await import('../../src/tools/get-area-conditions.js'));
+  });
+
+  beforeEach(() => {
+    cache.clear();
+    mock.reset();
+  });
+
+  test('ranks every station in a bounding box', async () => {
+    const result = await handler({ bbox: [-120, 36, -104, 41] });
+
+    expect(result.success).toBe(true);
+    expect(result.data.stations.map(s => s.station_id).sort()).toEqual(['C5725', 'CLKC1']);
+    const [hottest, next] = result.data.rankings.hottest;
+    expect(hottest.value).toBeGreaterThanOrEqual(next.value);
+    expect(hottest.value).toBe(result.data.stations.find(s => s.station_id === hottest.station_id).temperature);
+    expect(mock.requests.filter(r => r.path === '/stations/latest')).toHaveLength(1);
+  });
+
+  test('leaves out stations outside a polygon', async () => {
+    const polygon = {
+      type: 'Polygon',
+      coordinates: [[[-119.5, 37], [-118, 37], [-118, 38], [-119.5, 38], [-119.5, 37]]]
+    };
+
+    const result = await handler({ polygon });
+
+    expect(result.data.stations.map(s => s.station_id)).toEqual(['CLKC1']);
+    expect(result.data.area.type).toBe('polygon');
+  });
+
+  test('rejects more than one area', async () => {
+    const result = await handler({ latitude: 39, longitude: -105, bbox: [-106, 39, -105, 40] });
+
+    expect(result).toMatchObject({ success: false, error: { code: 'INVALID_AREA' } });
+  });
+});
+
+describe('search_raws_stations areas against the mock upstream', () => {
+  let handler;
+
+  beforeAll(async () => {
+    ({ handler } = await import('../../src/tools/search-stations.js'));
+  });
+
+  beforeEach(() => {
+    cache.clear();
+  });
+
+  test('finds stations within a buffer of a polygon, nearest the edge first', async () => {
+    // Small perimeter about 14 miles north of CLKC1
+    const polygon = {
+      type: 'Polygon',
+      coordinates: [[[-119, 37.66], [-118.8, 37.66], [-118.8, 37.8], [-119, 37.8], [-119, 37.66]]]
+    };
+
+    const tight = await handler({ polygon });
+    const buffered = await handler({ polygon, buffer_miles: 20 });
+
+    expect(tight.data.stations).toHaveLength(0);
+    expect(buffered.data.stations.map(s => s.id)).toEqual(['CLKC1']);
+    expect(buffered.data.stations[0].distance_to_edge_miles).toBeCloseTo(14, 0);
+    expect(buffered.data.search_area).toMatchObject({ type: 'polygon', buffer_miles: 20 });
+  });
+});
+
+describe('search_raws_stations filters against the mock upstream', () => {
+  let handler;
+
+  beforeAll(async () => {
+    ({ handler } = await import('../../src/tools/search-stations.js'));
+  });
+
+  beforeEach(() => {
+    cache.clear();
+    mock.reset();
+  });
+
+  test('finds stations by state and county with Synoptic metadata parameters', async () => {
+    const result = await handler({ state: 'ca', county: 'Mono', network: 'raws' });
+
+    expect(result.data.stations.map(s => s.id)).toEqual(['CLKC1']);
+    expect(result.data.search_filters).toEqual({ state: 'CA', county: 'Mono', network: 'RAWS' });
+    expect(mock.requests[0]).toMatchObject({
+      path: '/stations/metadata',
+      query: { state: 'CA', county: 'Mono', network: '2' }
+    });
+  });
+
+  test('finds stations by GACC', async () => {
+    const result = await handler({ gacc: 'RMCC' });
+
+    expect(result.data.stations.map(s => s.id)).toEqual(['C5725']);
+  });
+
+  test('limits the search to the requested network', async () => {
+    const nws = await handler({ state: 'CA', network: 'NWS' });
+    const both = await handler({ state: 'CA' });
+
+    expect(nws.data.stations.map(s => s.id)).toEqual(['KSNS']);
+    expect(mock.requests[0].query.network).toBe('1');
+    expect(both.data.stations.map(s => s.id)).toEqual(['CLKC1', 'KSNS']);
+  });
+
+  test('keeps the lowest station IDs when more stations match than the limit', async () => {
+    mock.setStations([...DEFAULT_STATIONS].reverse());
+
+    try {
+      const result = await handler({ state: 'CA', limit: 1 });
+
+      expect(result.data.stations.map(s => s.id)).toEqual(['CLKC1']);
+    } finally {
+      mock.setStations(DEFAULT_STATIONS);
+    }
+  });
+
+  test('searches an NWS fire weather zone by its boundary', async () => {
+    const result = await handler({ fire_zone: 'caz900' });
+
+    expect(result.data.fire_zone).toMatchObject({ id: 'CAZ900', name: 'Mock Eastern Sierra', state: 'CA' });
+    expect(result.data.stations.map(s => s.id)).toEqual(['CLKC1']);
+    expect(result.data.stations[0].distance_to_edge_miles).toBe(0);
+  });
+
+  test('reports an unknown fire weather zone', async () => {
+    const result = await handler({ fire_zone: 'AZZ999' });
+
+    expect(result).toMatchObject({ success: false, error: { code: 'ZONE_NOT_FOUND', status: 404 } });
+  });
+
+  test.each([
+    [{ county: 'Mono' }],
+    [{ state: 'California' }],
+    [{ fire_zone: 'CAZ900', state: 'CA' }],
+    [{ state: 'CA', latitude: 37, longitude: -119 }]
+  ])('rejects invalid filters %j', async (args) => {
+    const result = await handler(args);
+
+    expect(result).toMatchObject({ success: false, error: { code: 'INVALID_FILTER' } });
+    expect(mock.requests).toHaveLength(0);
+  });
+});
+
+describe('NFDRS indices against the mock upstream', () => {
+  let handler;
+  let fireIndicesHandler;
+  let schemas;
+
+  beforeAll(async () => {
+    ({ handler } = await import('../../src/tools/get-nfdrs.js'));
+    ({ handler: fireIndicesHandler } = await import('../../src/tools/fire-indices.js'));
+    schemas = await import('../../src/schemas/output-schemas.js');
+  });
+
+  beforeEach(() => {
+    cache.clear();
+    mock.reset();
+  });
+
+  test('rates a station from its hourly history', async () => {
+    const result = await handler({ station_id: 'C5725', fuel_model: 'g', history_days: 3 });
+
+    expect(schemas.nfdrsOutputSchema.safeParse(result).success).toBe(true);
+    expect(result.data.fuel_model).toEqual({ code: 'G', name: 'Short-needle conifer (heavy dead)', system: '1978' });
+    expect(result.data.indices.energy_release_component).toBeGreaterThan(0);
+    expect(result.metadata.observations).toBeGreaterThanOrEqual(72);
+    expect(mock.requests.filter(r => r.path === '/stations/timeseries')).toHaveLength(1);
+  });
+
+  test('passes history errors through', async () => {
+    const result = await handler({ station_id: 'NOPE1' });
+
+    expect(result).toMatchObject({ success: false, error: { code: 'STATION_NOT_FOUND' } });
+  });
+
+  test('adds NFDRS indices to calculate_fire_indices when a fuel model is given', async () => {
+    const plain = await fireIndicesHandler({ temperature: 90, relative_humidity: 12, wind_speed: 15 });
+    const result = await fireIndicesHandler({
+      temperature: 90,
+      relative_humidity: 12,
+      wind_speed: 15,
+      fuel_moisture: 5,
+      fuel_model: 'V'
+    });
+
+    expect(plain.data.nfdrs).toBeUndefined();
+    expect(schemas.fireIndicesOutputSchema.safeParse(result).success).toBe(true);
+    expect(result.data.nfdrs.fuel_moisture).toMatchObject({ ten_hour: 5, ten_hour_source: 'fuel_stick' });
+    expect(result.data.nfdrs.indices.spread_component).toBeGreaterThan(0);
+  });
+});
+
+describe('Dead fuel moisture model against the mock upstream', () => {
+  let historicalHandler;
+  let currentHandler;
+
+  beforeAll(async () => {
+    ({ handler: historicalHandler } = await import('../../src/tools/get-historical.js'));
+    ({ handler: currentHandler } = await import('../../src/tools/get-current.js'));
+  });
+
+  beforeEach(() => {
+    cache.clear();
+    mock.reset();
+  });
+
+  test('returns a modeled fuel moisture series with history', async () => {
+    const end = new Date(Math.floor(Date.now() / 3600000) * 3600000);
+    const start = new Date(end.getTime() - 48 * 3600000);
+    const result = await historicalHandler({
+      station_id: 'CLKC1',
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      model_fuel_moisture: true
+    });
+
+    expect(result.data.time_series.some(point => point.solarRadiation > 0)).toBe(true);
+    expect(result.data.fuel_moisture_model).toHaveLength(result.data.time_series.length);
+    expect(result.data.fuel_moisture_model[0]).toMatchObject({ timestamp: result.data.time_series[0].timestamp });
+  });
+
+  test('models 10-hour moisture for a station without a fuel stick', async () => {
+    const result = await currentHandler({ station_id: 'KSNS', include_fire_indices: true });
+
+    expect(result.success).toBe(true);
+    expect(result.data.notes).toMatch(/Estimated 10-hour fuel moisture: [\d.]+% \(modeled from recent hourly observations\)/);
+  });
+
+  test('does not fetch history for a station with a fuel stick', async () => {
+    const result = await currentHandler({ station_id: 'C5725' });
+
+    expect(result.data.notes).toContain('10-hour fuel moisture: 4.2%.');
+    expect(mock.requests.filter(r => r.path === '/stations/timeseries')).toHaveLength(0);
+  });
+});
+
+describe('FWI System against the mock upstream', () => {
+  let handler;
+  let fireIndicesHandler;
+  let schemas;
+
+  beforeAll(async () => {
+    ({ handler } = await import('../../src/tools/get-fwi.js'));
+    ({ handler: fireIndicesHandler } = await import('../../src/tools/fire-indices.js'));
+    schemas = await import('../../src/schemas/output-schemas.js');
+  });
+
+  beforeEach(() => {
+    cache.clear();
+    mock.reset();
+  });
+
+  test('runs the codes over a station\'s noon observations', async () => {
+    const result = await handler({ station_id: 'C5725', history_days: 5, fall_dc: 350, winter_precip: 6 });
+
+    expect(schemas.fwiOutputSchema.safeParse(result).success).toBe(true);
+    expect(result.data.start_codes).toMatchObject({ ffmc: 85, dmc: 6, dc_source: 'overwintered' });
+    expect(result.data.daily.length).toBeGreaterThanOrEqual(4);
+    expect(result.data.current).toEqual(result.data.daily[result.data.daily.length - 1]);
+    expect(result.metadata).toMatchObject({ utc_offset: -7, utc_offset_source: 'estimated' });
+    // Dry mock weather only dries the duff
+    expect(result.data.current.dmc).toBeGreaterThan(result.data.daily[0].dmc);
+  });
+
+  test('rejects invalid starting codes before fetching', async () => {
+    const result = await handler({ station_id: 'C5725', previous_ffmc: 150 });
+
+    expect(result).toMatchObject({ success: false, error: { code: 'INVALID_FWI_CODE' } });
+    expect(mock.requests).toHaveLength(0);
+  });
+
+  test('adds the FWI System to calculate_fire_indices when asked', async () => {
+    const result = await fireIndicesHandler({
+      temperature: 62.6,
+      relative_humidity: 42,
+      wind_speed: 15.53,
+      include_fwi: true,
+      month: 4
+    });
+
+    expect(schemas.fireIndicesOutputSchema.safeParse(result).success).toBe(true);
+    expect(result.data.fwi).toMatchObject({ ffmc: 87.7, dmc: 8.5, dc: 19, fwi: 10.1 });
+    expect(result.data.fwi.start_codes.dc_source).toBe('startup');
+  });
+});
+
+describe('KBDI against the mock upstream', () => {
+  let handler;
+  let fireIndicesHandler;
+  let schemas;
+
+  beforeAll(async () => {
+    ({ handler } = await import('../../src/tools/get-kbdi.js'));
+    ({ handler: fireIndicesHandler } = await import('../../src/tools/fire-indices.js'));
+    schemas = await import('../../src/schemas/output-schemas.js');
+  });
+
+  beforeEach(() => {
+    cache.clear();
+    mock.reset();
+  });
+
+  test('runs KBDI over a station\'s daily weather', async () => {
+    const result = await handler({ station_id: 'CLKC1', history_days: 5, start_kbdi: 450, annual_precip: 20 });
+
+    expect(schemas.kbdiOutputSchema.safeParse(result).success).toBe(true);
+    expect(result.data.daily.length).toBeGreaterThanOrEqual(5);
+    // No rain in the mock, so the index only climbs
+    expect(result.data.current.kbdi).toBeGreaterThanOrEqual(450);
+    expect(result.data.modified_ffwi.value).not.toBeNull();
+    expect(result.metadata).toMatchObject({ annual_precip: 20, start_kbdi: 450, utc_offset: -8 });
+  });
+
+  test('rejects an out of range KBDI', async () => {
+    const result = await handler({ station_id: 'CLKC1', start_kbdi: 900 });
+
+    expect(result).toMatchObject({ success: false, error: { code: 'INVALID_KBDI' } });
+    expect(mock.requests).toHaveLength(0);
+  });
+
+  test('adds the modified FFWI to calculate_fire_indices when a KBDI is given', async () => {
+    const plain = await fireIndicesHandler({ temperature: 90, relative_humidity: 12, wind_speed: 40 });
+    const result = await fireIndicesHandler({ temperature: 90, relative_humidity: 12, wind_speed: 40, kbdi: 700 });
+
+    expect(plain.data.indices.modified_ffwi).toBeUndefined();
+    expect(schemas.fireIndicesOutputSchema.safeParse(result).success).toBe(true);
+    expect(result.data.indices.modified_ffwi).toMatchObject({ kbdi: 700, fuel_availability_factor: 1.7 });
+  });
+});
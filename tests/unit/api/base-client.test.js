@@ -0,0 +1,134 @@
+/**
+ * Unit tests for BaseClient retry and cancellation
+ */
+
+import { BaseClient } from '../../../src/api/base-client.js';
+
+/**
+ * Create a client whose HTTP adapter is replaced by a stub
+ */
+function createClient(adapter) {
+  const client = new BaseClient('https://example.test');
+  client.client.defaults.adapter = adapter;
+  return client;
+}
+
+describe('BaseClient', () => {
+  test('returns response data', async () => {
+    const client = createClient(async (config) => ({
+      data: { ok: true },
+      status: 200,
+      statusText: 'OK',
+      headers: {},
+      config
+    }));
+
+    await expect(client.request({ url: '/ok' })).resolves.toEqual({ ok: true });
+  });
+
+  test('rejects immediately when the signal is already aborted', async () => {
+    let calls = 0;
+    const client = createClient(async () => {
+      calls++;
+      throw new Error('should not be called');
+    });
+
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(client.request({ url: '/x', signal: controller.signal }))
+      .rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(calls).toBe(0);
+  });
+
+  test('stops retrying when aborted during a retry delay', async () => {
+    let calls = 0;
+    const controller = new AbortController();
+    const client = createClient(async (config) => {
+      calls++;
+      const error = new Error('Server error');
+      error.response = { status: 503, headers: {}, data: {} };
+      error.config = config;
+      setTimeout(() => controller.abort(), 10);
+      throw error;
+    });
+
+    const started = Date.now();
+    await expect(client.request({ url: '/flaky', signal: controller.signal }))
+      .rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(calls).toBe(1);
+    expect(Date.now() - started).toBeLessThan(900);
+  });
+
+  test('normalizes non-retryable HTTP errors', async () => {
+    const client = createClient(async (config) => {
+      const error = new Error('Not found');
+      error.response = { status: 404, headers: {}, data: { message: 'missing' } };
+      error.config = config;
+      throw error;
+    });
+
+    await expect(client.request({ url: '/missing' }))
+      .rejects.toMatchObject({ code: 'HTTP_404', status: 404, message: 'missing' });
+  });
+
+  test('uses the retry count from the source settings', async () => {
+    let calls = 0;
+    const client = createClient(async (config) => {
+      calls++;
+      const error = new Error('Server error');
+      error.response = { status: 500, headers: {}, data: {} };
+      error.config = config;
+      throw error;
+    });
+    client.retryPolicy.maxRetries = 0;
+
+    await expect(client.request({ url: '/down' })).rejects.toMatchObject({ code: 'HTTP_500' });
+    expect(calls).toBe(1);
+  });
+});
+
+describe('BaseClient retry delay', () => {
+  const serverError = { response: { status: 503, headers: {} } };
+
+  test('caps exponential backoff', () => {
+    const client = new BaseClient('https://example.test');
+    client.retryPolicy = { maxRetries: 5, backoffCapMs: 3000, jitter: 0 };
+
+    expect(client._getRetryDelay(serverError, 0)).toBe(1000);
+    expect(client._getRetryDelay(serverError, 1)).toBe(2000);
+    expect(client._getRetryDelay(serverError, 4)).toBe(3000);
+  });
+
+  test('spreads backoff within the jitter fraction', () => {
+    const client = new BaseClient('https://example.test');
+    client.retryPolicy = { maxRetries: 2, backoffCapMs: 30000, jitter: 0.5 };
+
+    for (let i = 0; i < 20; i++) {
+      const delay = client._getRetryDelay(serverError, 1);
+      expect(delay).toBeGreaterThanOrEqual(1000);
+      expect(delay).toBeLessThanOrEqual(3000);
+    }
+  });
+
+  test('honors Retry-After in seconds or as an HTTP date', () => {
+    const client = new BaseClient('https://example.test');
+    client.retryPolicy = { maxRetries: 2, backoffCapMs: 30000, jitter: 0.5 };
+    const rateLimited = retryAfter => ({ response: { status: 429, headers: { 'retry-after': retryAfter } } });
+
+    expect(client._getRetryDelay(rateLimited('7'), 0)).toBe(7000);
+
+    const date = new Date(Date.now() + 5000).toUTCString();
+    const delay = client._getRetryDelay(rateLimited(date), 0);
+    expect(delay).toBeGreaterThan(3000);
+    expect(delay).toBeLessThanOrEqual(5000);
+  });
+
+  test('waits out a Retry-After longer than the backoff cap', () => {
+    const client = new BaseClient('https://example.test');
+    client.retryPolicy = { maxRetries: 2, backoffCapMs: 3000, jitter: 0 };
+    const rateLimited = { response: { status: 429, headers: { 'retry-after': '120' } } };
+
+    expect(client._getRetryDelay(rateLimited, 0)).toBe(120000);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for cache storage backends
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FileStore, MemoryStore, createCacheStore } from '../../../src/api/cache-stores.js';
+import cache, { Cache } from '../../../src/api/cache.js';
+
+afterAll(() => {
+  cache.destroy();
+});
+
+describe('FileStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'raws-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('reloads unexpired entries in a new instance', async () => {
+    const cache = new Cache(new FileStore({ directory }));
+    cache.set('historical:C5725:1:2:', { time_series: [{ temperature: 85 }] }, 60000);
+    await cache.flush();
+    cache.destroy();
+
+    const restarted = new Cache(new FileStore({ directory }));
+    expect(restarted.get('historical:C5725:1:2:')).toEqual({ time_series: [{ temperature: 85 }] });
+    restarted.destroy();
+  });
+
+  test('drops expired and deleted entries on load', async () => {
+    const store = new FileStore({ directory });
+    const now = Date.now();
+    store.set('expired', { value: 1, createdAt: now - 2000, lastAccessed: now, expiresAt: now - 1000, hits: 0 });
+    store.set('deleted', { value: 2, createdAt: now, lastAccessed: now, expiresAt: now + 60000, hits: 0 });
+    store.delete('deleted');
+    await store.flush();
+
+    const reloaded = new FileStore({ directory });
+    expect(reloaded.size).toBe(0);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('discards unreadable cache files', () => {
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{not json');
+
+    const store = new FileStore({ directory });
+    expect(store.size).toBe(0);
+    expect(fs.existsSync(path.join(directory, 'broken.json'))).toBe(false);
+  });
+});
+
+describe('createCacheStore', () => {
+  test('selects the backend by name', () => {
+    expect(createCacheStore('memory')).toBeInstanceOf(MemoryStore);
+    expect(() => createCacheStore('redis')).toThrow('Unknown cache backend');
+  });
+});
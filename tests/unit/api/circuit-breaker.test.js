@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the per-source circuit breaker
+ */
+
+import {
+  CircuitBreaker,
+  CircuitState,
+  isSourceFailure
+} from '../../../src/api/circuit-breaker.js';
+
+describe('CircuitBreaker', () => {
+  test('opens after consecutive failures reach the threshold', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2 });
+
+    breaker.recordFailure(100, { message: 'timeout' });
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+
+    breaker.recordFailure(100, { message: 'timeout' });
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getStats().retryAt).not.toBeNull();
+  });
+
+  test('a success resets the consecutive failure count', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 2 });
+
+    breaker.recordFailure(100, { message: 'timeout' });
+    breaker.recordSuccess(100);
+    breaker.recordFailure(100, { message: 'timeout' });
+
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+  });
+
+  test('allows a single half-open trial after the reset timeout', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeoutMs: 0 });
+    breaker.recordFailure(100, { message: 'HTTP 503' });
+
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess(50);
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+  });
+
+  test('re-opens when the half-open trial fails', () => {
+    const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3, resetTimeoutMs: 0 });
+    breaker.recordFailure(100, {});
+    breaker.recordFailure(100, {});
+    breaker.recordFailure(100, {});
+
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordFailure(100, { message: 'still down' });
+
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(breaker.getStats().lastError).toBe('still down');
+  });
+
+  test('scores unhealthy sources higher than healthy ones', () => {
+    const healthy = new CircuitBreaker({ name: 'healthy' });
+    const flaky = new CircuitBreaker({ name: 'flaky', failureThreshold: 10 });
+
+    healthy.recordSuccess(200);
+    flaky.recordSuccess(200);
+    flaky.recordFailure(200, {});
+
+    expect(healthy.getScore()).toBe(0);
+    expect(flaky.getScore()).toBe(50);
+  });
+
+  test('keeps only the most recent outcomes in the window', () => {
+    const breaker = new CircuitBreaker({ name: 'test', windowSize: 2, failureThreshold: 10 });
+
+    breaker.recordFailure(100, {});
+    breaker.recordSuccess(100);
+    breaker.recordSuccess(100);
+
+    expect(breaker.getErrorRate()).toBe(0);
+    expect(breaker.getStats().samples).toBe(2);
+  });
+});
+
+describe('isSourceFailure', () => {
+  test('ignores errors that do not reflect source health', () => {
+    expect(isSourceFailure({ code: 'STATION_NOT_FOUND', status: 404 })).toBe(false);
+    expect(isSourceFailure({ code: 'REQUEST_CANCELLED', status: 0 })).toBe(false);
+    expect(isSourceFailure({ code: 'HTTP_ERROR', status: 400 })).toBe(false);
+  });
+
+  test('ignores errors raised before the request leaves the process', () => {
+    expect(isSourceFailure({ code: 'RATE_LIMIT_QUEUE_FULL', status: 429 })).toBe(false);
+    expect(isSourceFailure({ code: 'FIXTURE_NOT_FOUND', status: 0 })).toBe(false);
+  });
+
+  test('counts server, auth and network errors', () => {
+    expect(isSourceFailure({ code: 'HTTP_ERROR', status: 500 })).toBe(true);
+    expect(isSourceFailure({ code: 'HTTP_ERROR', status: 401 })).toBe(true);
+    expect(isSourceFailure({ code: 'RATE_LIMIT_EXCEEDED', status: 429 })).toBe(true);
+    expect(isSourceFailure({ code: 'NETWORK_ERROR', status: 0 })).toBe(true);
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Unit tests for ClientManager request coalescing and stale cache fallback
+ */
+
+import { ClientManager } from '../../../src/api/client-manager.js';
+import cache from '../../../src/api/cache.js';
+import { RateLimiter } from '../../../src/api/rate-limiter.js';
+
+/**
+ * Create a promise whose resolution is controlled by the test
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Create a provider whose methods each test replaces as needed
+ */
+function createStubProvider() {
+  const unexpected = async () => {
+    throw new Error('Unexpected upstream call');
+  };
+  return {
+    isAvailable: () => true,
+    getCurrentObservation: unexpected,
+    searchStations: unexpected,
+    getHistoricalObservations: unexpected
+  };
+}
+
+describe('ClientManager request coalescing', () => {
+  let manager;
+  let provider;
+
+  beforeEach(() => {
+    cache.clear();
+    provider = createStubProvider();
+    manager = new ClientManager([{ name: 'synoptic', client: provider }]);
+  });
+
+  afterAll(() => {
+    cache.destroy();
+  });
+
+  test('concurrent callers share one upstream request', async () => {
+    const upstream = deferred();
+    let calls = 0;
+    provider.getCurrentObservation = () => {
+      calls++;
+      return upstream.promise;
+    };
+
+    const pending = [1, 2, 3].map(() => manager.getCurrentObservation('C5725'));
+    upstream.resolve({ stationId: 'C5725', temperature: 85 });
+    const results = await Promise.all(pending);
+
+    expect(calls).toBe(1);
+    expect(results.every(r => r.temperature === 85)).toBe(true);
+    expect(manager.getCoalescingStats()).toEqual({ inFlight: 0, coalescedRequests: 2 });
+  });
+
+  test('shares failures and starts afresh afterwards', async () => {
+    let calls = 0;
+    provider.getCurrentObservation = async () => {
+      calls++;
+      throw { code: 'STATION_NOT_FOUND', message: 'Not found', status: 404 };
+    };
+
+    const results = await Promise.allSettled([
+      manager.getCurrentObservation('MISSING'),
+      manager.getCurrentObservation('MISSING')
+    ]);
+    expect(results.map(r => r.reason.code)).toEqual(['STATION_NOT_FOUND', 'STATION_NOT_FOUND']);
+    expect(calls).toBe(1);
+
+    await expect(manager.getCurrentObservation('MISSING')).rejects.toMatchObject({
+      code: 'STATION_NOT_FOUND'
+    });
+    expect(calls).toBe(2);
+  });
+
+  test('aborts the shared request only when every caller has cancelled', async () => {
+    let upstreamSignal;
+    provider.getHistoricalObservations = (id, start, end, vars, options) => {
+      upstreamSignal = options.signal;
+      return new Promise(() => {});
+    };
+
+    const start = new Date('2025-08-01T00:00:00Z');
+    const end = new Date('2025-08-02T00:00:00Z');
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const a = manager.getHistoricalObservations('C5725', start, end, null, { signal: first.signal });
+    const b = manager.getHistoricalObservations('C5725', start, end, null, { signal: second.signal });
+
+    first.abort();
+    await expect(a).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(upstreamSignal.aborted).toBe(false);
+
+    second.abort();
+    await expect(b).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(upstreamSignal.aborted).toBe(true);
+    expect(manager.getCoalescingStats().inFlight).toBe(0);
+  });
+});
+
+describe('ClientManager stale cache fallback', () => {
+  let manager;
+  let provider;
+
+  beforeEach(() => {
+    cache.clear();
+    provider = createStubProvider();
+    manager = new ClientManager([{ name: 'synoptic', client: provider }]);
+  });
+
+  /**
+   * Seed a cached observation that expired `expiredForMs` ago
+   */
+  function seedExpired(stationId, expiredForMs) {
+    const key = `current:${stationId}`;
+    cache.set(key, { stationId, temperature: 70, _meta: { source: 'synoptic', cached: false } }, 60000);
+    const entry = cache.store.get(key);
+    entry.createdAt = Date.now() - 60000 - expiredForMs;
+    entry.expiresAt = Date.now() - expiredForMs;
+  }
+
+  test('serves recently expired data and refreshes it in the background', async () => {
+    seedExpired('C5725', 1000);
+    const upstream = deferred();
+    provider.getCurrentObservation = () => upstream.promise;
+
+    const result = await manager.getCurrentObservation('C5725');
+    expect(result.temperature).toBe(70);
+    expect(result._meta).toMatchObject({ stale: true, stale_reason: 'revalidating', age_seconds: 61 });
+
+    upstream.resolve({ stationId: 'C5725', temperature: 90 });
+    await upstream.promise;
+    await new Promise(resolve => setImmediate(resolve));
+
+    const refreshed = await manager.getCurrentObservation('C5725');
+    expect(refreshed.temperature).toBe(90);
+    expect(refreshed._meta.stale).toBeUndefined();
+  });
+
+  test('serves older data marked stale when every source fails', async () => {
+    seedExpired('C5725', 10 * 60 * 1000);
+    provider.getCurrentObservation = async () => {
+      throw { code: 'HTTP_ERROR', message: 'HTTP 503', status: 503 };
+    };
+
+    const result = await manager.getCurrentObservation('C5725');
+    expect(result.temperature).toBe(70);
+    expect(result._meta).toMatchObject({ stale: true, stale_reason: 'sources_unavailable' });
+  });
+
+  test('does not mask a missing station with stale data', async () => {
+    seedExpired('C5725', 10 * 60 * 1000);
+    provider.getCurrentObservation = async () => {
+      throw { code: 'STATION_NOT_FOUND', message: 'Not found', status: 404 };
+    };
+
+    await expect(manager.getCurrentObservation('C5725')).rejects.toMatchObject({
+      code: 'STATION_NOT_FOUND'
+    });
+  });
+});
+
+describe('ClientManager batch current observations', () => {
+  let manager;
+  let provider;
+
+  beforeEach(() => {
+    cache.clear();
+    provider = {
+      ...createStubProvider(),
+      getCurrentObservations: async () => {
+        throw new Error('Unexpected upstream call');
+      },
+      capabilities: { currentObservationBatch: true }
+    };
+    manager = new ClientManager([{ name: 'synoptic', client: provider }]);
+  });
+
+  test('fetches uncached stations in one batch and caches each one', async () => {
+    cache.set('current:C5725', { STID: 'C5725', _meta: { source: 'synoptic' } }, 60000);
+    const batches = [];
+    provider.getCurrentObservations = async (ids) => {
+      batches.push(ids);
+      return [{ STID: 'CLKC1' }, { STID: 'BRSC1' }];
+    };
+    provider.getCurrentObservation = async (stationId) => {
+      throw { code: 'STATION_NOT_FOUND', message: `Station ${stationId} not found`, status: 404 };
+    };
+
+    const { results, stats } = await manager.getCurrentObservations(['C5725', 'CLKC1', 'BRSC1', 'NOPE1']);
+
+    expect(batches).toEqual([['CLKC1', 'BRSC1', 'NOPE1']]);
+    expect(results.map(r => r.station?.STID ?? r.error.code)).toEqual(['C5725', 'CLKC1', 'BRSC1', 'STATION_NOT_FOUND']);
+    expect(stats).toEqual({ cached: 1, batched: 2, individual: 1 });
+    expect(cache.get('current:BRSC1')._meta.source).toBe('synoptic');
+  });
+
+  test('falls back to single-station requests when the batch fails', async () => {
+    provider.getCurrentObservations = async () => {
+      throw { code: 'HTTP_503', message: 'Service unavailable', status: 503 };
+    };
+    provider.getCurrentObservation = async (stationId) => ({ STID: stationId });
+
+    const { results, stats } = await manager.getCurrentObservations(['C5725', 'CLKC1']);
+
+    expect(results.map(r => r.station.STID)).toEqual(['C5725', 'CLKC1']);
+    expect(stats).toEqual({ cached: 0, batched: 0, individual: 2 });
+  });
+});
+
+describe('ClientManager local errors', () => {
+  let manager;
+  let provider;
+
+  beforeEach(() => {
+    cache.clear();
+    provider = createStubProvider();
+    manager = new ClientManager([{ name: 'synoptic', client: provider }]);
+  });
+
+  afterAll(() => {
+    cache.destroy();
+  });
+
+  test('a full rate limiter queue does not trip the circuit breaker', async () => {
+    const limiter = new RateLimiter({ name: 'synoptic', requestsPerMinute: 1200, burst: 1, maxQueue: 1 });
+    provider.getCurrentObservation = async (stationId, { signal } = {}) => {
+      await limiter.acquire(signal);
+      return { stationId, temperature: 85 };
+    };
+
+    const results = await Promise.allSettled(
+      ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'].map(id => manager.getCurrentObservation(id))
+    );
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(rejected).toHaveLength(4);
+    expect(rejected[0].reason).toMatchObject({ code: 'RATE_LIMIT_QUEUE_FULL', status: 429 });
+
+    const [health] = manager.getSourceHealth();
+    expect(health).toMatchObject({ state: 'closed', consecutiveFailures: 0, errorRate: 0 });
+    expect(health.samples).toBe(2);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit tests for record/replay HTTP fixtures
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BaseClient } from '../../../src/api/base-client.js';
+import { SynopticClient } from '../../../src/api/synoptic.js';
+import { NWSClient } from '../../../src/api/nws.js';
+import { getFixtureStore, redactParams } from '../../../src/api/fixtures.js';
+import { adaptRawsData } from '../../../src/schemas/adapters.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const HTTP_FIXTURES = path.join(__dirname, '../../fixtures/http');
+
+/**
+ * Create a client whose HTTP adapter is replaced by a stub
+ */
+function createClient(mode, fixturesDir, adapter) {
+  const client = new BaseClient('https://example.test', {}, { source: 'test', mode, fixturesDir });
+  client.client.defaults.adapter = adapter;
+  return client;
+}
+
+/**
+ * Point a source client at the checked-in HTTP fixtures
+ */
+function replaying(client) {
+  client.mode = 'replay';
+  client.fixtures = getFixtureStore(HTTP_FIXTURES);
+  return client;
+}
+
+describe('record/replay fixtures', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'raws-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('replays recorded responses without credentials on disk', async () => {
+    const request = { url: '/stations/latest', method: 'GET', params: { token: 'secret', stid: 'C5725' } };
+    const recorder = createClient('record', directory, async (config) => ({
+      data: { STATION: [{ STID: config.params.stid }] },
+      status: 200,
+      statusText: 'OK',
+      headers: {},
+      config
+    }));
+
+    await recorder.request(request);
+
+    const [file] = fs.readdirSync(path.join(directory, 'test'));
+    expect(fs.readFileSync(path.join(directory, 'test', file), 'utf-8')).not.toContain('secret');
+
+    const replayer = createClient('replay', directory, async () => {
+      throw new Error('network used in replay mode');
+    });
+    // A different token must still find the recording
+    await expect(replayer.request({ ...request, params: { token: 'other', stid: 'C5725' } }))
+      .resolves.toEqual({ STATION: [{ STID: 'C5725' }] });
+  });
+
+  test('replays recorded HTTP errors', async () => {
+    const recorder = createClient('record', directory, async (config) => {
+      const error = new Error('Not Found');
+      error.response = { status: 404, headers: {}, data: { message: 'No such station' } };
+      error.config = config;
+      throw error;
+    });
+    await expect(recorder.request({ url: '/stations/NOPE' })).rejects.toMatchObject({ code: 'HTTP_404' });
+
+    const replayer = createClient('replay', directory, null);
+    await expect(replayer.request({ url: '/stations/NOPE' })).rejects.toMatchObject({
+      code: 'HTTP_404',
+      status: 404,
+      message: 'No such station'
+    });
+  });
+
+  test('fails requests that were never recorded', async () => {
+    const replayer = createClient('replay', directory, null);
+    await expect(replayer.request({ url: '/unrecorded' })).rejects.toMatchObject({
+      code: 'FIXTURE_NOT_FOUND',
+      details: { type: 'fixture_missing', source: 'test' }
+    });
+  });
+
+  test('redacts credential parameters', () => {
+    expect(redactParams({ token: 'x', stid: 'C5725', api_key: 'y' })).toEqual({ stid: 'C5725' });
+  });
+});
+
+describe('checked-in HTTP fixtures', () => {
+  test('serve a Synoptic current observation', async () => {
+    const client = replaying(new SynopticClient());
+    const data = adaptRawsData(await client.getCurrentObservation('C5725'), 'synoptic');
+    expect(data).toMatchObject({ stationId: 'C5725', temperature: 88.2, relativeHumidity: 12.5 });
+
+    await expect(client.getCurrentObservation('NOPE1')).rejects.toMatchObject({
+      code: 'STATION_NOT_FOUND'
+    });
+  });
+
+  test('serve an NWS current observation', async () => {
+    const client = replaying(new NWSClient());
+    const data = adaptRawsData(await client.getCurrentObservation('KSNS'), 'nws');
+    expect(data).toMatchObject({ stationId: 'KSNS', source: 'nws' });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for the data source provider registry
+ */
+
+import {
+  createProviders,
+  getRegisteredProviders,
+  loadProviderModules,
+  registerProvider,
+  validateProvider
+} from '../../../src/api/providers.js';
+import { ClientManager } from '../../../src/api/client-manager.js';
+import { adaptRawsData } from '../../../src/schemas/adapters.js';
+import cache from '../../../src/api/cache.js';
+
+describe('provider registry', () => {
+  afterAll(() => {
+    cache.destroy();
+  });
+
+  test('registers the built-in providers in failover order', () => {
+    expect(getRegisteredProviders().slice(0, 4)).toEqual(['synoptic', 'mesowest', 'wrcc', 'nws']);
+  });
+
+  test('built-in providers declare their capabilities', () => {
+    const [wrcc] = createProviders(['wrcc']);
+    expect(wrcc.client.capabilities).toEqual({
+      currentObservation: true,
+      stationSearch: false,
+      historicalObservations: true,
+      currentObservationBatch: false,
+      stationFilter: false
+    });
+  });
+
+  test('rejects providers missing interface methods', () => {
+    expect(() => validateProvider('broken', { isAvailable: () => true })).toThrow(
+      'Provider "broken" is missing required methods: getCurrentObservation, searchStations, getHistoricalObservations'
+    );
+  });
+
+  test('rejects duplicate and unknown provider names', () => {
+    expect(() => registerProvider({ name: 'synoptic', create: () => ({}) })).toThrow('already registered');
+    expect(() => createProviders(['nope'])).toThrow('Unknown data provider "nope"');
+  });
+
+  test('loads a provider module and fails over to it', async () => {
+    const names = await loadProviderModules(['./tests/fixtures/providers/agency-provider.js']);
+    expect(names).toEqual(['agency']);
+
+    const manager = new ClientManager(createProviders(['agency']));
+    const station = await manager.getCurrentObservation('AGY01');
+    expect(station._meta.source).toBe('agency');
+    expect(adaptRawsData(station, station._meta.source)).toMatchObject({
+      stationId: 'AGY01',
+      temperature: 88,
+      source: 'agency'
+    });
+
+    // No configured provider can search, so failover has nothing to try
+    await expect(manager.searchStations(39.5, -105.2)).rejects.toMatchObject({
+      code: 'NOT_SUPPORTED',
+      status: 501
+    });
+  });
+});
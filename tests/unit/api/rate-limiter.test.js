@@ -0,0 +1,76 @@
+/**
+ * Unit tests for the token bucket rate limiter
+ */
+
+import { RateLimiter } from '../../../src/api/rate-limiter.js';
+
+describe('RateLimiter', () => {
+  test('grants up to the burst size immediately', async () => {
+    const limiter = new RateLimiter({ name: 'test', requestsPerMinute: 60, burst: 3 });
+
+    await expect(Promise.all([
+      limiter.acquire(),
+      limiter.acquire(),
+      limiter.acquire()
+    ])).resolves.toEqual([0, 0, 0]);
+
+    const stats = limiter.getStats();
+    expect(stats.granted).toBe(3);
+    expect(stats.availableTokens).toBe(0);
+  });
+
+  test('queues requests once the bucket is empty', async () => {
+    // 1200/min = one token every 50 ms
+    const limiter = new RateLimiter({ name: 'test', requestsPerMinute: 1200, burst: 1 });
+
+    await limiter.acquire();
+    const started = Date.now();
+    const waited = await limiter.acquire();
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(30);
+    expect(waited).toBeGreaterThan(0);
+    expect(limiter.getStats().delayed).toBe(1);
+  });
+
+  test('serves queued callers in order', async () => {
+    const limiter = new RateLimiter({ name: 'test', requestsPerMinute: 1200, burst: 1 });
+    const order = [];
+
+    await Promise.all([1, 2, 3].map(n => limiter.acquire().then(() => order.push(n))));
+    expect(order).toEqual([1, 2, 3]);
+  });
+
+  test('rejects when the queue is full', async () => {
+    const limiter = new RateLimiter({ name: 'test', requestsPerMinute: 1200, burst: 1, maxQueue: 1 });
+
+    await limiter.acquire();
+    const queued = limiter.acquire();
+
+    await expect(limiter.acquire()).rejects.toMatchObject({
+      code: 'RATE_LIMIT_QUEUE_FULL',
+      status: 429
+    });
+    await queued;
+    expect(limiter.getStats().rejected).toBe(1);
+  });
+
+  test('removes cancelled callers from the queue', async () => {
+    const limiter = new RateLimiter({ name: 'test', requestsPerMinute: 1200, burst: 1 });
+    const controller = new AbortController();
+
+    await limiter.acquire();
+    const pending = limiter.acquire(controller.signal);
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ code: 'REQUEST_CANCELLED' });
+    expect(limiter.getStats().queued).toBe(0);
+    expect(limiter.getStats().cancelled).toBe(1);
+  });
+
+  test('does not limit when disabled', async () => {
+    const limiter = new RateLimiter({ name: 'test', requestsPerMinute: 0 });
+
+    const waits = await Promise.all(Array.from({ length: 20 }, () => limiter.acquire()));
+    expect(waits.every(w => w === 0)).toBe(true);
+  });
+});
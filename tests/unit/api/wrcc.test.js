@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the WRCC client and adapter
+ */
+
+import { WRCCClient } from '../../../src/api/wrcc.js';
+import { adaptRawsData, extractTimeSeries } from '../../../src/schemas/adapters.js';
+
+const INFO_PAGE = `<html><head><title>Ben Lomond, California - RAWS USA Climate Archive</title></head>
+<body><table>
+<tr><td>Latitude</td><td>37&deg; 07' 48"</td></tr>
+<tr><td>Longitude</td><td>122&deg; 09' 36"</td></tr>
+<tr><td>Elevation</td><td>2,612 ft</td></tr>
+</table></body></html>`;
+
+const REPORT = [
+  '<html><body><pre>',
+  ':LST\tSolar\tWind\tWind\tWind\tAir\tFuel\tFuel\tRel',
+  ':Date/Time\tRad.\tSpeed\tDirec\tGust\tTemp\tTemp\tMoist\tHum',
+  ':YYMMDDhhmm\tW/m2\tmph\tDeg\tmph\tDeg F\tDeg F\t%\t%',
+  '2508011300\t812\t6\t270\t14\t88\t101\t6.1\t18',
+  '2508011400\t790\t8\t265\t-9999\t91\t104\t5.8\t15',
+  '</pre></body></html>'
+].join('\n');
+
+/**
+ * Create a client whose HTTP adapter serves the canned pages
+ */
+function createClient() {
+  const client = new WRCCClient();
+  client.client.defaults.adapter = async (config) => ({
+    data: config.url.startsWith('/wea_info.pl') ? INFO_PAGE : REPORT,
+    status: 200,
+    statusText: 'OK',
+    headers: {},
+    config
+  });
+  return client;
+}
+
+describe('WRCCClient', () => {
+  test('returns the latest row as a Synoptic-shaped station', async () => {
+    const station = await createClient().getCurrentObservation('CACBEN');
+    const data = adaptRawsData(station, 'wrcc');
+
+    expect(station.STID).toBe('caCBEN');
+    expect(data).toMatchObject({
+      stationName: 'Ben Lomond',
+      state: 'CA',
+      elevation: 2612,
+      // 14:00 PST is 22:00 UTC
+      timestamp: '2025-08-01T22:00:00Z',
+      temperature: 91,
+      relativeHumidity: 15,
+      windSpeed: 8,
+      windGust: null,
+      windDirection: 265,
+      fuelMoisture: 5.8,
+      source: 'wrcc'
+    });
+    expect(data.latitude).toBeCloseTo(37.13, 2);
+    expect(data.longitude).toBeCloseTo(-122.16, 2);
+  });
+
+  test('trims historical reports to the requested range', async () => {
+    const station = await createClient().getHistoricalObservations(
+      'caCBEN',
+      new Date('2025-08-01T21:30:00Z'),
+      new Date('2025-08-01T23:00:00Z')
+    );
+
+    expect(extractTimeSeries(station)).toEqual([
+      expect.objectContaining({ timestamp: '2025-08-01T22:00:00Z', temperature: 91 })
+    ]);
+  });
+
+  test('reports non-WRCC station IDs and search as unsupported', async () => {
+    const client = createClient();
+
+    await expect(client.getCurrentObservation('C5725')).rejects.toMatchObject({ code: 'NOT_SUPPORTED' });
+    await expect(client.searchStations(37, -122)).rejects.toMatchObject({ code: 'NOT_SUPPORTED' });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the prescribed burn prompt and prescription checks
+ */
+
+import {
+  handler,
+  parsePrescription,
+  evaluatePrescription
+} from '../../../src/prompts/prescribed-burn.js';
+import clientManager from '../../../src/api/client-manager.js';
+import cache from '../../../src/api/cache.js';
+
+afterAll(() => {
+  cache.destroy();
+});
+
+describe('parsePrescription', () => {
+  test('parses array and object ranges', () => {
+    const ranges = parsePrescription(
+      '{"temperature":[40,80],"relative_humidity":{"min":25,"max":55},"wind_speed":[null,15]}'
+    );
+
+    expect(ranges).toEqual({
+      temperature: { min: 40, max: 80 },
+      relative_humidity: { min: 25, max: 55 },
+      wind_speed: { min: null, max: 15 }
+    });
+  });
+
+  test('returns null for free text', () => {
+    expect(parsePrescription('RH 25-55%, winds 3-15 mph')).toBeNull();
+    expect(parsePrescription('[1, 2]')).toBeNull();
+    expect(parsePrescription('{}')).toBeNull();
+  });
+});
+
+describe('evaluatePrescription', () => {
+  const rawsData = {
+    temperature: 72,
+    relativeHumidity: 18,
+    windSpeed: 8,
+    windGust: 14,
+    fuelMoisture: null
+  };
+
+  test('flags parameters outside prescription', () => {
+    const result = evaluatePrescription({
+      temperature: { min: 40, max: 80 },
+      relative_humidity: { min: 25, max: 55 }
+    }, rawsData);
+
+    expect(result.in_prescription).toBe(false);
+    expect(result.out_of_prescription).toEqual(['relative_humidity']);
+    expect(result.parameters.temperature.status).toBe('in_prescription');
+    expect(result.parameters.relative_humidity.status).toBe('below');
+  });
+
+  test('reports parameters that cannot be evaluated', () => {
+    const result = evaluatePrescription({
+      fuel_moisture: { min: 8, max: 14 },
+      mixing_height: { min: 1500, max: null }
+    }, rawsData);
+
+    expect(result.in_prescription).toBe(false);
+    expect(result.not_evaluated).toEqual(['fuel_moisture', 'mixing_height']);
+    expect(result.parameters.mixing_height.status).toBe('unknown_parameter');
+  });
+
+  test('passes when all parameters are in prescription', () => {
+    const result = evaluatePrescription({
+      temperature: { min: 40, max: 80 },
+      wind_speed: { min: 3, max: 15 },
+      wind_gust: { min: null, max: 20 }
+    }, rawsData);
+
+    expect(result.in_prescription).toBe(true);
+    expect(result.out_of_prescription).toEqual([]);
+  });
+});
+
+describe('prescribed_burn_go_no_go handler', () => {
+  const station = {
+    STID: 'C5725',
+    NAME: 'TEST RAWS',
+    ELEVATION: '7200',
+    LATITUDE: '39.5432',
+    LONGITUDE: '-105.2147',
+    OBSERVATIONS: {
+      date_time: [new Date().toISOString()],
+      air_temp_value_1: { value: [72] },
+      relative_humidity_value_1: { value: [30] },
+      wind_speed_value_1: { value: [8] },
+      wind_gust_value_1: { value: [14] },
+      wind_direction_value_1: { value: [200] },
+      fuel_moisture_value_1: { value: [10] }
+    },
+    _meta: { source: 'synoptic' }
+  };
+  let alertCalls;
+
+  beforeEach(() => {
+    cache.clear();
+    alertCalls = [];
+    clientManager.getCurrentObservation = async () => station;
+    clientManager.getHistoricalObservations = async () => {
+      throw { code: 'STATION_NOT_FOUND', message: 'Station not found', status: 404 };
+    };
+    clientManager.getNWSAlerts = async (latitude, longitude) => {
+      alertCalls.push([latitude, longitude]);
+      return [
+        { event: 'Red Flag Warning', headline: 'Red Flag Warning until 8 PM MDT' },
+        { event: 'Winter Storm Watch', headline: 'Winter Storm Watch' }
+      ];
+    };
+  });
+
+  afterEach(() => {
+    delete clientManager.getCurrentObservation;
+    delete clientManager.getHistoricalObservations;
+    delete clientManager.getNWSAlerts;
+  });
+
+  test('includes active fire weather alerts at the station', async () => {
+    const result = await handler({ station_id: 'C5725', prescription: '{"temperature":[40,80]}' });
+    const text = result.messages[0].content.text;
+
+    expect(result.success).toBe(true);
+    expect(alertCalls).toContainEqual([39.5432, -105.2147]);
+    expect(text).toContain('## Active NWS Fire Weather Alerts');
+    expect(text).toContain('Red Flag Warning until 8 PM MDT');
+    expect(text).not.toContain('Winter Storm Watch');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for station resource templates
+ */
+
+import { MAX_HISTORY_HOURS, matchResourceTemplate, parseStationUri } from '../../../src/resources/stations.js';
+import { readResource } from '../../../src/resources/index.js';
+import clientManager from '../../../src/api/client-manager.js';
+import cache from '../../../src/api/cache.js';
+
+const notFound = { code: 'STATION_NOT_FOUND', message: 'Station not found', status: 404 };
+
+afterAll(() => {
+  cache.destroy();
+});
+
+describe('parseStationUri', () => {
+  test('parses station resource URIs', () => {
+    const parsed = parseStationUri('raws://station/c5725/history?hours=6');
+
+    expect(parsed).toMatchObject({ stationId: 'C5725', resource: 'history' });
+    expect(parsed.query.get('hours')).toBe('6');
+    expect(parseStationUri('raws://station/CLKC1/current')).toMatchObject({ stationId: 'CLKC1', resource: 'current' });
+  });
+
+  test('rejects malformed URIs', () => {
+    expect(parseStationUri('not a uri')).toBeNull();
+    expect(parseStationUri('raws://station/C5725')).toBeNull();
+    expect(parseStationUri('raws://station/C5725/current/extra')).toBeNull();
+    expect(parseStationUri('raws://station/!!/current')).toBeNull();
+    expect(parseStationUri('raws://stations/C5725/current')).toBeNull();
+  });
+
+  test('rejects other schemes', () => {
+    expect(parseStationUri('https://station/C5725/current')).toBeNull();
+    expect(parseStationUri('file:///station/C5725/current')).toBeNull();
+  });
+});
+
+describe('matchResourceTemplate', () => {
+  test('matches only registered resources and their query parameters', () => {
+    expect(matchResourceTemplate('raws://station/C5725/metadata').template.name).toBe('station_metadata');
+    expect(matchResourceTemplate('raws://station/C5725/history?hours=12').template.name).toBe('station_history');
+    expect(matchResourceTemplate('raws://station/C5725/forecast')).toBeNull();
+    expect(matchResourceTemplate('raws://station/C5725/metadata?hours=12')).toBeNull();
+  });
+});
+
+describe('readResource', () => {
+  let calls;
+
+  beforeEach(() => {
+    cache.clear();
+    calls = 0;
+    clientManager.getCurrentObservation = async () => {
+      calls++;
+      throw notFound;
+    };
+    clientManager.getHistoricalObservations = async () => {
+      calls++;
+      throw notFound;
+    };
+  });
+
+  afterEach(() => {
+    delete clientManager.getCurrentObservation;
+    delete clientManager.getHistoricalObservations;
+  });
+
+  test.each(['0', '-3', 'abc', String(MAX_HISTORY_HOURS + 1)])('rejects hours=%s without fetching', async (hours) => {
+    const result = await readResource(`raws://station/C5725/history?hours=${hours}`);
+
+    expect(result).toMatchObject({ success: false, error: { code: 'INVALID_HOURS', status: 400 } });
+    expect(calls).toBe(0);
+  });
+
+  test.each(['metadata', 'current', 'history'])('reports a missing station from %s', async (resource) => {
+    const result = await readResource(`raws://station/NOPE1/${resource}`);
+
+    expect(result).toMatchObject({
+      success: false,
+      error: { code: 'STATION_NOT_FOUND', status: 404, details: { uri: `raws://station/NOPE1/${resource}` } }
+    });
+  });
+
+  test('reports unknown resources', async () => {
+    const result = await readResource('raws://station/C5725/forecast');
+
+    expect(result).toMatchObject({ success: false, error: { code: 'RESOURCE_NOT_FOUND', status: 404 } });
+    expect(calls).toBe(0);
+  });
+});
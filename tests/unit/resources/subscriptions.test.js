@@ -0,0 +1,133 @@
+/**
+ * Unit tests for resource subscription polling
+ */
+
+import { SubscriptionManager } from '../../../src/resources/subscriptions.js';
+import cache from '../../../src/api/cache.js';
+
+function station(timestamp) {
+  return {
+    STID: 'C5725',
+    NAME: 'Monument Creek RAWS',
+    LATITUDE: '39.5432',
+    LONGITUDE: '-105.2147',
+    ELEVATION: '7200',
+    OBSERVATIONS: {
+      date_time: [timestamp],
+      air_temp_value_1: { value: [88] },
+      relative_humidity_value_1: { value: [12] },
+      wind_speed_value_1: { value: [20] }
+    },
+    _meta: { source: 'synoptic' }
+  };
+}
+
+describe('SubscriptionManager', () => {
+  let observation;
+  let alerts;
+  let manager;
+
+  beforeEach(() => {
+    observation = station('2025-08-29T14:00:00Z');
+    alerts = [];
+    manager = new SubscriptionManager({
+      intervalMs: 60 * 60 * 1000,
+      fetchObservation: async () => observation,
+      fetchAlerts: async () => {
+        if (alerts instanceof Error) throw alerts;
+        return alerts;
+      }
+    });
+  });
+
+  afterEach(() => {
+    manager.destroy();
+  });
+
+  afterAll(() => {
+    cache.destroy();
+  });
+
+  test('rejects URIs that are not station resources', () => {
+    expect(manager.subscribe('raws://other/thing', () => {})).toBe(false);
+    expect(manager.subscribe('raws://station/C5725/current', () => {})).toBe(true);
+  });
+
+  test('rejects station URIs that match no resource template', () => {
+    expect(manager.subscribe('raws://station/C5725/forecast', () => {})).toBe(false);
+    expect(manager.subscribe('raws://station/C5725/current?hours=6', () => {})).toBe(false);
+    expect(manager.subscribe('raws://station/C5725/history?days=2', () => {})).toBe(false);
+    expect(manager.subscribe('raws://station/C5725/history?hours=6', () => {})).toBe(true);
+    expect([...manager.subscriptions.keys()]).toEqual(['raws://station/C5725/history?hours=6']);
+  });
+
+  test('notifies when a new observation timestamp arrives', async () => {
+    const notified = [];
+    manager.subscribe('raws://station/C5725/current', uri => notified.push(uri));
+    await manager.poll();
+    expect(notified).toEqual([]);
+
+    await manager.poll();
+    expect(notified).toEqual([]);
+
+    observation = station('2025-08-29T15:00:00Z');
+    await manager.poll();
+    expect(notified).toEqual(['raws://station/C5725/current']);
+  });
+
+  test('notifies when a Red Flag Warning appears', async () => {
+    const notified = [];
+    manager.subscribe('raws://station/C5725/history?hours=24', uri => notified.push(uri));
+    await manager.poll();
+
+    alerts = [{
+      event: 'Red Flag Warning',
+      onset: '2025-08-29T18:00:00Z',
+      expires: '2025-08-30T03:00:00Z'
+    }];
+    await manager.poll();
+    expect(notified).toEqual(['raws://station/C5725/history?hours=24']);
+
+    await manager.poll();
+    expect(notified).toHaveLength(1);
+  });
+
+  test('does not report an active warning as new after a failed alert fetch', async () => {
+    const notified = [];
+    const warning = [{
+      event: 'Red Flag Warning',
+      onset: '2025-08-29T18:00:00Z',
+      expires: '2025-08-30T03:00:00Z'
+    }];
+    manager.subscribe('raws://station/C5725/history?hours=24', uri => notified.push(uri));
+    alerts = warning;
+    await manager.poll();
+
+    alerts = new Error('NWS unavailable');
+    await manager.poll();
+
+    alerts = warning;
+    await manager.poll();
+    expect(notified).toEqual([]);
+  });
+
+  test('does not notify metadata subscribers of new observations', async () => {
+    const notified = [];
+    manager.subscribe('raws://station/C5725/metadata', uri => notified.push(uri));
+    await manager.poll();
+
+    observation = station('2025-08-29T15:00:00Z');
+    await manager.poll();
+    expect(notified).toEqual([]);
+  });
+
+  test('unsubscribeAll removes every subscription for a callback', () => {
+    const notify = () => {};
+    manager.subscribe('raws://station/C5725/current', notify);
+    manager.subscribe('raws://station/C5726/current', notify);
+
+    manager.unsubscribeAll(notify);
+    expect(manager.subscriptions.size).toBe(0);
+    expect(manager.pollTimer).toBeNull();
+  });
+});
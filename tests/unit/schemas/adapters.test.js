@@ -0,0 +1,54 @@
+/**
+ * Unit tests for source adapters
+ */
+
+import {
+  adaptNWSStation,
+  adaptRawsData,
+  convertNWSQuantity
+} from '../../../src/schemas/adapters.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const nwsFixture = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, '../../fixtures/nws-observation.json'),
+    'utf-8'
+  )
+);
+
+describe('NWS adapter', () => {
+  test('converts QuantitativeValues to English units', () => {
+    expect(convertNWSQuantity({ unitCode: 'wmoUnit:degC', value: 30 })).toBe(86);
+    expect(convertNWSQuantity({ unitCode: 'wmoUnit:m_s-1', value: 10 })).toBeCloseTo(22.37, 2);
+    expect(convertNWSQuantity({ unitCode: 'wmoUnit:km_h-1', value: null })).toBeNull();
+    expect(convertNWSQuantity({ unitCode: 'wmoUnit:furlong', value: 1 })).toBeNull();
+  });
+
+  test('maps an NWS observation into the common shape', () => {
+    const station = adaptNWSStation(nwsFixture.station, [nwsFixture.observation]);
+    const data = adaptRawsData(station, 'nws');
+
+    expect(data).toMatchObject({
+      stationId: 'KSNS',
+      stationName: 'Salinas Municipal Airport',
+      latitude: 36.6628,
+      longitude: -121.6061,
+      elevation: 82,
+      timezone: 'America/Los_Angeles',
+      timestamp: '2025-08-01T21:56:00Z',
+      temperature: 86,
+      relativeHumidity: 18.5,
+      windSpeed: 14.98,
+      windGust: null,
+      windDirection: 300,
+      pressure: 29.92,
+      fuelMoisture: null,
+      source: 'nws'
+    });
+  });
+});
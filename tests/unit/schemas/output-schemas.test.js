@@ -0,0 +1,78 @@
+/**
+ * Unit tests for tool output schemas
+ */
+
+import {
+  currentObservationOutputSchema,
+  historicalOutputSchema,
+  toOutputSchema
+} from '../../../src/schemas/output-schemas.js';
+import { transformToWildfireSchema } from '../../../src/schemas/transformer.js';
+import { adaptSynopticData, extractTimeSeries } from '../../../src/schemas/adapters.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load test fixture
+const fixtureData = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, '../../fixtures/synoptic-response.json'),
+    'utf-8'
+  )
+);
+
+describe('Tool output schemas', () => {
+  test('current observation result matches its schema', () => {
+    const rawsData = adaptSynopticData(fixtureData.STATION[0]);
+    const result = {
+      success: true,
+      data: transformToWildfireSchema(rawsData),
+      metadata: {
+        station_id: rawsData.stationId,
+        observation_time: rawsData.timestamp,
+        source: rawsData.source,
+        elevation: rawsData.elevation,
+        coordinates: {
+          latitude: rawsData.latitude,
+          longitude: rawsData.longitude
+        }
+      }
+    };
+
+    expect(currentObservationOutputSchema.safeParse(result).success).toBe(true);
+  });
+
+  test('historical result matches its schema', () => {
+    const station = fixtureData.STATION[0];
+    const result = {
+      success: true,
+      data: {
+        station_id: station.STID,
+        station_name: station.NAME,
+        time_series: extractTimeSeries(station),
+        start_time: '2025-08-29T00:00:00Z',
+        end_time: '2025-08-29T23:59:59Z'
+      },
+      metadata: {
+        data_points: 1,
+        source: undefined,
+        elevation: 7200,
+        coordinates: { latitude: 39.5432, longitude: -105.2147 }
+      }
+    };
+
+    expect(historicalOutputSchema.safeParse(result).success).toBe(true);
+  });
+
+  test('converts to an object JSON Schema without $schema', () => {
+    const jsonSchema = toOutputSchema(currentObservationOutputSchema);
+
+    expect(jsonSchema.type).toBe('object');
+    expect(jsonSchema.$schema).toBeUndefined();
+    expect(jsonSchema.properties.data.properties.weather_risks).toBeDefined();
+    expect(jsonSchema.properties.data.additionalProperties).toBe(true);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for get_raws_historical
+ */
+
+import { handler, splitDateRange } from '../../../src/tools/get-historical.js';
+import clientManager from '../../../src/api/client-manager.js';
+import cache from '../../../src/api/cache.js';
+import config from '../../../src/config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Upstream station for a chunk, with hourly observations from start to end inclusive
+ */
+function chunkStation(start, end) {
+  const times = [];
+  for (let t = start.getTime(); t <= end.getTime(); t += HOUR_MS) {
+    times.push(new Date(t).toISOString());
+  }
+  return {
+    STID: 'C5725',
+    NAME: 'TEST RAWS',
+    ELEVATION: '6000',
+    LATITUDE: '40.0',
+    LONGITUDE: '-105.0',
+    OBSERVATIONS: {
+      date_time: times,
+      air_temp_value_1: times.map(() => ({ value: 70 }))
+    },
+    _meta: { source: 'synoptic' }
+  };
+}
+
+afterAll(() => {
+  cache.destroy();
+});
+
+describe('splitDateRange', () => {
+  test('returns a single chunk for short ranges', () => {
+    const start = new Date('2025-08-01T00:00:00Z');
+    const end = new Date('2025-08-02T00:00:00Z');
+
+    expect(splitDateRange(start, end, 7 * DAY_MS)).toEqual([{ start, end }]);
+  });
+
+  test('splits long ranges into contiguous chunks', () => {
+    const start = new Date('2025-01-01T00:00:00Z');
+    const end = new Date('2025-01-20T00:00:00Z');
+    const chunks = splitDateRange(start, end, 7 * DAY_MS);
+
+    expect(chunks).toHaveLength(3);
+    expect(chunks[0].start).toEqual(start);
+    expect(chunks[1].start).toEqual(chunks[0].end);
+    expect(chunks[2].end).toEqual(end);
+    expect(chunks[2].end - chunks[2].start).toBe(5 * DAY_MS);
+  });
+
+  test('falls back to one chunk when chunking is disabled', () => {
+    const start = new Date('2025-01-01T00:00:00Z');
+    const end = new Date('2025-06-01T00:00:00Z');
+
+    expect(splitDateRange(start, end, 0)).toHaveLength(1);
+  });
+});
+
+describe('get_raws_historical handler', () => {
+  const start = new Date(Date.now() - 20 * DAY_MS);
+  const end = new Date(Date.now() - HOUR_MS);
+  const args = { station_id: 'C5725', start_time: start.toISOString(), end_time: end.toISOString() };
+  const notFound = { code: 'STATION_NOT_FOUND', message: 'Station not found', status: 404 };
+  let calls;
+  let chunkDays;
+
+  beforeEach(() => {
+    calls = [];
+    chunkDays = config.historicalChunkDays;
+    config.historicalChunkDays = 7;
+  });
+
+  afterEach(() => {
+    config.historicalChunkDays = chunkDays;
+    delete clientManager.getHistoricalObservations;
+  });
+
+  /**
+   * Replace the upstream fetch; respond(index, start, end) returns a station or throws
+   */
+  function stubUpstream(respond) {
+    clientManager.getHistoricalObservations = async (stationId, chunkStart, chunkEnd) => {
+      calls.push({ start: chunkStart, end: chunkEnd });
+      return respond(calls.length - 1, chunkStart, chunkEnd);
+    };
+  }
+
+  test('fetches long ranges chunk by chunk with progress', async () => {
+    stubUpstream((i, chunkStart, chunkEnd) => chunkStation(chunkStart, chunkEnd));
+    const progress = [];
+
+    const result = await handler(args, {
+      reportProgress: async (done, total) => progress.push([done, total])
+    });
+
+    expect(calls).toHaveLength(3);
+    expect(progress).toEqual([[1, 3], [2, 3], [3, 3]]);
+    expect(result.success).toBe(true);
+    // Shared chunk boundaries appear once
+    const timestamps = result.data.time_series.map(point => point.timestamp);
+    expect(new Set(timestamps).size).toBe(timestamps.length);
+  });
+
+  test('treats a chunk without observations as empty', async () => {
+    stubUpstream((i, chunkStart, chunkEnd) => {
+      if (i === 1) throw notFound;
+      return chunkStation(chunkStart, chunkEnd);
+    });
+
+    const result = await handler(args);
+
+    expect(result.success).toBe(true);
+    expect(result.data.time_series.length).toBeGreaterThan(0);
+    expect(result.data.time_series.some(point => Date.parse(point.timestamp) > calls[1].start.getTime() &&
+      Date.parse(point.timestamp) < calls[1].end.getTime())).toBe(false);
+  });
+
+  test('reports a missing station only when every chunk is empty', async () => {
+    stubUpstream(() => {
+      throw notFound;
+    });
+
+    const result = await handler(args);
+
+    expect(calls).toHaveLength(3);
+    expect(result).toMatchObject({ success: false, error: { code: 'STATION_NOT_FOUND', status: 404 } });
+  });
+
+  test('stops fetching when cancelled midway', async () => {
+    stubUpstream((i, chunkStart, chunkEnd) => chunkStation(chunkStart, chunkEnd));
+    const controller = new AbortController();
+
+    const result = await handler(args, {
+      signal: controller.signal,
+      reportProgress: async (done) => {
+        if (done === 1) controller.abort();
+      }
+    });
+
+    expect(calls).toHaveLength(1);
+    expect(result).toMatchObject({
+      success: false,
+      error: { code: 'REQUEST_CANCELLED', details: { chunks_completed: 1, chunks_total: 3 } }
+    });
+  });
+});
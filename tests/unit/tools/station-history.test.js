@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the station history helpers
+ */
+
+import {
+  checkHistoryArgs,
+  fetchStationHistory,
+  historyMetadata,
+  latestWeather,
+  resolveUtcOffset
+} from '../../../src/tools/station-history.js';
+import config from '../../../src/config.js';
+import cache from '../../../src/api/cache.js';
+import clientManager from '../../../src/api/client-manager.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const history = {
+  success: true,
+  data: {
+    station_id: 'C5725',
+    start_time: '2025-08-01T00:00:00.000Z',
+    end_time: '2025-08-08T00:00:00.000Z',
+    time_series: []
+  },
+  metadata: {
+    source: 'synoptic',
+    coordinates: { latitude: 39.5, longitude: -105.2 }
+  }
+};
+
+afterAll(() => {
+  cache.destroy();
+});
+
+describe('checkHistoryArgs', () => {
+  test('accepts history within the tool limit', () => {
+    expect(checkHistoryArgs({ history_days: 30 }, 30)).toBeNull();
+    expect(checkHistoryArgs({ history_days: 1, utc_offset: -7 }, 30)).toBeNull();
+  });
+
+  test.each([0, 31, '7', NaN])('rejects history_days %p', (days) => {
+    expect(checkHistoryArgs({ history_days: days }, 30)).toMatchObject({
+      success: false,
+      error: { code: 'INVALID_HISTORY_DAYS', status: 400, message: expect.stringContaining('between 1 and 30') }
+    });
+  });
+
+  test.each([-13, 15, '-7'])('rejects utc_offset %p', (offset) => {
+    expect(checkHistoryArgs({ history_days: 7, utc_offset: offset }, 30)).toMatchObject({
+      success: false,
+      error: { code: 'INVALID_UTC_OFFSET', status: 400 }
+    });
+  });
+
+  test('reports the feature flag before the arguments', () => {
+    const enabled = config.features.fireIndices;
+    config.features.fireIndices = false;
+
+    try {
+      expect(checkHistoryArgs({ history_days: 0 }, 30)).toMatchObject({
+        success: false,
+        error: { code: 'FEATURE_DISABLED', status: 403 }
+      });
+    } finally {
+      config.features.fireIndices = enabled;
+    }
+  });
+});
+
+describe('fetchStationHistory', () => {
+  afterEach(() => {
+    delete clientManager.getHistoricalObservations;
+  });
+
+  test('ends the window on the hour so repeat calls reuse cached chunks', async () => {
+    const windows = [];
+    clientManager.getHistoricalObservations = async (stationId, start, end) => {
+      windows.push([start.toISOString(), end.toISOString()]);
+      throw { code: 'STATION_NOT_FOUND', message: 'Station not found', status: 404 };
+    };
+
+    await fetchStationHistory('C5725', 2, ['air_temp']);
+    await fetchStationHistory('C5725', 2, ['air_temp']);
+
+    const last = windows[windows.length - 1];
+    expect(Date.parse(last[1]) % HOUR_MS).toBe(0);
+    expect(Date.parse(last[1]) - Date.parse(windows[0][0])).toBe(2 * 24 * HOUR_MS);
+    expect(windows.slice(windows.length / 2)).toEqual(windows.slice(0, windows.length / 2));
+  });
+});
+
+describe('resolveUtcOffset', () => {
+  test('prefers the given offset, then estimates from longitude', () => {
+    expect(resolveUtcOffset(-6, history)).toEqual({ utcOffset: -6, source: 'provided' });
+    expect(resolveUtcOffset(undefined, history)).toEqual({ utcOffset: -7, source: 'estimated' });
+    expect(resolveUtcOffset(undefined, { metadata: {} })).toEqual({ utcOffset: 0, source: 'estimated' });
+  });
+});
+
+describe('latestWeather', () => {
+  test('returns the newest observation with temperature, humidity and wind', () => {
+    const series = [
+      { timestamp: 'a', temperature: 80, relativeHumidity: 20, windSpeed: 5 },
+      { timestamp: 'b', temperature: 82, relativeHumidity: 18, windSpeed: 6 },
+      { timestamp: 'c', temperature: 84, relativeHumidity: null, windSpeed: 7 }
+    ];
+
+    expect(latestWeather(series).timestamp).toBe('b');
+    expect(latestWeather([])).toBeUndefined();
+  });
+});
+
+describe('historyMetadata', () => {
+  test('describes the history window and staleness', () => {
+    expect(historyMetadata(history)).toEqual({
+      source: 'synoptic',
+      history_start: '2025-08-01T00:00:00.000Z',
+      history_end: '2025-08-08T00:00:00.000Z',
+      calculation_time: expect.any(String)
+    });
+    expect(historyMetadata({ ...history, metadata: { stale: true, age_seconds: 90 } })).toMatchObject({
+      source: null,
+      stale: true,
+      age_seconds: 90
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Unit tests for the Streamable HTTP and SSE transports
+ */
+
+import http from 'node:http';
+import { startHttpServer } from '../../../src/transports/http.js';
+import { createServer } from '../../../src/server.js';
+import cache from '../../../src/api/cache.js';
+
+const ACCEPT = 'application/json, text/event-stream';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'test-client', version: '1.0.0' }
+  }
+};
+
+/**
+ * Read JSON-RPC messages from a JSON or SSE response body
+ */
+async function readMessages(response) {
+  const text = await response.text();
+  if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+    return text.split('\n')
+      .filter(line => line.startsWith('data: '))
+      .map(line => JSON.parse(line.slice(6)));
+  }
+  return text ? [JSON.parse(text)] : [];
+}
+
+describe('HTTP transport', () => {
+  let handle;
+  let baseUrl;
+
+  beforeEach(async () => {
+    handle = await startHttpServer(createServer, {
+      host: '127.0.0.1',
+      port: 0,
+      allowedHosts: [],
+      allowedOrigins: []
+    });
+    baseUrl = `http://127.0.0.1:${handle.port}`;
+  });
+
+  afterEach(async () => {
+    await handle.close();
+  });
+
+  afterAll(() => {
+    cache.destroy();
+  });
+
+  /**
+   * POST a JSON-RPC message to /mcp
+   */
+  function post(body, headers = {}) {
+    return fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: ACCEPT, ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+  }
+
+  /**
+   * Initialize a Streamable HTTP session and return its ID
+   */
+  async function openSession() {
+    const response = await post(INITIALIZE);
+    await readMessages(response);
+    const sessionId = response.headers.get('mcp-session-id');
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'mcp-session-id': sessionId });
+    return sessionId;
+  }
+
+  describe('Streamable HTTP', () => {
+    test('opens a session on initialize', async () => {
+      const response = await post(INITIALIZE);
+      const [message] = await readMessages(response);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('mcp-session-id')).toBeTruthy();
+      expect(message.result.serverInfo.name).toBe('raws-mcp');
+      expect(handle.sessions.get(response.headers.get('mcp-session-id')).type).toBe('streamable');
+    });
+
+    test('routes requests to their session by mcp-session-id', async () => {
+      const first = await openSession();
+      const second = await openSession();
+      expect(first).not.toBe(second);
+
+      const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': second });
+      const [message] = await readMessages(response);
+
+      expect(response.status).toBe(200);
+      expect(message.id).toBe(2);
+      expect(message.result.tools.map(tool => tool.name)).toContain('get_raws_current');
+    });
+
+    test('rejects an unknown session ID', async () => {
+      const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': 'no-such-session' });
+      const [message] = await readMessages(response);
+
+      expect(response.status).toBe(404);
+      expect(message.error.code).toBe(-32001);
+    });
+
+    test('requires a session ID for anything but initialize', async () => {
+      const response = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+      const [message] = await readMessages(response);
+
+      expect(response.status).toBe(400);
+      expect(message.error.code).toBe(-32000);
+    });
+
+    test('rejects invalid JSON', async () => {
+      const response = await post('{not json');
+
+      expect(response.status).toBe(400);
+      expect((await readMessages(response))[0].error.code).toBe(-32700);
+    });
+
+    test('rejects oversized bodies with 413', async () => {
+      const response = await post({ padding: 'x'.repeat(5 * 1024 * 1024) });
+
+      expect(response.status).toBe(413);
+      expect((await readMessages(response))[0].error.code).toBe(-32600);
+    });
+
+    test('closes a session on DELETE', async () => {
+      const sessionId = await openSession();
+
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'DELETE',
+        headers: { 'mcp-session-id': sessionId }
+      });
+      await response.text();
+
+      expect(response.status).toBe(200);
+      expect(handle.sessions.has(sessionId)).toBe(false);
+
+      const after = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { 'mcp-session-id': sessionId });
+      await after.text();
+      expect(after.status).toBe(404);
+    });
+  });
+
+  describe('SSE', () => {
+    /**
+     * Open an SSE stream; resolves with the stream and a reader for its events
+     */
+    function connectSse() {
+      return new Promise((resolve, reject) => {
+        const req = http.get(`${baseUrl}/sse`, { headers: { Accept: 'text/event-stream' } }, res => {
+          let buffer = '';
+          const waiting = [];
+          const events = [];
+
+          res.setEncoding('utf-8');
+          res.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+              const block = buffer.slice(0, end);
+              buffer = buffer.slice(end + 2);
+              const event = {
+                event: block.match(/^event: (.*)$/m)?.[1],
+                data: block.match(/^data: (.*)$/m)?.[1]
+              };
+              const waiter = waiting.shift();
+              if (waiter) waiter(event); else events.push(event);
+            }
+          });
+
+          resolve({
+            req,
+            nextEvent: () => events.length > 0
+              ? Promise.resolve(events.shift())
+              : new Promise(r => waiting.push(r))
+          });
+        });
+        req.on('error', reject);
+      });
+    }
+
+    test('pairs /messages posts with their /sse stream', async () => {
+      const stream = await connectSse();
+      const endpoint = await stream.nextEvent();
+      expect(endpoint.event).toBe('endpoint');
+
+      const sessionId = new URL(endpoint.data, baseUrl).searchParams.get('sessionId');
+      expect(handle.sessions.get(sessionId).type).toBe('sse');
+
+      const response = await fetch(new URL(endpoint.data, baseUrl), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(INITIALIZE)
+      });
+      await response.text();
+      expect(response.status).toBe(202);
+
+      const reply = await stream.nextEvent();
+      expect(JSON.parse(reply.data)).toMatchObject({ id: 1, result: { serverInfo: { name: 'raws-mcp' } } });
+
+      stream.req.destroy();
+    });
+
+    test('rejects messages for unknown or missing SSE sessions', async () => {
+      const unknown = await fetch(`${baseUrl}/messages?sessionId=no-such-session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(INITIALIZE)
+      });
+      const missing = await fetch(`${baseUrl}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(INITIALIZE)
+      });
+      await Promise.all([unknown.text(), missing.text()]);
+
+      expect(unknown.status).toBe(404);
+      expect(missing.status).toBe(404);
+    });
+
+    test('does not accept a Streamable HTTP session ID on /messages', async () => {
+      const sessionId = await openSession();
+
+      const response = await fetch(`${baseUrl}/messages?sessionId=${sessionId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(INITIALIZE)
+      });
+      await response.text();
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for areas.js search areas
+ */
+
+import { resolveArea, describeArea } from '../../../src/utils/areas.js';
+
+// Rough fire perimeter west of Boulder, CO ([longitude, latitude])
+const perimeter = {
+  type: 'Feature',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[-105.5, 39.9], [-105.3, 39.9], [-105.3, 40.1], [-105.5, 40.1], [-105.5, 39.9]]]
+  }
+};
+
+describe('resolveArea', () => {
+  test('keeps a point and radius as the upstream search circle', () => {
+    const { area } = resolveArea({ latitude: 40, longitude: -105, radius: 30 });
+
+    expect(area).toMatchObject({ type: 'radius', latitude: 40, longitude: -105, radius: 30 });
+    expect(area.distanceToEdge).toBeNull();
+  });
+
+  test('searches a polygon by a circle around it and clips to it', () => {
+    const { area } = resolveArea({ polygon: perimeter });
+
+    expect(area.type).toBe('polygon');
+    expect(area.latitude).toBeCloseTo(40, 5);
+    expect(area.radius).toBe(9);
+    expect(area.contains(40, -105.4)).toBe(true);
+    expect(area.contains(40, -105.2)).toBe(false);
+  });
+
+  test('includes stations within the buffer outside the edge', () => {
+    const { area } = resolveArea({ polygon: perimeter, buffer_miles: 10 });
+
+    // About 5.3 miles east of the perimeter
+    expect(area.contains(40, -105.2)).toBe(true);
+    expect(area.distanceToEdge(40, -105.2)).toBeCloseTo(5.3, 1);
+    expect(area.distanceToEdge(40, -105.4)).toBe(0);
+    expect(area.radius).toBe(19);
+  });
+
+  test('accepts MultiPolygons', () => {
+    const { area } = resolveArea({
+      polygon: {
+        type: 'MultiPolygon',
+        coordinates: [
+          perimeter.geometry.coordinates,
+          [[[-106, 39], [-105.9, 39], [-105.9, 39.1], [-106, 39.1], [-106, 39]]]
+        ]
+      }
+    });
+
+    expect(area.contains(40, -105.4)).toBe(true);
+    expect(area.contains(39.05, -105.95)).toBe(true);
+    expect(area.contains(39.5, -105.6)).toBe(false);
+  });
+
+  test('describes a bbox area', () => {
+    const { area } = resolveArea({ bbox: [-106, 39, -105, 40], buffer_miles: 5 });
+
+    expect(describeArea(area)).toEqual({
+      type: 'bbox',
+      center: { latitude: 39.5, longitude: -105.5 },
+      radius_miles: area.radius,
+      buffer_miles: 5,
+      bbox: [-106, 39, -105, 40]
+    });
+  });
+
+  test.each([
+    [{}, 'INVALID_AREA'],
+    [{ latitude: 40, longitude: -105, polygon: perimeter }, 'INVALID_AREA'],
+    [{ bbox: [-105, 39, -106, 40] }, 'INVALID_AREA'],
+    [{ polygon: { type: 'Point', coordinates: [-105, 40] } }, 'INVALID_AREA'],
+    [{ polygon: { type: 'Polygon', coordinates: [[[-105.5, 39.9], [-105.3, 39.9], [-105.3, 40.1], [-105.5, 40.1]]] } }, 'INVALID_AREA'],
+    [{ polygon: { type: 'Polygon', coordinates: [[[-105.5, 39.9], [-105.3, 39.9], [-105.3, 40.1], [-105.5, 40.1], [-105.4, 40]]] } }, 'INVALID_AREA'],
+    [{ polygon: perimeter, buffer_miles: -1 }, 'INVALID_AREA'],
+    [{ latitude: 95, longitude: -105 }, 'INVALID_LATITUDE'],
+    [{ latitude: 40, longitude: -105, radius: 600 }, 'INVALID_RADIUS'],
+    [{ bbox: [-125, 30, -100, 49] }, 'AREA_TOO_LARGE']
+  ])('rejects %j with %s', (args, code) => {
+    expect(resolveArea(args).error.code).toBe(code);
+  });
+});
@@ -4,10 +4,13 @@
 
 import {
   calculateFosbergFFWI,
+  calculateModifiedFFWI,
   calculateHainesIndex,
   calculateChandlerBurningIndex,
   isRedFlagConditions,
-  calculateFireDangerClass
+  calculateFireDangerClass,
+  calculateEquilibriumMoistureContent,
+  estimate10HourFuelMoisture
 } from '../../../src/utils/calculations.js';
 
 describe('Fosberg Fire Weather Index', () => {
@@ -34,6 +37,20 @@ describe('Fosberg Fire Weather Index', () => {
   });
 });
 
+describe('Modified Fosberg Fire Weather Index', () => {
+  test('rates the same weather higher in drought', () => {
+    const moist = calculateModifiedFFWI(85, 20, 40, 0);
+    const drought = calculateModifiedFFWI(85, 20, 40, 800);
+
+    expect(drought).toBeGreaterThan(moist);
+    expect(drought).toBeGreaterThanOrEqual(calculateFosbergFFWI(85, 20, 40));
+  });
+
+  test('returns null without a KBDI', () => {
+    expect(calculateModifiedFFWI(85, 20, 15, null)).toBeNull();
+  });
+});
+
 describe('Haines Index', () => {
   test('calculates Haines Index for typical conditions', () => {
     const haines = calculateHainesIndex(85, 25, 5000);
@@ -81,6 +98,27 @@ describe('Chandler Burning Index', () => {
   });
 });
 
+describe('10-hour Fuel Moisture', () => {
+  test('falls back to EMC without history', () => {
+    expect(estimate10HourFuelMoisture(85, 20)).toBe(calculateEquilibriumMoistureContent(85, 20));
+  });
+
+  test('models recent history when given', () => {
+    const history = Array.from({ length: 24 }, (_, i) => ({
+      timestamp: new Date(Date.UTC(2025, 7, 1, i)).toISOString(),
+      temperature: 85,
+      relativeHumidity: i < 12 ? 60 : 15,
+      solarRadiation: null,
+      precipAccum: null
+    }));
+    const moisture = estimate10HourFuelMoisture(85, 15, history);
+
+    // Still drying from the humid morning
+    expect(moisture).toBeGreaterThan(estimate10HourFuelMoisture(85, 15, history.slice(20)));
+    expect(moisture).toBeLessThan(15);
+  });
+});
+
 describe('Red Flag Conditions', () => {
   test('detects Red Flag conditions (strict)', () => {
     expect(isRedFlagConditions(12, 30, true)).toBe(true);
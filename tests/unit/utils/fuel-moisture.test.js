@@ -0,0 +1,84 @@
+/**
+ * Unit tests for the dead fuel moisture model
+ */
+
+import { modelDeadFuelMoisture } from '../../../src/utils/fuel-moisture.js';
+
+/**
+ * Build an hourly series from a function of the hour index
+ */
+function hourly(count, point) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(Date.UTC(2025, 7, 1, i)).toISOString(),
+    solarRadiation: null,
+    precipAccum: null,
+    ...point(i)
+  }));
+}
+
+describe('Nelson dead fuel moisture model', () => {
+  test('models every observation with temperature and humidity', () => {
+    const series = hourly(24, i => ({ temperature: 80, relativeHumidity: i === 5 ? null : 25 }));
+    const modeled = modelDeadFuelMoisture(series);
+
+    expect(modeled).toHaveLength(23);
+    expect(modeled[0]).toEqual({
+      timestamp: series[0].timestamp,
+      oneHour: expect.any(Number),
+      tenHour: expect.any(Number),
+      hundredHour: expect.any(Number),
+      thousandHour: expect.any(Number)
+    });
+  });
+
+  test('stays at equilibrium under steady conditions', () => {
+    const modeled = modelDeadFuelMoisture(hourly(48, () => ({ temperature: 70, relativeHumidity: 50 })));
+    const last = modeled[modeled.length - 1];
+
+    // Close to the NFDRS EMC for 70°F and 50% (about 9.6%)
+    expect(last.tenHour).toBeGreaterThan(8.5);
+    expect(last.tenHour).toBeLessThan(10.5);
+    expect(last.oneHour).toBeCloseTo(last.thousandHour, 1);
+  });
+
+  test('fine fuels respond faster than heavy fuels', () => {
+    const modeled = modelDeadFuelMoisture(hourly(36, i => ({ temperature: 85, relativeHumidity: i < 24 ? 60 : 10 })));
+    const last = modeled[modeled.length - 1];
+
+    expect(last.oneHour).toBeLessThan(last.tenHour);
+    expect(last.tenHour).toBeLessThan(last.hundredHour);
+    expect(last.hundredHour).toBeLessThan(last.thousandHour);
+  });
+
+  test('sunshine dries fine fuels below the shaded value', () => {
+    const shaded = modelDeadFuelMoisture(hourly(12, () => ({ temperature: 85, relativeHumidity: 30 })));
+    const sunny = modelDeadFuelMoisture(hourly(12, () => ({ temperature: 85, relativeHumidity: 30, solarRadiation: 900 })));
+
+    expect(sunny[11].oneHour).toBeLessThan(shaded[11].oneHour);
+  });
+
+  test('rain wets fine fuels toward saturation and they dry out after', () => {
+    const series = hourly(30, i => ({
+      temperature: 70,
+      relativeHumidity: 40,
+      precipAccum: i < 10 ? 0 : Math.min(i - 9, 3) * 0.2
+    }));
+    const modeled = modelDeadFuelMoisture(series);
+
+    expect(modeled[12].oneHour).toBeGreaterThan(30);
+    expect(modeled[12].tenHour).toBeGreaterThan(modeled[9].tenHour);
+    expect(modeled[29].oneHour).toBeLessThan(modeled[12].oneHour);
+  });
+
+  test('ignores a precipitation gauge reset', () => {
+    const series = hourly(12, i => ({ temperature: 70, relativeHumidity: 40, precipAccum: i < 6 ? 1.5 : 0 }));
+    const steady = modelDeadFuelMoisture(hourly(12, () => ({ temperature: 70, relativeHumidity: 40 })));
+
+    expect(modelDeadFuelMoisture(series)).toEqual(steady);
+  });
+
+  test('returns nothing without temperature and humidity', () => {
+    expect(modelDeadFuelMoisture([])).toEqual([]);
+    expect(modelDeadFuelMoisture(hourly(3, () => ({ temperature: 70, relativeHumidity: null })))).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the Canadian FWI System
+ */
+
+import {
+  STARTUP_CODES,
+  calculateFWISystem,
+  noonObservations,
+  overwinterDroughtCode,
+  resolveStartCodes,
+  roundCodes
+} from '../../../src/utils/fwi.js';
+
+// Van Wagner & Pickett (1985) test data: month, °C, %, km/h, mm, then expected codes
+const TEST_DAYS = [
+  [4, 17, 42, 25, 0, { ffmc: 87.7, dmc: 8.5, dc: 19.0, isi: 10.9, bui: 8.5, fwi: 10.1 }],
+  [4, 20, 21, 25, 2.4, { ffmc: 86.2, dmc: 10.4, dc: 23.6, isi: 8.8, bui: 10.4, fwi: 9.3 }],
+  [4, 8.5, 40, 17, 0, { ffmc: 87.0, dmc: 11.8, dc: 26.1, isi: 6.5, bui: 11.7, fwi: 7.6 }],
+  [4, 6.5, 25, 6, 0, { ffmc: 88.8, dmc: 13.2, dc: 28.2, isi: 4.9, bui: 13.1, fwi: 6.2 }],
+  [4, 13, 34, 24, 0, { ffmc: 89.1, dmc: 15.4, dc: 31.5, isi: 12.6, bui: 15.3, fwi: 14.8 }]
+];
+
+describe('Canadian FWI System', () => {
+  test('matches the published test data from startup values', () => {
+    let codes = STARTUP_CODES;
+    for (const [month, temperature, relativeHumidity, windSpeed, rain, expected] of TEST_DAYS) {
+      codes = calculateFWISystem(codes, { temperature, relativeHumidity, windSpeed, rain, month, latitude: 46 });
+      expect(roundCodes(codes)).toMatchObject(expected);
+    }
+  });
+
+  test('heavy rain lowers all three codes', () => {
+    const dry = { ffmc: 92, dmc: 60, dc: 400 };
+    const wet = calculateFWISystem(dry, { temperature: 15, relativeHumidity: 80, windSpeed: 10, rain: 25, month: 7 });
+
+    expect(wet.ffmc).toBeLessThan(dry.ffmc);
+    expect(wet.dmc).toBeLessThan(dry.dmc);
+    expect(wet.dc).toBeLessThan(dry.dc);
+  });
+
+  test('overwinters the drought code', () => {
+    expect(overwinterDroughtCode(400, 300)).toBeLessThan(overwinterDroughtCode(400, 50));
+    expect(overwinterDroughtCode(400, 1000)).toBe(STARTUP_CODES.dc);
+  });
+
+  test('resolves starting codes', () => {
+    expect(resolveStartCodes({})).toEqual({ start: STARTUP_CODES, dcSource: 'startup' });
+    expect(resolveStartCodes({ previous_dc: 250, fall_dc: 400 }).start.dc).toBe(250);
+    expect(resolveStartCodes({ fall_dc: 400, winter_precip: 8 }).dcSource).toBe('overwintered');
+    expect(resolveStartCodes({ previous_ffmc: 120 }).error.code).toBe('INVALID_FWI_CODE');
+  });
+});
+
+describe('Noon observations', () => {
+  const series = [];
+  for (let hour = 0; hour < 48; hour++) {
+    series.push({
+      timestamp: new Date(Date.UTC(2024, 6, 1, hour)).toISOString(),
+      temperature: 80,
+      relativeHumidity: 20,
+      windSpeed: 10,
+      // 0.2 inches falls during the first afternoon
+      precipAccum: hour >= 21 ? 1.2 : 1.0
+    });
+  }
+
+  test('picks local standard noon and the rain since the previous noon', () => {
+    const days = noonObservations(series, -7);
+
+    expect(days.map(day => day.timestamp)).toEqual(['2024-07-01T19:00:00.000Z', '2024-07-02T19:00:00.000Z']);
+    expect(days[0].rain).toBe(0);
+    expect(days[1].rain).toBeCloseTo(5.08);
+    expect(days[1].temperature).toBeCloseTo(26.67, 1);
+    expect(days[1].windSpeed).toBeCloseTo(16.09, 1);
+    expect(days[1].month).toBe(7);
+  });
+
+  test('skips days without an observation near noon', () => {
+    const sparse = series.filter(point => !/^2024-07-02T(1[7-9]|2[01])/.test(point.timestamp));
+    expect(noonObservations(sparse, -7).map(day => day.date)).toEqual(['2024-07-01']);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for geo.js utilities
+ */
+
+import {
+  calculateDistance,
+  distanceToPolygonEdge,
+  getBoundingCircle,
+  isPointInBoundingBox,
+  isPointInPolygon
+} from '../../../src/utils/geo.js';
+
+// Square around Boulder, CO with a hole in the middle ([longitude, latitude])
+const square = [
+  [[-106, 39], [-105, 39], [-105, 40], [-106, 40], [-106, 39]],
+  [[-105.6, 39.4], [-105.4, 39.4], [-105.4, 39.6], [-105.6, 39.6], [-105.6, 39.4]]
+];
+
+describe('isPointInPolygon', () => {
+  test('finds points inside the outer ring', () => {
+    expect(isPointInPolygon(39.2, -105.8, square)).toBe(true);
+    expect(isPointInPolygon(40.5, -105.8, square)).toBe(false);
+  });
+
+  test('treats points in a hole as outside', () => {
+    expect(isPointInPolygon(39.5, -105.5, square)).toBe(false);
+  });
+});
+
+describe('isPointInBoundingBox', () => {
+  test('includes the edges', () => {
+    expect(isPointInBoundingBox(39, -105.5, [-106, 39, -105, 40])).toBe(true);
+    expect(isPointInBoundingBox(38.9, -105.5, [-106, 39, -105, 40])).toBe(false);
+  });
+});
+
+describe('getBoundingCircle', () => {
+  test('covers every position', () => {
+    const circle = getBoundingCircle(square[0]);
+
+    expect(circle.latitude).toBe(39.5);
+    expect(circle.longitude).toBe(-105.5);
+    for (const [lon, lat] of square[0]) {
+      expect(calculateDistance(circle.latitude, circle.longitude, lat, lon)).toBeLessThanOrEqual(circle.radius);
+    }
+  });
+});
+
+describe('distanceToPolygonEdge', () => {
+  test('measures to the nearest edge, including holes', () => {
+    // 0.1 degree is about 6.9 miles of latitude, 5.3 miles of longitude here
+    expect(distanceToPolygonEdge(38.9, -105.8, square)).toBeCloseTo(6.9, 1);
+    expect(distanceToPolygonEdge(39.5, -105.5, square)).toBeCloseTo(5.3, 1);
+  });
+
+  test('measures to a vertex beyond the end of an edge', () => {
+    const expected = calculateDistance(38.9, -104.9, 39, -105);
+
+    expect(distanceToPolygonEdge(38.9, -104.9, square)).toBeCloseTo(expected, 5);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the Keetch-Byram Drought Index
+ */
+
+import {
+  KBDI_MAX,
+  calculateKBDI,
+  dailyWeather,
+  fuelAvailabilityFactor,
+  runKBDI
+} from '../../../src/utils/kbdi.js';
+
+describe('Keetch-Byram Drought Index', () => {
+  test('matches the Keetch-Byram drought factor table', () => {
+    // 90°F with 50 inches annual rainfall dries saturated soil by 25
+    expect(calculateKBDI(0, 90, 0, 50)).toBeCloseTo(24.9, 1);
+  });
+
+  test('dries faster in wetter climates and not at all when cold', () => {
+    expect(calculateKBDI(300, 90, 0, 60)).toBeGreaterThan(calculateKBDI(300, 90, 0, 15));
+    expect(calculateKBDI(300, 40, 0, 50)).toBe(300);
+    expect(calculateKBDI(KBDI_MAX, 110, 0, 50)).toBe(KBDI_MAX);
+  });
+
+  test('takes the first 0.2 inches of each wet spell as interception', () => {
+    const days = runKBDI([
+      { date: '2024-07-01', maxTemperature: 70, rain: 0.15 },
+      { date: '2024-07-02', maxTemperature: 70, rain: 0.5 },
+      { date: '2024-07-03', maxTemperature: 70, rain: 0 },
+      { date: '2024-07-04', maxTemperature: 70, rain: 0.1 }
+    ], { annualPrecip: 30, start: 400 });
+
+    expect(days.map(day => day.net_rain)).toEqual([0, 0.45, 0, 0]);
+    expect(days[1].kbdi).toBeLessThan(days[0].kbdi - 40);
+  });
+
+  test('scales FFWI from 0.72 to 2.0 with drought', () => {
+    expect(fuelAvailabilityFactor(0)).toBeCloseTo(0.72);
+    expect(fuelAvailabilityFactor(KBDI_MAX)).toBeCloseTo(2.0);
+  });
+});
+
+describe('Daily weather', () => {
+  test('takes the local day\'s maximum temperature and rain', () => {
+    const series = [];
+    for (let hour = 0; hour < 48; hour++) {
+      series.push({
+        timestamp: new Date(Date.UTC(2024, 6, 1, hour)).toISOString(),
+        temperature: 60 + (hour % 24),
+        precipAccum: hour >= 30 ? 2.3 : 2.0
+      });
+    }
+
+    const days = dailyWeather(series, -7);
+
+    expect(days.map(day => day.date)).toEqual(['2024-06-30', '2024-07-01', '2024-07-02']);
+    expect(days[1]).toMatchObject({ maxTemperature: 83 });
+    expect(days[1].rain).toBeCloseTo(0.3);
+    expect(days[2].rain).toBe(0);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for NFDRS indices
+ */
+
+import {
+  FUEL_MODELS,
+  calculateNFDRSIndices,
+  estimateDeadFuelMoisture,
+  resolveNFDRSOptions
+} from '../../../src/utils/nfdrs.js';
+
+const DRY = { oneHour: 3, tenHour: 4, hundredHour: 7, thousandHour: 9, herbaceous: 30, woody: 70 };
+const WET = { oneHour: 14, tenHour: 18, hundredHour: 22, thousandHour: 25, herbaceous: 150, woody: 150 };
+
+describe('NFDRS indices', () => {
+  test('covers the 2016 and 1978 fuel models', () => {
+    expect(Object.keys(FUEL_MODELS)).toEqual(expect.arrayContaining(['V', 'W', 'X', 'Y', 'Z', 'A', 'G', 'U']));
+    expect(Object.keys(FUEL_MODELS)).toHaveLength(25);
+  });
+
+  test.each(Object.keys(FUEL_MODELS))('rates dry fuels higher than wet fuels in model %s', (code) => {
+    const dry = calculateNFDRSIndices(code, { temperature: 90, windSpeed: 15, moisture: DRY });
+    const wet = calculateNFDRSIndices(code, { temperature: 60, windSpeed: 5, moisture: WET });
+
+    expect(dry.energyReleaseComponent).toBeGreaterThan(wet.energyReleaseComponent);
+    expect(dry.burningIndex).toBeGreaterThan(wet.burningIndex);
+    expect(dry.spreadComponent).toBeGreaterThan(wet.spreadComponent);
+    expect(dry.ignitionComponent).toBeGreaterThan(wet.ignitionComponent);
+    expect(dry.ignitionComponent).toBeLessThanOrEqual(100);
+  });
+
+  test('wind and slope raise SC and BI but not ERC', () => {
+    const calm = calculateNFDRSIndices('G', { temperature: 85, windSpeed: 0, moisture: DRY });
+    const windy = calculateNFDRSIndices('G', { temperature: 85, windSpeed: 25, moisture: DRY });
+    const steep = calculateNFDRSIndices('G', { temperature: 85, windSpeed: 0, slopeClass: 5, moisture: DRY });
+
+    expect(windy.spreadComponent).toBeGreaterThan(calm.spreadComponent);
+    expect(windy.burningIndex).toBeGreaterThan(calm.burningIndex);
+    expect(steep.spreadComponent).toBeGreaterThan(calm.spreadComponent);
+    expect(windy.energyReleaseComponent).toBe(calm.energyReleaseComponent);
+  });
+
+  test('drier 1000-hour fuels raise ERC in timber', () => {
+    const wetLogs = calculateNFDRSIndices('Y', { temperature: 85, windSpeed: 10, moisture: { ...DRY, thousandHour: 25 } });
+    const dryLogs = calculateNFDRSIndices('Y', { temperature: 85, windSpeed: 10, moisture: DRY });
+
+    expect(dryLogs.energyReleaseComponent).toBeGreaterThan(wetLogs.energyReleaseComponent);
+  });
+
+  test('grass does not spread above its moisture of extinction', () => {
+    const result = calculateNFDRSIndices('V', { temperature: 70, windSpeed: 20, moisture: { ...DRY, oneHour: 16 } });
+
+    expect(result.spreadComponent).toBe(0);
+    expect(result.ignitionComponent).toBe(0);
+  });
+
+  test('IC matches the normalized NFDRS ignition probability', () => {
+    // SC is above model G's SCM (30), so IC equals P:
+    // 70°F air + 25°F sun -> 35°C fuel, 6% 1-hour -> Qig 181.8, chi 16.22,
+    // P = (chi^3.66 * 0.000923 / 50 - 0.00232) * 100 / 0.99767 = 49.4
+    const fine = { ...DRY, oneHour: 6 };
+    const result = calculateNFDRSIndices('G', { temperature: 70, windSpeed: 30, moisture: fine });
+
+    expect(result.spreadComponent).toBeGreaterThan(FUEL_MODELS.G.scm);
+    expect(result.ignitionComponent).toBe(49);
+    expect(calculateNFDRSIndices('G', { temperature: 50, windSpeed: 30, moisture: { ...DRY, oneHour: 15 } }).ignitionComponent)
+      .toBe(7);
+  });
+
+  test('returns null for unknown models or missing inputs', () => {
+    expect(calculateNFDRSIndices('M', { temperature: 85, windSpeed: 10, moisture: DRY })).toBeNull();
+    expect(calculateNFDRSIndices('Y', { temperature: 85, windSpeed: null, moisture: DRY })).toBeNull();
+    expect(calculateNFDRSIndices('Y', { temperature: 85, windSpeed: 10, moisture: { ...DRY, woody: null } })).toBeNull();
+  });
+});
+
+describe('Dead fuel moisture from hourly history', () => {
+  const hourly = (count, point) => Array.from({ length: count }, (_, i) => ({
+    timestamp: new Date(Date.UTC(2025, 7, 1, i)).toISOString(),
+    precipAccum: null,
+    fuelMoisture: null,
+    ...point(i)
+  }));
+
+  test('settles at equilibrium under steady conditions', () => {
+    const moisture = estimateDeadFuelMoisture(hourly(48, () => ({ temperature: 85, relativeHumidity: 20 })));
+
+    expect(moisture.oneHour).toBeCloseTo(moisture.hundredHour, 1);
+    expect(moisture.tenHourSource).toBe('estimated');
+  });
+
+  test('fine fuels follow a drying afternoon faster than heavy fuels', () => {
+    const series = hourly(72, i => ({ temperature: 85, relativeHumidity: i < 60 ? 60 : 10 }));
+    const moisture = estimateDeadFuelMoisture(series);
+
+    expect(moisture.oneHour).toBeLessThan(moisture.tenHour);
+    expect(moisture.tenHour).toBeLessThan(moisture.hundredHour);
+    expect(moisture.hundredHour).toBeLessThan(moisture.thousandHour);
+  });
+
+  test('rain wets the fuels', () => {
+    const dry = hourly(24, () => ({ temperature: 70, relativeHumidity: 30 }));
+    const rained = hourly(24, i => ({ temperature: 70, relativeHumidity: 30, precipAccum: i < 20 ? 0 : (i - 19) * 0.1 }));
+
+    expect(estimateDeadFuelMoisture(rained).oneHour).toBeGreaterThan(estimateDeadFuelMoisture(dry).oneHour);
+  });
+
+  test('uses the latest fuel stick reading for 10-hour fuels', () => {
+    const series = hourly(6, i => ({ temperature: 80, relativeHumidity: 25, fuelMoisture: i < 5 ? 9 : null }));
+
+    expect(estimateDeadFuelMoisture(series)).toMatchObject({ tenHour: 9, tenHourSource: 'fuel_stick' });
+  });
+
+  test('returns null without temperature and humidity', () => {
+    expect(estimateDeadFuelMoisture([])).toBeNull();
+    expect(estimateDeadFuelMoisture(hourly(3, () => ({ temperature: null, relativeHumidity: 20 })))).toBeNull();
+  });
+});
+
+describe('NFDRS tool options', () => {
+  test('defaults to fuel model Y on flat ground with cured, dormant live fuels', () => {
+    expect(resolveNFDRSOptions({})).toEqual({
+      options: { fuelModel: 'Y', slopeClass: 1, herbaceous: 30, woody: 60 }
+    });
+  });
+
+  test.each([
+    [{ fuel_model: 'M' }, 'INVALID_FUEL_MODEL'],
+    [{ slope_class: 6 }, 'INVALID_SLOPE_CLASS'],
+    [{ woody_moisture: 0 }, 'INVALID_FUEL_MOISTURE']
+  ])('rejects %j', (args, code) => {
+    expect(resolveNFDRSOptions(args).error).toMatchObject({ code, status: 400 });
+  });
+});